@@ -49,6 +49,8 @@ export const CONSTANTS = {
     MAX_CAREGIVERS: 3,
     MAX_IMAGE_SIZE: 10 * 1024 * 1024, // 10MB
     MAX_NICKNAME_LENGTH: 50,
+    SCHEDULE_HORIZON_DAYS: 7,  // Schedules are generated this far ahead
+    MAX_ESCALATION_LEVEL: 5,   // Can be lowered with MAX_ESCALATION_LEVEL
   },
   
   // Default nicknames
@@ -68,6 +70,7 @@ export const CONSTANTS = {
     CONFIRMATION: ['✅ Taken', '⏰ Snooze 30min', '❌ Skip today'],
     YES_NO: ['Yes', 'No'],
     PRIVACY: ['Keep it private', 'Use real name'],
+    CAREGIVER_ALERT: ['I\'ll check now', 'Call them', 'Already taken'],
   },
   
   // Supported languages
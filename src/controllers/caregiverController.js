@@ -0,0 +1,418 @@
+import { whatsappService } from '../services/whatsappService.js';
+import { caregiverService } from '../services/caregiverService.js';
+import { escalationService } from '../services/escalationService.js';
+import { conversationService } from '../services/conversationService.js';
+import { auditService } from '../services/auditService.js';
+import { voiceRecordingService } from '../services/voiceRecordingService.js';
+import { reminderController } from './reminderController.js';
+import { voiceRecordingFlow } from './flows/voiceRecordingFlow.js';
+import User from '../models/User.js';
+import Schedule from '../models/Schedule.js';
+import { logger } from '../utils/logger.js';
+import { getValidTimezone } from '../utils/timeZones.js';
+import { CONSTANTS } from '../config/constants.js';
+import moment from 'moment-timezone';
+
+const [CHECKING, CALLING, ALREADY_TAKEN] = CONSTANTS.QUICK_REPLIES.CAREGIVER_ALERT;
+
+class CaregiverController {
+  /**
+   * Messages from caregivers: invitation replies, replies to alerts and,
+   * for caregivers who are not patients themselves, everything else.
+   * Returns false when the message should be handled as a patient's.
+   */
+  async handleMessage(whatsappId, message, { isPatient = false } = {}) {
+    const sender = { whatsappId };
+    const phoneNumber = caregiverService.getPhoneNumber(sender);
+
+    const command = caregiverService.parseCommand(message);
+
+    if (command && await caregiverService.handleCommand(sender, command)) {
+      return true;
+    }
+
+    const alert = await escalationService.findCaregiverAlert(phoneNumber);
+    const reply = alert && this.matchAlertReply(message, { exact: isPatient });
+
+    if (reply) {
+      await this.handleAlertReply(sender, alert, reply);
+      return true;
+    }
+
+    if (await this.handleViewCommand(sender, message, { isPatient })) {
+      return true;
+    }
+
+    if (isPatient) return false;
+
+    const patients = await caregiverService.findPatients(phoneNumber, { $in: ['invited', 'accepted'] });
+
+    if (patients.length === 0) return false;
+
+    await whatsappService.sendMessage(whatsappId, {
+      text: "👥 You're set up as a caregiver. I'll message you if someone you care for misses an important dose.\n\nSend *PATIENTS* to see who you look after, *PENDING* for doses not yet taken, *TAKEN FOR* and a name to record a dose, or *RECORD FOR* and a name to record a reminder in your own voice.\n\nSend *DIGEST DAILY* or *DIGEST WEEKLY* for a summary, *ALERTS OFF* to only get summaries, or *STOP ALERTS* to stop completely.",
+    });
+
+    return true;
+  }
+
+  // Patients who are also caregivers may mean their own dose by "taken" or
+  // "1", so they have to send the full reply
+  matchAlertReply(message, { exact = false } = {}) {
+    const reply = message
+      .replace(/[‘’]/g, "'")
+      .replace(/[^\p{L}\p{N}' ]/gu, '')
+      .trim();
+    const options = CONSTANTS.QUICK_REPLIES.CAREGIVER_ALERT;
+
+    if (exact) {
+      return options.find(option => option.toLowerCase() === reply.toLowerCase()) ?? null;
+    }
+
+    if (/^(already )?taken$/i.test(reply)) return ALREADY_TAKEN;
+
+    return conversationService.matchQuickReply(reply, options);
+  }
+
+  async handleAlertReply(sender, escalation, reply) {
+    const phoneNumber = caregiverService.getPhoneNumber(sender);
+
+    const caregiver = escalation.caregivers.find(entry => entry.phoneNumber === phoneNumber);
+    const schedule = await Schedule.findById(escalation.scheduleId)
+      .populate('userId')
+      .populate('medicationId');
+
+    // The dose, patient or medication may have been deleted since the alert
+    if (!caregiver || !schedule?.userId || !schedule.medicationId) {
+      logger.warn('Caregiver replied to inactive alert', {
+        escalationId: escalation._id,
+        scheduleId: escalation.scheduleId,
+      });
+      return whatsappService.sendMessage(sender.whatsappId, {
+        text: 'This alert is no longer active. Thank you for checking.',
+      });
+    }
+
+    await escalationService.acknowledgeCaregiver(escalation, phoneNumber, reply);
+
+    const patient = schedule.userId;
+
+    logger.info('Caregiver replied to alert', {
+      escalationId: escalation._id,
+      caregiverId: caregiver.caregiverId,
+      reply,
+    });
+
+    switch (reply) {
+      case CHECKING:
+        await whatsappService.sendMessage(sender.whatsappId, {
+          text: `Thank you. Reply *${ALREADY_TAKEN}* once ${patient.name} has taken it.`,
+        });
+        await whatsappService.sendMessage(patient.whatsappId, {
+          text: `👋 ${caregiver.name} got my alert and is checking on you.`,
+        });
+        break;
+
+      case CALLING:
+        await whatsappService.sendMessage(sender.whatsappId, {
+          text: `You can call ${patient.name} on ${caregiverService.getPhoneNumber(patient)}.\n\nReply *${ALREADY_TAKEN}* once they've taken it.`,
+        });
+        await whatsappService.sendMessage(patient.whatsappId, {
+          text: `📞 ${caregiver.name} got my alert and will call you.`,
+        });
+        break;
+
+      case ALREADY_TAKEN:
+        return this.markTaken(sender, caregiver, schedule);
+    }
+  }
+
+  async markTaken(sender, caregiver, schedule) {
+    const patient = schedule.userId;
+    const medication = schedule.medicationId;
+
+    if (!['sent', 'snoozed'].includes(schedule.status)) {
+      return whatsappService.sendMessage(sender.whatsappId, {
+        text: `Thank you. ${patient.name}'s dose has already been recorded.`,
+      });
+    }
+
+    await reminderController.handleTaken(schedule, medication, { method: 'caregiver' });
+
+    await auditService.record(patient._id, auditService.caregiverActor(caregiver), 'dose.taken', {
+      scheduleIds: [schedule._id],
+      details: { via: 'alert' },
+    });
+
+    await whatsappService.sendMessage(sender.whatsappId, {
+      text: `✅ Thank you. I've marked the dose as taken for ${patient.name}.`,
+    });
+
+    await whatsappService.sendMessage(patient.whatsappId, {
+      text: `✅ ${caregiver.name} let me know you've taken your ${medication.getDisplayName()}.`,
+    });
+  }
+
+  /**
+   * The caregiver's view of the patients they look after:
+   * "patients", "pending", "pending for Mom", "taken for Mom",
+   * "skip 2 for Mom", "label 1 as Mom", "record for Mom", "record urgent for Mom"
+   */
+  async handleViewCommand(sender, message, { isPatient = false } = {}) {
+    const text = message.trim().replace(/[.!]+$/, '');
+    const lower = text.toLowerCase();
+
+    if (!/^(my )?patients$|^pending\b|^label\s|\sfor\s/.test(lower)) return false;
+
+    const phoneNumber = caregiverService.getPhoneNumber(sender);
+    const patients = await caregiverService.getPatients(phoneNumber);
+
+    if (patients.length === 0) return false;
+
+    if (/^(my )?patients$/.test(lower)) {
+      await this.listPatients(sender, patients);
+      return true;
+    }
+
+    const pending = lower.match(/^pending(?:\s+for\s+(.+))?$/);
+    const label = text.match(/^label\s+(.+?)\s+as\s+(.+)$/i);
+    const record = lower.match(/^record(?:\s+(urgent))?\s+for\s+(.+)$/);
+    const act = lower.match(/^(.+?)\s+for\s+(.+)$/);
+
+    if (pending && !pending[1]) {
+      for (const patient of patients) {
+        await this.listPending(sender, patient);
+      }
+      return true;
+    }
+
+    const response = !pending && !label && !record && act && reminderController.parseReminderResponse(act[1]);
+
+    // "... for ..." that is not a reminder reply belongs to the patient side
+    if (!pending && !label && !record && !response) return false;
+
+    const reference = pending?.[1] || label?.[1] || record?.[2] || act[2];
+
+    const matches = this.findPatients(sender, patients, reference);
+
+    // A patient's own "taken for my headache" is not about anyone else
+    if (matches.length === 0 && act && isPatient) return false;
+
+    if (matches.length !== 1) {
+      await whatsappService.sendMessage(sender.whatsappId, {
+        text: matches.length === 0
+          ? `I couldn't find "${reference}". Send *PATIENTS* to see who you look after.`
+          : `More than one person matches "${reference}". Please use their number from *PATIENTS*.`,
+      });
+      return true;
+    }
+
+    const [patient] = matches;
+
+    if (pending) {
+      await this.listPending(sender, patient);
+    } else if (label) {
+      await this.setPatientLabel(sender, patient, label[2].trim());
+    } else if (record) {
+      await this.requestRecording(sender, patient, record[1] ? 'urgent_reminder' : 'reminder');
+    } else {
+      await this.actForPatient(sender, patient, act[1]);
+    }
+
+    return true;
+  }
+
+  // Match a list number, the caregiver's own label or the patient's name
+  findPatients(sender, patients, reference) {
+    const phoneNumber = caregiverService.getPhoneNumber(sender);
+    const ref = reference.trim().toLowerCase();
+    let matches;
+
+    if (/^\d+$/.test(ref)) {
+      matches = [patients[parseInt(ref, 10) - 1]].filter(Boolean);
+    } else {
+      matches = patients.filter(patient =>
+        caregiverService.getCaregiverEntry(patient, phoneNumber).patientLabel?.toLowerCase() === ref
+      );
+
+      if (matches.length === 0) {
+        matches = patients.filter(patient => patient.name.toLowerCase().startsWith(ref));
+      }
+    }
+
+    return matches;
+  }
+
+  getPatientName(patient, caregiver) {
+    return caregiver.patientLabel || patient.name;
+  }
+
+  async listPatients(sender, patients) {
+    const phoneNumber = caregiverService.getPhoneNumber(sender);
+    const lines = [];
+
+    for (const [index, patient] of patients.entries()) {
+      const caregiver = caregiverService.getCaregiverEntry(patient, phoneNumber);
+      const outstanding = await reminderController.getOutstandingSchedules(patient._id);
+      const status = outstanding.length > 0
+        ? `⏰ ${outstanding.length} pending`
+        : '✅ nothing pending';
+
+      lines.push(`${index + 1}. ${patient.name}${caregiver.patientLabel ? ` (${caregiver.patientLabel})` : ''} - ${status}`);
+
+      await auditService.record(patient._id, auditService.caregiverActor(caregiver), 'patients.viewed');
+    }
+
+    await whatsappService.sendMessage(sender.whatsappId, {
+      text: `👥 *People you look after:*\n\n${lines.join('\n')}\n\nSend *PENDING FOR* and a name or number to see their doses.`,
+    });
+  }
+
+  async listPending(sender, patient) {
+    const phoneNumber = caregiverService.getPhoneNumber(sender);
+    const caregiver = caregiverService.getCaregiverEntry(patient, phoneNumber);
+    const name = this.getPatientName(patient, caregiver);
+    const outstanding = await reminderController.getOutstandingSchedules(patient._id);
+
+    await auditService.record(patient._id, auditService.caregiverActor(caregiver), 'doses.viewed', {
+      scheduleIds: outstanding.map(schedule => schedule._id),
+    });
+
+    if (outstanding.length === 0) {
+      return whatsappService.sendMessage(sender.whatsappId, {
+        text: `✅ ${name} has no doses waiting.`,
+      });
+    }
+
+    await whatsappService.sendMessage(sender.whatsappId, {
+      text: `⏰ *Waiting for ${name}:*\n\n${this.formatSchedules(patient, outstanding)}\n\nReply e.g. "taken ${outstanding[0].referenceCode} for ${name}".`,
+    });
+  }
+
+  formatSchedules(patient, schedules) {
+    const zone = getValidTimezone(patient.timezone);
+
+    return schedules
+      .map(schedule =>
+        `${schedule.referenceCode}. ${schedule.medicationId.getDisplayName()} - due ${moment.tz(schedule.scheduledTime, zone).format('HH:mm')}`
+      )
+      .join('\n');
+  }
+
+  async setPatientLabel(sender, patient, label) {
+    const phoneNumber = caregiverService.getPhoneNumber(sender);
+    const caregiver = caregiverService.getCaregiverEntry(patient, phoneNumber);
+
+    caregiver.patientLabel = label.slice(0, CONSTANTS.LIMITS.MAX_NICKNAME_LENGTH);
+    await patient.save();
+
+    await whatsappService.sendMessage(sender.whatsappId, {
+      text: `✅ You can now refer to ${patient.name} as "${caregiver.patientLabel}".`,
+    });
+  }
+
+  // The caregiver's next voice note is played in place of the synthetic
+  // voice once the patient has listened to it and agreed
+  async requestRecording(sender, patient, messageType) {
+    const phoneNumber = caregiverService.getPhoneNumber(sender);
+    const caregiver = caregiverService.getCaregiverEntry(patient, phoneNumber);
+    const name = this.getPatientName(patient, caregiver);
+    const kind = messageType === 'urgent_reminder' ? 'reminder for a missed dose' : 'reminder';
+
+    await voiceRecordingService.requestRecording(patient, caregiver, messageType);
+
+    await whatsappService.sendMessage(sender.whatsappId, {
+      text: `🎙️ Send me a voice note now with the ${kind} you'd like ${name} to hear, in ${CONSTANTS.LANGUAGES[patient.language]}.\n\nFor example: "Hi, it's time for your medicine." Please don't name the medication, as others may hear it. ${patient.name} will listen to it before I use it.`,
+    });
+  }
+
+  /**
+   * Voice notes from caregivers who asked to record a reminder.
+   * Returns false for any other voice note.
+   */
+  async handleRecording(whatsappId, mediaUrl, contentType) {
+    const sender = { whatsappId };
+    const phoneNumber = caregiverService.getPhoneNumber(sender);
+    const recording = await voiceRecordingService.findAwaitingAudio(phoneNumber);
+
+    if (!recording) return false;
+
+    const patient = await User.findById(recording.userId);
+    const caregiver = patient && caregiverService.getCaregiverEntry(patient, phoneNumber);
+
+    // Removed as a caregiver since asking
+    if (!caregiver || !caregiverService.isActive(caregiver)) return false;
+
+    try {
+      const audio = await whatsappService.downloadMedia(mediaUrl);
+      await voiceRecordingService.attachAudio(recording, audio, contentType);
+    } catch (error) {
+      logger.error('Error saving caregiver recording:', error);
+      await whatsappService.sendMessage(whatsappId, {
+        text: "Sorry, I couldn't save that voice note. Please try sending it again.",
+      });
+      return true;
+    }
+
+    await auditService.record(patient._id, auditService.caregiverActor(caregiver), 'voice_recording.added', {
+      details: { recordingId: recording._id, messageType: recording.messageType },
+    });
+
+    await whatsappService.sendMessage(whatsappId, {
+      text: `✅ Thank you! I've sent your recording to ${this.getPatientName(patient, caregiver)}. I'll let you know once they've listened to it.`,
+    });
+
+    await voiceRecordingFlow.offer(patient);
+
+    return true;
+  }
+
+  // "taken for Mom", "skip 2 for Mom": the same replies the patient can send
+  async actForPatient(sender, patient, responseText) {
+    const phoneNumber = caregiverService.getPhoneNumber(sender);
+    const caregiver = caregiverService.getCaregiverEntry(patient, phoneNumber);
+    const name = this.getPatientName(patient, caregiver);
+
+    const result = await reminderController.handleReminderResponse(patient._id, responseText, {
+      method: 'caregiver',
+    });
+
+    if (result.outstanding.length === 0) {
+      return whatsappService.sendMessage(sender.whatsappId, {
+        text: `✅ ${name} has no doses waiting.`,
+      });
+    }
+
+    if (result.handled.length === 0) {
+      return whatsappService.sendMessage(sender.whatsappId, {
+        text: `Which dose?\n\n${this.formatSchedules(patient, result.outstanding)}\n\nReply e.g. "${responseText.split(' ')[0]} ${result.outstanding[0].referenceCode} for ${name}".`,
+      });
+    }
+
+    const word = result.action;
+    const names = result.handled.map(schedule => schedule.medicationId.getDisplayName()).join(', ');
+
+    await auditService.record(patient._id, auditService.caregiverActor(caregiver), `dose.${result.action}`, {
+      scheduleIds: result.handled.map(schedule => schedule._id),
+      details: { via: 'command', message: responseText },
+    });
+
+    logger.info('Caregiver responded for patient', {
+      userId: patient._id,
+      caregiverId: caregiver._id,
+      action: result.action,
+      count: result.handled.length,
+    });
+
+    await whatsappService.sendMessage(sender.whatsappId, {
+      text: `✅ Marked ${names} as ${word} for ${name}.`,
+    });
+
+    await whatsappService.sendMessage(patient.whatsappId, {
+      text: `👥 ${caregiver.name} marked your ${names} as ${word}.`,
+    });
+  }
+}
+
+export const caregiverController = new CaregiverController();
+export default caregiverController;
\ No newline at end of file
@@ -0,0 +1,458 @@
+import Joi from 'joi';
+import { clinicService } from '../services/clinicService.js';
+import { clinicImportService } from '../services/clinicImportService.js';
+import { auditService } from '../services/auditService.js';
+import { voiceRecordingService } from '../services/voiceRecordingService.js';
+import { MESSAGE_TYPES } from '../models/VoiceRecording.js';
+import { logger } from '../utils/logger.js';
+import { CONSTANTS } from '../config/constants.js';
+
+const TIME = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+const medicationFields = {
+  name: Joi.string().trim().max(200),
+  dosage: Joi.string().trim().max(100),
+  form: Joi.string().trim().max(50),
+  nickname: Joi.string().trim().max(CONSTANTS.LIMITS.MAX_NICKNAME_LENGTH),
+  times: Joi.array().min(1).items(Joi.object({
+    time: TIME.required(),
+    dose: Joi.string().max(50),
+    withFood: Joi.boolean(),
+    notes: Joi.string().max(200),
+  })),
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly', 'asNeeded'),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)),
+  startDate: Joi.date(),
+  endDate: Joi.date(),
+  duration: Joi.number().integer().min(1),
+  privacyLevel: Joi.number().integer().min(1).max(6),
+  purpose: Joi.string().trim().max(200),
+  critical: Joi.boolean(),
+  prescribedBy: Joi.string().trim().max(100),
+  notes: Joi.string().max(1000),
+};
+
+const createMedicationSchema = Joi.object({
+  ...medicationFields,
+  name: medicationFields.name.required(),
+  times: medicationFields.times.required(),
+  frequency: medicationFields.frequency.default('daily'),
+});
+
+const updateMedicationSchema = Joi.object({
+  ...medicationFields,
+  status: Joi.string().valid('active', 'paused', 'completed', 'discontinued'),
+}).min(1);
+
+const DAYS = Joi.number().integer().min(1).max(365).default(30);
+
+const recordingSchema = Joi.object({
+  language: Joi.string().valid(...Object.keys(CONSTANTS.LANGUAGES)).required(),
+  messageType: Joi.string().valid(...MESSAGE_TYPES).required(),
+  // Only played to this patient when given
+  userId: Joi.string(),
+});
+
+function getActor(req) {
+  return { type: 'clinic', name: req.apiKey.name };
+}
+
+function serializePatient(patient) {
+  return {
+    id: patient._id,
+    name: patient.name,
+    phoneNumber: patient.phoneNumber,
+    language: patient.language,
+    timezone: patient.timezone,
+    state: patient.state,
+    dataSharing: patient.subscription.dataSharing?.status,
+    adherenceRate: patient.stats.adherenceRate,
+    totalMedications: patient.stats.totalMedications,
+    lastActive: patient.stats.lastActive,
+    enrolledAt: patient.createdAt,
+  };
+}
+
+// Clinics see the real name whatever the patient's privacy level
+function serializeMedication(medication) {
+  const details = medication.decryptSensitiveData() || {};
+
+  return {
+    id: medication._id,
+    name: details.name,
+    dosage: details.dosage,
+    form: medication.encryptedData.form,
+    nickname: medication.nickname,
+    schedule: medication.schedule,
+    status: medication.status,
+    privacyLevel: medication.privacyLevel,
+    purpose: medication.medical.purpose,
+    critical: medication.medical.criticalMedication,
+    prescribedBy: medication.medical.prescribedBy,
+    adherence: medication.adherence,
+    addedVia: medication.metadata?.addedVia,
+    createdAt: medication.createdAt,
+    updatedAt: medication.updatedAt,
+  };
+}
+
+function serializeEscalation(escalation) {
+  return {
+    id: escalation._id,
+    level: escalation.level,
+    type: escalation.type,
+    status: escalation.status,
+    scheduleId: escalation.scheduleId,
+    medication: escalation.medicationId?.nickname,
+    caregivers: escalation.caregivers.map(caregiver => ({
+      name: caregiver.name,
+      status: caregiver.status,
+      notifiedAt: caregiver.notifiedAt,
+      acknowledgedAt: caregiver.acknowledgedAt,
+    })),
+    clinicAlert: escalation.clinicAlert?.clinicId ? {
+      acknowledgedAt: escalation.clinicAlert.acknowledgedAt,
+      acknowledgedBy: escalation.clinicAlert.acknowledgedBy,
+    } : undefined,
+    resolution: escalation.resolution,
+    createdAt: escalation.createdAt,
+  };
+}
+
+function serializeRecording(recording) {
+  return {
+    id: recording._id,
+    userId: recording.userId,
+    language: recording.language,
+    messageType: recording.messageType,
+    status: recording.status,
+    url: recording.audio?.url,
+    contentType: recording.audio?.contentType,
+    recordedBy: recording.recordedBy.name,
+    reviewedBy: recording.review?.reviewedBy?.name,
+    reviewedAt: recording.review?.reviewedAt,
+    reason: recording.review?.reason,
+    createdAt: recording.createdAt,
+  };
+}
+
+function validate(schema, value, res) {
+  const { error, value: validated } = schema.validate(value, { stripUnknown: true });
+
+  if (error) {
+    res.status(400).json({ error: error.details[0].message });
+    return null;
+  }
+
+  return validated;
+}
+
+async function loadPatient(req, res) {
+  const patient = await clinicService.getPatient(req.clinic._id, req.params.userId);
+
+  if (!patient) {
+    res.status(404).json({ error: 'Patient not found' });
+  }
+
+  return patient;
+}
+
+// Adherence and missed doses are only shown with the patient's consent
+async function loadSharingPatient(req, res) {
+  const patient = await loadPatient(req, res);
+
+  if (patient && !clinicService.canShareData(patient)) {
+    res.status(403).json({ error: 'Patient has not agreed to share adherence data' });
+    return null;
+  }
+
+  return patient;
+}
+
+export async function listPatients(req, res, next) {
+  try {
+    const query = validate(Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      limit: Joi.number().integer().min(1).max(100).default(50),
+    }), req.query, res);
+
+    if (!query) return;
+
+    const result = await clinicService.listPatients(req.clinic._id, query);
+
+    res.json({
+      patients: result.patients.map(serializePatient),
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getPatient(req, res, next) {
+  try {
+    const patient = await loadPatient(req, res);
+    if (!patient) return;
+
+    const medications = await clinicService.getMedications(patient);
+
+    await auditService.record(patient._id, getActor(req), 'patient.viewed');
+
+    res.json({
+      ...serializePatient(patient),
+      medications: medications.map(serializeMedication),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getAdherence(req, res, next) {
+  try {
+    const patient = await loadSharingPatient(req, res);
+    if (!patient) return;
+
+    const days = validate(DAYS, req.query.days, res);
+    if (!days) return;
+
+    const adherence = await clinicService.getAdherence(patient, days);
+
+    await auditService.record(patient._id, getActor(req), 'adherence.viewed', { details: { days } });
+
+    res.json({ days, ...adherence });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getEscalations(req, res, next) {
+  try {
+    const patient = await loadSharingPatient(req, res);
+    if (!patient) return;
+
+    const days = validate(DAYS, req.query.days, res);
+    if (!days) return;
+
+    const escalations = await clinicService.getEscalations(patient, days);
+
+    await auditService.record(patient._id, getActor(req), 'escalations.viewed', { details: { days } });
+
+    res.json({ days, escalations: escalations.map(serializeEscalation) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function getJoinLink(req, res, next) {
+  try {
+    if (!req.clinic.code) {
+      return res.status(404).json({ error: 'Clinic has no code' });
+    }
+
+    res.json({
+      code: req.clinic.code,
+      url: clinicService.getJoinLink(req.clinic),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function listMedications(req, res, next) {
+  try {
+    const patient = await loadPatient(req, res);
+    if (!patient) return;
+
+    const medications = await clinicService.getMedications(patient);
+
+    res.json({ medications: medications.map(serializeMedication) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function addMedication(req, res, next) {
+  try {
+    const patient = await loadPatient(req, res);
+    if (!patient) return;
+
+    const data = validate(createMedicationSchema, req.body, res);
+    if (!data) return;
+
+    const medication = await clinicService.addMedication(patient, data, {
+      clinicCode: req.clinic.code,
+      awaitingOptIn: clinicService.isAwaitingOptIn(patient),
+    });
+
+    await auditService.record(patient._id, getActor(req), 'medication.added', {
+      details: { medicationId: medication._id },
+    });
+
+    logger.info('Clinic API added medication', {
+      clinicId: req.clinic._id,
+      userId: patient._id,
+      medicationId: medication._id,
+    });
+
+    res.status(201).json(serializeMedication(medication));
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function updateMedication(req, res, next) {
+  try {
+    const patient = await loadPatient(req, res);
+    if (!patient) return;
+
+    const medication = await clinicService.getMedication(patient, req.params.medicationId);
+
+    if (!medication) {
+      return res.status(404).json({ error: 'Medication not found' });
+    }
+
+    const changes = validate(updateMedicationSchema, req.body, res);
+    if (!changes) return;
+
+    const updated = await clinicService.updateMedication(patient, medication, changes);
+
+    await auditService.record(patient._id, getActor(req), 'medication.updated', {
+      details: { medicationId: medication._id, fields: Object.keys(changes) },
+    });
+
+    res.json(serializeMedication(updated));
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function importPatients(req, res, next) {
+  try {
+    const csv = req.file
+      ? req.file.buffer.toString('utf8')
+      : typeof req.body === 'string' ? req.body : req.body?.csv;
+
+    if (!csv) {
+      return res.status(400).json({ error: 'Upload a CSV file' });
+    }
+
+    const report = await clinicImportService.importPatients(req.clinic, csv);
+
+    logger.info('Clinic API imported patients', {
+      clinicId: req.clinic._id,
+      key: req.apiKey.name,
+      total: report.total,
+      failed: report.failed.length,
+    });
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function listRecordings(req, res, next) {
+  try {
+    const query = validate(Joi.object({
+      status: Joi.string().valid('pending', 'approved', 'rejected'),
+    }), req.query, res);
+
+    if (!query) return;
+
+    const recordings = await voiceRecordingService.listForClinic(req.clinic._id, query);
+
+    res.json({ recordings: recordings.map(serializeRecording) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// New recordings are only played once approved
+export async function uploadRecording(req, res, next) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload an audio file' });
+    }
+
+    if (!voiceRecordingService.getExtension(req.file.mimetype)) {
+      return res.status(400).json({ error: 'Recordings must be OGG, MP3, M4A, AAC or AMR audio' });
+    }
+
+    const data = validate(recordingSchema, req.body, res);
+    if (!data) return;
+
+    let patient = null;
+
+    if (data.userId) {
+      patient = await clinicService.getPatient(req.clinic._id, data.userId);
+
+      if (!patient) {
+        return res.status(404).json({ error: 'Patient not found' });
+      }
+    }
+
+    const recording = await voiceRecordingService.createClinicRecording(req.clinic, req.file.buffer, {
+      contentType: req.file.mimetype,
+      language: data.language,
+      messageType: data.messageType,
+      userId: patient?._id,
+      recordedBy: req.apiKey.name,
+    });
+
+    if (patient) {
+      await auditService.record(patient._id, getActor(req), 'voice_recording.added', {
+        details: { recordingId: recording._id, messageType: recording.messageType },
+      });
+    }
+
+    res.status(201).json(serializeRecording(recording));
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function reviewRecording(req, res, approved) {
+  const recording = await voiceRecordingService.getClinicRecording(req.clinic._id, req.params.recordingId);
+
+  if (!recording) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+
+  const body = validate(Joi.object({
+    reason: Joi.string().trim().max(500),
+  }), req.body || {}, res);
+
+  if (!body) return;
+
+  await voiceRecordingService.review(recording, {
+    approved,
+    reviewedBy: { type: 'clinic', name: req.apiKey.name },
+    reason: body.reason,
+  });
+
+  if (recording.userId) {
+    await auditService.record(recording.userId, getActor(req), 'voice_recording.reviewed', {
+      details: { recordingId: recording._id, status: recording.status },
+    });
+  }
+
+  res.json(serializeRecording(recording));
+}
+
+export async function approveRecording(req, res, next) {
+  try {
+    await reviewRecording(req, res, true);
+  } catch (error) {
+    next(error);
+  }
+}
+
+export async function rejectRecording(req, res, next) {
+  try {
+    await reviewRecording(req, res, false);
+  } catch (error) {
+    next(error);
+  }
+}
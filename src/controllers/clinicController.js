@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import { clinicAlertService, ACKNOWLEDGE_REPLY } from '../services/clinicAlertService.js';
+import { whatsappService } from '../services/whatsappService.js';
+import { auditService } from '../services/auditService.js';
+import { logger } from '../utils/logger.js';
+import Clinic from '../models/Clinic.js';
+import Escalation from '../models/Escalation.js';
+
+const ACKNOWLEDGE_PATTERN = new RegExp(`^(${ACKNOWLEDGE_REPLY}|acknowledged?)$`, 'i');
+
+// The alert named in the link, if the token matches. Sends the error
+// response otherwise.
+async function findAlert(req, res) {
+  const escalation = mongoose.isValidObjectId(req.params.escalationId) &&
+    await Escalation.findById(req.params.escalationId);
+  const clinic = escalation?.clinicAlert?.clinicId &&
+    await Clinic.findById(escalation.clinicAlert.clinicId);
+
+  if (!clinic) {
+    res.status(404).json({ error: 'Alert not found' });
+    return null;
+  }
+
+  const token = req.query.token || req.body?.token;
+
+  if (!clinicAlertService.verifyAcknowledgeToken(escalation, clinic, token)) {
+    res.status(401).json({ error: 'Invalid token' });
+    return null;
+  }
+
+  return { escalation, clinic };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderPage(body) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Missed dose alert</title></head>
+<body>${body}</body>
+</html>`;
+}
+
+// Links in alert emails open a confirmation page, so that mail scanners and
+// link previews fetching the URL don't acknowledge the alert
+export async function showAcknowledgePage(req, res) {
+  try {
+    const alert = await findAlert(req, res);
+
+    if (!alert) return;
+
+    const { acknowledgedAt, acknowledgedBy } = alert.escalation.clinicAlert;
+
+    // The form posts back to this URL, token included
+    const body = acknowledgedAt
+      ? `<p>This alert was acknowledged by ${escapeHtml(acknowledgedBy)}.</p>`
+      : `<form method="post">
+<p>Let the team know you are following up on this missed dose.</p>
+<button type="submit">Acknowledge</button>
+</form>`;
+
+    res.status(200).type('html').send(renderPage(body));
+  } catch (error) {
+    logger.error('Clinic alert page error:', error);
+    res.status(500).json({ error: 'Error loading alert' });
+  }
+}
+
+// The confirmation page and clinic systems post here
+export async function acknowledgeAlert(req, res) {
+  try {
+    const alert = await findAlert(req, res);
+
+    if (!alert) return;
+
+    const { escalation, clinic } = alert;
+    const acknowledgedBy = req.body?.acknowledgedBy || 'link';
+
+    await clinicAlertService.acknowledge(escalation, acknowledgedBy);
+
+    await auditService.record(escalation.userId, { type: 'clinic', name: acknowledgedBy }, 'clinic_alert.acknowledged', {
+      scheduleIds: [escalation.scheduleId],
+      details: { escalationId: escalation._id, clinicId: clinic._id },
+    });
+
+    const result = {
+      alertId: escalation._id,
+      acknowledgedAt: escalation.clinicAlert.acknowledgedAt,
+      acknowledgedBy: escalation.clinicAlert.acknowledgedBy,
+    };
+
+    res.status(200).format({
+      json: () => res.json(result),
+      html: () => res.send(renderPage('<p>✅ Thank you. The alert is marked as acknowledged.</p>')),
+    });
+  } catch (error) {
+    logger.error('Clinic alert acknowledgement error:', error);
+    res.status(500).json({ error: 'Error acknowledging alert' });
+  }
+}
+
+/**
+ * "ACK" from clinic staff who were sent an alert on WhatsApp.
+ * Returns false for anything else.
+ */
+export async function handleStaffMessage(whatsappId, message) {
+  if (!ACKNOWLEDGE_PATTERN.test((message || '').trim())) return false;
+
+  const phoneNumber = whatsappId.replace(/^whatsapp:/, '');
+  const escalation = await clinicAlertService.findStaffAlert(phoneNumber);
+
+  if (!escalation) return false;
+
+  const clinic = await Clinic.findById(escalation.clinicAlert.clinicId);
+  const contact = clinic?.contacts.find(entry => entry.phoneNumber === phoneNumber);
+  const acknowledgedBy = contact?.name || phoneNumber;
+
+  await clinicAlertService.acknowledge(escalation, acknowledgedBy);
+
+  await auditService.record(escalation.userId, {
+    type: 'clinic',
+    phoneNumber,
+    name: contact?.name,
+  }, 'clinic_alert.acknowledged', {
+    scheduleIds: [escalation.scheduleId],
+    details: { escalationId: escalation._id, clinicId: escalation.clinicAlert.clinicId },
+  });
+
+  await whatsappService.sendMessage(whatsappId, {
+    text: '✅ Thank you. The alert is marked as acknowledged.',
+  });
+
+  return true;
+}
\ No newline at end of file
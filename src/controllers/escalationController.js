@@ -1,15 +1,23 @@
 import { whatsappService } from '../services/whatsappService.js';
 import { voiceService } from '../services/voiceService.js';
+import { getReminderVariables } from '../services/voiceTemplates.js';
+import { voiceCallService } from '../services/voiceCallService.js';
+import { escalationService } from '../services/escalationService.js';
+import { caregiverService } from '../services/caregiverService.js';
+import { clinicAlertService } from '../services/clinicAlertService.js';
+import { clinicService } from '../services/clinicService.js';
+import { reminderController } from './reminderController.js';
 import Schedule from '../models/Schedule.js';
 import Medication from '../models/Medication.js';
 import User from '../models/User.js';
 import Escalation from '../models/Escalation.js';
 import { logger } from '../utils/logger.js';
 import { CONSTANTS } from '../config/constants.js';
-import twilio from 'twilio';
 
 class EscalationController {
-  async handleEscalation(scheduleId, level) {
+  // scheduledFor: when the level's job was due, to find the record a failed
+  // run of the same job left behind
+  async handleEscalation(scheduleId, level, { scheduledFor } = {}) {
     try {
       const schedule = await Schedule.findById(scheduleId)
         .populate('userId')
@@ -22,92 +30,159 @@ class EscalationController {
       
       const user = schedule.userId;
       const medication = schedule.medicationId;
+      const policy = await escalationService.getPolicy(user, medication);
+      const step = escalationService.getStep(level, policy, medication);
       
-      // Create escalation record
-      const escalation = await Escalation.create({
-        userId: user._id,
-        medicationId: medication._id,
-        scheduleId: schedule._id,
-        level,
-        type: this.getEscalationType(level),
-        metadata: {
-          criticalMedication: medication.medical.criticalMedication,
-          adherenceRate: medication.adherence.rate,
-        },
-      });
+      // The job queued after the policy's last step closes the dose as missed
+      if (!step) {
+        return this.handleEscalationTimeout(scheduleId);
+      }
       
-      logger.info('Starting escalation', {
-        escalationId: escalation._id,
-        level,
-        userId: user._id,
+      // Create escalation record, or reuse the one from a retried job
+      const escalation = await this.findRetriedEscalation(schedule, level, scheduledFor)
+        || await Escalation.create({
+          userId: user._id,
+          medicationId: medication._id,
+          scheduleId: schedule._id,
+          level,
+          type: step.action,
+          policyId: policy._id,
+          metadata: {
+            criticalMedication: medication.medical.criticalMedication,
+            adherenceRate: medication.adherence.rate,
+          },
+        });
+      
+      // A step that was already attempted is not sent again
+      if (escalation.attempts.length > 0) {
+        logger.info('Escalation step already attempted', {
+          escalationId: escalation._id,
+          level,
+        });
+      } else {
+        logger.info('Starting escalation', {
+          escalationId: escalation._id,
+          level,
+          userId: user._id,
+        });
+        
+        await this.performEscalation(escalation, user, medication, schedule, step, policy);
+      }
+      
+      // Update schedule escalation info
+      schedule.escalation.level = level;
+      schedule.escalation.lastEscalatedAt = new Date();
+      await schedule.save();
+      
+      // Queue the next level. It is cancelled as soon as the user responds.
+      await escalationService.scheduleEscalation(scheduleId, level + 1, {
+        policy,
+        medication,
       });
       
-      switch (level) {
-        case 1:
-          await this.sendUrgentReminder(user, medication, schedule);
+    } catch (error) {
+      logger.error('Escalation error:', error);
+      throw error;
+    }
+  }
+  
+  // Escalations from before a snooze were created before this job was due
+  async findRetriedEscalation(schedule, level, scheduledFor) {
+    if (!scheduledFor) return null;
+    
+    return Escalation.findOne({
+      scheduleId: schedule._id,
+      level,
+      createdAt: { $gte: scheduledFor },
+    });
+  }
+  
+  // Run the escalation's policy step and record the outcome. A failed step
+  // still lets the next level go ahead.
+  async performEscalation(escalation, user, medication, schedule, step, policy) {
+    const attempt = {
+      attemptedAt: new Date(),
+      method: escalation.type,
+    };
+    
+    try {
+      let result;
+      
+      switch (escalation.type) {
+        case 'urgent':
+          result = await this.sendUrgentReminder(user, medication, schedule);
           break;
-        case 2:
-          await this.sendVoiceReminder(user, medication, schedule);
+        case 'voice_reminder':
+          result = await this.sendVoiceReminder(user, medication, schedule, attempt);
           break;
-        case 3:
-          await this.makeVoiceCall(user, medication, schedule);
+        case 'voice_call':
+          result = await this.makeVoiceCall(user, medication, schedule, escalation, attempt);
           break;
-        case 4:
-          await this.alertCaregiver(user, medication, schedule, escalation);
+        case 'caregiver':
+          result = await this.alertCaregiver(user, medication, schedule, escalation, step, policy);
           break;
-        case 5:
-          await this.alertClinic(user, medication, schedule, escalation);
+        case 'clinic':
+          result = await this.alertClinic(user, medication, schedule, escalation);
           break;
         default:
-          logger.warn('Unknown escalation level', { level });
+          logger.warn('Unknown escalation type', { type: escalation.type });
       }
       
-      // Update schedule escalation info
-      schedule.escalation.level = level;
-      schedule.escalation.lastEscalatedAt = new Date();
-      await schedule.save();
-      
-      // Schedule next escalation if no response
-      if (level < CONSTANTS.LIMITS.MAX_ESCALATION_LEVEL) {
-        setTimeout(() => {
-          this.checkAndEscalate(scheduleId, level + 1);
-        }, CONSTANTS.TIMEOUTS.ESCALATION_DELAY);
+      if (!result) {
+        throw new Error('No one to notify at this level');
       }
       
+      escalation.status = 'sent';
+      escalation.attempts.push({ ...attempt, success: true, messageSid: result.sid });
     } catch (error) {
-      logger.error('Escalation error:', error);
-      throw error;
+      logger.error('Escalation step failed:', error);
+      
+      escalation.status = 'failed';
+      escalation.attempts.push({ ...attempt, success: false, error: error.message });
     }
+    
+    await escalation.save();
+  }
+  
+  getStatusCallbackUrl() {
+    return process.env.SERVER_URL ? `${process.env.SERVER_URL}/webhook/status` : undefined;
   }
   
   async sendUrgentReminder(user, medication, schedule) {
     const displayName = medication.getDisplayName();
     const message = `🚨 *URGENT REMINDER*\n\n${displayName} was due ${this.getTimeAgo(schedule.scheduledTime)}.\n\nPlease take it now or let me know if you're skipping today.`;
     
-    await whatsappService.sendMessage(user.whatsappId, {
+    const sent = await whatsappService.sendMessage(user.whatsappId, {
       text: message,
       quickReplies: ['✅ Taking now', '⏰ In 15 mins', '❌ Skip today'],
+      statusCallback: this.getStatusCallbackUrl(),
     });
     
     logger.info('Urgent reminder sent', {
       userId: user._id,
       scheduleId: schedule._id,
     });
+    
+    return sent;
   }
   
-  async sendVoiceReminder(user, medication, schedule) {
+  // Fallbacks record the method actually used on the attempt
+  async sendVoiceReminder(user, medication, schedule, attempt = {}) {
     if (!user.settings.voiceReminders) {
       // Fall back to urgent text
+      attempt.method = 'urgent';
       return this.sendUrgentReminder(user, medication, schedule);
     }
     
-    const displayName = medication.getDisplayName();
-    const message = `Urgent reminder: Your ${displayName} was due ${this.getTimeAgo(schedule.scheduledTime)}. Please take it now.`;
-    
-    // Generate voice message in user's language
-    const audioUrl = await voiceService.generateAudio(message, user.language);
+    // Generate voice message in user's language, unless there is a recording
+    const audioUrl = await voiceService.generateAudio({
+      template: 'urgent_reminder',
+      variables: getReminderVariables(user, medication, schedule),
+    }, user.language, { user });
     
-    await whatsappService.sendVoiceNote(user.whatsappId, audioUrl);
+    const sent = await whatsappService.sendVoiceNote(user.whatsappId, audioUrl, {
+      statusCallback: this.getStatusCallbackUrl(),
+    });
     
     // Follow with text options
     await whatsappService.sendMessage(user.whatsappId, {
@@ -119,125 +194,184 @@ class EscalationController {
       userId: user._id,
       scheduleId: schedule._id,
     });
+    
+    return sent;
   }
   
-  async makeVoiceCall(user, medication, schedule) {
-    if (!process.env.ENABLE_VOICE_CALLS === 'true') {
-      return this.sendVoiceReminder(user, medication, schedule);
+  async makeVoiceCall(user, medication, schedule, escalation, attempt = {}) {
+    if (process.env.ENABLE_VOICE_CALLS !== 'true') {
+      attempt.method = 'voice_reminder';
+      return this.sendVoiceReminder(user, medication, schedule, attempt);
     }
     
     try {
-      const client = twilio(
-        process.env.TWILIO_ACCOUNT_SID,
-        process.env.TWILIO_AUTH_TOKEN
-      );
-      
-      const displayName = medication.getDisplayName();
-      const twiml = `
-        <Response>
-          <Say voice="alice" language="${this.getTwilioLanguage(user.language)}">
-            This is your medication reminder. 
-            Your ${displayName} was due ${this.getTimeAgo(schedule.scheduledTime)}.
-            Please take it as soon as possible.
-            Press 1 if you've taken it, 2 to snooze, or 3 to skip.
-          </Say>
-          <Gather numDigits="1" action="${process.env.SERVER_URL}/webhook/voice-response">
-            <Say>Press 1 for taken, 2 to snooze, or 3 to skip.</Say>
-          </Gather>
-        </Response>
-      `;
-      
-      const call = await client.calls.create({
-        twiml,
-        to: user.phoneNumber,
-        from: process.env.TWILIO_WHATSAPP_NUMBER.replace('whatsapp:', ''),
-      });
-      
-      logger.info('Voice call initiated', {
-        userId: user._id,
-        callSid: call.sid,
+      // Keypad answers and call outcomes come back through the voice webhooks
+      return await voiceCallService.placeCall(user, {
+        scheduleId: schedule._id,
+        escalationId: escalation._id,
       });
-      
     } catch (error) {
       logger.error('Voice call failed:', error);
       // Fall back to voice note
-      await this.sendVoiceReminder(user, medication, schedule);
+      attempt.method = 'voice_reminder';
+      return this.sendVoiceReminder(user, medication, schedule, attempt);
     }
   }
   
-  async alertCaregiver(user, medication, schedule, escalation) {
-    if (!user.caregivers || user.caregivers.length === 0) {
-      logger.warn('No caregivers to alert', { userId: user._id });
-      return;
+  async alertCaregiver(user, medication, schedule, escalation, step = {}, policy) {
+    const caregivers = this.getCaregiversForLevel(user, escalation.level, policy, medication);
+    
+    if (caregivers.length === 0) {
+      logger.warn('No caregivers to alert at this level', {
+        userId: user._id,
+        level: escalation.level,
+      });
+      return null;
     }
     
-    const caregiver = user.caregivers[0]; // Alert primary caregiver
-    const displayName = medication.getDisplayName();
+    escalation.caregivers = caregivers.map(caregiver => ({
+      caregiverId: caregiver._id,
+      name: caregiver.name,
+      phoneNumber: caregiver.phoneNumber,
+      relationship: caregiver.relationship,
+    }));
     
-    const message = `🚨 *Caregiver Alert*\n\n${user.name} hasn't taken their ${displayName} which was due ${this.getTimeAgo(schedule.scheduledTime)}.\n\nThis is ${caregiver.relationship ? `their ${caregiver.relationship}` : 'their caregiver'}.\n\nCan you please check on them?`;
+    const sent = await this.notifyNextCaregiver(user, medication, schedule, escalation);
     
-    try {
-      await whatsappService.sendMessage(caregiver.phoneNumber, {
-        text: message,
-        quickReplies: ['I\'ll check now', 'Call them', 'Already taken'],
-      });
-      
-      // Update escalation record
-      escalation.caregiver = {
-        notified: true,
-        phoneNumber: caregiver.phoneNumber,
-        relationship: caregiver.relationship,
-        notifiedAt: new Date(),
-      };
-      await escalation.save();
+    if (sent && this.hasPendingCaregivers(escalation)) {
+      await escalationService.scheduleCaregiverFallback(escalation, step.fallbackMinutes || 15);
+    }
+    
+    // Update schedule
+    schedule.escalation.caregiverAlerted = true;
+    schedule.escalation.caregiverAlertedAt = new Date();
+    await schedule.save();
+    
+    return sent;
+  }
+  
+  // Consenting caregivers whose alertLevel has been reached in the user's
+  // policy, primary first. Caregivers who only want the digest are left out.
+  getCaregiversForLevel(user, level, policy, medication) {
+    return (user.caregivers || []).filter(caregiver =>
+      caregiverService.isActive(caregiver)
+      && caregiver.realtimeAlerts !== false
+      && escalationService.isCaregiverDue(caregiver.alertLevel || undefined, level, policy, medication)
+    );
+  }
+  
+  hasPendingCaregivers(escalation) {
+    return escalation.caregivers.some(caregiver => caregiver.status === 'pending');
+  }
+  
+  // Message the next caregiver in line, skipping any we cannot reach
+  async notifyNextCaregiver(user, medication, schedule, escalation) {
+    const displayName = medication.getDisplayName();
+    
+    for (const caregiver of escalation.caregivers) {
+      if (caregiver.status !== 'pending') continue;
       
-      // Update schedule
-      schedule.escalation.caregiverAlerted = true;
-      schedule.escalation.caregiverAlertedAt = new Date();
-      await schedule.save();
+      const message = `🚨 *Caregiver Alert*\n\n${user.name} hasn't taken their ${displayName} which was due ${this.getTimeAgo(schedule.scheduledTime)}.\n\nThis is ${caregiver.relationship ? `their ${caregiver.relationship}` : 'their caregiver'}.\n\nCan you please check on them?`;
       
-      logger.info('Caregiver alerted', {
-        userId: user._id,
-        caregiverId: caregiver.phoneNumber,
+      try {
+        const sent = await whatsappService.sendMessage(caregiver.phoneNumber, {
+          text: message,
+          quickReplies: CONSTANTS.QUICK_REPLIES.CAREGIVER_ALERT,
+          statusCallback: this.getStatusCallbackUrl(),
+        });
+        
+        caregiver.status = 'sent';
+        caregiver.messageSid = sent.sid;
+        caregiver.notifiedAt = new Date();
+        
+        logger.info('Caregiver alerted', {
+          userId: user._id,
+          caregiverId: caregiver.caregiverId,
+        });
+        
+        return sent;
+      } catch (error) {
+        logger.error('Caregiver alert failed:', error);
+        caregiver.status = 'failed';
+      }
+    }
+    
+    return null;
+  }
+  
+  // Runs when a caregiver has not acknowledged in time
+  async handleCaregiverFallback(escalationId) {
+    const escalation = await Escalation.findById(escalationId);
+    
+    if (
+      !escalation
+      || escalation.resolution?.resolved
+      || escalation.caregivers.some(caregiver => caregiver.status === 'acknowledged')
+    ) {
+      return;
+    }
+    
+    const schedule = await Schedule.findById(escalation.scheduleId)
+      .populate('userId')
+      .populate('medicationId');
+    
+    if (!schedule || schedule.status !== 'sent') {
+      return;
+    }
+    
+    const user = schedule.userId;
+    const medication = schedule.medicationId;
+    const sent = await this.notifyNextCaregiver(user, medication, schedule, escalation);
+    
+    if (sent) {
+      escalation.attempts.push({
+        attemptedAt: new Date(),
+        method: 'caregiver',
+        success: true,
+        messageSid: sent.sid,
       });
+    }
+    
+    await escalation.save();
+    
+    if (sent && this.hasPendingCaregivers(escalation)) {
+      const policy = await escalationService.getPolicy(user, medication);
+      const step = escalationService.getStep(escalation.level, policy, medication);
       
-    } catch (error) {
-      logger.error('Failed to alert caregiver:', error);
+      await escalationService.scheduleCaregiverFallback(escalation, step?.fallbackMinutes || 15);
     }
   }
   
   async alertClinic(user, medication, schedule, escalation) {
     if (!user.subscription.clinicId) {
       logger.warn('No clinic associated with user', { userId: user._id });
-      return;
+      return null;
+    }
+    
+    if (!clinicService.canShareData(user)) {
+      logger.warn('User has not agreed to share with their clinic', { userId: user._id });
+      return null;
     }
     
-    // In production, integrate with clinic's system
-    logger.info('Clinic alert would be sent', {
+    const alert = await clinicAlertService.sendAlert(escalation, user, medication, schedule);
+    
+    if (!alert) return null;
+    
+    logger.info('Clinic alerted', {
       userId: user._id,
-      clinicId: user.subscription.clinicId,
-      medicationId: medication._id,
+      clinicId: alert.clinicId,
+      deliveries: alert.deliveries.length,
     });
     
-    // For now, send a final urgent message to user
-    const message = `⚠️ *CRITICAL ALERT*\n\nYou've missed your ${medication.getDisplayName()} for over 2 hours.\n\n${medication.medical.criticalMedication ? 'This is a critical medication. ' : ''}Please take it immediately or contact your healthcare provider.`;
+    // Let the user know their clinic will be in touch
+    const message = `⚠️ *CRITICAL ALERT*\n\nYou've missed your ${medication.getDisplayName()}, which was due ${this.getTimeAgo(schedule.scheduledTime)}.\n\n${medication.medical.criticalMedication ? 'This is a critical medication. ' : ''}Your clinic has been told and may contact you. Please take it now if you can.`;
     
-    await whatsappService.sendMessage(user.whatsappId, {
+    return whatsappService.sendMessage(user.whatsappId, {
       text: message,
+      statusCallback: this.getStatusCallbackUrl(),
     });
   }
   
-  getEscalationType(level) {
-    const types = {
-      1: 'urgent',
-      2: 'voice_reminder',
-      3: 'voice_call',
-      4: 'caregiver',
-      5: 'clinic',
-    };
-    return types[level] || 'unknown';
-  }
-  
   getTimeAgo(date) {
     const minutes = Math.floor((Date.now() - date) / 60000);
     
@@ -250,28 +384,16 @@ class EscalationController {
     }
   }
   
-  getTwilioLanguage(language) {
-    const languages = {
-      en: 'en-US',
-      zu: 'en-ZA',
-      hi: 'hi-IN',
-      ha: 'en-NG',
-      sw: 'sw-KE',
-      pt: 'pt-BR',
-      es: 'es-MX',
-    };
-    return languages[language] || 'en-US';
-  }
-  
-  async checkAndEscalate(scheduleId, nextLevel) {
-    const schedule = await Schedule.findById(scheduleId);
+  async handleEscalationTimeout(scheduleId) {
+    const schedule = await Schedule.findById(scheduleId).populate('medicationId');
     
     if (!schedule || schedule.status !== 'sent') {
-      logger.info('Schedule resolved, canceling escalation', { scheduleId });
       return;
     }
     
-    await this.handleEscalation(scheduleId, nextLevel);
+    await reminderController.handleMissed(schedule, schedule.medicationId);
+    
+    logger.info('Escalation timed out, dose marked as missed', { scheduleId });
   }
 }
 
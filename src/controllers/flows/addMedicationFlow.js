@@ -0,0 +1,192 @@
+import { whatsappService } from '../../services/whatsappService.js';
+import { conversationService } from '../../services/conversationService.js';
+import { aiParserService } from '../../services/aiParserService.js';
+import { schedulerService } from '../../services/schedulerService.js';
+import { logger } from '../../utils/logger.js';
+import Medication from '../../models/Medication.js';
+import { CONSTANTS } from '../../config/constants.js';
+
+const USE_REAL_NAME = 'Use real name';
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class AddMedicationFlow {
+  async start(user, message) {
+    if (!user.canAddMedication()) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "You've reached the maximum number of medications. Pause or finish one before adding another.",
+      });
+    }
+
+    const parsed = aiParserService.parseMedicationText(message, { timezone: user.timezone });
+
+    const session = parsed.name
+      ? await conversationService.startSession(user._id, 'addMedication', 'confirm', { parsed })
+      : await conversationService.startSession(user._id, 'addMedication', 'details');
+
+    return this.prompt(user, session);
+  }
+
+  async prompt(user, session) {
+    switch (session.step) {
+      case 'details':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: "What medication would you like to add?\n\nFor example: metformin 500mg twice a day with food for 30 days",
+        });
+
+      case 'confirm':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: `Please check this is right:\n\n${this.formatSummary(session.data.parsed)}`,
+          quickReplies: CONSTANTS.QUICK_REPLIES.YES_NO,
+        });
+
+      case 'nickname':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: 'What should I call it in your reminders? Only you will see this name.',
+          quickReplies: this.getNicknameOptions(session.data.parsed),
+        });
+    }
+  }
+
+  async handle(user, message, session) {
+    const reply = message.trim();
+
+    switch (session.step) {
+      case 'details': {
+        const parsed = aiParserService.parseMedicationText(reply, { timezone: user.timezone });
+
+        if (!parsed.name) {
+          return this.prompt(user, session);
+        }
+
+        await conversationService.advanceSession(session, 'confirm', { parsed });
+        break;
+      }
+
+      case 'confirm': {
+        const choice = conversationService.matchQuickReply(reply, CONSTANTS.QUICK_REPLIES.YES_NO);
+
+        if (choice === 'Yes') {
+          await conversationService.advanceSession(session, 'nickname');
+        } else if (choice === 'No') {
+          await conversationService.advanceSession(session, 'details');
+          return whatsappService.sendMessage(user.whatsappId, {
+            text: "No problem. Please type the details again.\n\nFor example: metformin 500mg twice a day with food for 30 days",
+          });
+        } else {
+          return whatsappService.sendMessage(user.whatsappId, {
+            text: "Please reply 'Yes' or 'No', or send 'cancel'.",
+            quickReplies: CONSTANTS.QUICK_REPLIES.YES_NO,
+          });
+        }
+        break;
+      }
+
+      case 'nickname': {
+        const options = this.getNicknameOptions(session.data.parsed);
+        const choice = conversationService.matchQuickReply(reply, options) || reply;
+
+        if (choice.length > CONSTANTS.LIMITS.MAX_NICKNAME_LENGTH) {
+          return whatsappService.sendMessage(user.whatsappId, {
+            text: `That name is a bit long. Please use ${CONSTANTS.LIMITS.MAX_NICKNAME_LENGTH} characters or fewer.`,
+          });
+        }
+
+        return this.createMedication(user, session.data.parsed, choice);
+      }
+    }
+
+    return this.prompt(user, session);
+  }
+
+  async createMedication(user, parsed, choice) {
+    const useRealName = choice === USE_REAL_NAME;
+
+    const medication = new Medication({
+      userId: user._id,
+      nickname: useRealName ? parsed.name.slice(0, CONSTANTS.LIMITS.MAX_NICKNAME_LENGTH) : choice,
+      encryptedData: {
+        form: parsed.form || undefined,
+      },
+      schedule: {
+        times: parsed.times,
+        frequency: parsed.frequency,
+        daysOfWeek: parsed.daysOfWeek,
+        startDate: new Date(),
+        duration: parsed.duration || undefined,
+      },
+      privacyLevel: useRealName
+        ? CONSTANTS.PRIVACY_LEVELS.GENERIC_NAME
+        : CONSTANTS.PRIVACY_LEVELS.ANONYMOUS,
+      status: 'active',
+      metadata: {
+        addedVia: 'text',
+      },
+    });
+
+    // The real name is only ever stored encrypted
+    medication.encryptedData.actualName = medication.encryptSensitiveData({
+      name: parsed.name,
+      dosage: parsed.dosage,
+    });
+
+    await medication.save();
+    await schedulerService.createSchedules(medication);
+
+    user.stats.totalMedications = await Medication.countDocuments({
+      userId: user._id,
+      status: 'active',
+    });
+    await user.save();
+    await conversationService.endSession(user._id);
+
+    logger.info('Medication created from text', {
+      userId: user._id,
+      medicationId: medication._id,
+    });
+
+    await whatsappService.sendMessage(user.whatsappId, {
+      text: `✅ Added! I'll remind you to take ${medication.nickname} at ${parsed.times.map(t => t.time).join(', ')}.\n\nSend 'status' to see all your medications.`,
+    });
+  }
+
+  formatSummary(parsed) {
+    const lines = [`💊 ${parsed.name}${parsed.dosage ? ` ${parsed.dosage}` : ''}`];
+
+    const dose = parsed.form ? `${parsed.dose} ${parsed.form}${parsed.dose === '1' ? '' : 's'}` : null;
+    lines.push(`🕐 ${parsed.times.map(t => t.time).join(', ')}${dose ? ` (${dose} each time)` : ''}`);
+
+    if (parsed.frequency === 'weekly') {
+      lines.push(`📆 Every ${parsed.daysOfWeek.map(day => WEEKDAY_NAMES[day]).join(', ')}`);
+    }
+
+    if (parsed.instructions) {
+      lines.push(`🍽 ${parsed.instructions}`);
+    }
+
+    lines.push(parsed.duration ? `📅 For ${parsed.duration} days` : '📅 Ongoing');
+
+    return lines.join('\n');
+  }
+
+  getNicknameOptions(parsed) {
+    const firstHour = parseInt(parsed.times[0]?.time, 10);
+    const suggestions = [];
+
+    if (firstHour < 12) {
+      suggestions.push('Morning medicine');
+    } else if (firstHour >= 17) {
+      suggestions.push('Evening medicine');
+    }
+
+    if (parsed.form) {
+      suggestions.push(`Daily ${parsed.form}`);
+    }
+
+    suggestions.push(...CONSTANTS.DEFAULT_NICKNAMES);
+
+    return [...new Set(suggestions)].slice(0, 3).concat(USE_REAL_NAME);
+  }
+}
+
+export const addMedicationFlow = new AddMedicationFlow();
+export default addMedicationFlow;
\ No newline at end of file
@@ -0,0 +1,190 @@
+import { whatsappService } from '../../services/whatsappService.js';
+import { conversationService } from '../../services/conversationService.js';
+import { caregiverService } from '../../services/caregiverService.js';
+import { logger } from '../../utils/logger.js';
+import { CONSTANTS } from '../../config/constants.js';
+
+const ADD = 'Add caregiver';
+const REMOVE = 'Remove caregiver';
+
+class CaregiverFlow {
+  async start(user) {
+    const step = user.caregivers.length > 0 ? 'menu' : 'name';
+    const session = await conversationService.startSession(user._id, 'caregiver', step);
+
+    return this.prompt(user, session);
+  }
+
+  async prompt(user, session) {
+    switch (session.step) {
+      case 'menu':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: `👥 *Your caregivers:*\n\n${this.formatCaregivers(user)}\n\nWhat would you like to do?`,
+          quickReplies: this.getMenuOptions(user),
+        });
+
+      case 'name':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: "A caregiver gets an alert if you miss an important dose. I'll ask them to agree first.\n\nWhat is your caregiver's name?",
+        });
+
+      case 'relationship':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: `How is ${session.data.name} related to you?\n\nFor example: daughter, friend, nurse`,
+        });
+
+      case 'phone':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: `What is ${session.data.name}'s WhatsApp number?\n\nPlease include the country code, e.g. +27821234567`,
+        });
+
+      case 'remove':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: 'Which caregiver should I remove?',
+          quickReplies: user.caregivers.map(caregiver => caregiver.name),
+        });
+    }
+  }
+
+  async handle(user, message, session) {
+    const reply = message.trim();
+
+    switch (session.step) {
+      case 'menu': {
+        const choice = conversationService.matchQuickReply(reply, this.getMenuOptions(user));
+
+        if (choice === ADD) {
+          await conversationService.advanceSession(session, 'name');
+        } else if (choice === REMOVE) {
+          await conversationService.advanceSession(session, 'remove');
+        } else {
+          return whatsappService.sendMessage(user.whatsappId, {
+            text: "Please choose one of the options, or send 'cancel'.",
+            quickReplies: this.getMenuOptions(user),
+          });
+        }
+        break;
+      }
+
+      case 'name':
+        if (!reply || reply.length > CONSTANTS.LIMITS.MAX_NICKNAME_LENGTH) {
+          return whatsappService.sendMessage(user.whatsappId, {
+            text: `Please send a name of up to ${CONSTANTS.LIMITS.MAX_NICKNAME_LENGTH} characters.`,
+          });
+        }
+        await conversationService.advanceSession(session, 'relationship', { name: reply });
+        break;
+
+      case 'relationship':
+        await conversationService.advanceSession(session, 'phone', { relationship: reply.toLowerCase() });
+        break;
+
+      case 'phone':
+        return this.addCaregiver(user, reply, session);
+
+      case 'remove':
+        return this.removeCaregiver(user, reply);
+    }
+
+    return this.prompt(user, session);
+  }
+
+  async addCaregiver(user, reply, session) {
+    if (user.caregivers.length >= CONSTANTS.LIMITS.MAX_CAREGIVERS) {
+      await conversationService.endSession(user._id);
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: `You can have up to ${CONSTANTS.LIMITS.MAX_CAREGIVERS} caregivers. Remove one first to add someone new.`,
+      });
+    }
+
+    const phoneNumber = reply.replace(/[\s\-()]/g, '');
+
+    if (!whatsappService.isValidWhatsAppNumber(phoneNumber)) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "That doesn't look like a valid number. Please include the country code, e.g. +27821234567",
+      });
+    }
+
+    // user.phoneNumber carries the whatsapp: prefix
+    if (phoneNumber === caregiverService.getPhoneNumber(user)) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "That's your own number. Please send your caregiver's number.",
+      });
+    }
+
+    if (user.caregivers.some(caregiver => caregiver.phoneNumber === phoneNumber)) {
+      await conversationService.endSession(user._id);
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: 'That person is already one of your caregivers.',
+      });
+    }
+
+    const caregiver = {
+      name: session.data.name,
+      relationship: session.data.relationship,
+      phoneNumber,
+      consent: { status: 'invited', invitedAt: new Date() },
+    };
+
+    await conversationService.endSession(user._id);
+
+    try {
+      await caregiverService.invite(user, caregiver);
+    } catch (error) {
+      logger.error('Error sending caregiver invitation:', error);
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: `I couldn't reach ${caregiver.name} on WhatsApp. Please check the number and try again.`,
+      });
+    }
+
+    user.caregivers.push(caregiver);
+    await user.save();
+
+    logger.info('Caregiver invited', { userId: user._id });
+
+    await whatsappService.sendMessage(user.whatsappId, {
+      text: `📨 I've sent ${caregiver.name} an invitation. They'll get alerts once they accept.`,
+    });
+  }
+
+  async removeCaregiver(user, reply) {
+    const names = user.caregivers.map(caregiver => caregiver.name);
+    const name = conversationService.matchQuickReply(reply, names);
+    const caregiver = user.caregivers.find(c => c.name === name);
+
+    if (!caregiver) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "I couldn't find that caregiver. Please choose one of the options, or send 'cancel'.",
+        quickReplies: names,
+      });
+    }
+
+    user.caregivers.pull(caregiver._id);
+    await user.save();
+    await conversationService.endSession(user._id);
+    await caregiverService.notifyRemoved(user, caregiver);
+
+    logger.info('Caregiver removed', { userId: user._id });
+
+    await whatsappService.sendMessage(user.whatsappId, {
+      text: `✅ ${caregiver.name} has been removed as your caregiver.`,
+    });
+  }
+
+  formatCaregivers(user) {
+    return user.caregivers
+      .map((caregiver, index) =>
+        `${index + 1}. ${caregiver.name}${caregiver.relationship ? ` (${caregiver.relationship})` : ''} - ${caregiver.phoneNumber}${caregiverService.isActive(caregiver) ? '' : ' (invitation pending)'}`
+      )
+      .join('\n');
+  }
+
+  getMenuOptions(user) {
+    return user.caregivers.length < CONSTANTS.LIMITS.MAX_CAREGIVERS
+      ? [ADD, REMOVE]
+      : [REMOVE];
+  }
+}
+
+export const caregiverFlow = new CaregiverFlow();
+export default caregiverFlow;
\ No newline at end of file
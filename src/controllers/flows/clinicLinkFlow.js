@@ -0,0 +1,81 @@
+import { whatsappService } from '../../services/whatsappService.js';
+import { conversationService } from '../../services/conversationService.js';
+import { clinicService } from '../../services/clinicService.js';
+
+// "join CLINIC123", optionally followed by who referred them
+const JOIN_PATTERN = /^join\s+([a-z0-9-]+)(?:\s+(\S+))?$/i;
+
+const SHARE = 'Yes, share';
+const DONT_SHARE = "Don't share";
+
+class ClinicLinkFlow {
+  isJoinCommand(message) {
+    return JOIN_PATTERN.test(message.trim());
+  }
+
+  async start(user, message) {
+    const [, code, referredBy] = message.trim().match(JOIN_PATTERN);
+    const clinic = await clinicService.findByCode(code);
+
+    if (!clinic) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: `I couldn't find a clinic with the code *${code.toUpperCase()}*. Please check the code with your clinic.`,
+      });
+    }
+
+    const sameClinic = String(user.subscription.clinicId) === String(clinic._id);
+
+    if (sameClinic && user.subscription.dataSharing?.status !== 'pending') {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: `You're already linked with ${clinic.name}.`,
+      });
+    }
+
+    if (!sameClinic) {
+      await clinicService.linkPatient(user, clinic, { referredBy });
+    }
+
+    const session = await conversationService.startSession(user._id, 'clinicLink', 'consent', {
+      clinicName: clinic.name,
+    });
+
+    return this.prompt(user, session);
+  }
+
+  async prompt(user, session) {
+    const { clinicName } = session.data;
+
+    return whatsappService.sendMessage(user.whatsappId, {
+      text: `🏥 You're now linked with *${clinicName}*.\n\nMay ${clinicName} see how you're getting on? They would see which doses you take or miss, and could contact you if you miss important ones.`,
+      quickReplies: [SHARE, DONT_SHARE],
+    });
+  }
+
+  async handle(user, message, session) {
+    const lowerMessage = message.toLowerCase().trim();
+    const choice = conversationService.matchQuickReply(message, [SHARE, DONT_SHARE]);
+    const { clinicName } = session.data;
+
+    let granted;
+
+    if (choice === SHARE || ['yes', 'y'].includes(lowerMessage)) {
+      granted = true;
+    } else if (choice === DONT_SHARE || ['no', 'n'].includes(lowerMessage)) {
+      granted = false;
+    } else {
+      return this.prompt(user, session);
+    }
+
+    await clinicService.setDataSharing(user, granted);
+    await conversationService.endSession(user._id);
+
+    return whatsappService.sendMessage(user.whatsappId, {
+      text: granted
+        ? `👍 Thanks! ${clinicName} can now see how you're getting on.`
+        : `Okay, I won't share anything with ${clinicName}. Your reminders work just the same.`,
+    });
+  }
+}
+
+export const clinicLinkFlow = new ClinicLinkFlow();
+export default clinicLinkFlow;
\ No newline at end of file
@@ -0,0 +1,24 @@
+import { nicknameFlow } from './nicknameFlow.js';
+import { refillFlow } from './refillFlow.js';
+import { caregiverFlow } from './caregiverFlow.js';
+import { settingsFlow } from './settingsFlow.js';
+import { addMedicationFlow } from './addMedicationFlow.js';
+import { clinicLinkFlow } from './clinicLinkFlow.js';
+import { voiceRecordingFlow } from './voiceRecordingFlow.js';
+
+// Multi-step chat flows, keyed by ConversationSession.flow
+export const flows = {
+  nickname: nicknameFlow,
+  refill: refillFlow,
+  caregiver: caregiverFlow,
+  settings: settingsFlow,
+  addMedication: addMedicationFlow,
+  clinicLink: clinicLinkFlow,
+  voiceRecording: voiceRecordingFlow,
+};
+
+export function getFlow(name) {
+  return flows[name] || null;
+}
+
+export default flows;
\ No newline at end of file
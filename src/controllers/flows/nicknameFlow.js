@@ -0,0 +1,77 @@
+import { whatsappService } from '../../services/whatsappService.js';
+import { conversationService } from '../../services/conversationService.js';
+import { logger } from '../../utils/logger.js';
+import Medication from '../../models/Medication.js';
+import { CONSTANTS } from '../../config/constants.js';
+
+const USE_REAL_NAME = 'Use real name';
+
+class NicknameFlow {
+  // medications: [{ medicationId, description, options }]
+  async start(user, { medications }) {
+    const session = await conversationService.startSession(user._id, 'nickname', 'choose', {
+      medications,
+      index: 0,
+    });
+
+    return this.prompt(user, session);
+  }
+
+  async prompt(user, session) {
+    const current = session.data.medications[session.data.index];
+
+    await whatsappService.sendMessage(user.whatsappId, {
+      text: `I found: ${current.description}\n\nWhat would you like me to call this medication?`,
+      quickReplies: current.options,
+    });
+  }
+
+  async handle(user, message, session) {
+    const { medications, index } = session.data;
+    const current = medications[index];
+    const choice = conversationService.matchQuickReply(message, current.options) || message.trim();
+
+    const medication = await Medication.findById(current.medicationId);
+
+    if (!medication) {
+      logger.warn('Medication for nickname flow not found', {
+        userId: user._id,
+        medicationId: current.medicationId,
+      });
+    } else if (choice === USE_REAL_NAME) {
+      medication.privacyLevel = CONSTANTS.PRIVACY_LEVELS.GENERIC_NAME;
+      await medication.save();
+      await whatsappService.sendMessage(user.whatsappId, {
+        text: "👍 I'll use the real name in your reminders.",
+      });
+    } else {
+      if (choice.length > CONSTANTS.LIMITS.MAX_NICKNAME_LENGTH) {
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: `That name is a bit long. Please use ${CONSTANTS.LIMITS.MAX_NICKNAME_LENGTH} characters or fewer.`,
+        });
+      }
+
+      medication.nickname = choice;
+      // A nickname only helps privacy if reminders actually use it
+      medication.privacyLevel = CONSTANTS.PRIVACY_LEVELS.ANONYMOUS;
+      await medication.save();
+      await whatsappService.sendMessage(user.whatsappId, {
+        text: `👍 I'll call it "${choice}".`,
+      });
+    }
+
+    if (index + 1 < medications.length) {
+      await conversationService.advanceSession(session, 'choose', { index: index + 1 });
+      return this.prompt(user, session);
+    }
+
+    await conversationService.endSession(user._id);
+
+    await whatsappService.sendMessage(user.whatsappId, {
+      text: `✅ All set! I'll remind you to take your medications on time.\n\nYou can always:\n• Send 'status' to check your medications\n• Send 'help' for more options`,
+    });
+  }
+}
+
+export const nicknameFlow = new NicknameFlow();
+export default nicknameFlow;
\ No newline at end of file
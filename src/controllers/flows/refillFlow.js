@@ -0,0 +1,77 @@
+import { whatsappService } from '../../services/whatsappService.js';
+import { conversationService } from '../../services/conversationService.js';
+import { logger } from '../../utils/logger.js';
+import Medication from '../../models/Medication.js';
+
+const OPTIONS = ['Remind tomorrow', 'Remind in 3 days', 'Don\'t remind'];
+
+class RefillFlow {
+  async start(user, { medicationId, daysRemaining }) {
+    const session = await conversationService.startSession(user._id, 'refill', 'followup', {
+      medicationId,
+      daysRemaining,
+    });
+
+    return this.prompt(user, session);
+  }
+
+  async prompt(user, session) {
+    const medication = await Medication.findById(session.data.medicationId);
+    const name = medication ? medication.nickname : 'medication';
+
+    await whatsappService.sendMessage(user.whatsappId, {
+      text: `📦 *Refill Reminder*\n\nYour ${name} will run out in ${session.data.daysRemaining} days.\n\nWould you like me to remind you again later?`,
+      quickReplies: OPTIONS,
+    });
+  }
+
+  // Anything but a choice goes back to the reminder replies
+  accepts(message) {
+    return !!conversationService.matchQuickReply(message, OPTIONS);
+  }
+
+  async handle(user, message, session) {
+    const choice = conversationService.matchQuickReply(message, OPTIONS);
+
+    if (!choice) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "Please choose one of the options, or send 'cancel'.",
+        quickReplies: OPTIONS,
+      });
+    }
+
+    const medication = await Medication.findById(session.data.medicationId);
+    await conversationService.endSession(user._id);
+
+    if (!medication) {
+      logger.warn('Medication for refill flow not found', {
+        userId: user._id,
+        medicationId: session.data.medicationId,
+      });
+      return;
+    }
+
+    let reply;
+
+    switch (choice) {
+      case 'Remind tomorrow':
+        medication.supply.refillReminder.snoozedUntil = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        reply = "👍 I'll remind you about your refill tomorrow.";
+        break;
+      case 'Remind in 3 days':
+        medication.supply.refillReminder.snoozedUntil = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+        reply = "👍 I'll remind you about your refill in 3 days.";
+        break;
+      default:
+        medication.supply.refillReminder.enabled = false;
+        reply = "👍 I won't send refill reminders for this medication.";
+    }
+
+    await medication.save();
+
+    await whatsappService.sendMessage(user.whatsappId, { text: reply });
+  }
+}
+
+export const refillFlow = new RefillFlow();
+export default refillFlow;
\ No newline at end of file
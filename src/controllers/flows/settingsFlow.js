@@ -0,0 +1,286 @@
+import { whatsappService } from '../../services/whatsappService.js';
+import { conversationService } from '../../services/conversationService.js';
+import { schedulerService } from '../../services/schedulerService.js';
+import Medication from '../../models/Medication.js';
+import { CONSTANTS } from '../../config/constants.js';
+import { resolveTimezone, formatOffset } from '../../utils/timeZones.js';
+
+const OPTIONS = {
+  VOICE: 'Voice reminders',
+  ESCALATION: 'Escalation alerts',
+  QUIET_HOURS: 'Quiet hours',
+  PRIVACY: 'Privacy level',
+  LANGUAGE: 'Language',
+  TIMEZONE: 'Timezone',
+};
+
+const QUIET_HOURS_POLICIES = {
+  'Hold until they end': { policy: 'defer', alwaysSendCritical: false },
+  'Hold, except critical': { policy: 'defer', alwaysSendCritical: true },
+  'Send silently': { policy: 'silent', alwaysSendCritical: true },
+};
+
+const PRIVACY_OPTIONS = [
+  'Your medication',
+  'White round pill',
+  'Morning medication',
+  'Medicine for sugar',
+  'Metformin',
+  'Metformin 500mg for diabetes',
+];
+
+class SettingsFlow {
+  async start(user) {
+    const session = await conversationService.startSession(user._id, 'settings', 'menu');
+
+    return this.prompt(user, session);
+  }
+
+  async prompt(user, session) {
+    switch (session.step) {
+      case 'menu':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: `⚙️ *Your settings:*\n\n${this.formatSettings(user)}\n\nWhat would you like to change?`,
+          quickReplies: Object.values(OPTIONS),
+        });
+
+      case 'quietHours':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: "When should I keep quiet?\n\nSend a time range like 22:00-07:00, or 'off' to turn quiet hours off.",
+        });
+
+      case 'quietHoursPolicy':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: "What should I do with reminders due during quiet hours?\n\nSilent reminders are sent as text only, and I won't follow up until quiet hours end.",
+          quickReplies: Object.keys(QUIET_HOURS_POLICIES),
+        });
+
+      case 'privacy':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: 'How should I name your medications in reminders?\n\nFor example:',
+          quickReplies: PRIVACY_OPTIONS,
+        });
+
+      case 'language':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: 'Which language would you like?',
+          quickReplies: Object.values(CONSTANTS.LANGUAGES),
+        });
+
+      case 'timezone':
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: 'Which timezone are you in?\n\nSend your nearest city (e.g. Johannesburg) or your offset from GMT (e.g. GMT+5:30).',
+        });
+    }
+  }
+
+  async handle(user, message, session) {
+    const reply = message.trim();
+
+    switch (session.step) {
+      case 'menu':
+        return this.handleMenu(user, reply, session);
+      case 'quietHours':
+        return this.handleQuietHours(user, reply, session);
+      case 'quietHoursPolicy':
+        return this.handleQuietHoursPolicy(user, reply);
+      case 'privacy':
+        return this.handlePrivacy(user, reply);
+      case 'language':
+        return this.handleLanguage(user, reply);
+      case 'timezone':
+        return this.handleTimezone(user, reply);
+    }
+  }
+
+  async handleMenu(user, reply, session) {
+    const choice = conversationService.matchQuickReply(reply, Object.values(OPTIONS));
+
+    switch (choice) {
+      case OPTIONS.VOICE:
+        user.settings.voiceReminders = !user.settings.voiceReminders;
+        return this.save(user, `🔊 Voice reminders are now ${this.onOff(user.settings.voiceReminders)}.`);
+
+      case OPTIONS.ESCALATION:
+        user.settings.escalationEnabled = !user.settings.escalationEnabled;
+        return this.save(user, `🚨 Escalation alerts are now ${this.onOff(user.settings.escalationEnabled)}.`);
+
+      case OPTIONS.QUIET_HOURS:
+        await conversationService.advanceSession(session, 'quietHours');
+        break;
+
+      case OPTIONS.PRIVACY:
+        await conversationService.advanceSession(session, 'privacy');
+        break;
+
+      case OPTIONS.LANGUAGE:
+        await conversationService.advanceSession(session, 'language');
+        break;
+
+      case OPTIONS.TIMEZONE:
+        await conversationService.advanceSession(session, 'timezone');
+        break;
+
+      default:
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: "Please choose one of the options, or send 'cancel'.",
+          quickReplies: Object.values(OPTIONS),
+        });
+    }
+
+    return this.prompt(user, session);
+  }
+
+  async handleQuietHours(user, reply, session) {
+    if (reply.toLowerCase() === 'off') {
+      user.settings.quietHours.enabled = false;
+      return this.save(user, '🌙 Quiet hours are now off.');
+    }
+
+    const match = reply.match(/^(\d{1,2})(?::(\d{2}))?\s*(?:-|to)\s*(\d{1,2})(?::(\d{2}))?$/i);
+    const start = match && this.formatTime(match[1], match[2]);
+    const end = match && this.formatTime(match[3], match[4]);
+
+    if (!start || !end) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "Please send a time range like 22:00-07:00, or 'off'.",
+      });
+    }
+
+    user.settings.quietHours.enabled = true;
+    user.settings.quietHours.start = start;
+    user.settings.quietHours.end = end;
+    await user.save();
+
+    await conversationService.advanceSession(session, 'quietHoursPolicy');
+    return this.prompt(user, session);
+  }
+
+  async handleQuietHoursPolicy(user, reply) {
+    const options = Object.keys(QUIET_HOURS_POLICIES);
+    const choice = conversationService.matchQuickReply(reply, options);
+
+    if (!choice) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "Please choose one of the options, or send 'cancel'.",
+        quickReplies: options,
+      });
+    }
+
+    Object.assign(user.settings.quietHours, QUIET_HOURS_POLICIES[choice]);
+
+    const { start, end } = user.settings.quietHours;
+    return this.save(user, `🌙 Quiet hours set to ${start}-${end} (${choice.toLowerCase()}).`);
+  }
+
+  async handlePrivacy(user, reply) {
+    const choice = conversationService.matchQuickReply(reply, PRIVACY_OPTIONS);
+
+    if (!choice) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "Please choose one of the options, or send 'cancel'.",
+        quickReplies: PRIVACY_OPTIONS,
+      });
+    }
+
+    const privacyLevel = PRIVACY_OPTIONS.indexOf(choice) + 1;
+    user.settings.defaultPrivacyLevel = privacyLevel;
+
+    await Medication.updateMany(
+      { userId: user._id, status: { $in: ['active', 'paused'] } },
+      { privacyLevel }
+    );
+
+    return this.save(user, `🔒 Privacy level updated for all your medications.`);
+  }
+
+  async handleLanguage(user, reply) {
+    const names = Object.values(CONSTANTS.LANGUAGES);
+    const choice = conversationService.matchQuickReply(reply, names);
+
+    if (!choice) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "Please choose one of the options, or send 'cancel'.",
+        quickReplies: names,
+      });
+    }
+
+    user.language = Object.keys(CONSTANTS.LANGUAGES).find(code => CONSTANTS.LANGUAGES[code] === choice);
+
+    return this.save(user, `🌍 Language set to ${choice}.`);
+  }
+
+  async handleTimezone(user, reply) {
+    const timezone = resolveTimezone(reply);
+
+    if (!timezone) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "Sorry, I don't recognise that timezone. Please send your nearest city or your offset from GMT, or send 'cancel'.",
+      });
+    }
+
+    const changed = timezone !== user.timezone;
+    user.timezone = timezone;
+    await user.save();
+
+    // Upcoming doses were calculated in the old zone
+    if (changed) {
+      const medications = await Medication.find({ userId: user._id, status: 'active' });
+
+      for (const medication of medications) {
+        await schedulerService.regenerateSchedules(medication);
+      }
+    }
+
+    return this.save(user, `🕐 Timezone set to ${timezone} (${formatOffset(timezone)}).`);
+  }
+
+  async save(user, confirmation) {
+    await user.save();
+    await conversationService.endSession(user._id);
+
+    await whatsappService.sendMessage(user.whatsappId, {
+      text: `${confirmation}\n\nSend 'settings' to change anything else.`,
+    });
+  }
+
+  formatSettings(user) {
+    const { settings } = user;
+    const quietHours = settings.quietHours.enabled
+      ? `${settings.quietHours.start}-${settings.quietHours.end} (${this.getQuietHoursPolicyName(settings.quietHours).toLowerCase()})`
+      : 'Off';
+
+    return [
+      `🔊 Voice reminders: ${this.onOff(settings.voiceReminders)}`,
+      `🚨 Escalation alerts: ${this.onOff(settings.escalationEnabled)}`,
+      `🌙 Quiet hours: ${quietHours}`,
+      `🔒 Privacy level: ${PRIVACY_OPTIONS[settings.defaultPrivacyLevel - 1]}`,
+      `🌍 Language: ${CONSTANTS.LANGUAGES[user.language]}`,
+      `🕐 Timezone: ${user.timezone}`,
+    ].join('\n');
+  }
+
+  getQuietHoursPolicyName({ policy, alwaysSendCritical }) {
+    return Object.keys(QUIET_HOURS_POLICIES).find(name => {
+      const option = QUIET_HOURS_POLICIES[name];
+      return option.policy === policy
+        && (policy === 'silent' || option.alwaysSendCritical === alwaysSendCritical);
+    }) || 'Hold, except critical';
+  }
+
+  formatTime(hours, minutes = '00') {
+    const h = parseInt(hours, 10);
+    const m = parseInt(minutes, 10);
+
+    if (h > 23 || m > 59) return null;
+
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+  }
+
+  onOff(value) {
+    return value ? 'On' : 'Off';
+  }
+}
+
+export const settingsFlow = new SettingsFlow();
+export default settingsFlow;
\ No newline at end of file
@@ -0,0 +1,109 @@
+import { whatsappService } from '../../services/whatsappService.js';
+import { conversationService } from '../../services/conversationService.js';
+import { voiceRecordingService } from '../../services/voiceRecordingService.js';
+import { auditService } from '../../services/auditService.js';
+
+const USE_IT = 'Use it';
+const NO_THANKS = 'No thanks';
+
+// Patients listen to a caregiver's recording before it replaces the
+// synthetic voice in their reminders
+class VoiceRecordingFlow {
+  // Sent when a caregiver's recording arrives. Patients in the middle of
+  // something else are told how to listen to it later.
+  async offer(user) {
+    if (await conversationService.getSession(user._id)) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "🎙️ Someone recorded a reminder for you. Send *RECORDINGS* when you're ready to listen to it.",
+      });
+    }
+
+    return this.start(user);
+  }
+
+  async start(user) {
+    const recording = await voiceRecordingService.findPendingForPatient(user._id);
+
+    if (!recording) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: 'You have no recordings waiting.',
+      });
+    }
+
+    const session = await conversationService.startSession(user._id, 'voiceRecording', 'review', {
+      recordingId: recording._id,
+      recordedBy: recording.recordedBy.name,
+    });
+
+    await whatsappService.sendVoiceNote(user.whatsappId, recording.audio.url);
+
+    return this.prompt(user, session);
+  }
+
+  async prompt(user, session) {
+    return whatsappService.sendMessage(user.whatsappId, {
+      text: `🎙️ ${session.data.recordedBy} recorded this reminder for you. Should I play it with your reminders instead of my voice?`,
+      quickReplies: [USE_IT, NO_THANKS],
+    });
+  }
+
+  // true, false, or null when the reply is not an answer
+  parseAnswer(message) {
+    const lowerMessage = message.toLowerCase().trim();
+    const choice = conversationService.matchQuickReply(message, [USE_IT, NO_THANKS]);
+
+    if (choice === USE_IT || ['yes', 'y'].includes(lowerMessage)) return true;
+    if (choice === NO_THANKS || ['no', 'n'].includes(lowerMessage)) return false;
+    return null;
+  }
+
+  // Anything but an answer goes back to the reminder replies
+  accepts(message) {
+    return this.parseAnswer(message) !== null;
+  }
+
+  async handle(user, message, session) {
+    const approved = this.parseAnswer(message);
+
+    if (approved === null) {
+      return this.prompt(user, session);
+    }
+
+    await conversationService.endSession(user._id);
+
+    const recording = await voiceRecordingService.findForPatient(user._id, session.data.recordingId);
+
+    // Already answered from an earlier prompt
+    if (!recording || recording.status !== 'pending') {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: 'That recording is no longer available.',
+      });
+    }
+
+    await voiceRecordingService.review(recording, {
+      approved,
+      reviewedBy: { type: 'patient', name: user.name },
+    });
+
+    await auditService.record(user._id, { type: 'patient', name: user.name }, 'voice_recording.reviewed', {
+      details: { recordingId: recording._id, status: recording.status },
+    });
+
+    const { name, phoneNumber } = recording.recordedBy;
+
+    await whatsappService.sendMessage(phoneNumber, {
+      text: approved
+        ? `🎙️ ${user.name} will now hear your recording with their reminders.`
+        : `${user.name} would rather keep the usual reminder voice, so your recording won't be used.`,
+    });
+
+    return whatsappService.sendMessage(user.whatsappId, {
+      text: approved
+        ? `👍 Your reminders will now use ${name}'s recording.`
+        : "Okay, I won't use that recording.",
+    });
+  }
+}
+
+export const voiceRecordingFlow = new VoiceRecordingFlow();
+export default voiceRecordingFlow;
\ No newline at end of file
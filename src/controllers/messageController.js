@@ -2,20 +2,85 @@ import { whatsappService } from '../services/whatsappService.js';
 import { ocrService } from '../services/ocrService.js';
 import { aiParserService } from '../services/aiParserService.js';
 import { schedulerService } from '../services/schedulerService.js';
+import { conversationService } from '../services/conversationService.js';
+import { clinicService } from '../services/clinicService.js';
+import { clinicImportService } from '../services/clinicImportService.js';
+import { transcriptionService } from '../services/transcriptionService.js';
+import { getFlow } from './flows/index.js';
+import { nicknameFlow } from './flows/nicknameFlow.js';
+import { caregiverFlow } from './flows/caregiverFlow.js';
+import { settingsFlow } from './flows/settingsFlow.js';
+import { addMedicationFlow } from './flows/addMedicationFlow.js';
+import { clinicLinkFlow } from './flows/clinicLinkFlow.js';
+import { voiceRecordingFlow } from './flows/voiceRecordingFlow.js';
+import { reminderController } from './reminderController.js';
 import { logger } from '../utils/logger.js';
+import { resolveTimezone, getValidTimezone, formatOffset } from '../utils/timeZones.js';
 import User from '../models/User.js';
 import Medication from '../models/Medication.js';
+import AdherenceLog from '../models/AdherenceLog.js';
+import Clinic from '../models/Clinic.js';
 import { CONSTANTS } from '../config/constants.js';
+import moment from 'moment-timezone';
+
+const ONBOARDING_CHOICES = ['Upload photo', 'Type details', 'Skip for now'];
+const CLINIC_OPT_IN_CHOICES = ['Yes, remind me', 'No thanks'];
+const REPLY_COMMANDS = {
+  taken: 'taken',
+  snoozed: 'snooze',
+  skipped: 'skip',
+};
+
+// Commands that are always handled directly, even in the middle of a flow.
+// Reminder replies ("taken 2", "skip") are only handled directly when the
+// flow hands them back (see handsBack).
+const GLOBAL_COMMANDS = ['help', 'status'];
 
 class MessageController {
-  async handleTextMessage(user, message) {
+  // method: how the reply was given when it was not typed, e.g. 'voice'
+  async handleTextMessage(user, message, { method } = {}) {
     const lowerMessage = message.toLowerCase().trim();
     
+    // Clinic codes work at any time, including as the first message from
+    // a click-to-chat link
+    if (clinicLinkFlow.isJoinCommand(message)) {
+      return clinicLinkFlow.start(user, message);
+    }
+    
     // Check user state
     if (user.state === CONSTANTS.USER_STATES.NEW) {
+      const session = await conversationService.getSession(user._id);
+      
+      if (session?.flow === 'clinicLink') {
+        await this.continueConversation(user, message, session);
+        
+        // Carry on signing up once the clinic question is answered
+        if (!user.onboardingStep && !await conversationService.getSession(user._id)) {
+          return this.handleOnboarding(user, '');
+        }
+        return;
+      }
+      
       return this.handleOnboarding(user, message);
     }
     
+    // Continue any multi-step conversation in progress
+    const session = await conversationService.getSession(user._id);
+    
+    if (session) {
+      if (conversationService.isCancelCommand(lowerMessage)) {
+        return this.cancelConversation(user);
+      }
+      
+      if (conversationService.isBackCommand(lowerMessage)) {
+        return this.goBackInConversation(user, session);
+      }
+      
+      if (!GLOBAL_COMMANDS.includes(lowerMessage) && !this.handsBack(session, message)) {
+        return this.continueConversation(user, message, session);
+      }
+    }
+    
     // Handle common commands
     if (lowerMessage === 'help') {
       return this.sendHelpMessage(user);
@@ -25,17 +90,33 @@ class MessageController {
       return this.sendStatusMessage(user);
     }
     
-    if (lowerMessage.startsWith('add')) {
-      return this.handleAddMedication(user, message);
+    if (lowerMessage === 'add' || lowerMessage.startsWith('add ')) {
+      return addMedicationFlow.start(user, message);
     }
     
-    // Check if it's a reminder response
-    if (['taken', 'done', '✅'].includes(lowerMessage)) {
-      return this.handleMedicationTaken(user);
+    if (lowerMessage === 'pause' || lowerMessage.startsWith('pause ')) {
+      return this.handlePause(user, message);
+    }
+    
+    if (lowerMessage === 'resume' || lowerMessage.startsWith('resume ')) {
+      return this.handleResume(user, message);
+    }
+    
+    if (['caregiver', 'caregivers'].includes(lowerMessage)) {
+      return caregiverFlow.start(user);
+    }
+    
+    if (lowerMessage === 'settings') {
+      return settingsFlow.start(user);
+    }
+    
+    if (['recording', 'recordings'].includes(lowerMessage)) {
+      return voiceRecordingFlow.start(user);
     }
     
-    if (['snooze', '⏰'].includes(lowerMessage)) {
-      return this.handleSnooze(user);
+    // Check if it's a reminder response
+    if (reminderController.parseReminderResponse(message)) {
+      return this.handleReminderReply(user, message, { method });
     }
     
     // Default response
@@ -67,18 +148,9 @@ class MessageController {
       const prescription = await aiParserService.parsePrescription(ocrResult.text, user._id);
       
       // Create medication entries
+      const nicknameChoices = [];
+      
       for (const med of prescription.medications) {
-        // Ask user for nickname
-        await whatsappService.sendMessage(user.whatsappId, {
-          text: `I found: ${med.description}\n\nWhat would you like me to call this medication?`,
-          quickReplies: [
-            med.suggestedNickname,
-            `${med.color} pill`,
-            'Morning medicine',
-            'Use real name',
-          ],
-        });
-        
         // Store medication with temporary nickname
         const medication = new Medication({
           userId: user._id,
@@ -91,6 +163,10 @@ class MessageController {
           schedule: med.schedule,
           privacyLevel: user.settings.defaultPrivacyLevel,
           status: 'active',
+          metadata: {
+            addedVia: 'photo',
+            originalPrescriptionUrl: mediaUrl,
+          },
         });
         
         // Encrypt actual medication name
@@ -106,6 +182,17 @@ class MessageController {
         // Create schedules
         await schedulerService.createSchedules(medication);
         
+        nicknameChoices.push({
+          medicationId: medication._id,
+          description: med.description,
+          options: [
+            med.suggestedNickname,
+            `${med.color} pill`,
+            'Morning medicine',
+            'Use real name',
+          ],
+        });
+        
         logger.info('Medication created from image', {
           userId: user._id,
           medicationId: medication._id,
@@ -120,10 +207,14 @@ class MessageController {
       });
       await user.save();
       
-      // Send confirmation
-      await whatsappService.sendMessage(user.whatsappId, {
-        text: `✅ All set! I'll remind you to take your medications on time.\n\nYou can always:\n• Send 'status' to check your medications\n• Send 'help' for more options`,
-      });
+      if (nicknameChoices.length === 0) {
+        return whatsappService.sendMessage(user.whatsappId, {
+          text: "I couldn't find any medications on that prescription. Can you take another photo, or type your medication details?",
+        });
+      }
+      
+      // Ask what to call each medication; the flow confirms once all are named
+      await nicknameFlow.start(user, { medications: nicknameChoices });
       
     } catch (error) {
       logger.error('Error processing image:', error);
@@ -133,7 +224,72 @@ class MessageController {
     }
   }
   
+  // Voice notes are transcribed and then handled exactly like typed text
+  async handleVoiceMessage(user, mediaUrl, contentType) {
+    let transcript;
+    
+    try {
+      const audio = await whatsappService.downloadMedia(mediaUrl);
+      transcript = await transcriptionService.transcribe(audio, {
+        contentType,
+        language: user.language,
+      });
+    } catch (error) {
+      logger.error('Error processing voice note:', error);
+    }
+    
+    if (!transcript) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "Sorry, I couldn't understand that voice note. Please try again or type your message.",
+      });
+    }
+    
+    const message = transcriptionService.toReply(transcript, user.language);
+    
+    logger.info('Voice note handled as text', {
+      userId: user._id,
+      isReply: message !== transcript,
+    });
+    
+    return this.handleTextMessage(user, message, { method: 'voice' });
+  }
+  
+  async handleClinicOptIn(user, message) {
+    const lowerMessage = message.toLowerCase().trim();
+    const choice = conversationService.matchQuickReply(message, CLINIC_OPT_IN_CHOICES);
+    
+    if (choice === CLINIC_OPT_IN_CHOICES[0] || ['yes', 'y', 'start'].includes(lowerMessage)) {
+      const medications = await clinicImportService.activatePatient(user);
+      const list = medications
+        .map(med => `• ${med.getDisplayName()} at ${med.schedule.times.map(t => t.time).join(', ')}`)
+        .join('\n');
+      
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: `✅ You're all set, ${user.name}!${list ? `\n\nI'll remind you to take:\n${list}` : ''}\n\nSend 'status' to see your medications or 'help' for all options.`,
+      });
+    }
+    
+    if (choice === CLINIC_OPT_IN_CHOICES[1] || ['no', 'n'].includes(lowerMessage)) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "No problem, I won't send you reminders. Reply *YES* any time if you change your mind.",
+      });
+    }
+    
+    const clinic = await Clinic.findById(user.subscription.clinicId);
+    
+    await whatsappService.sendMessage(user.whatsappId, {
+      text: `👋 Hi ${user.name}! ${clinic?.name || 'Your clinic'} has set up medication reminders for you on WhatsApp.\n\nWould you like to start getting them? Your clinic will see which doses you take or miss.`,
+      quickReplies: CLINIC_OPT_IN_CHOICES,
+    });
+  }
+  
   async handleOnboarding(user, message) {
+    // Patients enrolled by their clinic already have their details and
+    // medication; they only need to agree to reminders
+    if (clinicService.isAwaitingOptIn(user)) {
+      return this.handleClinicOptIn(user, message);
+    }
+    
     const step = user.onboardingStep || 0;
     
     switch (step) {
@@ -154,20 +310,37 @@ class MessageController {
         });
         break;
         
-      case 2:
+      case 2: {
         // Save timezone
-        user.timezone = message.trim(); // In production, validate timezone
+        const timezone = resolveTimezone(message);
+        
+        if (!timezone) {
+          await whatsappService.sendMessage(user.whatsappId, {
+            text: `Sorry, I don't recognise that timezone.\n\nPlease send your nearest city (e.g. Johannesburg) or your offset from GMT (e.g. GMT+5:30).`,
+          });
+          break;
+        }
+        
+        user.timezone = timezone;
         user.onboardingStep = 3;
         await whatsappService.sendMessage(user.whatsappId, {
-          text: `Great! Now you can:\n\n📸 Send a photo of your prescription\n✍️ Type your medication details\n\nWhich would you prefer?`,
-          quickReplies: ['Upload photo', 'Type details', 'Skip for now'],
+          text: `Great! I've set your timezone to ${timezone} (${formatOffset(timezone)}).\n\nNow you can:\n\n📸 Send a photo of your prescription\n✍️ Type your medication details\n\nWhich would you prefer?`,
+          quickReplies: ONBOARDING_CHOICES,
         });
         break;
+      }
         
       case 3:
         // Complete onboarding
         user.state = CONSTANTS.USER_STATES.ACTIVE;
         user.flags.hasCompletedOnboarding = true;
+        
+        // Users without a camera can go straight to typing their medication
+        if (conversationService.matchQuickReply(message, ONBOARDING_CHOICES) === 'Type details') {
+          await user.save();
+          return addMedicationFlow.start(user, 'add');
+        }
+        
         await whatsappService.sendMessage(user.whatsappId, {
           text: `Perfect! You're all set up.\n\nYou can start by:\n• Sending a prescription photo\n• Typing "add [medication name]"\n• Sending "help" for all options\n\nI'm here whenever you need me! 💊`,
         });
@@ -177,60 +350,235 @@ class MessageController {
     await user.save();
   }
   
-  async handleMedicationTaken(user) {
-    // Find most recent pending reminder
-    const schedule = await Schedule.findOne({
-      userId: user._id,
-      status: 'sent',
-    }).sort({ scheduledTime: -1 });
+  async continueConversation(user, message, session) {
+    const flow = getFlow(session.flow);
+    
+    if (!flow) {
+      logger.warn('Unknown conversation flow', { userId: user._id, flow: session.flow });
+      await conversationService.endSession(user._id);
+      return this.handleTextMessage(user, message);
+    }
+    
+    return flow.handle(user, message, session);
+  }
+  
+  // A reminder reply typed during a flow is only taken as one when the flow
+  // says it cannot use it, so answers like "done" or "later" stay with the
+  // flow. Flows without accepts() keep everything.
+  handsBack(session, message) {
+    if (!reminderController.parseReminderResponse(message)) return false;
+    
+    const flow = getFlow(session.flow);
+    
+    return !!flow?.accepts && !flow.accepts(message, session);
+  }
+  
+  async cancelConversation(user) {
+    await conversationService.endSession(user._id);
+    
+    await whatsappService.sendMessage(user.whatsappId, {
+      text: "Okay, cancelled. Send 'help' to see what I can do.",
+    });
+  }
+  
+  async goBackInConversation(user, session) {
+    const previous = await conversationService.goBack(session);
+    
+    if (!previous) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: "There's nothing to go back to. Send 'cancel' to stop.",
+      });
+    }
+    
+    const flow = getFlow(previous.flow);
+
+    if (!flow) {
+      logger.warn('Unknown conversation flow', { userId: user._id, flow: previous.flow });
+      await conversationService.endSession(user._id);
+      return this.sendHelpMessage(user);
+    }
+
+    return flow.prompt(user, previous);
+  }
+  
+  async handleReminderReply(user, message, { method } = {}) {
+    const result = await reminderController.handleReminderResponse(user._id, message, { method });
+    const { action, selector, outstanding, handled, ambiguous } = result;
+    
+    if (outstanding.length === 0) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: action === 'taken'
+          ? "Great! But I don't see any pending medications right now."
+          : "No pending medications right now.",
+      });
+    }
     
-    if (!schedule) {
+    if (ambiguous || handled.length === 0) {
+      const command = REPLY_COMMANDS[action];
+      const list = outstanding
+        .map(schedule => `${schedule.referenceCode}. ${schedule.medicationId.getDisplayName()} (${this.formatUserTime(user, schedule.scheduledTime, 'HH:mm')})`)
+        .join('\n');
+      const intro = ambiguous
+        ? `You have ${outstanding.length} medications due:`
+        : `I couldn't find "${selector}". You have these medications due:`;
+      
       return whatsappService.sendMessage(user.whatsappId, {
-        text: "Great! But I don't see any pending medications right now.",
+        text: `${intro}\n\n${list}\n\nReply '${command} 1', '${command} 2' or '${command} all'.`,
       });
     }
     
-    // Mark as taken
-    schedule.recordResponse('taken');
-    await schedule.save();
+    const names = handled.map(schedule => schedule.medicationId.getDisplayName()).join(', ');
+    let text;
     
-    // Update medication adherence
-    const medication = await Medication.findById(schedule.medicationId);
-    medication.adherence.taken++;
-    medication.adherence.streak++;
-    medication.updateAdherenceRate();
-    await medication.save();
+    switch (action) {
+      case 'taken':
+        text = `✅ Great job! ${names} marked as taken.`;
+        if (handled.length === 1) {
+          text += `\n\nStreak: ${handled[0].medicationId.adherence.streak} days 🔥`;
+        }
+        break;
+      case 'snoozed':
+        text = `⏰ I'll remind you again about ${names} in 30 minutes.`;
+        break;
+      case 'skipped':
+        text = `❌ Okay, skipping this dose of ${names}.`;
+        break;
+    }
+    
+    await whatsappService.sendMessage(user.whatsappId, { text });
+  }
+  
+  async handlePause(user, message) {
+    const { reference, duration } = this.parsePauseCommand(message);
+    const matches = await this.findMedications(user, reference);
+    const medications = matches.filter(med => med.status === 'active');
+    
+    if (medications.length === 0) {
+      return whatsappService.sendMessage(user.whatsappId, {
+        text: reference
+          ? `I couldn't find an active medication called "${reference}". Send 'status' to see your medications.`
+          : "You don't have any active medications to pause.",
+      });
+    }
+    
+    if (reference && reference !== 'all' && medications.length > 1) {
+      return this.sendAmbiguousMedicationMessage(user, 'pause', medications);
+    }
+    
+    const until = duration ? new Date(Date.now() + duration) : undefined;
+    
+    for (const medication of medications) {
+      await schedulerService.pauseMedication(medication._id, { until });
+    }
+    
+    logger.info('Medications paused by user', {
+      userId: user._id,
+      count: medications.length,
+      until,
+    });
+    
+    const names = medications.map(med => med.nickname).join(', ');
+    const resumeText = until
+      ? `until ${this.formatUserTime(user, until)}`
+      : "until you send 'resume'";
     
-    // Send confirmation
     await whatsappService.sendMessage(user.whatsappId, {
-      text: `✅ Great job! ${medication.nickname} marked as taken.\n\nStreak: ${medication.adherence.streak} days 🔥`,
+      text: `⏸ Reminders paused for ${names} ${resumeText}.`,
     });
   }
   
-  async handleSnooze(user) {
-    const schedule = await Schedule.findOne({
-      userId: user._id,
-      status: 'sent',
-    }).sort({ scheduledTime: -1 });
+  async handleResume(user, message) {
+    const { reference } = this.parsePauseCommand(message);
+    const matches = await this.findMedications(user, reference);
+    const medications = matches.filter(med => med.status === 'paused');
     
-    if (!schedule) {
+    if (medications.length === 0) {
       return whatsappService.sendMessage(user.whatsappId, {
-        text: "No pending medications to snooze right now.",
+        text: reference
+          ? `I couldn't find a paused medication called "${reference}". Send 'status' to see your medications.`
+          : "You don't have any paused medications.",
       });
     }
     
-    // Snooze for 30 minutes
-    schedule.recordResponse('snoozed');
-    await schedule.save();
+    if (reference && reference !== 'all' && medications.length > 1) {
+      return this.sendAmbiguousMedicationMessage(user, 'resume', medications);
+    }
     
-    // Reschedule reminder
-    await schedulerService.snoozeReminder(schedule._id, 30);
+    for (const medication of medications) {
+      await schedulerService.resumeMedication(medication._id);
+    }
+    
+    logger.info('Medications resumed by user', {
+      userId: user._id,
+      count: medications.length,
+    });
+    
+    const names = medications.map(med => med.nickname).join(', ');
     
     await whatsappService.sendMessage(user.whatsappId, {
-      text: "⏰ I'll remind you again in 30 minutes.",
+      text: `▶️ Reminders resumed for ${names}.`,
     });
   }
   
+  // "pause", "pause 2", "pause blue pill for 3 days", "resume all"
+  parsePauseCommand(message) {
+    let text = message.trim().replace(/^(pause|resume)\s*/i, '');
+    let duration = null;
+    
+    const durationMatch = text.match(/(?:for\s+)?(\d+)\s*(hours?|hrs?|days?|weeks?)\b/i);
+    if (durationMatch) {
+      const amount = parseInt(durationMatch[1], 10);
+      const unit = durationMatch[2].toLowerCase();
+      const unitMs = unit.startsWith('h')
+        ? 60 * 60 * 1000
+        : unit.startsWith('w') ? 7 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+      
+      duration = amount * unitMs;
+      text = text.replace(durationMatch[0], '');
+    }
+    
+    return {
+      reference: text.trim().toLowerCase() || null,
+      duration,
+    };
+  }
+  
+  // Medications are numbered in the order 'status' lists them
+  async findMedications(user, reference) {
+    const medications = await Medication.find({
+      userId: user._id,
+      status: { $in: ['active', 'paused'] },
+    }).sort({ createdAt: 1 });
+    
+    if (!reference || reference === 'all') {
+      return medications;
+    }
+    
+    if (/^\d+$/.test(reference)) {
+      const medication = medications[parseInt(reference, 10) - 1];
+      return medication ? [medication] : [];
+    }
+    
+    return medications.filter(med =>
+      med.nickname.toLowerCase().includes(reference) ||
+      med.getDisplayName().toLowerCase().includes(reference)
+    );
+  }
+  
+  async sendAmbiguousMedicationMessage(user, command, medications) {
+    const options = medications
+      .map(med => `• ${med.nickname}`)
+      .join('\n');
+    
+    await whatsappService.sendMessage(user.whatsappId, {
+      text: `I found more than one match:\n\n${options}\n\nPlease send '${command}' with the number from 'status', or '${command} all'.`,
+    });
+  }
+  
+  formatUserTime(user, date, format = 'ddd D MMM, HH:mm') {
+    return moment(date).tz(getValidTimezone(user.timezone)).format(format);
+  }
+  
   async sendHelpMessage(user) {
     const helpText = `
 Here's what I can do:
@@ -238,10 +586,12 @@ Here's what I can do:
 📸 *Upload prescription* - Send a photo
 ➕ *Add medication* - Type "add [name]"
 📊 *Check status* - Type "status"
-⏸ *Pause reminders* - Type "pause"
+⏸ *Pause reminders* - Type "pause" or "pause [name] 3 days"
 ▶️ *Resume reminders* - Type "resume"
 👥 *Add caregiver* - Type "caregiver"
+🎙️ *Recorded reminders* - Type "recordings"
 ⚙️ *Settings* - Type "settings"
+🏥 *Link your clinic* - Type "join" and your clinic's code
 
 *Quick responses for reminders:*
 ✅ Taken / Done
@@ -257,8 +607,8 @@ Need anything else? Just ask!
   async sendStatusMessage(user) {
     const medications = await Medication.find({
       userId: user._id,
-      status: 'active',
-    });
+      status: { $in: ['active', 'paused'] },
+    }).sort({ createdAt: 1 });
     
     if (medications.length === 0) {
       return whatsappService.sendMessage(user.whatsappId, {
@@ -268,12 +618,19 @@ Need anything else? Just ask!
     
     let statusText = `*Your Medications:*\n\n`;
     
-    for (const med of medications) {
-      statusText += `💊 *${med.nickname}*\n`;
+    medications.forEach((med, index) => {
+      statusText += `${index + 1}. 💊 *${med.nickname}*\n`;
+      
+      if (med.status === 'paused') {
+        statusText += med.pausedUntil
+          ? `   ⏸ Paused until ${this.formatUserTime(user, med.pausedUntil)}\n`
+          : `   ⏸ Paused\n`;
+      }
+      
       statusText += `   Schedule: ${med.schedule.times.map(t => t.time).join(', ')}\n`;
       statusText += `   Adherence: ${med.adherence.rate}%\n`;
       statusText += `   Streak: ${med.adherence.streak} days\n\n`;
-    }
+    });
     
     const adherence = await AdherenceLog.calculateAdherence(user._id, 7);
     statusText += `*Weekly Adherence: ${Math.round(adherence.adherenceRate)}%*`;
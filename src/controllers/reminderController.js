@@ -1,12 +1,28 @@
 import { whatsappService } from '../services/whatsappService.js';
 import { voiceService } from '../services/voiceService.js';
+import { getReminderVariables } from '../services/voiceTemplates.js';
 import { escalationService } from '../services/escalationService.js';
+import { schedulerService } from '../services/schedulerService.js';
+import { adherenceService } from '../services/adherenceService.js';
+import { reminderQueue } from '../queues/reminderQueue.js';
+import { refillFlow } from './flows/refillFlow.js';
 import Schedule from '../models/Schedule.js';
 import Medication from '../models/Medication.js';
 import User from '../models/User.js';
 import { logger } from '../utils/logger.js';
+import { getValidTimezone, isWithinTimeRange, getNextLocalTime } from '../utils/timeZones.js';
 import { CONSTANTS } from '../config/constants.js';
 
+// How long an unanswered dose stays open after its last reminder
+const MISSED_DOSE_WINDOW = (parseInt(process.env.MISSED_DOSE_WINDOW_MINUTES, 10) * 60 * 1000)
+  || CONSTANTS.TIMEOUTS.RESPONSE_TIMEOUT;
+
+const RESPONSE_KEYWORDS = {
+  taken: ['✅ taken', '✅ taking now', '✅', 'taken', 'done', 'took'],
+  snoozed: ['⏰ snooze', '⏰ in 15 mins', '⏰ taking soon', '⏰', 'snooze', 'later'],
+  skipped: ['❌ skip', '❌', 'skip'],
+};
+
 class ReminderController {
   async sendReminder(scheduleId) {
     try {
@@ -14,7 +30,8 @@ class ReminderController {
         .populate('userId')
         .populate('medicationId');
       
-      if (!schedule || schedule.status !== 'pending') {
+      // Snoozed doses are reminded again when the snooze runs out
+      if (!schedule || !['pending', 'snoozed'].includes(schedule.status)) {
         return;
       }
       
@@ -22,37 +39,78 @@ class ReminderController {
       const medication = schedule.medicationId;
       
       // Check quiet hours
+      let silent = false;
+      
       if (this.isQuietHours(user)) {
-        logger.info('Skipping reminder during quiet hours', {
+        const decision = this.getQuietHoursDecision(user, medication);
+        
+        schedule.quietHours = {
+          decision,
+          originalTime: schedule.scheduledTime,
+          until: this.getQuietHoursEnd(user),
+          decidedAt: new Date(),
+        };
+        
+        logger.info('Reminder falls in quiet hours', {
           userId: user._id,
           scheduleId,
+          decision,
         });
-        return;
+        
+        if (decision === 'deferred') {
+          await schedule.save();
+          await reminderQueue.addReminder({
+            scheduleId: schedule._id,
+            medicationId: medication._id,
+            scheduledTime: schedule.quietHours.until,
+            isSnoozed: schedule.status === 'snoozed',
+          });
+          return;
+        }
+        
+        silent = decision === 'silent';
+      }
+      
+      // Give the dose a reference so replies can target it
+      const outstanding = await this.getOutstandingSchedules(user._id);
+      const others = outstanding.filter(s => !s._id.equals(schedule._id));
+      
+      if (!schedule.referenceCode) {
+        schedule.referenceCode = this.getNextReferenceCode(others);
       }
       
       // Build reminder message
       const displayName = medication.getDisplayName();
-      const message = this.buildReminderMessage(displayName, schedule.dose);
+      let message = this.buildReminderMessage(displayName, schedule.dose);
       
-      // Send based on user preferences
-      if (user.settings.voiceReminders && user.isSubscribed()) {
-        await this.sendVoiceReminder(user, message);
+      if (others.length > 0) {
+        message += `\n\nReply 'taken ${schedule.referenceCode}' for this one, or 'taken all'.`;
+      }
+      
+      // Send based on user preferences. Silent reminders never use voice.
+      if (user.settings.voiceReminders && user.isSubscribed() && !silent) {
+        await this.sendVoiceReminder(user, message, medication, schedule);
       } else {
         await this.sendTextReminder(user, message, medication);
       }
       
       // Update schedule status
+      const reminderType = schedule.status === 'snoozed' ? 'followup' : 'initial';
       schedule.status = 'sent';
       schedule.reminders.push({
         sentAt: new Date(),
-        type: 'initial',
+        type: reminderType,
         delivered: true,
       });
       await schedule.save();
       
-      // Schedule escalation if needed
+      // Schedule escalation if needed, holding silent reminders until morning
       if (user.settings.escalationEnabled) {
-        await escalationService.scheduleEscalation(scheduleId, 1);
+        await escalationService.scheduleEscalation(scheduleId, 1, {
+          notBefore: silent ? schedule.quietHours.until : undefined,
+          policy: await escalationService.getPolicy(user, medication),
+          medication,
+        });
       }
       
       logger.info('Reminder sent', {
@@ -78,16 +136,21 @@ class ReminderController {
     });
   }
   
-  async sendVoiceReminder(user, message) {
-    // Generate voice message
-    const audioUrl = await voiceService.generateAudio(message, user.language);
+  // The voice note speaks the dose; the text keeps reply instructions such
+  // as which reference to use
+  async sendVoiceReminder(user, message, medication, schedule) {
+    // Generate voice message, or play a recording made for the patient
+    const audioUrl = await voiceService.generateAudio({
+      template: 'reminder',
+      variables: getReminderVariables(user, medication, schedule),
+    }, user.language, { user });
     
     // Send voice note
     await whatsappService.sendVoiceNote(user.whatsappId, audioUrl);
     
-    // Follow up with text buttons
+    // Follow up with the reminder text and buttons
     await whatsappService.sendMessage(user.whatsappId, {
-      text: "Reply with:",
+      text: message,
       quickReplies: ['✅ Taken', '⏰ Snooze', '❌ Skip'],
     });
   }
@@ -102,73 +165,174 @@ class ReminderController {
     return messages[Math.floor(Math.random() * messages.length)];
   }
   
-  isQuietHours(user) {
+  // 'deferred', 'silent' or 'sent'. The medication setting wins over the
+  // user's, and critical medications go out unless the user opted out.
+  getQuietHoursDecision(user, medication) {
+    const { policy, alwaysSendCritical } = user.settings.quietHours;
+    const medicationPolicy = medication.settings?.quietHoursPolicy || 'inherit';
+    
+    if (medicationPolicy !== 'inherit') {
+      return { defer: 'deferred', silent: 'silent', send: 'sent' }[medicationPolicy];
+    }
+    
+    if (medication.medical?.criticalMedication && alwaysSendCritical !== false) {
+      return 'sent';
+    }
+    
+    return policy === 'silent' ? 'silent' : 'deferred';
+  }
+  
+  getQuietHoursEnd(user, date = new Date()) {
+    return getNextLocalTime(date, user.settings.quietHours.end, getValidTimezone(user.timezone));
+  }
+  
+  // Quiet hours are set in the user's own wall-clock time
+  isQuietHours(user, date = new Date()) {
     if (!user.settings.quietHours.enabled) return false;
     
-    const now = new Date();
-    const currentHour = now.getHours();
-    const start = parseInt(user.settings.quietHours.start.split(':')[0]);
-    const end = parseInt(user.settings.quietHours.end.split(':')[0]);
+    const { start, end } = user.settings.quietHours;
+    
+    return isWithinTimeRange(date, start, end, getValidTimezone(user.timezone));
+  }
+  
+  async getOutstandingSchedules(userId) {
+    return Schedule.find({
+      userId,
+      status: { $in: ['sent', 'snoozed'] },
+    })
+    .populate('medicationId')
+    .sort({ scheduledTime: 1 });
+  }
+  
+  getNextReferenceCode(schedules) {
+    const used = new Set(schedules.map(schedule => schedule.referenceCode));
+    let code = 1;
     
-    if (start <= end) {
-      return currentHour >= start && currentHour < end;
-    } else {
-      return currentHour >= start || currentHour < end;
+    while (used.has(code)) {
+      code++;
     }
+    
+    return code;
+  }
+  
+  // "✅ Taken", "taken 2", "taken all", "skip blue pill", "snooze"
+  parseReminderResponse(text) {
+    const lower = text.toLowerCase().trim();
+    
+    for (const [action, keywords] of Object.entries(RESPONSE_KEYWORDS)) {
+      for (const keyword of keywords) {
+        if (lower === keyword || lower.startsWith(`${keyword} `)) {
+          const selector = lower
+            .slice(keyword.length)
+            .replace(/\b(today|now|30\s*min|in 15 mins|it|them|my|the|meds|medicine|medications?)\b/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+          
+          return { action, selector: selector || null };
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  // Pick the outstanding schedules a reply refers to
+  resolveTargets(schedules, selector) {
+    if (!selector) {
+      return schedules.length > 1
+        ? { schedules: [], ambiguous: true }
+        : { schedules, ambiguous: false };
+    }
+    
+    if (['all', 'both', 'everything'].includes(selector)) {
+      return { schedules, ambiguous: false };
+    }
+    
+    if (/^\d+(\s*(,|and|&)\s*\d+)*$/.test(selector)) {
+      const codes = selector.match(/\d+/g).map(Number);
+      return {
+        schedules: schedules.filter(schedule => codes.includes(schedule.referenceCode)),
+        ambiguous: false,
+      };
+    }
+    
+    const matches = schedules.filter(schedule => {
+      const medication = schedule.medicationId;
+      return [medication.nickname, medication.getDisplayName(), medication.visual?.color]
+        .filter(Boolean)
+        .some(name => name.toLowerCase().includes(selector) || selector.includes(name.toLowerCase()));
+    });
+    
+    return { schedules: matches, ambiguous: false };
+  }
+  
+  // Emoji replies come from the quick reply buttons, anything else was typed
+  getResponseMethod(response) {
+    return /^[✅⏰❌]/u.test(response.trim()) ? 'button' : 'text';
   }
   
-  async handleReminderResponse(userId, response) {
+  // scheduleId limits the reply to one dose, e.g. the one a call was about
+  async handleReminderResponse(userId, response, { method, scheduleId } = {}) {
     try {
-      const schedule = await Schedule.findOne({
-        userId,
-        status: 'sent',
-      }).sort({ scheduledTime: -1 });
+      const options = { method: method || this.getResponseMethod(response) };
+      
+      const parsed = this.parseReminderResponse(response);
+      
+      if (!parsed) {
+        logger.warn('Unknown reminder response', { userId, response });
+        return { action: null, outstanding: [], handled: [], ambiguous: false };
+      }
       
-      if (!schedule) {
+      const outstanding = await this.getOutstandingSchedules(userId);
+      
+      if (outstanding.length === 0) {
         logger.warn('No pending schedule found for response', { userId, response });
-        return;
+        return { ...parsed, outstanding, handled: [], ambiguous: false };
       }
       
-      const medication = await Medication.findById(schedule.medicationId);
+      const { schedules, ambiguous } = scheduleId
+        ? { schedules: outstanding.filter(schedule => String(schedule._id) === String(scheduleId)), ambiguous: false }
+        : this.resolveTargets(outstanding, parsed.selector);
       
-      switch (response.toLowerCase()) {
-        case 'taken':
-        case '✅':
-        case 'done':
-          await this.handleTaken(schedule, medication);
-          break;
-          
-        case 'snooze':
-        case '⏰':
-        case 'later':
-          await this.handleSnooze(schedule, medication);
-          break;
-          
-        case 'skip':
-        case '❌':
-        case 'no':
-          await this.handleSkip(schedule, medication);
-          break;
-          
-        default:
-          logger.warn('Unknown reminder response', { userId, response });
+      for (const schedule of schedules) {
+        const medication = schedule.medicationId;
+        
+        switch (parsed.action) {
+          case 'taken':
+            await this.handleTaken(schedule, medication, options);
+            break;
+          case 'snoozed':
+            await this.handleSnooze(schedule, medication, options);
+            break;
+          case 'skipped':
+            await this.handleSkip(schedule, medication, options);
+            break;
+        }
       }
+      
+      return { ...parsed, outstanding, handled: schedules, ambiguous };
     } catch (error) {
       logger.error('Error handling reminder response:', error);
       throw error;
     }
   }
   
-  async handleTaken(schedule, medication) {
+  async handleTaken(schedule, medication, { method = 'text' } = {}) {
     schedule.status = 'taken';
     schedule.actualTime = new Date();
     schedule.userResponse = {
       action: 'taken',
       timestamp: new Date(),
-      method: 'whatsapp',
+      method,
     };
     await schedule.save();
     
+    await adherenceService.recordOutcome(schedule, medication, 'taken', {
+      responseMethod: method,
+      actualTime: schedule.actualTime,
+    });
+    await this.stopEscalation(schedule, method, 'taken');
+    
     // Update adherence
     medication.adherence.taken++;
     medication.adherence.lastTaken = new Date();
@@ -193,7 +357,7 @@ class ReminderController {
     });
   }
   
-  async handleSnooze(schedule, medication) {
+  async handleSnooze(schedule, medication, { method = 'text' } = {}) {
     const snoozeMinutes = 30;
     
     schedule.status = 'snoozed';
@@ -202,10 +366,15 @@ class ReminderController {
     schedule.userResponse = {
       action: 'snoozed',
       timestamp: new Date(),
-      method: 'whatsapp',
+      method,
     };
     await schedule.save();
     
+    await adherenceService.recordOutcome(schedule, medication, 'snoozed', {
+      responseMethod: method,
+    });
+    await this.stopEscalation(schedule, method, 'snoozed');
+    
     // Update adherence
     medication.adherence.snoozed++;
     await medication.save();
@@ -219,15 +388,20 @@ class ReminderController {
     });
   }
   
-  async handleSkip(schedule, medication) {
+  async handleSkip(schedule, medication, { method = 'text' } = {}) {
     schedule.status = 'skipped';
     schedule.userResponse = {
       action: 'skipped',
       timestamp: new Date(),
-      method: 'whatsapp',
+      method,
     };
     await schedule.save();
     
+    await adherenceService.recordOutcome(schedule, medication, 'skipped', {
+      responseMethod: method,
+    });
+    await this.stopEscalation(schedule, method, 'skipped');
+    
     // Update adherence
     medication.adherence.missed++;
     medication.adherence.streak = 0; // Reset streak
@@ -240,17 +414,91 @@ class ReminderController {
     });
   }
   
+  // Any answer ends the escalation for this dose. A snoozed dose starts a
+  // fresh escalation when its reminder goes out again.
+  async stopEscalation(schedule, method, outcome) {
+    await escalationService.cancelEscalation(schedule._id, {
+      resolvedBy: method === 'caregiver' ? 'caregiver' : 'user',
+      outcome,
+    });
+  }
+  
+  // Nobody answered before the dose ran out of time
+  async handleMissed(schedule, medication) {
+    schedule.status = 'missed';
+    await schedule.save();
+    
+    await adherenceService.recordOutcome(schedule, medication, 'missed', {
+      responseMethod: 'auto',
+    });
+    
+    medication.adherence.missed++;
+    medication.adherence.streak = 0;
+    medication.updateAdherenceRate();
+    await medication.save();
+    
+    await escalationService.resolveEscalations(schedule._id, {
+      resolvedBy: 'timeout',
+      outcome: 'missed',
+    });
+    
+    logger.info('Medication missed', {
+      scheduleId: schedule._id,
+      medicationId: medication._id,
+    });
+  }
+  
+  async sweepMissedDoses() {
+    const now = Date.now();
+    
+    const schedules = await Schedule.find({
+      status: { $in: ['sent', 'snoozed'] },
+      scheduledTime: { $lte: new Date(now - MISSED_DOSE_WINDOW) },
+    }).populate('medicationId');
+    
+    let count = 0;
+    
+    for (const schedule of schedules) {
+      // The window restarts with every reminder, snooze and escalation step
+      if (now - this.getLastActivity(schedule) < MISSED_DOSE_WINDOW) {
+        continue;
+      }
+      
+      try {
+        await this.handleMissed(schedule, schedule.medicationId);
+        count++;
+      } catch (error) {
+        logger.error('Error marking dose as missed:', error);
+      }
+    }
+    
+    if (count > 0) {
+      logger.info('Missed dose sweep complete', { count });
+    }
+    
+    return count;
+  }
+  
+  getLastActivity(schedule) {
+    return Math.max(
+      schedule.scheduledTime,
+      schedule.snooze?.until || 0,
+      schedule.escalation?.lastEscalatedAt || 0,
+      schedule.quietHours?.until || 0,
+      ...schedule.reminders.map(reminder => reminder.sentAt || 0)
+    );
+  }
+  
   async sendRefillReminder(medication) {
     const user = await User.findById(medication.userId);
     const daysRemaining = Math.floor(
       medication.supply.remainingQuantity / medication.schedule.times.length
     );
     
-    const message = `📦 *Refill Reminder*\n\nYour ${medication.nickname} will run out in ${daysRemaining} days.\n\nWould you like me to remind you again later?`;
-    
-    await whatsappService.sendMessage(user.whatsappId, {
-      text: message,
-      quickReplies: ['Remind tomorrow', 'Remind in 3 days', 'Don\'t remind'],
+    // The follow-up answer is handled by the refill conversation flow
+    await refillFlow.start(user, {
+      medicationId: medication._id,
+      daysRemaining,
     });
   }
 }
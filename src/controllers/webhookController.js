@@ -1,4 +1,10 @@
 import { messageController } from './messageController.js';
+import { caregiverController } from './caregiverController.js';
+import { handleStaffMessage } from './clinicController.js';
+import { reminderController } from './reminderController.js';
+import { escalationService } from '../services/escalationService.js';
+import { voiceCallService, DIGIT_RESPONSES } from '../services/voiceCallService.js';
+import { transcriptionService } from '../services/transcriptionService.js';
 import { logger } from '../utils/logger.js';
 import User from '../models/User.js';
 
@@ -12,9 +18,26 @@ export async function handleWhatsAppWebhook(req, res) {
       hasMedia: !!MediaUrl0,
     });
     
-    // Get or create user
     let user = await User.findOne({ whatsappId: From });
     
+    // Clinic staff acknowledging an alert
+    if (!MediaUrl0 && await handleStaffMessage(From, Body)) {
+      return res.status(200).send('OK');
+    }
+    
+    // Caregiver replies go to their alerts and invitations. Caregivers who
+    // are not patients are never signed up as one.
+    if (!MediaUrl0 && await caregiverController.handleMessage(From, Body, { isPatient: !!user })) {
+      return res.status(200).send('OK');
+    }
+    
+    // Voice notes recorded by caregivers for someone they look after
+    if (MediaUrl0 && transcriptionService.isAudio(MediaContentType0)
+      && await caregiverController.handleRecording(From, MediaUrl0, MediaContentType0)) {
+      return res.status(200).send('OK');
+    }
+    
+    // Create new users
     if (!user) {
       user = await User.create({
         whatsappId: From,
@@ -29,7 +52,9 @@ export async function handleWhatsAppWebhook(req, res) {
     await user.save();
     
     // Process message based on type
-    if (MediaUrl0) {
+    if (MediaUrl0 && transcriptionService.isAudio(MediaContentType0)) {
+      await messageController.handleVoiceMessage(user, MediaUrl0, MediaContentType0);
+    } else if (MediaUrl0) {
       await messageController.handleImageMessage(user, MediaUrl0, MediaContentType0);
     } else {
       await messageController.handleTextMessage(user, Body);
@@ -53,11 +78,95 @@ export async function handleStatusCallback(req, res) {
       error: ErrorCode,
     });
     
-    // Update delivery status in database if needed
+    await escalationService.updateDeliveryStatus(MessageSid, MessageStatus);
     
     res.status(200).send('OK');
   } catch (error) {
     logger.error('Status callback error:', error);
     res.status(500).send('Error');
   }
+}
+
+function sendTwiml(res, twiml) {
+  res.type('text/xml');
+  res.send(twiml);
+}
+
+// Call script, fetched by Twilio when a reminder call is answered
+export async function handleVoiceCall(req, res) {
+  try {
+    const { CallSid, AnsweredBy } = req.body;
+    const { escalationId } = req.query;
+    const escalation = await voiceCallService.findCall(CallSid, escalationId);
+    
+    sendTwiml(res, voiceCallService.buildCallTwiml(escalation?.userId, escalation?.medicationId, {
+      answeredBy: AnsweredBy,
+      escalationId,
+    }));
+  } catch (error) {
+    logger.error('Voice call webhook error:', error);
+    res.status(500).send('Error');
+  }
+}
+
+// Keypad answer: 1 taken, 2 snooze, 3 skip, handled like the WhatsApp reply
+export async function handleVoiceResponse(req, res) {
+  try {
+    const { Digits, CallSid } = req.body;
+    const { escalationId } = req.query;
+    const escalation = await voiceCallService.findCall(CallSid, escalationId);
+    
+    if (!escalation) {
+      logger.warn('Voice response for unknown call', { callSid: CallSid });
+      return sendTwiml(res, voiceCallService.buildResponseTwiml(null, 'closed'));
+    }
+    
+    const user = escalation.userId;
+    const response = DIGIT_RESPONSES[Digits];
+    
+    if (!response) {
+      return sendTwiml(res, voiceCallService.buildCallTwiml(user, escalation.medicationId, {
+        invalid: true,
+        escalationId,
+      }));
+    }
+    
+    const result = await reminderController.handleReminderResponse(user._id, response, {
+      method: 'voice',
+      scheduleId: escalation.scheduleId,
+    });
+    const outcome = result.handled.length > 0 ? result.action : 'closed';
+    
+    await voiceCallService.recordResponse(escalation, CallSid, outcome);
+    
+    logger.info('Voice call answered', {
+      userId: user._id,
+      callSid: CallSid,
+      outcome,
+    });
+    
+    sendTwiml(res, voiceCallService.buildResponseTwiml(user, outcome));
+  } catch (error) {
+    logger.error('Voice response error:', error);
+    res.status(500).send('Error');
+  }
+}
+
+export async function handleVoiceStatus(req, res) {
+  try {
+    const { CallSid, CallStatus, AnsweredBy } = req.body;
+    
+    logger.info('Call status update', {
+      callSid: CallSid,
+      status: CallStatus,
+      answeredBy: AnsweredBy,
+    });
+    
+    await voiceCallService.handleCallStatus(CallSid, CallStatus, AnsweredBy, req.query.escalationId);
+    
+    res.status(200).send('OK');
+  } catch (error) {
+    logger.error('Call status callback error:', error);
+    res.status(500).send('Error');
+  }
 }
\ No newline at end of file
@@ -10,6 +10,9 @@ import { errorHandler } from './middleware/errorHandler.js';
 import { logger } from './utils/logger.js';
 import webhookRoutes from './routes/webhook.js';
 import healthRoutes from './routes/health.js';
+import clinicRoutes from './routes/clinic.js';
+import clinicApiRoutes from './routes/clinicApi.js';
+import { fileStorage } from './services/audioStorage/fileStorage.js';
 
 dotenv.config();
 
@@ -27,6 +30,11 @@ app.use(express.urlencoded({ extended: true }));
 // Routes
 app.use('/webhook', webhookRoutes);
 app.use('/health', healthRoutes);
+app.use('/clinic', clinicRoutes);
+app.use('/api/clinic', clinicApiRoutes);
+
+// Generated voice notes when AUDIO_STORAGE=local; file names are content hashes
+app.use('/media', express.static(fileStorage.getDirectory(), { maxAge: '365d' }));
 
 // Error handling
 app.use(errorHandler);
@@ -0,0 +1,35 @@
+import Clinic from '../models/Clinic.js';
+import { logger } from '../utils/logger.js';
+
+// Clinic API requests carry "Authorization: Bearer <api key>"
+export async function clinicAuthentication(req, res, next) {
+  const [scheme, key] = (req.headers.authorization || '').split(' ');
+  
+  if (scheme !== 'Bearer' || !key) {
+    return res.status(401).json({ error: 'Missing API key' });
+  }
+  
+  try {
+    const keyHash = Clinic.hashApiKey(key);
+    const clinic = await Clinic.findOne({ 'apiKeys.keyHash': keyHash, isActive: true });
+    const apiKey = clinic?.apiKeys.find(entry => entry.keyHash === keyHash && !entry.revokedAt);
+    
+    if (!apiKey) {
+      logger.warn('Invalid clinic API key', { prefix: key.slice(0, 10) });
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    
+    req.clinic = clinic;
+    req.apiKey = apiKey;
+    
+    // Not worth failing the request over
+    Clinic.updateOne(
+      { _id: clinic._id, 'apiKeys._id': apiKey._id },
+      { $set: { 'apiKeys.$.lastUsedAt': new Date() } }
+    ).catch(error => logger.error('Error updating API key usage:', error));
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
\ No newline at end of file
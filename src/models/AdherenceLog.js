@@ -93,9 +93,11 @@ adherenceLogSchema.statics.calculateAdherence = async function(userId, days = 30
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
   
+  // Snoozes are logged too, but only final outcomes count towards adherence
   const logs = await this.find({
     userId,
     date: { $gte: startDate },
+    status: { $ne: 'snoozed' },
   });
   
   const taken = logs.filter(log => log.status === 'taken' || log.status === 'late').length;
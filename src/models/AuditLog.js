@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Who did what to a patient's data, for anyone acting on their behalf
+const auditLogSchema = new mongoose.Schema({
+  // Patient whose data was read or changed
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+
+  actor: {
+    type: {
+      type: String,
+      enum: ['patient', 'caregiver', 'clinic', 'system'],
+      required: true,
+    },
+    phoneNumber: String,
+    name: String,
+    caregiverId: mongoose.Schema.Types.ObjectId,  // Entry in the patient's caregivers
+  },
+
+  // e.g. 'dose.taken', 'doses.viewed'
+  action: {
+    type: String,
+    required: true,
+  },
+
+  scheduleIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+  }],
+
+  details: mongoose.Schema.Types.Mixed,
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.phoneNumber': 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+export default AuditLog;
\ No newline at end of file
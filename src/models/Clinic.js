@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import moment from 'moment-timezone';
+import { getValidTimezone, isWithinTimeRange } from '../utils/timeZones.js';
+
+export const ALERT_CHANNELS = ['webhook', 'email', 'whatsapp'];
+
+const clinicSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+
+  // Short code patients are enrolled under, e.g. 'CLINIC123'
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    unique: true,
+    sparse: true,
+  },
+
+  timezone: {
+    type: String,
+    default: 'UTC',
+  },
+
+  // Staff who can be reached about patients
+  contacts: [{
+    name: String,
+    role: String,              // 'nurse', 'pharmacist', 'doctor'
+    phoneNumber: String,       // E.164, messaged on WhatsApp
+    email: String,
+    onDuty: { type: Boolean, default: false },
+    afterHours: { type: Boolean, default: false },  // Also alerted when the clinic is closed
+  }],
+
+  // Opening hours in the clinic's timezone. No hours means always open.
+  hours: [{
+    dayOfWeek: { type: Number, min: 0, max: 6 },   // 0 = Sunday
+    open: String,              // "08:00"
+    close: String,             // "17:00"
+  }],
+
+  alerting: {
+    channels: [{
+      type: String,
+      enum: ALERT_CHANNELS,
+    }],
+    webhookUrl: String,
+    webhookSecret: String,     // Signs webhook bodies and acknowledgement links
+    emails: [String],
+    maxAttempts: { type: Number, default: 3, min: 1, max: 10 },
+  },
+
+  // Applied to patients who link themselves with the clinic code. The
+  // clinic's default escalation policy applies through the link itself.
+  defaults: {
+    privacyLevel: { type: Number, min: 1, max: 6 },
+    escalationEnabled: Boolean,
+    voiceReminders: Boolean,
+  },
+
+  // Keys for the clinic REST API. Only a hash of each key is stored.
+  apiKeys: [{
+    name: String,              // Who or what uses the key, e.g. 'Sister Mokoena'
+    prefix: String,            // First characters, to tell keys apart
+    keyHash: String,
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: Date,
+    revokedAt: Date,
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+clinicSchema.index({ 'contacts.phoneNumber': 1 });
+clinicSchema.index({ 'apiKeys.keyHash': 1 });
+
+clinicSchema.statics.hashApiKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Returns the new key, which is only ever shown once
+clinicSchema.methods.createApiKey = function(name) {
+  const key = `ck_${crypto.randomBytes(24).toString('hex')}`;
+
+  this.apiKeys.push({
+    name,
+    prefix: key.slice(0, 10),
+    keyHash: this.constructor.hashApiKey(key),
+  });
+
+  return key;
+};
+
+// Whether the clinic is open at the given time
+clinicSchema.methods.isOpen = function(date = new Date()) {
+  if (!this.hours || this.hours.length === 0) return true;
+
+  const zone = getValidTimezone(this.timezone);
+  const day = moment.tz(date, zone).day();
+
+  return this.hours.some(hours =>
+    hours.dayOfWeek === day && isWithinTimeRange(date, hours.open, hours.close, zone)
+  );
+};
+
+// Staff to message on WhatsApp about an alert right now
+clinicSchema.methods.getOnDutyContacts = function(date = new Date()) {
+  const open = this.isOpen(date);
+
+  return this.contacts.filter(contact =>
+    contact.phoneNumber && contact.onDuty && (open || contact.afterHours)
+  );
+};
+
+const Clinic = mongoose.model('Clinic', clinicSchema);
+export default Clinic;
\ No newline at end of file
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import { CONSTANTS } from '../config/constants.js';
+
+const conversationSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+
+  // Which multi-step flow the user is in, e.g. 'nickname', 'refill'
+  flow: {
+    type: String,
+    required: true,
+  },
+
+  step: {
+    type: String,
+    required: true,
+  },
+
+  // Flow-specific state collected so far
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+
+  // Previous steps, used to go back
+  history: [{
+    step: String,
+    data: mongoose.Schema.Types.Mixed,
+  }],
+
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + CONSTANTS.TIMEOUTS.SESSION_TIMEOUT),
+  },
+}, {
+  timestamps: true,
+  minimize: false,
+});
+
+// Let MongoDB clean up abandoned sessions
+conversationSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+conversationSessionSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+const ConversationSession = mongoose.model('ConversationSession', conversationSessionSchema);
+export default ConversationSession;
\ No newline at end of file
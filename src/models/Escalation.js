@@ -29,10 +29,16 @@ const escalationSchema = new mongoose.Schema({
   
   type: {
     type: String,
-    enum: ['reminder', 'urgent', 'voice_call', 'caregiver', 'clinic'],
+    enum: ['reminder', 'urgent', 'voice_reminder', 'voice_call', 'caregiver', 'clinic'],
     required: true,
   },
   
+  // Policy the step came from; unset for the built-in default
+  policyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EscalationPolicy',
+  },
+  
   status: {
     type: String,
     enum: ['pending', 'sent', 'delivered', 'responded', 'failed'],
@@ -45,14 +51,50 @@ const escalationSchema = new mongoose.Schema({
     success: Boolean,
     error: String,
     response: String,
+    messageSid: String,       // Twilio message or call SID, for delivery callbacks
   }],
   
-  caregiver: {
-    notified: Boolean,
+  // Caregivers in the order they are tried. The next one is only
+  // messaged if the previous one has not acknowledged in time.
+  caregivers: [{
+    caregiverId: mongoose.Schema.Types.ObjectId,   // Entry in user.caregivers
+    name: String,
     phoneNumber: String,
     relationship: String,
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'delivered', 'failed', 'acknowledged'],
+      default: 'pending',
+    },
+    messageSid: String,
     notifiedAt: Date,
+    deliveredAt: Date,
+    acknowledgedAt: Date,
     response: String,
+  }],
+  
+  // Level 5: one delivery per channel and target, retried until sent
+  clinicAlert: {
+    clinicId: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic' },
+    deliveries: [{
+      channel: {
+        type: String,
+        enum: ['webhook', 'email', 'whatsapp'],
+      },
+      target: String,        // URL, email address or phone number
+      status: {
+        type: String,
+        enum: ['pending', 'sent', 'delivered', 'failed'],
+        default: 'pending',
+      },
+      attempts: { type: Number, default: 0 },
+      lastAttemptAt: Date,
+      sentAt: Date,
+      messageSid: String,
+      error: String,
+    }],
+    acknowledgedAt: Date,
+    acknowledgedBy: String,  // Staff name, phone number or 'webhook'
   },
   
   resolution: {
@@ -75,6 +117,10 @@ const escalationSchema = new mongoose.Schema({
 // Indexes
 escalationSchema.index({ status: 1, level: 1 });
 escalationSchema.index({ userId: 1, createdAt: -1 });
+escalationSchema.index({ 'attempts.messageSid': 1 });
+escalationSchema.index({ 'caregivers.phoneNumber': 1, createdAt: -1 });
+escalationSchema.index({ 'clinicAlert.deliveries.target': 1, createdAt: -1 });
+escalationSchema.index({ 'clinicAlert.deliveries.messageSid': 1 });
 
 const Escalation = mongoose.model('Escalation', escalationSchema);
 export default Escalation;
\ No newline at end of file
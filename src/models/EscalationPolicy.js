@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import { CONSTANTS } from '../config/constants.js';
+
+export const ESCALATION_ACTIONS = ['urgent', 'voice_reminder', 'voice_call', 'caregiver', 'clinic'];
+
+const stepSchema = new mongoose.Schema({
+  // How this step reaches someone: the patient by WhatsApp message, voice
+  // note or phone call, or their caregivers or clinic
+  action: {
+    type: String,
+    enum: ESCALATION_ACTIONS,
+    required: true,
+  },
+
+  // Wait after the reminder (first step) or after the previous step
+  delayMinutes: {
+    type: Number,
+    min: 0,
+    required: true,
+  },
+
+  // Caregiver steps: how long a caregiver has to acknowledge before the
+  // next one in line is messaged
+  fallbackMinutes: {
+    type: Number,
+    min: 1,
+    default: 15,
+  },
+}, { _id: false });
+
+const escalationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  description: String,
+
+  // Owning clinic, if any. A clinic's default policy applies to all of its
+  // patients unless the user or medication has a policy of its own.
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+  },
+
+  isClinicDefault: {
+    type: Boolean,
+    default: false,
+  },
+
+  // Run in order. An empty list means the dose is never escalated.
+  steps: {
+    type: [stepSchema],
+    validate: {
+      validator: (steps) => steps.length <= CONSTANTS.LIMITS.MAX_ESCALATION_LEVEL,
+      message: `A policy can have at most ${CONSTANTS.LIMITS.MAX_ESCALATION_LEVEL} steps`,
+    },
+  },
+
+  // Any response from the patient or a caregiver always stops escalation
+  stopConditions: {
+    criticalOnly: { type: Boolean, default: false },      // Skip escalation for non-critical medications
+    missedAfterMinutes: { type: Number, min: 0, default: 30 }, // Wait after the last step before marking missed
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+escalationPolicySchema.index({ clinicId: 1, isClinicDefault: 1 });
+
+const EscalationPolicy = mongoose.model('EscalationPolicy', escalationPolicySchema);
+export default EscalationPolicy;
\ No newline at end of file
@@ -87,6 +87,7 @@ const medicationSchema = new mongoose.Schema({
     refillReminder: {
       enabled: Boolean,
       daysBeforeEmpty: { type: Number, default: 7 },
+      snoozedUntil: Date,
     },
     lastRefillDate: Date,
   },
@@ -98,6 +99,9 @@ const medicationSchema = new mongoose.Schema({
     default: 'active',
   },
   
+  // Set when a pause has a duration, e.g. "pause 3 days"
+  pausedUntil: Date,
+  
   // Adherence tracking
   adherence: {
     taken: { type: Number, default: 0 },
@@ -112,9 +116,17 @@ const medicationSchema = new mongoose.Schema({
   settings: {
     remindersEnabled: { type: Boolean, default: true },
     escalationEnabled: { type: Boolean, default: true },
+    // Overrides the user's escalation policy for this medication
+    escalationPolicyId: { type: mongoose.Schema.Types.ObjectId, ref: 'EscalationPolicy' },
     snoozeEnabled: { type: Boolean, default: true },
     customMessage: String,
     voiceReminder: { type: Boolean, default: false },
+    // Overrides the user's quiet hours policy for this medication
+    quietHoursPolicy: {
+      type: String,
+      enum: ['inherit', 'defer', 'silent', 'send'],
+      default: 'inherit',
+    },
   },
   
   metadata: {
@@ -124,6 +136,9 @@ const medicationSchema = new mongoose.Schema({
     },
     originalPrescriptionUrl: String,
     notes: String,
+    clinicCode: String,
+    // Imported by a clinic; paused until the patient opts in
+    awaitingOptIn: Boolean,
   },
 }, {
   timestamps: true,
@@ -175,9 +190,16 @@ medicationSchema.methods.getDisplayName = function() {
         ? `Medicine for ${this.medical.purpose}`
         : this.nickname;
     case 5:
-    case 6:
       const decrypted = this.decryptSensitiveData();
-      return decrypted?.actualName || this.nickname;
+      return decrypted?.name || this.nickname;
+    case 6:
+      const details = this.decryptSensitiveData();
+      if (!details?.name) return this.nickname;
+      return [
+        details.name,
+        details.dosage,
+        this.medical.purpose ? `for ${this.medical.purpose}` : null,
+      ].filter(Boolean).join(' ');
     default:
       return this.nickname;
   }
@@ -186,6 +208,7 @@ medicationSchema.methods.getDisplayName = function() {
 // Check if refill is needed
 medicationSchema.methods.needsRefill = function() {
   if (!this.supply.refillReminder.enabled) return false;
+  if (this.supply.refillReminder.snoozedUntil > new Date()) return false;
   
   const daysRemaining = this.supply.remainingQuantity / this.schedule.times.length;
   return daysRemaining <= this.supply.refillReminder.daysBeforeEmpty;
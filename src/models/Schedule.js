@@ -29,11 +29,14 @@ const scheduleSchema = new mongoose.Schema({
   
   status: {
     type: String,
-    enum: ['pending', 'sent', 'taken', 'missed', 'snoozed', 'skipped'],
+    enum: ['pending', 'sent', 'taken', 'missed', 'snoozed', 'skipped', 'paused'],
     default: 'pending',
     index: true,
   },
   
+  // Short number shown in the reminder ("taken 2") while the dose is outstanding
+  referenceCode: Number,
+  
   reminders: [{
     sentAt: Date,
     type: {
@@ -57,6 +60,17 @@ const scheduleSchema = new mongoose.Schema({
     until: Date,
   },
   
+  // Set when the reminder fell in the user's quiet hours
+  quietHours: {
+    decision: {
+      type: String,
+      enum: ['deferred', 'silent', 'sent'],
+    },
+    originalTime: Date,
+    until: Date,             // When quiet hours ended
+    decidedAt: Date,
+  },
+  
   userResponse: {
     action: String,           // 'taken', 'snoozed', 'skipped'
     timestamp: Date,
@@ -50,10 +50,19 @@ const userSchema = new mongoose.Schema({
   settings: {
     voiceReminders: { type: Boolean, default: false },
     escalationEnabled: { type: Boolean, default: true },
+    // Overrides the clinic's default escalation policy
+    escalationPolicyId: { type: mongoose.Schema.Types.ObjectId, ref: 'EscalationPolicy' },
     quietHours: {
       enabled: { type: Boolean, default: false },
       start: { type: String, default: '22:00' },
       end: { type: String, default: '07:00' },
+      // What happens to reminders that fall in quiet hours
+      policy: {
+        type: String,
+        enum: ['defer', 'silent'],
+        default: 'defer',
+      },
+      alwaysSendCritical: { type: Boolean, default: true },
     },
     defaultPrivacyLevel: {
       type: Number,
@@ -73,6 +82,30 @@ const userSchema = new mongoose.Schema({
       max: 5,
       default: 4,
     },
+    // Alerts are only sent once the caregiver accepts the invitation
+    consent: {
+      status: {
+        type: String,
+        enum: ['invited', 'accepted'],
+        default: 'invited',
+      },
+      invitedAt: Date,
+      acceptedAt: Date,
+    },
+    // What the caregiver calls the patient, e.g. "Mom"
+    patientLabel: String,
+    // Off for caregivers who only want the digest
+    realtimeAlerts: { type: Boolean, default: true },
+    digest: {
+      frequency: {
+        type: String,
+        enum: ['off', 'daily', 'weekly'],
+        default: 'off',
+      },
+      time: { type: String, default: '19:00' },           // In the patient's timezone
+      dayOfWeek: { type: Number, min: 0, max: 6, default: 0 }, // Weekly digests, 0 = Sunday
+      lastSentAt: Date,
+    },
   }],
   
   subscription: {
@@ -83,6 +116,15 @@ const userSchema = new mongoose.Schema({
     },
     validUntil: Date,
     clinicId: { type: mongoose.Schema.Types.ObjectId, ref: 'Clinic' },
+    // Whether the clinic may see the patient's adherence and missed doses
+    dataSharing: {
+      status: {
+        type: String,
+        enum: ['pending', 'granted', 'declined'],
+      },
+      askedAt: Date,
+      respondedAt: Date,
+    },
   },
   
   stats: {
@@ -105,6 +147,7 @@ const userSchema = new mongoose.Schema({
     referredBy: String,
     clinicCode: String,
     notes: String,
+    invitedAt: Date,         // Clinic import invitation sent
   },
 }, {
   timestamps: true,
@@ -113,6 +156,8 @@ const userSchema = new mongoose.Schema({
 // Indexes for performance
 userSchema.index({ 'state': 1, 'flags.isActive': 1 });
 userSchema.index({ 'subscription.validUntil': 1 });
+userSchema.index({ 'caregivers.phoneNumber': 1 });
+userSchema.index({ 'caregivers.digest.frequency': 1 });
 userSchema.index({ createdAt: -1 });
 
 // Methods
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import { CONSTANTS } from '../config/constants.js';
+
+// Spoken messages a recording can stand in for
+export const MESSAGE_TYPES = ['reminder', 'urgent_reminder'];
+
+// A recorded voice prompt played instead of synthetic speech. Clinic
+// recordings without a patient are the clinic's library for all its patients;
+// recordings with a patient are only played to that patient.
+const voiceRecordingSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true,
+  },
+
+  clinicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Clinic',
+    index: true,
+  },
+
+  language: {
+    type: String,
+    enum: Object.keys(CONSTANTS.LANGUAGES),
+    required: true,
+  },
+
+  messageType: {
+    type: String,
+    enum: MESSAGE_TYPES,
+    required: true,
+  },
+
+  recordedBy: {
+    type: {
+      type: String,
+      enum: ['clinic', 'caregiver'],
+      required: true,
+    },
+    name: String,
+    phoneNumber: String,
+    caregiverId: mongoose.Schema.Types.ObjectId,  // Entry in the patient's caregivers
+  },
+
+  audio: {
+    filename: String,
+    url: String,
+    contentType: String,
+    size: Number,
+  },
+
+  // Caregivers ask to record first and then send the voice note. Nothing is
+  // played until the clinic (its own recordings) or the patient (a
+  // caregiver's) approves it.
+  status: {
+    type: String,
+    enum: ['awaiting_audio', 'pending', 'approved', 'rejected'],
+    default: 'pending',
+  },
+
+  review: {
+    reviewedBy: {
+      type: { type: String, enum: ['patient', 'clinic'] },
+      name: String,
+    },
+    reviewedAt: Date,
+    reason: String,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+voiceRecordingSchema.index({ userId: 1, messageType: 1, language: 1, status: 1 });
+voiceRecordingSchema.index({ clinicId: 1, messageType: 1, language: 1, status: 1 });
+voiceRecordingSchema.index({ 'recordedBy.phoneNumber': 1, status: 1 });
+
+const VoiceRecording = mongoose.model('VoiceRecording', voiceRecordingSchema);
+export default VoiceRecording;
\ No newline at end of file
@@ -61,9 +61,93 @@ class EscalationQueue {
     return job;
   }
   
+  // Fallbacks and retries are not retried by the queue: a failure after the
+  // message went out would send it again. Levels check their recorded
+  // attempt instead (see escalationController.handleEscalation).
+  async addCaregiverFallback({ scheduleId, escalationId, scheduledFor }) {
+    const delay = scheduledFor.getTime() - Date.now();
+    
+    const job = await this.queue.add(
+      'caregiver-fallback',
+      {
+        scheduleId: String(scheduleId),
+        escalationId: String(escalationId),
+        scheduledFor: scheduledFor.toISOString(),
+      },
+      {
+        delay,
+        jobId: `caregiver-fallback-${escalationId}-${Date.now()}`,
+        attempts: 1,
+      }
+    );
+    
+    logger.info('Caregiver fallback queued', {
+      jobId: job.id,
+      escalationId,
+      delay: Math.floor(delay / 1000) + 's',
+    });
+    
+    return job;
+  }
+  
+  async addClinicAlertRetry({ scheduleId, escalationId, scheduledFor }) {
+    const delay = scheduledFor.getTime() - Date.now();
+    
+    const job = await this.queue.add(
+      'clinic-alert-retry',
+      {
+        scheduleId: String(scheduleId),
+        escalationId: String(escalationId),
+        scheduledFor: scheduledFor.toISOString(),
+      },
+      {
+        delay,
+        jobId: `clinic-alert-retry-${escalationId}-${Date.now()}`,
+        attempts: 1,
+      }
+    );
+    
+    logger.info('Clinic alert retry queued', {
+      jobId: job.id,
+      escalationId,
+      delay: Math.floor(delay / 1000) + 's',
+    });
+    
+    return job;
+  }
+  
+  async addVoiceCallRetry({ scheduleId, escalationId, scheduledFor }) {
+    const delay = scheduledFor.getTime() - Date.now();
+    
+    const job = await this.queue.add(
+      'voice-call-retry',
+      {
+        scheduleId: String(scheduleId),
+        escalationId: String(escalationId),
+        scheduledFor: scheduledFor.toISOString(),
+      },
+      {
+        delay,
+        jobId: `voice-call-retry-${escalationId}-${Date.now()}`,
+        attempts: 1,
+      }
+    );
+    
+    logger.info('Voice call retry queued', {
+      jobId: job.id,
+      escalationId,
+      delay: Math.floor(delay / 1000) + 's',
+    });
+    
+    return job;
+  }
+  
+  // Removes queued levels, caregiver fallbacks and clinic alert and voice
+  // call retries for the dose
   async removeByScheduleId(scheduleId) {
     const jobs = await this.queue.getJobs(['delayed', 'waiting']);
-    const toRemove = jobs.filter(job => job.data.scheduleId === scheduleId);
+    // Job data is serialised, so compare ids as strings
+    const toRemove = jobs.filter(job => job.data.scheduleId === String(scheduleId));
     
     for (const job of toRemove) {
       await job.remove();
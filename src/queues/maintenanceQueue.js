@@ -0,0 +1,57 @@
+import Queue from 'bull';
+import { logger } from '../utils/logger.js';
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+class MaintenanceQueue {
+  constructor() {
+    this.queue = new Queue('maintenance', REDIS_URL, {
+      defaultJobOptions: {
+        removeOnComplete: 20,
+        removeOnFail: 20,
+        attempts: 1,
+      },
+    });
+    
+    this.setupEventHandlers();
+  }
+  
+  setupEventHandlers() {
+    this.queue.on('error', (error) => {
+      logger.error('Maintenance queue error:', error);
+    });
+    
+    this.queue.on('failed', (job, error) => {
+      logger.error('Maintenance job failed', {
+        jobId: job.id,
+        name: job.name,
+        error: error.message,
+      });
+    });
+  }
+  
+  // Repeatable jobs are keyed by name and cron, so every instance can call
+  // this on startup without the job running more than once per tick
+  async addRepeatable(name, cron) {
+    const existing = await this.queue.getRepeatableJobs();
+    
+    // Drop schedules left over from a previous cron setting
+    for (const job of existing) {
+      if (job.name === name && job.cron !== cron) {
+        await this.queue.removeRepeatableByKey(job.key);
+      }
+    }
+    
+    const job = await this.queue.add(name, {}, {
+      repeat: { cron },
+      jobId: name,
+    });
+    
+    logger.info('Maintenance job scheduled', { name, cron });
+    
+    return job;
+  }
+}
+
+export const maintenanceQueue = new MaintenanceQueue();
+export default maintenanceQueue;
\ No newline at end of file
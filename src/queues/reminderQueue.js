@@ -41,7 +41,7 @@ class ReminderQueue {
     });
   }
   
-  async addReminder({ scheduleId, scheduledTime, isSnoozed = false }) {
+  async addReminder({ scheduleId, medicationId, scheduledTime, isSnoozed = false }) {
     const delay = scheduledTime.getTime() - Date.now();
     
     if (delay < 0) {
@@ -56,6 +56,7 @@ class ReminderQueue {
       'send-reminder',
       {
         scheduleId,
+        medicationId,
         isSnoozed,
         scheduledTime: scheduledTime.toISOString(),
       },
@@ -76,7 +77,8 @@ class ReminderQueue {
   
   async removeByScheduleId(scheduleId) {
     const jobs = await this.queue.getJobs(['delayed', 'waiting']);
-    const toRemove = jobs.filter(job => job.data.scheduleId === scheduleId);
+    // Job data is serialised, so compare ids as strings
+    const toRemove = jobs.filter(job => job.data.scheduleId === String(scheduleId));
     
     for (const job of toRemove) {
       await job.remove();
@@ -90,9 +92,81 @@ class ReminderQueue {
     return toRemove.length;
   }
   
+  async removeByScheduleIds(scheduleIds) {
+    const ids = new Set(scheduleIds.map(String));
+    const jobs = await this.queue.getJobs(['delayed', 'waiting']);
+    const toRemove = jobs.filter(job =>
+      job.name === 'send-reminder' && ids.has(job.data.scheduleId)
+    );
+    
+    for (const job of toRemove) {
+      await job.remove();
+    }
+    
+    logger.info('Removed reminder jobs', {
+      schedules: ids.size,
+      count: toRemove.length,
+    });
+    
+    return toRemove.length;
+  }
+  
   async removeByMedicationId(medicationId) {
-    // Implementation would require storing medicationId in job data
-    logger.info('Removing reminders by medication ID', { medicationId });
+    const jobs = await this.queue.getJobs(['delayed', 'waiting']);
+    const toRemove = jobs.filter(job =>
+      job.name === 'send-reminder' && job.data.medicationId === String(medicationId)
+    );
+    
+    for (const job of toRemove) {
+      await job.remove();
+    }
+    
+    logger.info('Removing reminders by medication ID', {
+      medicationId,
+      count: toRemove.length,
+    });
+    
+    return toRemove.length;
+  }
+  
+  async addResume({ medicationId, resumeAt }) {
+    const delay = Math.max(resumeAt.getTime() - Date.now(), 0);
+    
+    // One pending resume per medication; a new pause replaces the old one
+    await this.removeResume(medicationId);
+    
+    const job = await this.queue.add(
+      'resume-medication',
+      {
+        medicationId,
+        resumeAt: resumeAt.toISOString(),
+      },
+      {
+        delay,
+        jobId: `resume-${medicationId}-${Date.now()}`,
+      }
+    );
+    
+    logger.info('Medication resume queued', {
+      jobId: job.id,
+      medicationId,
+      delay: Math.floor(delay / 1000) + 's',
+    });
+    
+    return job;
+  }
+  
+  async removeResume(medicationId) {
+    const jobs = await this.queue.getJobs(['delayed', 'waiting']);
+    const toRemove = jobs.filter(job =>
+      job.name === 'resume-medication' && job.data.medicationId === String(medicationId)
+    );
+    
+    for (const job of toRemove) {
+      await job.remove();
+    }
+    
+    return toRemove.length;
   }
   
   async getQueueStats() {
@@ -1,10 +1,12 @@
 import { escalationQueue } from '../escalationQueue.js';
 import { escalationController } from '../../controllers/escalationController.js';
+import { clinicAlertService } from '../../services/clinicAlertService.js';
+import { voiceCallService } from '../../services/voiceCallService.js';
 import { logger } from '../../utils/logger.js';
 
 export function startEscalationWorker() {
   escalationQueue.queue.process('process-escalation', async (job) => {
-    const { scheduleId, level } = job.data;
+    const { scheduleId, level, scheduledFor } = job.data;
     
     try {
       logger.info('Processing escalation', {
@@ -12,7 +14,9 @@ export function startEscalationWorker() {
         level,
       });
       
-      await escalationController.handleEscalation(scheduleId, level);
+      await escalationController.handleEscalation(scheduleId, level, {
+        scheduledFor: scheduledFor && new Date(scheduledFor),
+      });
       
       return { success: true, scheduleId, level };
     } catch (error) {
@@ -21,5 +25,44 @@ export function startEscalationWorker() {
     }
   });
   
+  escalationQueue.queue.process('caregiver-fallback', async (job) => {
+    const { escalationId } = job.data;
+    
+    try {
+      await escalationController.handleCaregiverFallback(escalationId);
+      
+      return { success: true, escalationId };
+    } catch (error) {
+      logger.error('Caregiver fallback worker error:', error);
+      throw error;
+    }
+  });
+  
+  escalationQueue.queue.process('clinic-alert-retry', async (job) => {
+    const { escalationId } = job.data;
+    
+    try {
+      await clinicAlertService.retryDelivery(escalationId);
+      
+      return { success: true, escalationId };
+    } catch (error) {
+      logger.error('Clinic alert retry worker error:', error);
+      throw error;
+    }
+  });
+  
+  escalationQueue.queue.process('voice-call-retry', async (job) => {
+    const { escalationId } = job.data;
+    
+    try {
+      await voiceCallService.retryCall(escalationId);
+      
+      return { success: true, escalationId };
+    } catch (error) {
+      logger.error('Voice call retry worker error:', error);
+      throw error;
+    }
+  });
+  
   logger.info('Escalation worker started');
 }
\ No newline at end of file
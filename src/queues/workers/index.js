@@ -1,11 +1,13 @@
 import { startReminderWorker } from './reminderWorker.js';
 import { startEscalationWorker } from './escalationWorker.js';
+import { startMaintenanceWorker } from './maintenanceWorker.js';
 import { logger } from '../../utils/logger.js';
 
 export function startWorkers() {
   try {
     startReminderWorker();
     startEscalationWorker();
+    startMaintenanceWorker();
     logger.info('All background workers started successfully');
   } catch (error) {
     logger.error('Failed to start workers:', error);
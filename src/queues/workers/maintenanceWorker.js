@@ -0,0 +1,55 @@
+import { maintenanceQueue } from '../maintenanceQueue.js';
+import { reminderController } from '../../controllers/reminderController.js';
+import { schedulerService } from '../../services/schedulerService.js';
+import { digestService } from '../../services/digestService.js';
+import { logger } from '../../utils/logger.js';
+
+const MISSED_DOSE_SWEEP_CRON = process.env.MISSED_DOSE_SWEEP_CRON || '*/5 * * * *';
+const SCHEDULE_TOP_UP_CRON = process.env.SCHEDULE_TOP_UP_CRON || '0 1 * * *';
+const CAREGIVER_DIGEST_CRON = process.env.CAREGIVER_DIGEST_CRON || '*/15 * * * *';
+
+export function startMaintenanceWorker() {
+  maintenanceQueue.queue.process('sweep-missed', async () => {
+    try {
+      const count = await reminderController.sweepMissedDoses();
+      
+      return { success: true, count };
+    } catch (error) {
+      logger.error('Missed dose sweep error:', error);
+      throw error;
+    }
+  });
+  
+  maintenanceQueue.queue.process('top-up-schedules', async () => {
+    try {
+      const count = await schedulerService.topUpSchedules();
+      
+      return { success: true, count };
+    } catch (error) {
+      logger.error('Schedule top-up error:', error);
+      throw error;
+    }
+  });
+  
+  maintenanceQueue.queue.process('caregiver-digests', async () => {
+    try {
+      const count = await digestService.sendDueDigests();
+      
+      return { success: true, count };
+    } catch (error) {
+      logger.error('Caregiver digest error:', error);
+      throw error;
+    }
+  });
+  
+  maintenanceQueue.addRepeatable('sweep-missed', MISSED_DOSE_SWEEP_CRON)
+    .catch(error => logger.error('Failed to schedule missed dose sweep:', error));
+  
+  maintenanceQueue.addRepeatable('top-up-schedules', SCHEDULE_TOP_UP_CRON)
+    .catch(error => logger.error('Failed to schedule schedule top-up:', error));
+  
+  maintenanceQueue.addRepeatable('caregiver-digests', CAREGIVER_DIGEST_CRON)
+    .catch(error => logger.error('Failed to schedule caregiver digests:', error));
+  
+  logger.info('Maintenance worker started');
+}
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { reminderQueue } from '../reminderQueue.js';
 import { reminderController } from '../../controllers/reminderController.js';
+import { schedulerService } from '../../services/schedulerService.js';
 import { logger } from '../../utils/logger.js';
 
 export function startReminderWorker() {
@@ -21,5 +22,20 @@ export function startReminderWorker() {
     }
   });
   
+  reminderQueue.queue.process('resume-medication', async (job) => {
+    const { medicationId } = job.data;
+    
+    try {
+      logger.info('Processing medication resume', { medicationId });
+      
+      await schedulerService.resumeMedication(medicationId);
+      
+      return { success: true, medicationId };
+    } catch (error) {
+      logger.error('Resume worker error:', error);
+      throw error;
+    }
+  });
+  
   logger.info('Reminder worker started');
 }
\ No newline at end of file
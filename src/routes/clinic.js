@@ -0,0 +1,11 @@
+import express from 'express';
+import { acknowledgeAlert, showAcknowledgePage } from '../controllers/clinicController.js';
+
+const router = express.Router();
+
+// Alert acknowledgement, signed with a per-alert token. GET only shows the
+// confirmation page.
+router.get('/alerts/:escalationId/acknowledge', showAcknowledgePage);
+router.post('/alerts/:escalationId/acknowledge', acknowledgeAlert);
+
+export default router;
\ No newline at end of file
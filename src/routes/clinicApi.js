@@ -0,0 +1,61 @@
+import express from 'express';
+import multer from 'multer';
+import { rateLimiter } from '../middleware/rateLimiter.js';
+import { clinicAuthentication } from '../middleware/clinicAuthentication.js';
+import {
+  listPatients,
+  getPatient,
+  getAdherence,
+  getEscalations,
+  listMedications,
+  addMedication,
+  updateMedication,
+  importPatients,
+  getJoinLink,
+  listRecordings,
+  uploadRecording,
+  approveRecording,
+  rejectRecording,
+} from '../controllers/clinicApiController.js';
+
+const router = express.Router();
+
+// CSV uploads, either as a multipart "file" field or a text/csv body
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+});
+const csvBody = express.text({ type: 'text/csv', limit: '2mb' });
+
+// Recorded voice prompts, as a multipart "file" field
+const audioUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// API key auth, not the Twilio signature used by the webhook routes
+router.use(rateLimiter);
+router.use(clinicAuthentication);
+
+// Click-to-chat link patients use to link themselves
+router.get('/join-link', getJoinLink);
+
+// Patients enrolled with the key's clinic
+router.get('/patients', listPatients);
+router.post('/patients/import', upload.single('file'), csvBody, importPatients);
+router.get('/patients/:userId', getPatient);
+router.get('/patients/:userId/adherence', getAdherence);
+router.get('/patients/:userId/escalations', getEscalations);
+
+// Medications
+router.get('/patients/:userId/medications', listMedications);
+router.post('/patients/:userId/medications', addMedication);
+router.patch('/patients/:userId/medications/:medicationId', updateMedication);
+
+// Recorded voice prompts for the clinic's patients, played once approved
+router.get('/recordings', listRecordings);
+router.post('/recordings', audioUpload.single('file'), uploadRecording);
+router.post('/recordings/:recordingId/approve', approveRecording);
+router.post('/recordings/:recordingId/reject', rejectRecording);
+
+export default router;
\ No newline at end of file
@@ -1,5 +1,11 @@
 import express from 'express';
-import { handleWhatsAppWebhook, handleStatusCallback } from '../controllers/webhookController.js';
+import {
+  handleWhatsAppWebhook,
+  handleStatusCallback,
+  handleVoiceCall,
+  handleVoiceResponse,
+  handleVoiceStatus,
+} from '../controllers/webhookController.js';
 import { authentication } from '../middleware/authentication.js';
 
 const router = express.Router();
@@ -10,20 +16,9 @@ router.post('/whatsapp', authentication, handleWhatsAppWebhook);
 // Status callback
 router.post('/status', authentication, handleStatusCallback);
 
-// Voice response handling
-router.post('/voice-response', authentication, async (req, res) => {
-  const { Digits, CallSid } = req.body;
-  
-  // Handle voice call responses
-  const twiml = `
-    <Response>
-      <Say>Thank you for your response.</Say>
-      <Hangup/>
-    </Response>
-  `;
-  
-  res.type('text/xml');
-  res.send(twiml);
-});
+// Reminder calls: script on answer, keypad answers and final call status
+router.post('/voice-call', authentication, handleVoiceCall);
+router.post('/voice-response', authentication, handleVoiceResponse);
+router.post('/voice-status', authentication, handleVoiceStatus);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,41 @@
+import dotenv from 'dotenv';
+import { connectDB } from '../config/database.js';
+import Clinic from '../models/Clinic.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+async function createKey() {
+  try {
+    const [clinicId, ...nameParts] = process.argv.slice(2);
+    const name = nameParts.join(' ');
+    
+    if (!clinicId || !name) {
+      console.error('Usage: npm run clinic:api-key <clinicId> <key name>');
+      process.exit(1);
+    }
+    
+    await connectDB();
+    
+    const clinic = await Clinic.findById(clinicId);
+    
+    if (!clinic) {
+      console.error(`Clinic ${clinicId} not found`);
+      process.exit(1);
+    }
+    
+    const key = clinic.createApiKey(name);
+    await clinic.save();
+    
+    logger.info('Clinic API key created', { clinicId, name });
+    
+    // The key cannot be recovered later, only revoked
+    console.log(`API key for ${clinic.name} (${name}):\n\n${key}\n`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error creating clinic API key:', error);
+    process.exit(1);
+  }
+}
+
+createKey();
\ No newline at end of file
@@ -0,0 +1,52 @@
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import { connectDB } from '../config/database.js';
+import Clinic from '../models/Clinic.js';
+import { clinicImportService } from '../services/clinicImportService.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+async function importPatients() {
+  try {
+    const [clinicId, file] = process.argv.slice(2);
+    
+    if (!clinicId || !file) {
+      console.error('Usage: npm run clinic:import <clinicId> <patients.csv>');
+      process.exit(1);
+    }
+    
+    await connectDB();
+    
+    const clinic = await Clinic.findById(clinicId);
+    
+    if (!clinic) {
+      console.error(`Clinic ${clinicId} not found`);
+      process.exit(1);
+    }
+    
+    const csv = await fs.readFile(file, 'utf8');
+    const report = await clinicImportService.importPatients(clinic, csv);
+    
+    console.log(`Rows: ${report.total}`);
+    console.log(`Patients created: ${report.created}, updated: ${report.updated}`);
+    console.log(`Medications added: ${report.medicationsAdded}`);
+    console.log(`Invitations sent: ${report.invited}`);
+    
+    if (report.failed.length > 0) {
+      console.log(`\nFailed rows (${report.failed.length}):`);
+      
+      for (const failure of report.failed) {
+        console.log(`  Line ${failure.line} ${failure.phone || ''}: ${failure.errors.join('; ')}`);
+      }
+    }
+    
+    // Safe to re-run once the failed rows are fixed
+    process.exit(report.failed.length > 0 ? 2 : 0);
+  } catch (error) {
+    logger.error('Clinic import error:', error);
+    process.exit(1);
+  }
+}
+
+importPatients();
\ No newline at end of file
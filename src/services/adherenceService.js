@@ -0,0 +1,89 @@
+import AdherenceLog from '../models/AdherenceLog.js';
+import User from '../models/User.js';
+import { logger } from '../utils/logger.js';
+import { CONSTANTS } from '../config/constants.js';
+
+class AdherenceService {
+  async recordOutcome(schedule, medication, status, { responseMethod, actualTime } = {}) {
+    try {
+      const respondedAt = actualTime || new Date();
+      const delayMinutes = Math.max(
+        0,
+        Math.round((respondedAt - schedule.scheduledTime) / 60000)
+      );
+
+      const log = await AdherenceLog.create({
+        userId: schedule.userId._id || schedule.userId,
+        medicationId: medication._id,
+        scheduleId: schedule._id,
+        date: schedule.scheduledTime,
+        scheduledTime: schedule.scheduledTime,
+        actualTime: status === 'taken' ? respondedAt : undefined,
+        status: this.getLogStatus(status, delayMinutes),
+        dose: {
+          scheduled: this.formatDose(schedule.dose),
+        },
+        delayMinutes,
+        escalationReached: schedule.escalation?.level || 0,
+        responseMethod,
+        flags: {
+          criticalMedication: !!medication.medical?.criticalMedication,
+        },
+      });
+
+      logger.info('Adherence logged', {
+        scheduleId: schedule._id,
+        status: log.status,
+        responseMethod,
+      });
+
+      if (status !== 'snoozed') {
+        await this.updateUserStats(log.userId, status);
+      }
+
+      return log;
+    } catch (error) {
+      // Logging must never stop the dose itself from being recorded
+      logger.error('Error writing adherence log:', error);
+      return null;
+    }
+  }
+
+  async updateUserStats(userId, status) {
+    const user = await User.findById(userId);
+
+    if (!user) return;
+
+    if (status === 'taken') {
+      user.stats.streak++;
+      user.stats.longestStreak = Math.max(user.stats.longestStreak, user.stats.streak);
+    } else {
+      user.stats.streak = 0;
+    }
+
+    const adherence = await AdherenceLog.calculateAdherence(userId, 30);
+    user.updateAdherence(adherence.taken, adherence.total);
+
+    await user.save();
+  }
+
+  // Doses taken after the response window count as late
+  getLogStatus(status, delayMinutes) {
+    const lateAfterMinutes = CONSTANTS.TIMEOUTS.RESPONSE_TIMEOUT / 60000;
+
+    if (status === 'taken' && delayMinutes > lateAfterMinutes) {
+      return 'late';
+    }
+
+    return status;
+  }
+
+  formatDose(dose) {
+    if (!dose?.amount) return undefined;
+
+    return [dose.amount, dose.unit].filter(Boolean).join(' ');
+  }
+}
+
+export const adherenceService = new AdherenceService();
+export default adherenceService;
\ No newline at end of file
@@ -1,6 +1,42 @@
 import OpenAI from 'openai';
+import moment from 'moment-timezone';
 import { logger } from '../utils/logger.js';
 import { CONSTANTS } from '../config/constants.js';
+import { getValidTimezone } from '../utils/timeZones.js';
+
+const NUMBER_WORDS = {
+  a: '1',
+  an: '1',
+  one: '1',
+  two: '2',
+  three: '3',
+  four: '4',
+  half: '0.5',
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_PERIODS = {
+  morning: '08:00',
+  breakfast: '08:00',
+  midday: '13:00',
+  noon: '13:00',
+  lunch: '13:00',
+  afternoon: '15:00',
+  evening: '18:00',
+  dinner: '18:00',
+  supper: '18:00',
+  night: '21:00',
+  bedtime: '21:00',
+};
+
+// Words that end the medication name in a typed entry
+const NAME_STOP_WORDS = [
+  'with', 'for', 'once', 'twice', 'thrice', 'every', 'each', 'at', 'in', 'on',
+  'daily', 'weekly', 'before', 'after', 'per', 'take', 'one', 'two', 'three',
+  'half', 'morning', 'evening', 'night', 'bedtime', 'tablet', 'tablets',
+  'capsule', 'capsules', 'ongoing', '-',
+];
 
 class AIParserService {
   constructor() {
@@ -185,6 +221,173 @@ Important:
     return times;
   }
   
+  // Deterministic parser for typed entries such as
+  // "add metformin 500mg twice a day with food for 30 days".
+  // timezone is the user's, for "weekly" without a day (starting today)
+  parseMedicationText(text, { timezone } = {}) {
+    const input = text.trim().replace(/^add\b\s*/i, '');
+    const lower = input.toLowerCase();
+    
+    const result = {
+      name: this.extractMedicationName(input),
+      dosage: null,
+      dose: '1',
+      form: null,
+      times: [],
+      frequency: 'daily',
+      daysOfWeek: [],
+      duration: null,
+      ongoing: false,
+      withFood: null,
+      instructions: null,
+    };
+    
+    // Strength, e.g. "500mg", "5 ml"
+    const strengthMatch = lower.match(/(\d+(?:\.\d+)?)\s*(mg|mcg|µg|g|ml|iu|units?)\b/);
+    if (strengthMatch) {
+      result.dosage = `${strengthMatch[1]}${strengthMatch[2]}`;
+    }
+    
+    // Amount per dose, e.g. "2 tablets", "half a tablet"
+    const doseMatch = lower.match(/\b(\d+(?:\.\d+)?|one|two|three|half|a|an)\s+(?:a\s+)?(tablets?|tabs?|capsules?|caps?|pills?|drops?|puffs?|teaspoons?|tsp|sachets?)\b/);
+    if (doseMatch) {
+      result.dose = NUMBER_WORDS[doseMatch[1]] || doseMatch[1];
+      result.form = this.normalizeForm(doseMatch[2]);
+    } else {
+      const formMatch = lower.match(/\b(tablet|capsule|syrup|inhaler|injection|cream|drops)\b/);
+      if (formMatch) {
+        result.form = this.normalizeForm(formMatch[1]);
+      }
+    }
+    
+    // Food instructions
+    if (/\b(with (food|meals?|breakfast|lunch|dinner|supper)|after (food|meals?|eating|breakfast|lunch|dinner|supper))\b/.test(lower)) {
+      result.withFood = true;
+      result.instructions = 'Take with food';
+    } else if (/\b(before (food|meals?|eating|breakfast)|empty stomach)\b/.test(lower)) {
+      result.withFood = false;
+      result.instructions = 'Take on an empty stomach';
+    }
+    
+    // Duration
+    const durationMatch = lower.match(/\bfor\s+(\d+|a|an|one|two|three)\s*(days?|weeks?|months?)\b/);
+    if (durationMatch) {
+      const amount = parseInt(NUMBER_WORDS[durationMatch[1]] || durationMatch[1], 10);
+      const unitDays = durationMatch[2].startsWith('week') ? 7
+        : durationMatch[2].startsWith('month') ? 30 : 1;
+      result.duration = amount * unitDays;
+    } else if (/\b(ongoing|long[\s-]term|indefinitely|for life|continuous(ly)?)\b/.test(lower)) {
+      result.ongoing = true;
+    }
+    
+    // Weekly schedules, e.g. "every monday and thursday"
+    const days = [...lower.matchAll(/\b(sun|mon|tue|wed|thu|fri|sat)(?:day|sday|nesday|rsday|urday|rs|s)?s?\b/g)]
+      .map(match => WEEKDAYS.indexOf(match[1]));
+    if (days.length > 0) {
+      result.frequency = 'weekly';
+      result.daysOfWeek = [...new Set(days)].sort();
+    } else if (/\b(weekly|once a week|every week)\b/.test(lower)) {
+      result.frequency = 'weekly';
+      result.daysOfWeek = [moment.tz(getValidTimezone(timezone)).day()];
+    }
+    
+    const times = this.extractTimes(lower);
+    result.times = times.map(time => ({
+      time,
+      dose: result.dose,
+      withFood: result.withFood ?? false,
+      notes: result.instructions || undefined,
+    }));
+    
+    return result;
+  }
+  
+  extractMedicationName(input) {
+    const words = input.replace(/^take\s+/i, '').split(/\s+/);
+    const nameWords = [];
+    
+    for (const word of words) {
+      const clean = word.toLowerCase().replace(/[.,;:]$/, '');
+      if (/^\d/.test(clean) || NAME_STOP_WORDS.includes(clean)) break;
+      nameWords.push(word.replace(/[.,;:]$/, ''));
+    }
+    
+    const name = nameWords.join(' ').trim();
+    return name ? name.charAt(0).toUpperCase() + name.slice(1) : null;
+  }
+  
+  extractTimes(text) {
+    // Explicit clock times: "8am", "8:30 pm", "20:00"
+    const explicit = [];
+    for (const match of text.matchAll(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b|\b([01]?\d|2[0-3]):([0-5]\d)\b/g)) {
+      let hours;
+      let minutes;
+      
+      if (match[3]) {
+        hours = parseInt(match[1], 10) % 12 + (match[3] === 'pm' ? 12 : 0);
+        minutes = parseInt(match[2] || '0', 10);
+      } else {
+        hours = parseInt(match[4], 10);
+        minutes = parseInt(match[5], 10);
+      }
+      
+      if (hours < 24 && minutes < 60) {
+        explicit.push(`${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`);
+      }
+    }
+    
+    if (explicit.length > 0) {
+      return [...new Set(explicit)].sort();
+    }
+    
+    // Fixed intervals: "every 8 hours"
+    const intervalMatch = text.match(/\bevery\s+(\d+)\s*(?:hours?|hrs?)\b/);
+    if (intervalMatch) {
+      const interval = parseInt(intervalMatch[1], 10);
+      if (interval > 0 && interval <= 24) {
+        const times = [];
+        for (let hour = 6; hour < 30 && times.length < Math.floor(24 / interval); hour += interval) {
+          times.push(`${String(hour % 24).padStart(2, '0')}:00`);
+        }
+        return [...new Set(times)].sort();
+      }
+    }
+    
+    // Parts of the day: "every morning", "morning and night"
+    const periods = Object.keys(DAY_PERIODS)
+      .filter(period => new RegExp(`\\b${period}\\b`).test(text))
+      .map(period => DAY_PERIODS[period]);
+    
+    if (periods.length > 0) {
+      return [...new Set(periods)].sort();
+    }
+    
+    // Times per day: "twice a day", "3 times daily"
+    let timesPerDay = 1;
+    const countMatch = text.match(/\b(\d+|one|two|three|four)\s*(?:times|x)\b/);
+    if (countMatch) {
+      timesPerDay = parseInt(NUMBER_WORDS[countMatch[1]] || countMatch[1], 10);
+    } else if (/\bthrice\b/.test(text)) {
+      timesPerDay = 3;
+    } else if (/\btwice\b/.test(text)) {
+      timesPerDay = 2;
+    }
+    
+    return this.generateTimes(timesPerDay).map(slot => slot.time);
+  }
+  
+  normalizeForm(form) {
+    const forms = {
+      tab: 'tablet',
+      tabs: 'tablet',
+      cap: 'capsule',
+      caps: 'capsule',
+      tsp: 'teaspoon',
+    };
+    
+    return forms[form] || form.replace(/s$/, '');
+  }
+  
   async checkDrugInteractions(medications) {
     // In production, integrate with drug interaction API
     // For MVP, basic checks
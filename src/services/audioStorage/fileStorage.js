@@ -0,0 +1,42 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Audio kept on this server's disk and served from /media (see index.js)
+class FileStorage {
+  constructor() {
+    this.name = 'local';
+  }
+
+  getDirectory() {
+    return path.resolve(process.env.AUDIO_STORAGE_DIR || './storage/media');
+  }
+
+  getPath(filename) {
+    return path.join(this.getDirectory(), filename);
+  }
+
+  getUrl(filename) {
+    return `${process.env.SERVER_URL}/media/${filename}`;
+  }
+
+  async exists(filename) {
+    try {
+      await fs.access(this.getPath(filename));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async save(audio, filename) {
+    const filePath = this.getPath(filename);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, audio);
+
+    return this.getUrl(filename);
+  }
+}
+
+export const fileStorage = new FileStorage();
+export default fileStorage;
\ No newline at end of file
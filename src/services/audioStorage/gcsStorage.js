@@ -0,0 +1,47 @@
+// Google Cloud Storage bucket with public read access. The client library
+// is loaded on first use.
+class GcsStorage {
+  constructor() {
+    this.name = 'gcs';
+    this.bucketName = process.env.VOICE_BUCKET || 'prescription-voice-notes';
+  }
+
+  async getBucket() {
+    if (!this.bucket) {
+      const { Storage } = await import('@google-cloud/storage');
+      const storage = new Storage({
+        keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+        projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
+      });
+
+      this.bucket = storage.bucket(this.bucketName);
+    }
+    return this.bucket;
+  }
+
+  getUrl(filename) {
+    return `https://storage.googleapis.com/${this.bucketName}/${filename}`;
+  }
+
+  async exists(filename) {
+    const bucket = await this.getBucket();
+    const [exists] = await bucket.file(filename).exists();
+    return exists;
+  }
+
+  async save(audio, filename, contentType) {
+    const bucket = await this.getBucket();
+
+    await bucket.file(filename).save(audio, {
+      metadata: {
+        contentType,
+        cacheControl: 'public, max-age=31536000',
+      },
+    });
+
+    return this.getUrl(filename);
+  }
+}
+
+export const gcsStorage = new GcsStorage();
+export default gcsStorage;
\ No newline at end of file
@@ -0,0 +1,27 @@
+import { gcsStorage } from './gcsStorage.js';
+import { fileStorage } from './fileStorage.js';
+
+// Where generated audio is kept, chosen with AUDIO_STORAGE. Each has
+// exists(filename), save(audio, filename, contentType) -> url and getUrl(filename)
+export const storages = {
+  gcs: gcsStorage,
+  local: fileStorage,
+};
+
+export function getStorage(name) {
+  return storages[name] || null;
+}
+
+// The storage chosen with AUDIO_STORAGE
+export function getConfiguredStorage() {
+  const name = process.env.AUDIO_STORAGE || 'gcs';
+  const storage = getStorage(name);
+
+  if (!storage) {
+    throw new Error(`Unknown audio storage "${name}"`);
+  }
+
+  return storage;
+}
+
+export default storages;
\ No newline at end of file
@@ -0,0 +1,42 @@
+import AuditLog from '../models/AuditLog.js';
+import { logger } from '../utils/logger.js';
+
+class AuditService {
+  async record(userId, actor, action, { scheduleIds = [], details } = {}) {
+    try {
+      const entry = await AuditLog.create({
+        userId,
+        actor,
+        action,
+        scheduleIds,
+        details,
+      });
+
+      logger.info('Audit logged', {
+        userId,
+        actor: actor.type,
+        action,
+      });
+
+      return entry;
+    } catch (error) {
+      // Same as adherence logs: the action itself has already happened
+      logger.error('Error writing audit log:', error);
+      return null;
+    }
+  }
+
+  // Actor details for a caregiver entry on a patient
+  caregiverActor(caregiver) {
+    return {
+      type: 'caregiver',
+      phoneNumber: caregiver.phoneNumber,
+      name: caregiver.name,
+      // Escalation entries point back at the patient's caregiver entry
+      caregiverId: caregiver.caregiverId || caregiver._id,
+    };
+  }
+}
+
+export const auditService = new AuditService();
+export default auditService;
\ No newline at end of file
@@ -0,0 +1,267 @@
+import { whatsappService } from './whatsappService.js';
+import User from '../models/User.js';
+import { logger } from '../utils/logger.js';
+
+// Replies a caregiver can send, optionally followed by the patient's name:
+// "accept", "decline Thandi", "stop alerts for Thandi"
+const COMMAND_PATTERN = /^(accept|decline|stop alerts)(?:\s+(?:for\s+)?(.+))?$/;
+
+const ACTIONS = {
+  accept: 'accept',
+  decline: 'decline',
+  'stop alerts': 'revoke',
+};
+
+// "digest daily", "digest weekly monday 7pm", "digest off"
+const DIGEST_PATTERN = /^digest\s+(daily|weekly|off)(?:\s+([a-z]+day|mon|tue|wed|thu|fri|sat|sun))?(?:\s+(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?)?$/;
+const ALERTS_PATTERN = /^alerts\s+(on|off)$/;
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+class CaregiverService {
+  // Caregivers only get alerts once they have accepted the invitation
+  isActive(caregiver) {
+    return caregiver.consent?.status === 'accepted';
+  }
+
+  getPhoneNumber(user) {
+    return user.whatsappId.replace(/^whatsapp:/, '');
+  }
+
+  parseCommand(message) {
+    const text = message.toLowerCase().trim().replace(/[.!]+$/, '');
+    const match = text.match(COMMAND_PATTERN);
+
+    if (match) {
+      return {
+        action: ACTIONS[match[1]],
+        name: match[2]?.trim() || null,
+      };
+    }
+
+    const alerts = text.match(ALERTS_PATTERN);
+
+    if (alerts) {
+      return { action: 'alerts', enabled: alerts[1] === 'on' };
+    }
+
+    return this.parseDigestCommand(text);
+  }
+
+  parseDigestCommand(text) {
+    const match = text.match(DIGEST_PATTERN);
+
+    if (!match) return null;
+
+    const [, frequency, day, hours, minutes = '00', meridiem] = match;
+    const command = { action: 'digest', frequency };
+
+    if (day) {
+      const dayOfWeek = DAYS.indexOf(day.slice(0, 3));
+      if (dayOfWeek === -1) return null;
+      command.dayOfWeek = dayOfWeek;
+    }
+
+    if (hours) {
+      let h = parseInt(hours, 10);
+      const m = parseInt(minutes, 10);
+
+      if (meridiem) {
+        if (h < 1 || h > 12) return null;
+        h = h % 12 + (meridiem === 'pm' ? 12 : 0);
+      }
+
+      if (h > 23 || m > 59) return null;
+
+      command.time = `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+    }
+
+    return command;
+  }
+
+  // Nobody gets alerts about a patient without agreeing to it first
+  async invite(user, caregiver) {
+    const templateSid = process.env.CAREGIVER_INVITE_TEMPLATE_SID;
+
+    // Outside a 24 hour session WhatsApp only delivers approved templates
+    if (templateSid) {
+      return whatsappService.sendTemplate(caregiver.phoneNumber, templateSid, {
+        1: caregiver.name,
+        2: user.name,
+      });
+    }
+
+    return whatsappService.sendMessage(caregiver.phoneNumber, {
+      text: `👋 Hi ${caregiver.name}, ${user.name} would like you to be their medication caregiver.\n\nIf you agree, I'll message you when they miss an important dose. I won't tell you which medicines they take.\n\nReply *ACCEPT* to agree or *DECLINE* if you'd rather not. You can send *STOP ALERTS* at any time.`,
+    });
+  }
+
+  // Returns false when the sender has no matching invitation or link, so
+  // the message is handled like any other
+  async handleCommand(sender, command) {
+    const { action, name } = command;
+    const phoneNumber = this.getPhoneNumber(sender);
+    const status = ['accept', 'decline'].includes(action) ? 'invited' : 'accepted';
+    let patients = await this.findPatients(phoneNumber, status);
+
+    if (name) {
+      patients = patients.filter(patient => patient.name.toLowerCase().startsWith(name));
+    }
+
+    if (patients.length === 0) return false;
+
+    if (['digest', 'alerts'].includes(action)) {
+      await this.updatePreferences(sender, patients, command);
+      return true;
+    }
+
+    if (patients.length > 1 && action !== 'revoke') {
+      const names = patients.map(patient => patient.name).join(', ');
+
+      await whatsappService.sendMessage(sender.whatsappId, {
+        text: `You have invitations from ${names}.\n\nPlease reply with the name, e.g. "${action} ${patients[0].name}".`,
+      });
+      return true;
+    }
+
+    for (const patient of patients) {
+      const caregiver = patient.caregivers.find(entry =>
+        entry.phoneNumber === phoneNumber && entry.consent?.status === status
+      );
+
+      if (action === 'accept') {
+        await this.acceptInvitation(sender, patient, caregiver);
+      } else {
+        await this.removeLink(sender, patient, caregiver, action);
+      }
+    }
+
+    return true;
+  }
+
+  async findPatients(phoneNumber, status) {
+    return User.find({
+      caregivers: {
+        $elemMatch: { phoneNumber, 'consent.status': status },
+      },
+    });
+  }
+
+  // Patients this number looks after, in a stable order for numbered lists
+  async getPatients(phoneNumber) {
+    const patients = await this.findPatients(phoneNumber, 'accepted');
+
+    return patients.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  getCaregiverEntry(patient, phoneNumber) {
+    return patient.caregivers.find(entry =>
+      entry.phoneNumber === phoneNumber && this.isActive(entry)
+    );
+  }
+
+  async acceptInvitation(sender, patient, caregiver) {
+    caregiver.consent.status = 'accepted';
+    caregiver.consent.acceptedAt = new Date();
+    await patient.save();
+
+    logger.info('Caregiver invitation accepted', {
+      userId: patient._id,
+      caregiverId: caregiver._id,
+    });
+
+    await whatsappService.sendMessage(sender.whatsappId, {
+      text: `✅ Thank you! I'll let you know if ${patient.name} misses an important dose.\n\nSend *STOP ALERTS* at any time to stop.`,
+    });
+
+    await whatsappService.sendMessage(patient.whatsappId, {
+      text: `✅ ${caregiver.name} accepted and is now your caregiver.`,
+    });
+  }
+
+  // A declined invitation or a caregiver stepping down removes the link
+  async removeLink(sender, patient, caregiver, action) {
+    patient.caregivers.pull(caregiver._id);
+    await patient.save();
+
+    logger.info(action === 'decline' ? 'Caregiver invitation declined' : 'Caregiver revoked link', {
+      userId: patient._id,
+      caregiverId: caregiver._id,
+    });
+
+    await whatsappService.sendMessage(sender.whatsappId, {
+      text: action === 'decline'
+        ? `OK, you won't receive any alerts about ${patient.name}.`
+        : `✅ You will no longer receive alerts about ${patient.name}.`,
+    });
+
+    await whatsappService.sendMessage(patient.whatsappId, {
+      text: action === 'decline'
+        ? `${caregiver.name} declined to be your caregiver.`
+        : `${caregiver.name} has stopped receiving your caregiver alerts.`,
+    });
+  }
+
+  // Digest and alert settings apply to every patient the caregiver follows
+  async updatePreferences(sender, patients, command) {
+    const phoneNumber = this.getPhoneNumber(sender);
+    let caregiver;
+
+    for (const patient of patients) {
+      caregiver = this.getCaregiverEntry(patient, phoneNumber);
+
+      if (command.action === 'alerts') {
+        caregiver.realtimeAlerts = command.enabled;
+      } else {
+        caregiver.digest.frequency = command.frequency;
+        caregiver.digest.time = command.time || caregiver.digest.time;
+        caregiver.digest.dayOfWeek = command.dayOfWeek ?? caregiver.digest.dayOfWeek;
+      }
+
+      await patient.save();
+    }
+
+    logger.info('Caregiver preferences updated', {
+      phoneNumber,
+      action: command.action,
+      patients: patients.length,
+    });
+
+    await whatsappService.sendMessage(sender.whatsappId, {
+      text: this.describePreferences(caregiver),
+    });
+  }
+
+  describePreferences(caregiver) {
+    const { frequency, time, dayOfWeek } = caregiver.digest;
+    const dayName = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][dayOfWeek];
+
+    const digest = {
+      off: "📋 Summaries are off. Send 'digest daily' or 'digest weekly' to get one.",
+      daily: `📋 You'll get a daily summary at ${time}.`,
+      weekly: `📋 You'll get a weekly summary on ${dayName} at ${time}.`,
+    }[frequency];
+
+    const alerts = caregiver.realtimeAlerts === false
+      ? "🔕 Real-time alerts are off. Send 'alerts on' to turn them back on."
+      : "🔔 Real-time alerts are on. Send 'alerts off' to only get summaries.";
+
+    return `${digest}\n${alerts}\n\nTimes are in the patient's timezone.`;
+  }
+
+  // Let someone know when a patient removes them as caregiver
+  async notifyRemoved(user, caregiver) {
+    try {
+      await whatsappService.sendMessage(caregiver.phoneNumber, {
+        text: caregiver.consent?.status === 'accepted'
+          ? `${user.name} has removed you as their caregiver. You will no longer receive alerts about them.`
+          : `${user.name} has withdrawn their caregiver invitation.`,
+      });
+    } catch (error) {
+      logger.error('Error notifying removed caregiver:', error);
+    }
+  }
+}
+
+export const caregiverService = new CaregiverService();
+export default caregiverService;
\ No newline at end of file
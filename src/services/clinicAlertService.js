@@ -0,0 +1,355 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { whatsappService } from './whatsappService.js';
+import { emailService } from './emailService.js';
+import { escalationQueue } from '../queues/escalationQueue.js';
+import Clinic from '../models/Clinic.js';
+import Escalation from '../models/Escalation.js';
+import User from '../models/User.js';
+import Medication from '../models/Medication.js';
+import Schedule from '../models/Schedule.js';
+import { logger } from '../utils/logger.js';
+
+// Minutes before each retry of failed deliveries
+const RETRY_MINUTES = [1, 5, 15];
+
+export const ACKNOWLEDGE_REPLY = 'ACK';
+
+class ClinicAlertService {
+  /**
+   * Send a level 5 alert to the user's clinic on every channel it has set
+   * up. Failed deliveries are retried in the background. Returns null when
+   * there is nobody at the clinic to alert.
+   */
+  async sendAlert(escalation, user, medication, schedule, now = new Date()) {
+    try {
+      const clinic = await Clinic.findById(user.subscription.clinicId);
+
+      if (!clinic || !clinic.isActive) {
+        logger.warn('No active clinic for alert', {
+          userId: user._id,
+          clinicId: user.subscription.clinicId,
+        });
+        return null;
+      }
+
+      const deliveries = this.getTargets(clinic, now)
+        .map(target => ({ ...target, status: 'pending', attempts: 0 }));
+
+      if (deliveries.length === 0) {
+        logger.warn('Clinic has no alert channels', { clinicId: clinic._id });
+        return null;
+      }
+
+      escalation.clinicAlert = { clinicId: clinic._id, deliveries };
+
+      await this.deliverPending(escalation, clinic, user, medication, schedule);
+      await this.scheduleRetry(escalation, clinic);
+
+      return escalation.clinicAlert;
+    } catch (error) {
+      logger.error('Error sending clinic alert:', error);
+      throw error;
+    }
+  }
+
+  getTargets(clinic, now = new Date()) {
+    const { channels = [], webhookUrl, emails = [] } = clinic.alerting || {};
+    const targets = [];
+
+    if (channels.includes('webhook') && webhookUrl) {
+      targets.push({ channel: 'webhook', target: webhookUrl });
+    }
+
+    if (channels.includes('email')) {
+      for (const email of emails) {
+        targets.push({ channel: 'email', target: email });
+      }
+    }
+
+    if (channels.includes('whatsapp')) {
+      for (const contact of clinic.getOnDutyContacts(now)) {
+        targets.push({ channel: 'whatsapp', target: contact.phoneNumber });
+      }
+    }
+
+    return targets;
+  }
+
+  // Try every delivery that has not gone out yet. Does not save.
+  async deliverPending(escalation, clinic, user, medication, schedule) {
+    const alert = escalation.clinicAlert;
+
+    if (alert.acknowledgedAt) return;
+
+    const payload = this.buildPayload(escalation, clinic, user, medication, schedule);
+
+    for (const delivery of alert.deliveries) {
+      if (!this.canRetry(delivery, clinic)) continue;
+
+      delivery.attempts = (delivery.attempts || 0) + 1;
+      delivery.lastAttemptAt = new Date();
+
+      try {
+        const sent = await this.deliver(delivery, payload, clinic);
+
+        delivery.status = 'sent';
+        delivery.sentAt = new Date();
+        delivery.messageSid = sent?.sid;
+        delivery.error = undefined;
+      } catch (error) {
+        logger.error('Clinic alert delivery failed', {
+          escalationId: escalation._id,
+          channel: delivery.channel,
+          attempt: delivery.attempts,
+          error: error.message,
+        });
+
+        delivery.status = 'failed';
+        delivery.error = error.message;
+      }
+    }
+  }
+
+  canRetry(delivery, clinic) {
+    return ['pending', 'failed'].includes(delivery.status) &&
+      (delivery.attempts || 0) < (clinic.alerting?.maxAttempts || 3);
+  }
+
+  async deliver(delivery, payload, clinic) {
+    switch (delivery.channel) {
+      case 'webhook':
+        return this.sendWebhook(delivery.target, payload, clinic.alerting.webhookSecret);
+      case 'email':
+        return emailService.sendEmail(delivery.target, {
+          subject: `Missed dose alert: ${payload.patient.name}`,
+          text: this.formatAlert(payload, { acknowledgeUrl: payload.acknowledgeUrl }),
+        });
+      case 'whatsapp':
+        return whatsappService.sendMessage(delivery.target, {
+          text: this.formatAlert(payload),
+          quickReplies: [ACKNOWLEDGE_REPLY],
+          statusCallback: process.env.SERVER_URL ? `${process.env.SERVER_URL}/webhook/status` : undefined,
+        });
+      default:
+        throw new Error(`Unknown alert channel: ${delivery.channel}`);
+    }
+  }
+
+  // Clinics verify the body with their webhook secret
+  async sendWebhook(url, payload, secret) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Alert-Timestamp': timestamp,
+    };
+
+    if (secret) {
+      headers['X-Alert-Signature'] = `sha256=${this.sign(`${timestamp}.${body}`, secret)}`;
+    }
+
+    await axios.post(url, body, { headers, timeout: 10000 });
+  }
+
+  sign(value, secret) {
+    return crypto.createHmac('sha256', secret).update(value).digest('hex');
+  }
+
+  buildPayload(escalation, clinic, user, medication, schedule) {
+    const details = medication.decryptSensitiveData();
+
+    return {
+      event: 'escalation.clinic_alert',
+      alertId: String(escalation._id),
+      clinicId: String(clinic._id),
+      level: escalation.level,
+      createdAt: (escalation.createdAt || new Date()).toISOString(),
+      patient: {
+        id: String(user._id),
+        name: user.name,
+        phoneNumber: user.phoneNumber,
+      },
+      medication: {
+        id: String(medication._id),
+        name: details?.name || medication.nickname,
+        dosage: details?.dosage,
+        critical: !!medication.medical?.criticalMedication,
+      },
+      dose: {
+        scheduleId: String(schedule._id),
+        scheduledTime: schedule.scheduledTime.toISOString(),
+        minutesOverdue: Math.max(0, Math.floor((Date.now() - schedule.scheduledTime) / 60000)),
+      },
+      acknowledgeUrl: this.getAcknowledgeUrl(escalation, clinic),
+    };
+  }
+
+  formatAlert(payload, { acknowledgeUrl } = {}) {
+    const { patient, medication, dose } = payload;
+    const overdue = dose.minutesOverdue < 120
+      ? `${dose.minutesOverdue} minutes`
+      : `${Math.floor(dose.minutesOverdue / 60)} hours`;
+
+    const lines = [
+      '🏥 *Missed dose alert*',
+      '',
+      `${patient.name} (${patient.phoneNumber}) has not taken ${medication.name}${medication.dosage ? ` ${medication.dosage}` : ''}, due ${overdue} ago.`,
+      medication.critical ? 'This is a critical medication.' : null,
+      'Reminders and caregivers have not been able to reach them.',
+      '',
+      acknowledgeUrl
+        ? `Acknowledge: ${acknowledgeUrl}`
+        : `Reply *${ACKNOWLEDGE_REPLY}* to let the team know you are following up.`,
+    ];
+
+    return lines.filter(line => line !== null).join('\n');
+  }
+
+  // Links carry a token so clinic systems can acknowledge without logging in.
+  // Without a key to sign with there is no link, and staff reply on WhatsApp.
+  getAcknowledgeUrl(escalation, clinic) {
+    const token = this.getAcknowledgeToken(escalation, clinic);
+
+    if (!process.env.SERVER_URL || !token) return undefined;
+
+    return `${process.env.SERVER_URL}/clinic/alerts/${escalation._id}/acknowledge?token=${token}`;
+  }
+
+  getAcknowledgeToken(escalation, clinic) {
+    const secret = clinic.alerting?.webhookSecret || process.env.JWT_SECRET;
+
+    if (!secret) return null;
+
+    return this.sign(String(escalation._id), secret);
+  }
+
+  verifyAcknowledgeToken(escalation, clinic, token) {
+    const key = this.getAcknowledgeToken(escalation, clinic);
+
+    if (!token || !key) return false;
+
+    const expected = Buffer.from(key);
+    const actual = Buffer.from(String(token));
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  async scheduleRetry(escalation, clinic) {
+    const pending = escalation.clinicAlert.deliveries.filter(delivery =>
+      delivery.status === 'failed' && this.canRetry(delivery, clinic)
+    );
+
+    if (pending.length === 0 || escalation.clinicAlert.acknowledgedAt) return null;
+
+    const attempts = Math.max(...pending.map(delivery => delivery.attempts));
+    const minutes = RETRY_MINUTES[Math.min(attempts, RETRY_MINUTES.length) - 1];
+
+    return escalationQueue.addClinicAlertRetry({
+      scheduleId: escalation.scheduleId,
+      escalationId: escalation._id,
+      scheduledFor: new Date(Date.now() + minutes * 60 * 1000),
+    });
+  }
+
+  // Run from the escalation queue
+  async retryDelivery(escalationId) {
+    try {
+      const escalation = await Escalation.findById(escalationId);
+
+      if (!escalation?.clinicAlert?.clinicId || escalation.clinicAlert.acknowledgedAt) {
+        return null;
+      }
+
+      const [clinic, user, medication, schedule] = await Promise.all([
+        Clinic.findById(escalation.clinicAlert.clinicId),
+        User.findById(escalation.userId),
+        Medication.findById(escalation.medicationId),
+        Schedule.findById(escalation.scheduleId),
+      ]);
+
+      if (!clinic || !user || !medication || !schedule) {
+        logger.warn('Clinic alert retry is missing data', { escalationId });
+        return null;
+      }
+
+      await this.deliverPending(escalation, clinic, user, medication, schedule);
+      await escalation.save();
+      await this.scheduleRetry(escalation, clinic);
+
+      return escalation;
+    } catch (error) {
+      logger.error('Error retrying clinic alert:', error);
+      throw error;
+    }
+  }
+
+  // Only the first acknowledgement is kept
+  async acknowledge(escalation, acknowledgedBy) {
+    try {
+      if (!escalation.clinicAlert.acknowledgedAt) {
+        escalation.clinicAlert.acknowledgedAt = new Date();
+        escalation.clinicAlert.acknowledgedBy = acknowledgedBy;
+        escalation.status = 'responded';
+        await escalation.save();
+
+        logger.info('Clinic alert acknowledged', {
+          escalationId: escalation._id,
+          acknowledgedBy,
+        });
+      }
+
+      return escalation;
+    } catch (error) {
+      logger.error('Error acknowledging clinic alert:', error);
+      throw error;
+    }
+  }
+
+  // The latest alert this staff member was messaged about that nobody has taken on
+  async findStaffAlert(phoneNumber) {
+    return Escalation.findOne({
+      'clinicAlert.deliveries': {
+        $elemMatch: {
+          channel: 'whatsapp',
+          target: phoneNumber,
+          status: { $in: ['sent', 'delivered'] },
+        },
+      },
+      'clinicAlert.acknowledgedAt': null,
+    }).sort({ createdAt: -1 });
+  }
+
+  // Delivery reports for WhatsApp alerts to staff. Messages that could not
+  // be delivered are retried like sends that failed outright.
+  async updateDelivery(messageSid, status) {
+    const update = { 'clinicAlert.deliveries.$.status': status };
+
+    if (status === 'failed') {
+      update['clinicAlert.deliveries.$.error'] = 'Not delivered';
+    }
+
+    const result = await Escalation.updateOne(
+      {
+        'clinicAlert.deliveries': {
+          $elemMatch: { messageSid, status: { $in: ['sent', 'delivered'] } },
+        },
+      },
+      { $set: update }
+    );
+
+    if (status === 'failed' && result.modifiedCount > 0) {
+      const escalation = await Escalation.findOne({ 'clinicAlert.deliveries.messageSid': messageSid });
+      const clinic = escalation && await Clinic.findById(escalation.clinicAlert.clinicId);
+
+      if (clinic) {
+        await this.scheduleRetry(escalation, clinic);
+      }
+    }
+
+    return result;
+  }
+}
+
+export const clinicAlertService = new ClinicAlertService();
+export default clinicAlertService;
\ No newline at end of file
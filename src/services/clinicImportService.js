@@ -0,0 +1,285 @@
+import { clinicService } from './clinicService.js';
+import { caregiverService } from './caregiverService.js';
+import { schedulerService } from './schedulerService.js';
+import { whatsappService } from './whatsappService.js';
+import User from '../models/User.js';
+import Medication from '../models/Medication.js';
+import { parseCsv } from '../utils/csv.js';
+import { resolveTimezone } from '../utils/timeZones.js';
+import { logger } from '../utils/logger.js';
+import { CONSTANTS } from '../config/constants.js';
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const DOSAGE_PATTERN = /\s+(\d+(?:\.\d+)?\s*(?:mg|mcg|g|ml|iu|units?))$/i;
+
+class ClinicImportService {
+  /**
+   * Enrol the patients in a CSV with columns phone, name, language,
+   * timezone, medications and caregiver. Safe to re-run with the same
+   * file: existing patients, medications, caregivers and invitations are
+   * left as they are. Rows that fail are reported and skipped.
+   *
+   *   medications: "Metformin 500mg @ 08:00|20:00; Aspirin @ 08:00"
+   *   caregiver:   "Sipho Dlamini: +27821234567: son"
+   */
+  async importPatients(clinic, csvText) {
+    if (!process.env.CLINIC_INVITE_TEMPLATE_SID) {
+      const error = new Error('CLINIC_INVITE_TEMPLATE_SID is not set');
+      error.status = 503;
+      throw error;
+    }
+
+    const rows = parseCsv(csvText);
+    const report = {
+      total: rows.length,
+      created: 0,
+      updated: 0,
+      medicationsAdded: 0,
+      invited: 0,
+      failed: [],
+    };
+
+    for (const row of rows) {
+      const { data, errors } = this.validateRow(row, clinic);
+
+      if (errors.length > 0) {
+        report.failed.push({ line: row.line, phone: row.phone, errors });
+        continue;
+      }
+
+      try {
+        await this.importRow(clinic, data, report);
+      } catch (error) {
+        logger.error('Error importing clinic patient:', error);
+        report.failed.push({ line: row.line, phone: data.phoneNumber, errors: [error.message] });
+      }
+    }
+
+    logger.info('Clinic import finished', {
+      clinicId: clinic._id,
+      total: report.total,
+      created: report.created,
+      failed: report.failed.length,
+    });
+
+    return report;
+  }
+
+  validateRow(row, clinic) {
+    const errors = [];
+    const phoneNumber = this.normalizePhone(row.phone);
+
+    if (!phoneNumber) {
+      errors.push(`Invalid phone number "${row.phone || ''}"`);
+    }
+
+    if (!row.name) {
+      errors.push('Name is required');
+    }
+
+    const language = (row.language || 'en').toLowerCase();
+
+    if (!CONSTANTS.LANGUAGES[language]) {
+      errors.push(`Unsupported language "${row.language}"`);
+    }
+
+    const timezone = row.timezone ? resolveTimezone(row.timezone) : clinic.timezone || 'UTC';
+
+    if (!timezone) {
+      errors.push(`Unknown timezone "${row.timezone}"`);
+    }
+
+    const medications = [];
+
+    for (const entry of (row.medications || '').split(';').filter(part => part.trim())) {
+      const medication = this.parseMedication(entry);
+
+      if (medication) {
+        medications.push(medication);
+      } else {
+        errors.push(`Could not read medication "${entry.trim()}"`);
+      }
+    }
+
+    let caregiver = null;
+
+    if (row.caregiver) {
+      caregiver = this.parseCaregiver(row.caregiver);
+
+      if (!caregiver) {
+        errors.push(`Could not read caregiver "${row.caregiver}"`);
+      } else if (caregiver.phoneNumber === phoneNumber) {
+        errors.push('Caregiver cannot be the patient');
+      }
+    }
+
+    return {
+      errors,
+      data: { phoneNumber, name: row.name, language, timezone, medications, caregiver },
+    };
+  }
+
+  // "+27 82 123 4567", "0027821234567" -> "+27821234567"
+  normalizePhone(value) {
+    const phone = (value || '').replace(/[\s\-().]/g, '').replace(/^00/, '+');
+
+    return /^\+[1-9]\d{7,14}$/.test(phone) ? phone : null;
+  }
+
+  // "Metformin 500mg @ 08:00|20:00"
+  parseMedication(entry) {
+    const [label, timesText] = entry.split('@').map(part => part?.trim());
+
+    if (!label || !timesText) return null;
+
+    const times = timesText.split(/[|\s]+/).filter(Boolean);
+
+    if (!times.every(time => TIME_PATTERN.test(time))) return null;
+
+    const dosage = label.match(DOSAGE_PATTERN)?.[1];
+
+    return {
+      name: dosage ? label.replace(DOSAGE_PATTERN, '').trim() : label,
+      dosage,
+      times: times.map(time => ({ time: time.padStart(5, '0') })),
+      frequency: 'daily',
+    };
+  }
+
+  // "Sipho Dlamini: +27821234567: son"
+  parseCaregiver(value) {
+    const [name, phone, relationship] = value.split(':').map(part => part.trim());
+    const phoneNumber = this.normalizePhone(phone);
+
+    if (!name || !phoneNumber) return null;
+
+    return { name, phoneNumber, relationship: relationship || undefined };
+  }
+
+  async importRow(clinic, data, report) {
+    let patient = await User.findOne({ phoneNumber: data.phoneNumber });
+
+    if (patient && String(patient.subscription.clinicId) !== String(clinic._id)) {
+      throw new Error(patient.subscription.clinicId
+        ? 'Already enrolled with another clinic'
+        : 'Already uses the service; they can link to the clinic from WhatsApp');
+    }
+
+    if (patient) {
+      // Details are only refreshed until the patient takes over
+      if (clinicService.isAwaitingOptIn(patient)) {
+        patient.name = data.name;
+        patient.language = data.language;
+        patient.timezone = data.timezone;
+      }
+      report.updated++;
+    } else {
+      patient = new User({
+        phoneNumber: data.phoneNumber,
+        whatsappId: `whatsapp:${data.phoneNumber}`,
+        name: data.name,
+        language: data.language,
+        timezone: data.timezone,
+        subscription: {
+          type: 'clinic',
+          clinicId: clinic._id,
+        },
+        metadata: {
+          source: 'clinic_import',
+          clinicCode: clinic.code,
+        },
+      });
+      report.created++;
+    }
+
+    if (data.caregiver && !patient.caregivers.some(entry => entry.phoneNumber === data.caregiver.phoneNumber)) {
+      // Invited once the patient opts in
+      patient.caregivers.push({ ...data.caregiver, consent: { status: 'invited' } });
+    }
+
+    await patient.save();
+
+    const existing = await Medication.find({ userId: patient._id, 'metadata.addedVia': 'clinic' });
+    const existingNames = new Set(existing.map(medication =>
+      (medication.decryptSensitiveData()?.name || medication.nickname).toLowerCase()
+    ));
+
+    for (const medication of data.medications) {
+      if (existingNames.has(medication.name.toLowerCase())) continue;
+
+      await clinicService.addMedication(patient, medication, {
+        clinicCode: clinic.code,
+        awaitingOptIn: clinicService.isAwaitingOptIn(patient),
+      });
+      existingNames.add(medication.name.toLowerCase());
+      report.medicationsAdded++;
+    }
+
+    if (clinicService.isAwaitingOptIn(patient) && !patient.metadata.invitedAt) {
+      await this.sendInvitation(clinic, patient);
+      report.invited++;
+    }
+  }
+
+  // Outside a 24 hour session WhatsApp only delivers approved templates
+  async sendInvitation(clinic, patient) {
+    try {
+      await whatsappService.sendTemplate(patient.phoneNumber, process.env.CLINIC_INVITE_TEMPLATE_SID, {
+        1: patient.name,
+        2: clinic.name,
+      });
+    } catch (error) {
+      throw new Error(`Invitation not sent: ${error.message}`);
+    }
+
+    patient.metadata.invitedAt = new Date();
+    await patient.save();
+  }
+
+  // The patient agreed to reminders: start their medication and invite
+  // the caregiver the clinic named
+  async activatePatient(patient) {
+    try {
+      const medications = await Medication.find({
+        userId: patient._id,
+        'metadata.awaitingOptIn': true,
+      });
+
+      for (const medication of medications) {
+        medication.metadata.awaitingOptIn = undefined;
+        await medication.save();
+        await schedulerService.resumeMedication(medication._id);
+      }
+
+      for (const caregiver of patient.caregivers) {
+        if (caregiver.consent?.status !== 'invited' || caregiver.consent.invitedAt) continue;
+
+        try {
+          await caregiverService.invite(patient, caregiver);
+          caregiver.consent.invitedAt = new Date();
+        } catch (error) {
+          logger.error('Error inviting imported caregiver:', error);
+        }
+      }
+
+      // The opt-in question told them the clinic sees their progress
+      patient.subscription.dataSharing = { status: 'granted', respondedAt: new Date() };
+      patient.state = CONSTANTS.USER_STATES.ACTIVE;
+      patient.flags.hasCompletedOnboarding = true;
+      await patient.save();
+
+      logger.info('Imported patient opted in', {
+        userId: patient._id,
+        medications: medications.length,
+      });
+
+      return medications;
+    } catch (error) {
+      logger.error('Error activating imported patient:', error);
+      throw error;
+    }
+  }
+}
+
+export const clinicImportService = new ClinicImportService();
+export default clinicImportService;
\ No newline at end of file
@@ -0,0 +1,299 @@
+import mongoose from 'mongoose';
+import { schedulerService } from './schedulerService.js';
+import { escalationService } from './escalationService.js';
+import { whatsappService } from './whatsappService.js';
+import User from '../models/User.js';
+import Clinic from '../models/Clinic.js';
+import Medication from '../models/Medication.js';
+import AdherenceLog from '../models/AdherenceLog.js';
+import { logger } from '../utils/logger.js';
+import { CONSTANTS } from '../config/constants.js';
+
+// Changes to any of these need new reminder schedules
+const SCHEDULE_FIELDS = ['times', 'frequency', 'daysOfWeek', 'startDate', 'endDate', 'duration'];
+
+class ClinicService {
+  async listPatients(clinicId, { page = 1, limit = 50 } = {}) {
+    const filter = { 'subscription.clinicId': clinicId };
+
+    const [patients, total] = await Promise.all([
+      User.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    return { patients, total, page, limit };
+  }
+
+  // Patients outside the clinic are treated as not found
+  async getPatient(clinicId, userId) {
+    if (!mongoose.isValidObjectId(userId)) return null;
+
+    return User.findOne({ _id: userId, 'subscription.clinicId': clinicId });
+  }
+
+  isAwaitingOptIn(patient) {
+    return patient.state === CONSTANTS.USER_STATES.NEW && patient.metadata?.source === 'clinic_import';
+  }
+
+  async findByCode(code) {
+    if (!code) return null;
+
+    return Clinic.findOne({ code: code.toUpperCase(), isActive: true });
+  }
+
+  // WhatsApp click-to-chat link that opens a chat with "join <code>" typed
+  getJoinLink(clinic) {
+    const number = (process.env.TWILIO_WHATSAPP_NUMBER || '').replace(/\D/g, '');
+
+    return `https://wa.me/${number}?text=${encodeURIComponent(`join ${clinic.code}`)}`;
+  }
+
+  // A patient linking themselves with the clinic code. Takes on the
+  // clinic's default settings; sharing adherence waits for their consent.
+  async linkPatient(patient, clinic, { referredBy } = {}) {
+    try {
+      const previousClinicId = patient.subscription.clinicId;
+
+      patient.subscription.clinicId = clinic._id;
+      patient.subscription.dataSharing = { status: 'pending', askedAt: new Date() };
+
+      // Paying users keep their plan
+      if (!patient.isSubscribed()) {
+        patient.subscription.type = 'clinic';
+      }
+
+      patient.metadata.clinicCode = clinic.code;
+      patient.metadata.referredBy = patient.metadata.referredBy || referredBy || clinic.code;
+
+      const defaults = clinic.defaults || {};
+
+      if (defaults.privacyLevel) {
+        patient.settings.defaultPrivacyLevel = defaults.privacyLevel;
+      }
+
+      for (const setting of ['escalationEnabled', 'voiceReminders']) {
+        if (typeof defaults[setting] === 'boolean') {
+          patient.settings[setting] = defaults[setting];
+        }
+      }
+
+      await patient.save();
+
+      logger.info('Patient linked to clinic', {
+        userId: patient._id,
+        clinicId: clinic._id,
+        previousClinicId,
+      });
+
+      return patient;
+    } catch (error) {
+      logger.error('Error linking patient to clinic:', error);
+      throw error;
+    }
+  }
+
+  async setDataSharing(patient, granted) {
+    patient.subscription.dataSharing = {
+      ...patient.subscription.dataSharing,
+      status: granted ? 'granted' : 'declined',
+      respondedAt: new Date(),
+    };
+
+    await patient.save();
+
+    logger.info('Clinic data sharing answered', { userId: patient._id, granted });
+  }
+
+  // Patients linked before consent was asked for keep sharing
+  canShareData(patient) {
+    return !['pending', 'declined'].includes(patient.subscription?.dataSharing?.status);
+  }
+
+  async getMedications(patient) {
+    return Medication.find({ userId: patient._id }).sort({ createdAt: 1 });
+  }
+
+  async getMedication(patient, medicationId) {
+    if (!mongoose.isValidObjectId(medicationId)) return null;
+
+    return Medication.findOne({ _id: medicationId, userId: patient._id });
+  }
+
+  async getAdherence(patient, days) {
+    return AdherenceLog.calculateAdherence(patient._id, days);
+  }
+
+  async getEscalations(patient, days) {
+    return escalationService.getEscalationHistory(patient._id, days);
+  }
+
+  // Imported patients who have not opted in yet get their medication
+  // paused, so no reminders go out before they agree
+  async addMedication(patient, data, { clinicCode, awaitingOptIn = false } = {}) {
+    try {
+      const medication = new Medication({
+        userId: patient._id,
+        nickname: (data.nickname || data.name).slice(0, CONSTANTS.LIMITS.MAX_NICKNAME_LENGTH),
+        encryptedData: {
+          form: data.form,
+        },
+        schedule: {
+          times: data.times,
+          frequency: data.frequency,
+          daysOfWeek: data.daysOfWeek,
+          startDate: data.startDate || new Date(),
+          endDate: data.endDate,
+          duration: data.duration,
+        },
+        privacyLevel: data.privacyLevel ?? patient.settings.defaultPrivacyLevel,
+        medical: {
+          purpose: data.purpose,
+          criticalMedication: data.critical ?? false,
+          prescribedBy: data.prescribedBy,
+        },
+        status: awaitingOptIn ? 'paused' : 'active',
+        metadata: {
+          addedVia: 'clinic',
+          notes: data.notes,
+          clinicCode,
+          awaitingOptIn: awaitingOptIn || undefined,
+        },
+      });
+
+      // The real name is only ever stored encrypted
+      medication.encryptedData.actualName = medication.encryptSensitiveData({
+        name: data.name,
+        dosage: data.dosage,
+      });
+
+      await medication.save();
+      await this.updateMedicationCount(patient);
+
+      logger.info('Medication added by clinic', {
+        userId: patient._id,
+        medicationId: medication._id,
+        awaitingOptIn,
+      });
+
+      if (awaitingOptIn) return medication;
+
+      await schedulerService.createSchedules(medication);
+      await this.notifyPatient(patient, `🏥 Your clinic added ${medication.getDisplayName()} to your reminders at ${this.formatTimes(medication)}.\n\nSend 'status' to see all your medications.`);
+
+      return medication;
+    } catch (error) {
+      logger.error('Error adding medication for clinic:', error);
+      throw error;
+    }
+  }
+
+  async updateMedication(patient, medication, changes) {
+    try {
+      const scheduleChanged = SCHEDULE_FIELDS.some(field => changes[field] !== undefined);
+      const previousStatus = medication.status;
+
+      for (const field of SCHEDULE_FIELDS) {
+        if (changes[field] !== undefined) {
+          medication.schedule[field] = changes[field];
+        }
+      }
+
+      if (changes.nickname !== undefined) medication.nickname = changes.nickname;
+      if (changes.privacyLevel !== undefined) medication.privacyLevel = changes.privacyLevel;
+      if (changes.purpose !== undefined) medication.medical.purpose = changes.purpose;
+      if (changes.critical !== undefined) medication.medical.criticalMedication = changes.critical;
+      if (changes.prescribedBy !== undefined) medication.medical.prescribedBy = changes.prescribedBy;
+      if (changes.notes !== undefined) medication.metadata.notes = changes.notes;
+
+      if (changes.name !== undefined || changes.dosage !== undefined) {
+        const current = medication.decryptSensitiveData() || {};
+
+        medication.encryptedData.actualName = medication.encryptSensitiveData({
+          name: changes.name ?? current.name,
+          dosage: changes.dosage ?? current.dosage,
+        });
+      }
+
+      // Pausing keeps the schedules so resuming can pick them back up
+      const pausing = changes.status === 'paused' && previousStatus !== 'paused';
+      const resuming = changes.status === 'active' && previousStatus === 'paused';
+      const statusChanged = !!changes.status && changes.status !== previousStatus;
+
+      if (statusChanged && !pausing && !resuming) {
+        medication.status = changes.status;
+      }
+
+      await medication.save();
+
+      if (pausing) {
+        await schedulerService.pauseMedication(medication._id);
+        medication.status = 'paused';
+      } else if (resuming) {
+        await schedulerService.resumeMedication(medication._id);
+        medication.status = 'active';
+      }
+
+      if (scheduleChanged || (statusChanged && !pausing && !resuming)) {
+        await schedulerService.regenerateSchedules(medication);
+      }
+
+      await this.updateMedicationCount(patient);
+
+      logger.info('Medication updated by clinic', {
+        userId: patient._id,
+        medicationId: medication._id,
+        fields: Object.keys(changes),
+      });
+
+      if (scheduleChanged || statusChanged) {
+        await this.notifyPatient(patient, this.describeUpdate(medication, changes));
+      }
+
+      return Medication.findById(medication._id);
+    } catch (error) {
+      logger.error('Error updating medication for clinic:', error);
+      throw error;
+    }
+  }
+
+  describeUpdate(medication, changes) {
+    const name = medication.getDisplayName();
+
+    switch (changes.status) {
+      case 'paused':
+        return `🏥 Your clinic paused your reminders for ${name}.`;
+      case 'completed':
+      case 'discontinued':
+        return `🏥 Your clinic stopped ${name}. You won't get reminders for it any more.`;
+      default:
+        return `🏥 Your clinic updated ${name}. I'll remind you at ${this.formatTimes(medication)}.`;
+    }
+  }
+
+  formatTimes(medication) {
+    return medication.schedule.times.map(time => time.time).join(', ');
+  }
+
+  async updateMedicationCount(patient) {
+    patient.stats.totalMedications = await Medication.countDocuments({
+      userId: patient._id,
+      status: 'active',
+    });
+    await patient.save();
+  }
+
+  // The change has been made either way
+  async notifyPatient(patient, text) {
+    try {
+      await whatsappService.sendMessage(patient.whatsappId, { text });
+    } catch (error) {
+      logger.error('Error notifying patient of clinic change:', error);
+    }
+  }
+}
+
+export const clinicService = new ClinicService();
+export default clinicService;
\ No newline at end of file
@@ -0,0 +1,124 @@
+import ConversationSession from '../models/ConversationSession.js';
+import { logger } from '../utils/logger.js';
+import { CONSTANTS } from '../config/constants.js';
+
+class ConversationService {
+  async getSession(userId) {
+    try {
+      const session = await ConversationSession.findOne({ userId });
+
+      if (!session) return null;
+
+      // TTL cleanup runs only once a minute, so check expiry ourselves
+      if (session.isExpired()) {
+        await ConversationSession.deleteOne({ _id: session._id });
+        logger.info('Conversation session expired', {
+          userId,
+          flow: session.flow,
+        });
+        return null;
+      }
+
+      return session;
+    } catch (error) {
+      logger.error('Error loading conversation session:', error);
+      throw error;
+    }
+  }
+
+  async startSession(userId, flow, step, data = {}) {
+    try {
+      const session = await ConversationSession.findOneAndUpdate(
+        { userId },
+        {
+          userId,
+          flow,
+          step,
+          data,
+          history: [],
+          expiresAt: this.getExpiry(),
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      logger.info('Conversation session started', { userId, flow, step });
+
+      return session;
+    } catch (error) {
+      logger.error('Error starting conversation session:', error);
+      throw error;
+    }
+  }
+
+  async advanceSession(session, step, data = {}) {
+    session.history.push({ step: session.step, data: session.data });
+    session.step = step;
+    session.data = { ...session.data, ...data };
+    session.expiresAt = this.getExpiry();
+    session.markModified('data');
+    await session.save();
+
+    return session;
+  }
+
+  async updateSessionData(session, data) {
+    session.data = { ...session.data, ...data };
+    session.expiresAt = this.getExpiry();
+    session.markModified('data');
+    await session.save();
+
+    return session;
+  }
+
+  async goBack(session) {
+    const previous = session.history.pop();
+
+    if (!previous) return null;
+
+    session.step = previous.step;
+    session.data = previous.data || {};
+    session.expiresAt = this.getExpiry();
+    session.markModified('data');
+    await session.save();
+
+    return session;
+  }
+
+  async endSession(userId) {
+    try {
+      await ConversationSession.deleteOne({ userId });
+    } catch (error) {
+      logger.error('Error ending conversation session:', error);
+      throw error;
+    }
+  }
+
+  getExpiry() {
+    return new Date(Date.now() + CONSTANTS.TIMEOUTS.SESSION_TIMEOUT);
+  }
+
+  isCancelCommand(message) {
+    return ['cancel', 'stop', 'exit', 'quit'].includes(message.toLowerCase().trim());
+  }
+
+  isBackCommand(message) {
+    return ['back', 'previous', 'go back'].includes(message.toLowerCase().trim());
+  }
+
+  // Map a reply onto one of the quick replies we offered. Quick replies are
+  // sent as a numbered list, so accept either the number or the text.
+  matchQuickReply(message, options = []) {
+    const reply = message.trim();
+    const lowerReply = reply.toLowerCase();
+
+    if (/^\d+$/.test(reply)) {
+      const index = parseInt(reply, 10) - 1;
+      return options[index] ?? null;
+    }
+
+    return options.find(option => option.toLowerCase() === lowerReply) ?? null;
+  }
+}
+
+export const conversationService = new ConversationService();
+export default conversationService;
\ No newline at end of file
@@ -0,0 +1,186 @@
+import moment from 'moment-timezone';
+import { whatsappService } from './whatsappService.js';
+import { caregiverService } from './caregiverService.js';
+import User from '../models/User.js';
+import AdherenceLog from '../models/AdherenceLog.js';
+import Escalation from '../models/Escalation.js';
+import { CONSTANTS } from '../config/constants.js';
+import { getValidTimezone, getLocalDate, localTimeToDate } from '../utils/timeZones.js';
+import { logger } from '../utils/logger.js';
+
+const FREQUENCIES = ['daily', 'weekly'];
+
+class DigestService {
+  // Run periodically; sends each caregiver digest once its time has passed
+  async sendDueDigests(now = new Date()) {
+    const patients = await User.find({
+      caregivers: {
+        $elemMatch: {
+          'consent.status': 'accepted',
+          'digest.frequency': { $in: FREQUENCIES },
+        },
+      },
+    });
+
+    let sent = 0;
+
+    for (const patient of patients) {
+      const zone = getValidTimezone(patient.timezone);
+      let changed = false;
+
+      for (const caregiver of patient.caregivers) {
+        const dueAt = this.getDueTime(caregiver, zone, now);
+
+        if (!dueAt) continue;
+
+        try {
+          const unit = caregiver.digest.frequency === 'weekly' ? 'week' : 'day';
+          const from = moment.tz(dueAt, zone).subtract(1, unit).toDate();
+
+          await this.sendDigest(patient, caregiver, from, dueAt);
+
+          caregiver.digest.lastSentAt = now;
+          changed = true;
+          sent++;
+        } catch (error) {
+          logger.error('Error sending caregiver digest:', error);
+        }
+      }
+
+      if (changed) {
+        await patient.save();
+      }
+    }
+
+    logger.info('Caregiver digests sent', { count: sent });
+
+    return sent;
+  }
+
+  // Today's digest time, once it has passed and the digest has not gone out
+  getDueTime(caregiver, zone, now) {
+    const { frequency, time, dayOfWeek, lastSentAt } = caregiver.digest || {};
+
+    if (!caregiverService.isActive(caregiver) || !FREQUENCIES.includes(frequency)) {
+      return null;
+    }
+
+    if (frequency === 'weekly' && moment.tz(now, zone).day() !== dayOfWeek) {
+      return null;
+    }
+
+    const dueAt = localTimeToDate(getLocalDate(now, zone), time, zone);
+
+    if (dueAt > now || (lastSentAt && lastSentAt >= dueAt)) {
+      return null;
+    }
+
+    return dueAt;
+  }
+
+  async sendDigest(patient, caregiver, from, to) {
+    const text = await this.buildDigest(patient, caregiver, from, to);
+
+    await whatsappService.sendMessage(caregiver.phoneNumber, { text });
+
+    logger.info('Caregiver digest sent', {
+      userId: patient._id,
+      caregiverId: caregiver._id,
+      frequency: caregiver.digest.frequency,
+    });
+  }
+
+  async buildDigest(patient, caregiver, from, to) {
+    const logs = await AdherenceLog.find({
+      userId: patient._id,
+      createdAt: { $gte: from, $lt: to },
+    }).populate('medicationId');
+
+    const escalations = await Escalation.find({
+      userId: patient._id,
+      createdAt: { $gte: from, $lt: to },
+    });
+
+    const zone = getValidTimezone(patient.timezone);
+    const title = caregiver.digest.frequency === 'weekly' ? 'Weekly' : 'Daily';
+    const period = caregiver.digest.frequency === 'weekly'
+      ? `${moment.tz(from, zone).format('D MMM')} - ${moment.tz(to, zone).format('D MMM')}`
+      : moment.tz(from, zone).format('ddd D MMM');
+
+    const lines = [`📋 *${title} summary for ${patient.name}*`, period, ''];
+
+    if (logs.length === 0) {
+      lines.push('No doses were recorded in this period.');
+      return lines.join('\n');
+    }
+
+    const totals = this.countStatuses(logs);
+
+    lines.push(
+      `✅ Taken: ${totals.taken}`,
+      `❌ Missed: ${totals.missed}`,
+      `⏰ Snoozed: ${totals.snoozed}`,
+      `⏭️ Skipped: ${totals.skipped}`,
+      ''
+    );
+
+    for (const [name, counts] of this.groupByMedication(logs)) {
+      const parts = ['taken', 'missed', 'snoozed', 'skipped']
+        .filter(status => counts[status] > 0)
+        .map(status => `${counts[status]} ${status}`);
+
+      lines.push(`• ${name}: ${parts.join(', ')}`);
+    }
+
+    const alerts = escalations.filter(escalation => ['caregiver', 'clinic'].includes(escalation.type));
+
+    if (alerts.length > 0) {
+      lines.push('', `🚨 Caregiver or clinic alerts: ${alerts.length}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  countStatuses(logs) {
+    const counts = { taken: 0, missed: 0, snoozed: 0, skipped: 0 };
+
+    for (const log of logs) {
+      // Late doses were still taken
+      const status = log.status === 'late' ? 'taken' : log.status;
+
+      if (status in counts) {
+        counts[status]++;
+      }
+    }
+
+    return counts;
+  }
+
+  groupByMedication(logs) {
+    const groups = new Map();
+
+    for (const log of logs) {
+      const name = log.medicationId ? this.getMedicationName(log.medicationId) : 'Removed medication';
+
+      if (!groups.has(name)) {
+        groups.set(name, []);
+      }
+      groups.get(name).push(log);
+    }
+
+    return [...groups].map(([name, group]) => [name, this.countStatuses(group)]);
+  }
+
+  // Caregivers are told they won't learn which medicines the patient takes,
+  // so levels that reveal the real name fall back to the nickname
+  getMedicationName(medication) {
+    if (medication.privacyLevel >= CONSTANTS.PRIVACY_LEVELS.GENERIC_NAME) {
+      return medication.nickname || 'Medication';
+    }
+
+    return medication.getDisplayName();
+  }
+}
+
+export const digestService = new DigestService();
+export default digestService;
\ No newline at end of file
@@ -0,0 +1,40 @@
+import axios from 'axios';
+import { logger } from '../utils/logger.js';
+
+const SENDGRID_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+class EmailService {
+  isConfigured() {
+    return !!process.env.SENDGRID_API_KEY && !!process.env.EMAIL_FROM;
+  }
+
+  async sendEmail(to, { subject, text }) {
+    if (!this.isConfigured()) {
+      throw new Error('Email is not configured');
+    }
+
+    try {
+      await axios.post(
+        SENDGRID_URL,
+        {
+          personalizations: [{ to: [{ email: to }] }],
+          from: { email: process.env.EMAIL_FROM },
+          subject,
+          content: [{ type: 'text/plain', value: text }],
+        },
+        {
+          headers: { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` },
+          timeout: 10000,
+        }
+      );
+
+      logger.info('Email sent', { to, subject });
+    } catch (error) {
+      logger.error('Failed to send email:', error);
+      throw error;
+    }
+  }
+}
+
+export const emailService = new EmailService();
+export default emailService;
\ No newline at end of file
@@ -1,18 +1,42 @@
 import { escalationQueue } from '../queues/escalationQueue.js';
+import { clinicAlertService } from './clinicAlertService.js';
 import Escalation from '../models/Escalation.js';
+import EscalationPolicy from '../models/EscalationPolicy.js';
 import Schedule from '../models/Schedule.js';
 import { logger } from '../utils/logger.js';
 import { CONSTANTS } from '../config/constants.js';
 
+// Used when neither the medication, the user nor their clinic has a policy
+const DEFAULT_POLICY = {
+  name: 'Default',
+  steps: [
+    { action: 'urgent', delayMinutes: 30 },
+    { action: 'voice_reminder', delayMinutes: 15 },
+    { action: 'voice_call', delayMinutes: 15 },
+    { action: 'caregiver', delayMinutes: 10, fallbackMinutes: 15 },
+    { action: 'clinic', delayMinutes: 5 },
+  ],
+  stopConditions: {
+    criticalOnly: false,
+    missedAfterMinutes: 30,
+  },
+};
+
+// Caregivers' alertLevel is on the built-in policy's scale, where the first
+// caregiver step is this level
+const DEFAULT_CAREGIVER_LEVEL = DEFAULT_POLICY.steps.findIndex(step => step.action === 'caregiver') + 1;
+
 class EscalationService {
-  async scheduleEscalation(scheduleId, level) {
+  // notBefore holds escalation back, e.g. until quiet hours end
+  async scheduleEscalation(scheduleId, level, { notBefore, policy, medication } = {}) {
     try {
-      const delay = this.getEscalationDelay(level);
+      const delay = this.getEscalationDelay(level, policy, medication);
+      const from = Math.max(Date.now(), notBefore ? notBefore.getTime() : 0);
       
       await escalationQueue.addEscalation({
         scheduleId,
         level,
-        scheduledFor: new Date(Date.now() + delay),
+        scheduledFor: new Date(from + delay),
       });
       
       logger.info('Escalation scheduled', {
@@ -26,33 +50,96 @@ class EscalationService {
     }
   }
   
-  getEscalationDelay(level) {
-    const delays = {
-      1: 30 * 60 * 1000,    // 30 minutes
-      2: 15 * 60 * 1000,    // 15 minutes
-      3: 15 * 60 * 1000,    // 15 minutes
-      4: 10 * 60 * 1000,    // 10 minutes
-      5: 5 * 60 * 1000,     // 5 minutes
-    };
+  // The most specific active policy wins: medication, then user, then the
+  // user's clinic
+  async getPolicy(user, medication) {
+    const policyIds = [
+      medication?.settings?.escalationPolicyId,
+      user?.settings?.escalationPolicyId,
+    ].filter(Boolean);
+    
+    for (const policyId of policyIds) {
+      const policy = await EscalationPolicy.findOne({ _id: policyId, isActive: true });
+      if (policy) return policy;
+    }
+    
+    const clinicId = user?.subscription?.clinicId;
+    
+    if (clinicId) {
+      const policy = await EscalationPolicy.findOne({
+        clinicId,
+        isClinicDefault: true,
+        isActive: true,
+      });
+      if (policy) return policy;
+    }
+    
+    return DEFAULT_POLICY;
+  }
+  
+  getSteps(policy = DEFAULT_POLICY, medication) {
+    if (policy.stopConditions?.criticalOnly && !medication?.medical?.criticalMedication) {
+      return [];
+    }
+    
+    return policy.steps.slice(0, this.getMaxEscalationLevel());
+  }
+  
+  // The step for a level, or null once the policy has run out
+  getStep(level, policy = DEFAULT_POLICY, medication) {
+    return this.getSteps(policy, medication)[level - 1] || null;
+  }
+  
+  // Delay before a level runs. The job after the last step closes the dose
+  // as missed, so it waits missedAfterMinutes instead.
+  getEscalationDelay(level, policy = DEFAULT_POLICY, medication) {
+    const step = this.getStep(level, policy, medication);
+    const minutes = step
+      ? step.delayMinutes
+      : policy.stopConditions?.missedAfterMinutes ?? DEFAULT_POLICY.stopConditions.missedAfterMinutes;
     
-    return delays[level] || 30 * 60 * 1000;
+    return minutes * 60 * 1000;
   }
   
-  async cancelEscalation(scheduleId) {
+  // Whether a caregiver is alerted at this level. Other policies are matched
+  // caregiver step for caregiver step, so the default alertLevel means the
+  // policy's first caregiver step and each level above it one step later.
+  isCaregiverDue(alertLevel = DEFAULT_CAREGIVER_LEVEL, level, policy = DEFAULT_POLICY, medication) {
+    const caregiverSteps = this.getSteps(policy, medication)
+      .slice(0, level)
+      .filter(step => step.action === 'caregiver')
+      .length;
+    
+    return caregiverSteps >= Math.max(1, alertLevel - DEFAULT_CAREGIVER_LEVEL + 1);
+  }
+  
+  getMaxEscalationLevel() {
+    const configured = parseInt(process.env.MAX_ESCALATION_LEVEL, 10);
+    
+    if (!configured || configured < 1) {
+      return CONSTANTS.LIMITS.MAX_ESCALATION_LEVEL;
+    }
+    
+    return Math.min(configured, CONSTANTS.LIMITS.MAX_ESCALATION_LEVEL);
+  }
+  
+  // Called on any response to the dose: stops the queued levels and marks
+  // the escalations that went out as responded
+  async cancelEscalation(scheduleId, { resolvedBy = 'user', outcome } = {}) {
     try {
       await escalationQueue.removeByScheduleId(scheduleId);
       
-      // Mark any pending escalations as cancelled
       await Escalation.updateMany(
         {
           scheduleId,
-          status: 'pending',
+          status: { $in: ['pending', 'sent', 'delivered'] },
         },
         {
-          status: 'cancelled',
+          status: 'responded',
           'resolution.resolved': true,
           'resolution.resolvedAt': new Date(),
-          'resolution.resolvedBy': 'user',
+          'resolution.resolvedBy': resolvedBy,
+          'resolution.outcome': outcome,
         }
       );
       
@@ -63,6 +150,140 @@ class EscalationService {
     }
   }
   
+  // Close any escalation still open for a dose that ran out of time
+  async resolveEscalations(scheduleId, { resolvedBy, outcome }) {
+    try {
+      await escalationQueue.removeByScheduleId(scheduleId);
+      
+      const result = await Escalation.updateMany(
+        {
+          scheduleId,
+          'resolution.resolved': { $ne: true },
+        },
+        {
+          'resolution.resolved': true,
+          'resolution.resolvedAt': new Date(),
+          'resolution.resolvedBy': resolvedBy,
+          'resolution.outcome': outcome,
+        }
+      );
+      
+      logger.info('Escalations resolved', {
+        scheduleId,
+        resolvedBy,
+        count: result.modifiedCount,
+      });
+    } catch (error) {
+      logger.error('Error resolving escalations:', error);
+      throw error;
+    }
+  }
+  
+  // Twilio status callbacks move sent escalations to delivered or failed
+  async updateDeliveryStatus(messageSid, messageStatus) {
+    const statuses = {
+      delivered: 'delivered',
+      read: 'delivered',
+      failed: 'failed',
+      undelivered: 'failed',
+    };
+    const status = statuses[messageStatus];
+    
+    if (!status) return null;
+    
+    await this.updateCaregiverDelivery(messageSid, status);
+    await clinicAlertService.updateDelivery(messageSid, status);
+    
+    const escalation = await Escalation.findOneAndUpdate(
+      {
+        'attempts.messageSid': messageSid,
+        status: { $in: ['sent', 'delivered'] },
+      },
+      { status },
+      { new: true }
+    );
+    
+    if (escalation) {
+      logger.info('Escalation delivery updated', {
+        escalationId: escalation._id,
+        status,
+      });
+    }
+    
+    return escalation;
+  }
+  
+  // Caregiver messages are tracked per caregiver as well. An acknowledged
+  // caregiver is never moved back to delivered.
+  async updateCaregiverDelivery(messageSid, status) {
+    const update = { 'caregivers.$.status': status };
+    
+    if (status === 'delivered') {
+      update['caregivers.$.deliveredAt'] = new Date();
+    }
+    
+    return Escalation.updateOne(
+      {
+        caregivers: {
+          $elemMatch: {
+            messageSid,
+            status: { $in: status === 'delivered' ? ['sent'] : ['sent', 'delivered'] },
+          },
+        },
+      },
+      { $set: update }
+    );
+  }
+  
+  // Try the next caregiver in line unless this one acknowledges in time
+  async scheduleCaregiverFallback(escalation, minutes) {
+    try {
+      await escalationQueue.addCaregiverFallback({
+        scheduleId: escalation.scheduleId,
+        escalationId: escalation._id,
+        scheduledFor: new Date(Date.now() + minutes * 60 * 1000),
+      });
+    } catch (error) {
+      logger.error('Error scheduling caregiver fallback:', error);
+      throw error;
+    }
+  }
+  
+  // The latest unresolved alert this caregiver was messaged about
+  async findCaregiverAlert(phoneNumber) {
+    return Escalation.findOne({
+      caregivers: {
+        $elemMatch: {
+          phoneNumber,
+          status: { $in: ['sent', 'delivered', 'acknowledged'] },
+        },
+      },
+      'resolution.resolved': { $ne: true },
+    }).sort({ createdAt: -1 });
+  }
+  
+  // Record a caregiver's reply. Their latest reply is kept, but the time of
+  // the first one stops the fallback to the next caregiver.
+  async acknowledgeCaregiver(escalation, phoneNumber, response) {
+    const caregiver = escalation.caregivers.find(entry =>
+      entry.phoneNumber === phoneNumber && ['sent', 'delivered', 'acknowledged'].includes(entry.status)
+    );
+    
+    if (!caregiver) return null;
+    
+    caregiver.status = 'acknowledged';
+    caregiver.acknowledgedAt = caregiver.acknowledgedAt || new Date();
+    caregiver.response = response;
+    await escalation.save();
+    
+    logger.info('Caregiver acknowledged escalation', {
+      escalationId: escalation._id,
+      caregiverId: caregiver.caregiverId,
+    });
+    
+    return escalation;
+  }
+  
   async getEscalationHistory(userId, days = 30) {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
@@ -107,7 +328,7 @@ class EscalationService {
       analysis.byMedication[medId].count++;
       
       // Count caregiver interventions
-      if (escalation.caregiver.notified) {
+      if (escalation.caregivers.some(caregiver => caregiver.notifiedAt)) {
         analysis.caregiverInterventions++;
       }
     }
@@ -1,32 +1,58 @@
 import Schedule from '../models/Schedule.js';
 import Medication from '../models/Medication.js';
+import User from '../models/User.js';
 import { reminderQueue } from '../queues/reminderQueue.js';
 import { logger } from '../utils/logger.js';
+import { CONSTANTS } from '../config/constants.js';
+import { getValidTimezone, localTimeToDate } from '../utils/timeZones.js';
 import moment from 'moment-timezone';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class SchedulerService {
+  // Only the next few days are materialised; topUpSchedules extends the
+  // horizon daily, so ongoing medications never need an end date
   async createSchedules(medication) {
     try {
       const schedules = [];
       const user = await User.findById(medication.userId);
-      const timezone = user.timezone || 'UTC';
       
-      // Generate schedules for the duration
-      const startDate = medication.schedule.startDate || new Date();
-      const endDate = medication.schedule.endDate || 
-        new Date(startDate.getTime() + medication.schedule.duration * 24 * 60 * 60 * 1000);
+      // The user may have been deleted since the medication was added
+      if (!user) {
+        logger.warn('Skipping schedules for missing user', {
+          medicationId: medication._id,
+          userId: medication.userId,
+        });
+        return schedules;
+      }
+      
+      const timezone = getValidTimezone(user.timezone);
+      
+      const now = new Date();
+      const startDate = medication.schedule.startDate || now;
+      const endDate = this.getEndDate(medication);
+      const horizon = new Date(now.getTime() + CONSTANTS.LIMITS.SCHEDULE_HORIZON_DAYS * DAY_MS);
+      const until = endDate && endDate < horizon ? endDate : horizon;
+      
+      // Skip doses that were already generated by an earlier run
+      const existing = await Schedule.find(
+        { medicationId: medication._id, scheduledTime: { $gt: now, $lte: until } },
+        'scheduledTime'
+      );
+      const existingTimes = new Set(existing.map(schedule => schedule.scheduledTime.getTime()));
       
-      let currentDate = new Date(startDate);
+      // Walk the user's calendar days, not the server's
+      const currentDay = moment.tz(Math.max(startDate.getTime(), now.getTime()), timezone).startOf('day');
       
-      while (currentDate <= endDate) {
+      while (currentDay.toDate() <= until) {
         // Check if this day should have reminders
-        if (this.shouldScheduleToday(medication, currentDate)) {
+        if (this.shouldScheduleToday(medication, currentDay.toDate(), timezone)) {
           // Create schedule for each time slot
           for (const timeSlot of medication.schedule.times) {
-            const scheduledTime = this.getScheduledTime(currentDate, timeSlot.time, timezone);
+            const scheduledTime = this.getScheduledTime(currentDay.format('YYYY-MM-DD'), timeSlot.time, timezone);
             
-            // Only create future schedules
-            if (scheduledTime > new Date()) {
+            // Only create future schedules within the horizon
+            if (scheduledTime > now && scheduledTime <= until && !existingTimes.has(scheduledTime.getTime())) {
               const schedule = await Schedule.create({
                 userId: medication.userId,
                 medicationId: medication._id,
@@ -39,10 +65,12 @@ class SchedulerService {
               });
               
               schedules.push(schedule);
+              existingTimes.add(scheduledTime.getTime());
               
               // Queue the reminder
               await reminderQueue.addReminder({
                 scheduleId: schedule._id,
+                medicationId: medication._id,
                 scheduledTime,
               });
             }
@@ -50,7 +78,7 @@ class SchedulerService {
         }
         
         // Move to next day
-        currentDate.setDate(currentDate.getDate() + 1);
+        currentDay.add(1, 'day');
       }
       
       logger.info('Schedules created', {
@@ -65,31 +93,98 @@ class SchedulerService {
     }
   }
   
-  shouldScheduleToday(medication, date) {
+  getEndDate(medication) {
+    const { startDate, endDate, duration } = medication.schedule;
+    
+    if (endDate) return endDate;
+    if (!duration) return null;
+    
+    return new Date((startDate || new Date()).getTime() + duration * DAY_MS);
+  }
+  
+  async topUpSchedules() {
+    const medications = await Medication.find({ status: 'active' });
+    const now = new Date();
+    let count = 0;
+    
+    for (const medication of medications) {
+      try {
+        const endDate = this.getEndDate(medication);
+        
+        if (endDate && endDate < now) {
+          medication.status = 'completed';
+          await medication.save();
+          continue;
+        }
+        
+        const schedules = await this.createSchedules(medication);
+        count += schedules.length;
+      } catch (error) {
+        logger.error('Error topping up schedules:', error);
+      }
+    }
+    
+    logger.info('Schedules topped up', {
+      medications: medications.length,
+      count,
+    });
+    
+    return count;
+  }
+  
+  // Replace the upcoming doses after the medication's times or frequency
+  // change. Doses already sent or answered are left alone.
+  async regenerateSchedules(medication) {
+    try {
+      const upcoming = await Schedule.find({
+        medicationId: medication._id,
+        status: 'pending',
+        scheduledTime: { $gt: new Date() },
+      }, '_id');
+      const scheduleIds = upcoming.map(schedule => schedule._id);
+      
+      await reminderQueue.removeByScheduleIds(scheduleIds);
+      await Schedule.deleteMany({ _id: { $in: scheduleIds } });
+      
+      logger.info('Upcoming schedules removed for regeneration', {
+        medicationId: medication._id,
+        count: scheduleIds.length,
+      });
+      
+      if (medication.status !== 'active') {
+        return [];
+      }
+      
+      return this.createSchedules(medication);
+    } catch (error) {
+      logger.error('Error regenerating schedules:', error);
+      throw error;
+    }
+  }
+  
+  shouldScheduleToday(medication, date, timezone = 'UTC') {
+    const localDate = moment.tz(date, timezone);
+    
     if (medication.schedule.frequency === 'daily') {
       return true;
     }
     
     if (medication.schedule.frequency === 'weekly') {
-      const dayOfWeek = date.getDay();
+      const dayOfWeek = localDate.day();
       return medication.schedule.daysOfWeek.includes(dayOfWeek);
     }
     
     if (medication.schedule.frequency === 'monthly') {
-      const dayOfMonth = date.getDate();
+      const dayOfMonth = localDate.date();
       return dayOfMonth === medication.schedule.dayOfMonth;
     }
     
     return false;
   }
   
-  getScheduledTime(date, timeString, timezone) {
-    const [hours, minutes] = timeString.split(':').map(Number);
-    const scheduled = new Date(date);
-    scheduled.setHours(hours, minutes, 0, 0);
-    
-    // Convert to user's timezone
-    return moment.tz(scheduled, timezone).toDate();
+  // localDate is the user's calendar day, e.g. "2024-01-15"
+  getScheduledTime(localDate, timeString, timezone) {
+    return localTimeToDate(localDate, timeString, timezone);
   }
   
   async snoozeReminder(scheduleId, minutes) {
@@ -102,6 +197,7 @@ class SchedulerService {
       // Create new reminder
       await reminderQueue.addReminder({
         scheduleId: schedule._id,
+        medicationId: schedule.medicationId,
         scheduledTime: snoozeUntil,
         isSnoozed: true,
       });
@@ -151,6 +247,19 @@ class SchedulerService {
       const medication = await Medication.findById(medicationId);
       const now = new Date();
       
+      // Doses that fell inside the pause were not due, so close them out
+      // instead of leaving them paused forever
+      const closed = await Schedule.updateMany(
+        {
+          medicationId,
+          status: 'paused',
+          scheduledTime: { $lt: now },
+        },
+        {
+          status: 'skipped',
+        }
+      );
+      
       // Reactivate future schedules
       const schedules = await Schedule.find({
         medicationId,
@@ -165,6 +274,7 @@ class SchedulerService {
         // Re-queue the reminder
         await reminderQueue.addReminder({
           scheduleId: schedule._id,
+          medicationId,
           scheduledTime: schedule.scheduledTime,
         });
       }
@@ -172,6 +282,7 @@ class SchedulerService {
       logger.info('Medication schedules resumed', {
         medicationId,
         count: schedules.length,
+        skipped: closed.modifiedCount,
       });
       
       return schedules.length;
@@ -181,6 +292,54 @@ class SchedulerService {
     }
   }
   
+  async pauseMedication(medicationId, { until } = {}) {
+    try {
+      const medication = await Medication.findById(medicationId);
+      if (!medication) throw new Error('Medication not found');
+      
+      medication.status = 'paused';
+      medication.pausedUntil = until || undefined;
+      await medication.save();
+      
+      const count = await this.pauseMedicationSchedules(medicationId);
+      
+      // Timed pauses resume themselves through the reminder queue
+      if (until) {
+        await reminderQueue.addResume({ medicationId, resumeAt: until });
+      } else {
+        await reminderQueue.removeResume(medicationId);
+      }
+      
+      return count;
+    } catch (error) {
+      logger.error('Error pausing medication:', error);
+      throw error;
+    }
+  }
+  
+  async resumeMedication(medicationId) {
+    try {
+      const medication = await Medication.findById(medicationId);
+      if (!medication || medication.status !== 'paused') return 0;
+      
+      medication.status = 'active';
+      medication.pausedUntil = undefined;
+      await medication.save();
+      
+      await reminderQueue.removeResume(medicationId);
+      
+      const count = await this.resumeMedicationSchedules(medicationId);
+      
+      // Fill the days the horizon did not reach while paused
+      await this.createSchedules(medication);
+      
+      return count;
+    } catch (error) {
+      logger.error('Error resuming medication:', error);
+      throw error;
+    }
+  }
+  
   async getUpcomingSchedules(userId, days = 7) {
     const startDate = new Date();
     const endDate = new Date();
@@ -213,6 +372,7 @@ class SchedulerService {
       await reminderQueue.removeByScheduleId(scheduleId);
       await reminderQueue.addReminder({
         scheduleId: schedule._id,
+        medicationId: schedule.medicationId,
         scheduledTime: newTime,
       });
       
@@ -0,0 +1,57 @@
+import axios from 'axios';
+
+const SPEECH_URL = 'https://speech.googleapis.com/v1/speech:recognize';
+
+// Google has recognisers for every language we support, including isiZulu
+const LANGUAGE_CODES = {
+  en: 'en-US',
+  zu: 'zu-ZA',
+  hi: 'hi-IN',
+  ha: 'ha-NG',
+  sw: 'sw-KE',
+  pt: 'pt-BR',
+  es: 'es-US',
+};
+
+// WhatsApp voice notes are Opus in an Ogg container
+const ENCODINGS = {
+  'audio/ogg': { encoding: 'OGG_OPUS', sampleRateHertz: 16000 },
+  'audio/amr': { encoding: 'AMR', sampleRateHertz: 8000 },
+  'audio/webm': { encoding: 'WEBM_OPUS', sampleRateHertz: 16000 },
+  'audio/mpeg': { encoding: 'MP3' },
+};
+
+class GoogleTranscriptionProvider {
+  constructor() {
+    this.name = 'google';
+  }
+
+  async transcribe(audio, { contentType, language } = {}) {
+    const type = (contentType || 'audio/ogg').split(';')[0].trim();
+    const format = ENCODINGS[type];
+
+    if (!format) {
+      throw new Error(`Unsupported audio type ${type}`);
+    }
+
+    const response = await axios.post(SPEECH_URL, {
+      config: {
+        ...format,
+        languageCode: LANGUAGE_CODES[language] || LANGUAGE_CODES.en,
+      },
+      audio: { content: audio.toString('base64') },
+    }, {
+      params: { key: process.env.GOOGLE_SPEECH_API_KEY },
+      timeout: 30000,
+    });
+
+    const results = response.data.results || [];
+
+    return {
+      text: results.map(result => result.alternatives?.[0]?.transcript || '').join(' ').trim(),
+    };
+  }
+}
+
+export const googleProvider = new GoogleTranscriptionProvider();
+export default googleProvider;
\ No newline at end of file
@@ -0,0 +1,15 @@
+import { openaiProvider } from './openaiProvider.js';
+import { googleProvider } from './googleProvider.js';
+
+// Speech-to-text providers, chosen with STT_PROVIDER. Each has
+// transcribe(audio, { contentType, language }) -> { text }
+export const providers = {
+  openai: openaiProvider,
+  google: googleProvider,
+};
+
+export function getProvider(name) {
+  return providers[name] || null;
+}
+
+export default providers;
\ No newline at end of file
@@ -0,0 +1,42 @@
+import OpenAI, { toFile } from 'openai';
+
+// Whisper guesses the language itself when it is not one it was trained on
+const SUPPORTED_LANGUAGES = ['en', 'hi', 'ha', 'sw', 'pt', 'es'];
+
+const EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/amr': 'amr',
+  'audio/webm': 'webm',
+  'audio/wav': 'wav',
+};
+
+class OpenAITranscriptionProvider {
+  constructor() {
+    this.name = 'openai';
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return this.client;
+  }
+
+  async transcribe(audio, { contentType, language } = {}) {
+    const type = (contentType || 'audio/ogg').split(';')[0].trim();
+    const file = await toFile(audio, `voice-note.${EXTENSIONS[type] || 'ogg'}`, { type });
+
+    const result = await this.getClient().audio.transcriptions.create({
+      file,
+      model: process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1',
+      language: SUPPORTED_LANGUAGES.includes(language) ? language : undefined,
+    });
+
+    return { text: result.text };
+  }
+}
+
+export const openaiProvider = new OpenAITranscriptionProvider();
+export default openaiProvider;
\ No newline at end of file
@@ -0,0 +1,109 @@
+import { getProvider } from './transcription/index.js';
+import { logger } from '../utils/logger.js';
+
+// Spoken ways of answering a reminder, turned into the typed reply
+// ('taken', 'snooze', 'skip') the reminder parser understands
+const SPOKEN_REPLIES = {
+  taken: {
+    en: ['i took it', 'i took', "i've taken it", 'i have taken it', "i've taken", 'i have taken', 'already took it'],
+    zu: ['sengiyiphuzile', 'ngiyiphuzile', 'ngiphuzile', 'sengiyithathile', 'ngiyithathile', 'ngiyithethile'],
+    hi: ['मैंने ले ली', 'मैंने ले लिया', 'मैंने खा ली', 'मैंने खा लिया', 'ले ली', 'ले लिया', 'खा ली', 'खा लिया', 'maine le li', 'maine kha li'],
+    ha: ['na sha magani', 'na sha'],
+    sw: ['nimeshameza', 'nimemeza', 'nimekunywa', 'nimeshakunywa'],
+    pt: ['já tomei', 'eu tomei', 'tomei'],
+    es: ['ya me la tomé', 'ya la tomé', 'me la tomé', 'ya tomé', 'tomé'],
+  },
+  snooze: {
+    en: ['remind me later', 'not yet', 'in a minute'],
+    zu: ['ngikhumbuze kamuva', 'ngizoyiphuza kamuva', 'kamuva'],
+    hi: ['बाद में याद दिलाना', 'बाद में', 'baad mein'],
+    ha: ['anjima'],
+    sw: ['nikumbushe baadaye', 'baadaye'],
+    pt: ['mais tarde', 'depois'],
+    es: ['más tarde', 'después'],
+  },
+  skip: {
+    en: ['skip it', "i'll skip", 'not today'],
+    zu: ['angizukuyiphuza', 'ngeke ngiyiphuze', 'yeqa'],
+    hi: ['आज नहीं', 'छोड़ दो', 'नहीं लूंगा', 'नहीं लूंगी', 'aaj nahi'],
+    ha: ['ba yau ba'],
+    sw: ['leo hapana', 'ruka'],
+    pt: ['hoje não', 'pular'],
+    es: ['hoy no', 'saltar'],
+  },
+};
+
+// Longer transcripts that merely mention a phrase are left alone
+const MAX_REPLY_WORDS = 6;
+
+const AUDIO_TYPES = /^audio\//;
+
+class TranscriptionService {
+  isAudio(contentType) {
+    return AUDIO_TYPES.test(contentType || '');
+  }
+
+  getProvider() {
+    const name = process.env.STT_PROVIDER || 'openai';
+    const provider = getProvider(name);
+
+    if (!provider) {
+      throw new Error(`Unknown speech-to-text provider "${name}"`);
+    }
+
+    return provider;
+  }
+
+  async transcribe(audio, { contentType, language } = {}) {
+    try {
+      const provider = this.getProvider();
+      const { text } = await provider.transcribe(audio, { contentType, language });
+
+      logger.info('Voice note transcribed', {
+        provider: provider.name,
+        language,
+        length: text?.length || 0,
+      });
+
+      return (text || '').trim();
+    } catch (error) {
+      logger.error('Transcription error:', error);
+      throw error;
+    }
+  }
+
+  normalise(text) {
+    return text
+      .toLowerCase()
+      .replace(/[.,!?¿¡।"]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // "I took the blue pill" -> "taken the blue pill", "मैंने दवा खा ली" -> "taken".
+  // Anything that is not a reminder answer is returned as it was said.
+  toReply(transcript, language = 'en') {
+    const spoken = this.normalise(transcript);
+
+    if (spoken.split(' ').length > MAX_REPLY_WORDS) return transcript;
+
+    for (const [reply, phrases] of Object.entries(SPOKEN_REPLIES)) {
+      const candidates = [...new Set([...(phrases[language] || []), ...phrases.en])];
+
+      for (const phrase of candidates) {
+        if (spoken === phrase || spoken.startsWith(`${phrase} `)) {
+          return `${reply}${spoken.slice(phrase.length)}`;
+        }
+
+        if (` ${spoken} `.includes(` ${phrase} `)) {
+          return reply;
+        }
+      }
+    }
+
+    return transcript;
+  }
+}
+
+export const transcriptionService = new TranscriptionService();
+export default transcriptionService;
\ No newline at end of file
@@ -0,0 +1,125 @@
+// Google Cloud Text-to-Speech. The client library is loaded on first use,
+// so servers using only the local engine need no Google packages.
+const VOICES = {
+  en: {
+    voice: {
+      languageCode: 'en-US',
+      name: 'en-US-Wavenet-F',
+      ssmlGender: 'FEMALE',
+    },
+    rate: 0.9,
+    pitch: 0,
+  },
+  zu: {
+    voice: {
+      languageCode: 'zu-ZA',
+      name: 'zu-ZA-Standard-A',
+      ssmlGender: 'FEMALE',
+    },
+    rate: 0.9,
+    pitch: 0,
+  },
+  hi: {
+    voice: {
+      languageCode: 'hi-IN',
+      name: 'hi-IN-Wavenet-A',
+      ssmlGender: 'FEMALE',
+    },
+    rate: 0.9,
+    pitch: 0,
+  },
+  ha: {
+    // Hausa not directly supported, use English with Nigerian accent
+    voice: {
+      languageCode: 'en-NG',
+      name: 'en-NG-Standard-A',
+      ssmlGender: 'FEMALE',
+    },
+    rate: 0.85,
+    pitch: 0,
+    fallback: true,
+  },
+  sw: {
+    voice: {
+      languageCode: 'sw-KE',
+      name: 'sw-KE-Standard-A',
+      ssmlGender: 'FEMALE',
+    },
+    rate: 0.9,
+    pitch: 0,
+  },
+  pt: {
+    voice: {
+      languageCode: 'pt-BR',
+      name: 'pt-BR-Wavenet-A',
+      ssmlGender: 'FEMALE',
+    },
+    rate: 0.9,
+    pitch: 0,
+  },
+  es: {
+    voice: {
+      languageCode: 'es-US',
+      name: 'es-US-Wavenet-A',
+      ssmlGender: 'FEMALE',
+    },
+    rate: 0.9,
+    pitch: 0,
+  },
+};
+
+class GoogleTtsProvider {
+  constructor() {
+    this.name = 'google';
+    this.extension = 'mp3';
+  }
+
+  async getClient() {
+    if (!this.client) {
+      const { default: textToSpeech } = await import('@google-cloud/text-to-speech');
+
+      this.client = new textToSpeech.TextToSpeechClient({
+        keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+        projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
+      });
+    }
+    return this.client;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.GOOGLE_APPLICATION_CREDENTIALS);
+  }
+
+  // Languages spoken by a voice of their own, not an English stand-in
+  supports(language) {
+    return Boolean(VOICES[language]) && !VOICES[language].fallback;
+  }
+
+  getVoiceConfig(language) {
+    return VOICES[language] || VOICES.en;
+  }
+
+  getVoiceId(language) {
+    return this.getVoiceConfig(language).voice.name;
+  }
+
+  async synthesize(text, language, { ssml = false } = {}) {
+    const voiceConfig = this.getVoiceConfig(language);
+    const client = await this.getClient();
+
+    const [response] = await client.synthesizeSpeech({
+      input: ssml ? { ssml: text } : { text },
+      voice: voiceConfig.voice,
+      audioConfig: {
+        audioEncoding: 'MP3',
+        speakingRate: voiceConfig.rate,
+        pitch: voiceConfig.pitch,
+      },
+    });
+
+    return { audio: Buffer.from(response.audioContent), contentType: 'audio/mpeg' };
+  }
+}
+
+export const googleProvider = new GoogleTtsProvider();
+export default googleProvider;
\ No newline at end of file
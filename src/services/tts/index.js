@@ -0,0 +1,16 @@
+import { googleProvider } from './googleProvider.js';
+import { localProvider } from './localProvider.js';
+
+// Text-to-speech providers, chosen with TTS_PROVIDER. Each has
+// synthesize(text, language, { ssml }) -> { audio, contentType }, supports(language),
+// isConfigured(), getVoiceId(language) and the file extension it produces
+export const providers = {
+  google: googleProvider,
+  local: localProvider,
+};
+
+export function getProvider(name) {
+  return providers[name] || null;
+}
+
+export default providers;
\ No newline at end of file
@@ -0,0 +1,136 @@
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { logger } from '../../utils/logger.js';
+
+// espeak-ng voices for the languages it speaks out of the box. Voices can be
+// added or replaced with LOCAL_TTS_VOICES, e.g. a piper model for Hausa:
+//   {"ha": {"engine": "piper", "model": "/opt/piper/ha_NG.onnx"}}
+const DEFAULT_VOICES = {
+  en: { engine: 'espeak', voice: 'en' },
+  hi: { engine: 'espeak', voice: 'hi' },
+  sw: { engine: 'espeak', voice: 'sw' },
+  pt: { engine: 'espeak', voice: 'pt-br' },
+  es: { engine: 'espeak', voice: 'es-419' },
+};
+
+const TIMEOUT = 30000;
+
+class LocalTtsProvider {
+  constructor() {
+    this.name = 'local';
+    // WhatsApp plays Opus voice notes, not the WAV the engines write
+    this.extension = 'ogg';
+  }
+
+  getVoices() {
+    let configured = {};
+
+    try {
+      configured = JSON.parse(process.env.LOCAL_TTS_VOICES || '{}');
+    } catch (error) {
+      logger.error('LOCAL_TTS_VOICES is not valid JSON:', error);
+    }
+
+    return { ...DEFAULT_VOICES, ...configured };
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  supports(language) {
+    return Boolean(this.getVoices()[language]);
+  }
+
+  getVoice(language) {
+    const voices = this.getVoices();
+    return voices[language] || voices.en;
+  }
+
+  getVoiceId(language) {
+    const voice = this.getVoice(language);
+    return `${voice.engine}-${voice.voice || path.basename(voice.model || '')}`;
+  }
+
+  // espeak-ng reads SSML; piper is given the words without the markup
+  toPlainText(ssml) {
+    return ssml
+      .replace(/<break[^>]*>/g, ' ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  async synthesize(text, language, { ssml = false } = {}) {
+    const voice = this.getVoice(language);
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tts-'));
+    const wavFile = path.join(directory, 'speech.wav');
+    const oggFile = path.join(directory, 'speech.ogg');
+
+    try {
+      if (voice.engine === 'piper') {
+        await this.run(process.env.PIPER_PATH || 'piper', [
+          '--model', voice.model,
+          '--output_file', wavFile,
+        ], ssml ? this.toPlainText(text) : text);
+      } else {
+        await this.run(process.env.ESPEAK_PATH || 'espeak-ng', [
+          '-v', voice.voice,
+          '-s', String(voice.speed || 140),
+          '-w', wavFile,
+          ...(ssml ? ['-m'] : []),
+          '--stdin',
+        ], text);
+      }
+
+      await this.run(process.env.FFMPEG_PATH || 'ffmpeg', [
+        '-y', '-loglevel', 'error',
+        '-i', wavFile,
+        '-c:a', 'libopus', '-b:a', '24k',
+        oggFile,
+      ]);
+
+      return { audio: await fs.readFile(oggFile), contentType: 'audio/ogg' };
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  // Runs an engine with the text on stdin
+  run(command, args, input) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { timeout: TIMEOUT });
+      let stderr = '';
+
+      child.stderr.on('data', chunk => {
+        stderr += chunk;
+      });
+
+      child.on('error', error => {
+        reject(new Error(`${command} could not be run: ${error.message}`));
+      });
+
+      child.on('close', code => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+
+      // A missing or failing engine is reported above, not as a broken pipe
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    });
+  }
+}
+
+export const localProvider = new LocalTtsProvider();
+export default localProvider;
\ No newline at end of file
@@ -0,0 +1,310 @@
+import twilio from 'twilio';
+import { escalationQueue } from '../queues/escalationQueue.js';
+import Escalation from '../models/Escalation.js';
+import Schedule from '../models/Schedule.js';
+import { logger } from '../utils/logger.js';
+
+// Keypad answers, as the reply text the WhatsApp reply parser understands
+export const DIGIT_RESPONSES = {
+  1: 'taken',
+  2: 'snooze',
+  3: 'skip',
+};
+
+// Wait before calling again after an unanswered call. One retry per entry.
+const RETRY_MINUTES = [5, 10];
+
+const UNANSWERED_STATUSES = ['no-answer', 'busy', 'failed', 'canceled'];
+
+// Keyed by the language Twilio speaks (see getTwilioLanguage), so patients
+// whose language Twilio cannot speak hear English in their local accent
+const PROMPTS = {
+  en: {
+    intro: name => `Hello. This is your medication reminder. It is time to take your ${name}.`,
+    menu: 'Press 1 if you have taken it. Press 2 to be reminded later. Press 3 to skip this dose.',
+    invalid: 'Sorry, that is not one of the options.',
+    noInput: 'We did not hear your answer. You can also reply on WhatsApp. Goodbye.',
+    taken: 'Thank you. Well done for taking your medication. Goodbye.',
+    snoozed: 'Okay. I will remind you again soon. Goodbye.',
+    skipped: 'Okay. This dose has been skipped. Goodbye.',
+    closed: 'This dose has already been answered. Goodbye.',
+  },
+  hi: {
+    intro: name => `नमस्ते। यह आपकी दवा का रिमाइंडर है। आपकी ${name} लेने का समय हो गया है।`,
+    menu: 'अगर आपने दवा ले ली है तो 1 दबाएं। बाद में याद दिलाने के लिए 2 दबाएं। यह खुराक छोड़ने के लिए 3 दबाएं।',
+    invalid: 'माफ़ कीजिए, यह विकल्प नहीं है।',
+    noInput: 'हमें आपका जवाब नहीं मिला। आप व्हाट्सऐप पर भी जवाब दे सकते हैं। धन्यवाद।',
+    taken: 'धन्यवाद। दवा लेने के लिए शाबाश।',
+    snoozed: 'ठीक है। मैं आपको जल्द ही फिर से याद दिलाऊंगा।',
+    skipped: 'ठीक है। यह खुराक छोड़ दी गई है।',
+    closed: 'इस खुराक का जवाब पहले ही दिया जा चुका है।',
+  },
+  sw: {
+    intro: name => `Habari. Huu ni ukumbusho wa dawa yako. Ni wakati wa kutumia ${name}.`,
+    menu: 'Bonyeza 1 kama umeshaitumia. Bonyeza 2 ili ukumbushwe baadaye. Bonyeza 3 kuruka dozi hii.',
+    invalid: 'Samahani, hilo si chaguo.',
+    noInput: 'Hatukupata jibu lako. Unaweza pia kujibu kwenye WhatsApp. Kwaheri.',
+    taken: 'Asante. Hongera kwa kutumia dawa yako. Kwaheri.',
+    snoozed: 'Sawa. Nitakukumbusha tena hivi karibuni. Kwaheri.',
+    skipped: 'Sawa. Dozi hii imerukwa. Kwaheri.',
+    closed: 'Dozi hii imeshajibiwa. Kwaheri.',
+  },
+  pt: {
+    intro: name => `Olá. Este é o seu lembrete de medicamento. Está na hora de tomar ${name}.`,
+    menu: 'Pressione 1 se já tomou. Pressione 2 para ser lembrado mais tarde. Pressione 3 para pular esta dose.',
+    invalid: 'Desculpe, essa não é uma das opções.',
+    noInput: 'Não recebemos a sua resposta. Você também pode responder pelo WhatsApp. Tchau.',
+    taken: 'Obrigado. Parabéns por tomar o seu medicamento. Tchau.',
+    snoozed: 'Está bem. Vou lembrar você de novo em breve. Tchau.',
+    skipped: 'Está bem. Esta dose foi pulada. Tchau.',
+    closed: 'Esta dose já foi respondida. Tchau.',
+  },
+  es: {
+    intro: name => `Hola. Este es su recordatorio de medicamento. Es hora de tomar ${name}.`,
+    menu: 'Presione 1 si ya lo tomó. Presione 2 para que se lo recordemos más tarde. Presione 3 para omitir esta dosis.',
+    invalid: 'Lo sentimos, esa no es una de las opciones.',
+    noInput: 'No recibimos su respuesta. También puede responder por WhatsApp. Adiós.',
+    taken: 'Gracias. Muy bien por tomar su medicamento. Adiós.',
+    snoozed: 'De acuerdo. Se lo recordaremos de nuevo pronto. Adiós.',
+    skipped: 'De acuerdo. Esta dosis se ha omitido. Adiós.',
+    closed: 'Esta dosis ya fue respondida. Adiós.',
+  },
+};
+
+class VoiceCallService {
+  getClient() {
+    return twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+  }
+
+  // Call webhooks name the escalation, so that Twilio callbacks arriving
+  // before the call's attempt is saved can still find it
+  getWebhookUrl(path, escalationId) {
+    const url = `${process.env.SERVER_URL}/webhook/${path}`;
+    return escalationId ? `${url}?escalationId=${escalationId}` : url;
+  }
+
+  getTwilioLanguage(language) {
+    const languages = {
+      en: 'en-US',
+      zu: 'en-ZA',
+      hi: 'hi-IN',
+      ha: 'en-NG',
+      sw: 'sw-KE',
+      pt: 'pt-BR',
+      es: 'es-MX',
+    };
+    return languages[language] || 'en-US';
+  }
+
+  getPrompts(language) {
+    const spoken = this.getTwilioLanguage(language).split('-')[0];
+    return PROMPTS[spoken] || PROMPTS.en;
+  }
+
+  // Twilio fetches the call script once the call is answered, so answering
+  // machines can be told apart and hung up on
+  async placeCall(user, { scheduleId, escalationId } = {}) {
+    const call = await this.getClient().calls.create({
+      to: user.phoneNumber,
+      from: process.env.TWILIO_WHATSAPP_NUMBER.replace('whatsapp:', ''),
+      url: this.getWebhookUrl('voice-call', escalationId),
+      statusCallback: this.getWebhookUrl('voice-status', escalationId),
+      machineDetection: 'Enable',
+    });
+
+    logger.info('Voice call initiated', {
+      userId: user._id,
+      scheduleId,
+      escalationId,
+      callSid: call.sid,
+    });
+
+    return call;
+  }
+
+  // The escalation that placed the call, with patient and medication
+  async findCall(callSid, escalationId) {
+    if (!callSid && !escalationId) return null;
+
+    return Escalation.findOne(this.getCallQuery(callSid, escalationId))
+      .populate('userId')
+      .populate('medicationId');
+  }
+
+  getCallQuery(callSid, escalationId) {
+    return escalationId ? { _id: escalationId } : { 'attempts.messageSid': callSid };
+  }
+
+  isVoicemail(answeredBy) {
+    return /^(machine|fax)/.test(answeredBy || '');
+  }
+
+  // Played when the call is answered, and again after an invalid key
+  buildCallTwiml(user, medication, { answeredBy, invalid = false, escalationId } = {}) {
+    const response = new twilio.twiml.VoiceResponse();
+
+    // Nothing about medication is left on voicemail; the call is retried
+    if (!user || !medication || this.isVoicemail(answeredBy)) {
+      response.hangup();
+      return response.toString();
+    }
+
+    const language = this.getTwilioLanguage(user.language);
+    const prompts = this.getPrompts(user.language);
+    const say = { voice: 'alice', language };
+
+    response.say(say, invalid ? prompts.invalid : prompts.intro(medication.getDisplayName()));
+
+    const gather = response.gather({
+      numDigits: 1,
+      timeout: 8,
+      action: this.getWebhookUrl('voice-response', escalationId),
+    });
+    gather.say(say, prompts.menu);
+
+    // Reached only when no key was pressed
+    response.say(say, prompts.noInput);
+    response.hangup();
+
+    return response.toString();
+  }
+
+  // outcome: 'taken', 'snoozed', 'skipped' or 'closed'
+  buildResponseTwiml(user, outcome) {
+    const response = new twilio.twiml.VoiceResponse();
+    const prompts = this.getPrompts(user?.language);
+
+    response.say({
+      voice: 'alice',
+      language: this.getTwilioLanguage(user?.language),
+    }, prompts[outcome] || prompts.closed);
+    response.hangup();
+
+    return response.toString();
+  }
+
+  async recordResponse(escalation, callSid, outcome) {
+    const attempt = escalation.attempts.find(entry => entry.messageSid === callSid);
+
+    if (attempt) {
+      attempt.response = outcome;
+      await escalation.save();
+    }
+  }
+
+  getCallAttempts(escalation) {
+    return escalation.attempts.filter(attempt => attempt.method === 'voice_call');
+  }
+
+  // Final call status from Twilio. Unanswered calls, busy lines and
+  // voicemail are recorded on the attempt and the call is tried again.
+  async handleCallStatus(callSid, callStatus, answeredBy, escalationId) {
+    try {
+      const escalation = await Escalation.findOne(this.getCallQuery(callSid, escalationId));
+      const attempt = escalation?.attempts.find(entry => entry.messageSid === callSid);
+
+      if (!attempt) {
+        logger.warn('Call status for unknown call', { callSid, escalationId, callStatus });
+        return null;
+      }
+      const voicemail = callStatus === 'completed' && this.isVoicemail(answeredBy);
+      const unanswered = voicemail || UNANSWERED_STATUSES.includes(callStatus);
+
+      if (!unanswered) {
+        if (callStatus === 'completed' && escalation.status === 'sent') {
+          escalation.status = 'delivered';
+          await escalation.save();
+        }
+        return escalation;
+      }
+
+      attempt.success = false;
+      attempt.error = voicemail ? 'voicemail' : callStatus;
+
+      const retried = await this.scheduleRetry(escalation);
+
+      // Answered doses close the escalation, so only open ones are failed
+      if (!retried && ['sent', 'delivered'].includes(escalation.status)) {
+        escalation.status = 'failed';
+      }
+
+      await escalation.save();
+
+      logger.info('Voice call not answered', {
+        escalationId: escalation._id,
+        callSid,
+        reason: attempt.error,
+        retried,
+      });
+
+      return escalation;
+    } catch (error) {
+      logger.error('Error handling call status:', error);
+      throw error;
+    }
+  }
+
+  async scheduleRetry(escalation) {
+    const calls = this.getCallAttempts(escalation).length;
+
+    if (calls > RETRY_MINUTES.length) return false;
+    if (!await this.isAwaitingAnswer(escalation)) return false;
+
+    await escalationQueue.addVoiceCallRetry({
+      scheduleId: escalation.scheduleId,
+      escalationId: escalation._id,
+      scheduledFor: new Date(Date.now() + RETRY_MINUTES[calls - 1] * 60 * 1000),
+    });
+
+    return true;
+  }
+
+  async isAwaitingAnswer(escalation) {
+    const schedule = await Schedule.findById(escalation.scheduleId);
+    return schedule?.status === 'sent';
+  }
+
+  async retryCall(escalationId) {
+    try {
+      const escalation = await Escalation.findById(escalationId).populate('userId');
+
+      if (!escalation || !await this.isAwaitingAnswer(escalation)) {
+        logger.info('Voice call retry no longer needed', { escalationId });
+        return null;
+      }
+
+      const attempt = {
+        attemptedAt: new Date(),
+        method: 'voice_call',
+      };
+
+      try {
+        const call = await this.placeCall(escalation.userId, {
+          scheduleId: escalation.scheduleId,
+          escalationId: escalation._id,
+        });
+
+        escalation.attempts.push({ ...attempt, success: true, messageSid: call.sid });
+        escalation.status = 'sent';
+      } catch (error) {
+        logger.error('Voice call retry failed:', error);
+
+        escalation.attempts.push({ ...attempt, success: false, error: error.message });
+
+        if (!await this.scheduleRetry(escalation)) {
+          escalation.status = 'failed';
+        }
+      }
+
+      await escalation.save();
+
+      return escalation;
+    } catch (error) {
+      logger.error('Error retrying voice call:', error);
+      throw error;
+    }
+  }
+}
+
+export const voiceCallService = new VoiceCallService();
+export default voiceCallService;
\ No newline at end of file
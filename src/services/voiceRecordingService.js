@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import VoiceRecording from '../models/VoiceRecording.js';
+import { getConfiguredStorage } from './audioStorage/index.js';
+import { logger } from '../utils/logger.js';
+
+// Formats WhatsApp plays as voice notes, by content type
+const EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+};
+
+const MAX_SIZE = 5 * 1024 * 1024;  // 5MB
+
+// How long a caregiver has to send the voice note after asking to record
+const AWAITING_AUDIO_MINUTES = 30;
+
+class VoiceRecordingService {
+  getContentType(contentType) {
+    return (contentType || '').split(';')[0].trim().toLowerCase();
+  }
+
+  // null when the audio cannot be played back on WhatsApp
+  getExtension(contentType) {
+    return EXTENSIONS[this.getContentType(contentType)] || null;
+  }
+
+  validateAudio(audio, contentType) {
+    if (!this.getExtension(contentType)) {
+      throw new Error(`Unsupported audio format "${contentType}"`);
+    }
+
+    if (audio.length > MAX_SIZE) {
+      throw new Error('Recording is larger than 5MB');
+    }
+  }
+
+  async storeAudio(recording, audio, contentType) {
+    this.validateAudio(audio, contentType);
+
+    const type = this.getContentType(contentType);
+    const filename = `recordings/${recording._id}.${this.getExtension(type)}`;
+    const url = await getConfiguredStorage().save(audio, filename, type);
+
+    recording.audio = { filename, url, contentType: type, size: audio.length };
+  }
+
+  // Recordings uploaded by clinic staff, for the clinic or one patient
+  async createClinicRecording(clinic, audio, { contentType, language, messageType, userId, recordedBy }) {
+    try {
+      const recording = new VoiceRecording({
+        clinicId: clinic._id,
+        userId,
+        language,
+        messageType,
+        recordedBy: { type: 'clinic', name: recordedBy },
+      });
+
+      await this.storeAudio(recording, audio, contentType);
+      await recording.save();
+
+      logger.info('Voice recording uploaded', {
+        recordingId: recording._id,
+        clinicId: clinic._id,
+        userId,
+        messageType,
+      });
+
+      return recording;
+    } catch (error) {
+      logger.error('Error saving voice recording:', error);
+      throw error;
+    }
+  }
+
+  // The caregiver's next voice note becomes the recording
+  async requestRecording(patient, caregiver, messageType) {
+    await VoiceRecording.deleteMany({
+      'recordedBy.phoneNumber': caregiver.phoneNumber,
+      status: 'awaiting_audio',
+    });
+
+    return VoiceRecording.create({
+      userId: patient._id,
+      language: patient.language,
+      messageType,
+      recordedBy: {
+        type: 'caregiver',
+        name: caregiver.name,
+        phoneNumber: caregiver.phoneNumber,
+        caregiverId: caregiver._id,
+      },
+      status: 'awaiting_audio',
+    });
+  }
+
+  async findAwaitingAudio(phoneNumber) {
+    return VoiceRecording.findOne({
+      'recordedBy.phoneNumber': phoneNumber,
+      status: 'awaiting_audio',
+      createdAt: { $gte: new Date(Date.now() - AWAITING_AUDIO_MINUTES * 60 * 1000) },
+    }).sort({ createdAt: -1 });
+  }
+
+  async attachAudio(recording, audio, contentType) {
+    try {
+      await this.storeAudio(recording, audio, contentType);
+
+      recording.status = 'pending';
+      await recording.save();
+
+      logger.info('Voice recording received', {
+        recordingId: recording._id,
+        userId: recording.userId,
+      });
+
+      return recording;
+    } catch (error) {
+      logger.error('Error saving voice recording:', error);
+      throw error;
+    }
+  }
+
+  // reviewedBy: { type: 'patient' | 'clinic', name }
+  async review(recording, { approved, reviewedBy, reason }) {
+    recording.status = approved ? 'approved' : 'rejected';
+    recording.review = {
+      reviewedBy,
+      reviewedAt: new Date(),
+      reason,
+    };
+    await recording.save();
+
+    logger.info('Voice recording reviewed', {
+      recordingId: recording._id,
+      status: recording.status,
+      reviewer: reviewedBy.type,
+    });
+
+    return recording;
+  }
+
+  // Caregivers' recordings are approved by the patient they were made for
+  async findPendingForPatient(userId) {
+    return VoiceRecording.findOne({
+      userId,
+      status: 'pending',
+      'recordedBy.type': 'caregiver',
+    }).sort({ createdAt: 1 });
+  }
+
+  async findForPatient(userId, recordingId) {
+    if (!mongoose.isValidObjectId(recordingId)) return null;
+
+    return VoiceRecording.findOne({ _id: recordingId, userId });
+  }
+
+  async listForClinic(clinicId, { status } = {}) {
+    return VoiceRecording.find({
+      clinicId,
+      ...(status && { status }),
+    }).sort({ createdAt: -1 });
+  }
+
+  async getClinicRecording(clinicId, recordingId) {
+    if (!mongoose.isValidObjectId(recordingId)) return null;
+
+    return VoiceRecording.findOne({ _id: recordingId, clinicId });
+  }
+
+  // The newest approved recording made for the patient, otherwise their
+  // clinic's recording for everyone
+  async findRecording(user, messageType, language = user.language) {
+    const query = { messageType, language, status: 'approved' };
+
+    const personal = await VoiceRecording.findOne({ ...query, userId: user._id })
+      .sort({ 'review.reviewedAt': -1 });
+
+    if (personal || !user.subscription?.clinicId) return personal;
+
+    return VoiceRecording.findOne({
+      ...query,
+      clinicId: user.subscription.clinicId,
+      userId: null,
+    }).sort({ 'review.reviewedAt': -1 });
+  }
+}
+
+export const voiceRecordingService = new VoiceRecordingService();
+export default voiceRecordingService;
\ No newline at end of file
@@ -1,60 +1,73 @@
-import textToSpeech from '@google-cloud/text-to-speech';
-import { Storage } from '@google-cloud/storage';
+import { getProvider, providers } from './tts/index.js';
+import { getConfiguredStorage } from './audioStorage/index.js';
+import { voiceRecordingService } from './voiceRecordingService.js';
+import { renderTemplate } from './voiceTemplates.js';
 import { logger } from '../utils/logger.js';
-import fs from 'fs/promises';
 import crypto from 'crypto';
 
 class VoiceService {
-  constructor() {
-    this.ttsClient = new textToSpeech.TextToSpeechClient({
-      keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
-      projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-    });
+  // The configured provider, unless it has no voice for the language and
+  // another configured provider does (e.g. a local Hausa voice)
+  getProvider(language) {
+    const name = process.env.TTS_PROVIDER || 'google';
+    const provider = getProvider(name);
     
-    this.storage = new Storage({
-      keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
-      projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-    });
+    if (!provider) {
+      throw new Error(`Unknown text-to-speech provider "${name}"`);
+    }
+    
+    if (provider.supports(language)) {
+      return provider;
+    }
     
-    this.bucketName = process.env.VOICE_BUCKET || 'prescription-voice-notes';
+    return Object.values(providers).find(other =>
+      other !== provider && other.isConfigured() && other.supports(language)
+    ) || provider;
   }
   
-  async generateAudio(text, language = 'en') {
+  // content is plain text or { template, variables } for an SSML template
+  // (see voiceTemplates.js). With a user and message type, an approved
+  // recording for them is played instead of synthetic speech; templates are
+  // named after the message type they speak.
+  async generateAudio(content, language = 'en', { user, messageType = content.template } = {}) {
     try {
-      const voiceConfig = this.getVoiceConfig(language);
+      const recording = await this.findRecording(user, messageType, language);
+      if (recording) {
+        logger.info('Using voice recording', {
+          recordingId: recording._id,
+          messageType,
+        });
+        return recording.audio.url;
+      }
+      
+      const provider = this.getProvider(language);
+      const storage = getConfiguredStorage();
+      const input = this.getInput(content, language, provider);
       
-      // Generate hash for caching
+      // Generate hash for caching. Rendered SSML covers the template's
+      // variables and wording, so repeated reminders reuse the same audio.
       const hash = crypto.createHash('md5')
-        .update(`${text}_${language}`)
+        .update(`${provider.name}_${provider.getVoiceId(language)}_${input.key}_${language}`)
         .digest('hex');
-      const filename = `audio/${hash}.mp3`;
+      const filename = `audio/${hash}.${provider.extension}`;
       
       // Check if audio already exists
-      const existingUrl = await this.checkCache(filename);
+      const existingUrl = await this.checkCache(storage, filename);
       if (existingUrl) {
         logger.info('Using cached audio', { filename });
         return existingUrl;
       }
       
-      // Generate new audio
-      const request = {
-        input: { text },
-        voice: voiceConfig.voice,
-        audioConfig: {
-          audioEncoding: 'MP3',
-          speakingRate: voiceConfig.rate,
-          pitch: voiceConfig.pitch,
-        },
-      };
-      
-      const [response] = await this.ttsClient.synthesizeSpeech(request);
-      
-      // Save to cloud storage
-      const url = await this.saveAudio(response.audioContent, filename);
+      const { audio, contentType } = await provider.synthesize(input.text, language, {
+        ssml: input.ssml,
+      });
+      const url = await storage.save(audio, filename, contentType);
       
       logger.info('Audio generated', {
+        provider: provider.name,
         language,
-        textLength: text.length,
+        template: content.template,
+        textLength: input.text.length,
         filename,
       });
       
@@ -65,137 +78,45 @@ class VoiceService {
     }
   }
   
-  getVoiceConfig(language) {
-    const configs = {
-      en: {
-        voice: {
-          languageCode: 'en-US',
-          name: 'en-US-Wavenet-F',
-          ssmlGender: 'FEMALE',
-        },
-        rate: 0.9,
-        pitch: 0,
-      },
-      zu: {
-        voice: {
-          languageCode: 'zu-ZA',
-          name: 'zu-ZA-Standard-A',
-          ssmlGender: 'FEMALE',
-        },
-        rate: 0.9,
-        pitch: 0,
-      },
-      hi: {
-        voice: {
-          languageCode: 'hi-IN',
-          name: 'hi-IN-Wavenet-A',
-          ssmlGender: 'FEMALE',
-        },
-        rate: 0.9,
-        pitch: 0,
-      },
-      ha: {
-        // Hausa not directly supported, use English with Nigerian accent
-        voice: {
-          languageCode: 'en-NG',
-          name: 'en-NG-Standard-A',
-          ssmlGender: 'FEMALE',
-        },
-        rate: 0.85,
-        pitch: 0,
-      },
-      sw: {
-        voice: {
-          languageCode: 'sw-KE',
-          name: 'sw-KE-Standard-A',
-          ssmlGender: 'FEMALE',
-        },
-        rate: 0.9,
-        pitch: 0,
-      },
-      pt: {
-        voice: {
-          languageCode: 'pt-BR',
-          name: 'pt-BR-Wavenet-A',
-          ssmlGender: 'FEMALE',
-        },
-        rate: 0.9,
-        pitch: 0,
-      },
-      es: {
-        voice: {
-          languageCode: 'es-US',
-          name: 'es-US-Wavenet-A',
-          ssmlGender: 'FEMALE',
-        },
-        rate: 0.9,
-        pitch: 0,
-      },
-    };
+  // Templates are read in English by voices that only stand in for the
+  // language, e.g. the Nigerian English voice used for Hausa
+  getInput(content, language, provider) {
+    if (typeof content === 'string') {
+      return { text: content, ssml: false, key: content };
+    }
     
-    return configs[language] || configs.en;
+    const ssml = this.generateSSML(
+      content.template,
+      content.variables,
+      provider.supports(language) ? language : 'en'
+    );
+    
+    return { text: ssml, ssml: true, key: `${content.template}_${ssml}` };
   }
   
-  async checkCache(filename) {
+  // A failed lookup falls back to synthetic speech rather than no reminder
+  async findRecording(user, messageType, language) {
+    if (!user || !messageType) return null;
+    
     try {
-      const bucket = this.storage.bucket(this.bucketName);
-      const file = bucket.file(filename);
-      const [exists] = await file.exists();
-      
-      if (exists) {
-        return `https://storage.googleapis.com/${this.bucketName}/${filename}`;
-      }
-      
-      return null;
+      return await voiceRecordingService.findRecording(user, messageType, language);
     } catch (error) {
-      logger.error('Cache check error:', error);
+      logger.error('Voice recording lookup error:', error);
       return null;
     }
   }
   
-  async saveAudio(audioContent, filename) {
+  async checkCache(storage, filename) {
     try {
-      // Save locally first
-      const localPath = `./temp/${filename}`;
-      await fs.mkdir('./temp/audio', { recursive: true });
-      await fs.writeFile(localPath, audioContent, 'binary');
-      
-      // Upload to cloud storage
-      const bucket = this.storage.bucket(this.bucketName);
-      await bucket.upload(localPath, {
-        destination: filename,
-        metadata: {
-          contentType: 'audio/mpeg',
-          cacheControl: 'public, max-age=31536000',
-        },
-      });
-      
-      // Clean up local file
-      await fs.unlink(localPath);
-      
-      // Return public URL
-      return `https://storage.googleapis.com/${this.bucketName}/${filename}`;
+      return await storage.exists(filename) ? storage.getUrl(filename) : null;
     } catch (error) {
-      logger.error('Error saving audio:', error);
-      throw error;
+      logger.error('Cache check error:', error);
+      return null;
     }
   }
   
-  async generateSSML(text, emphasis = 'moderate') {
-    // Generate SSML for more natural speech
-    const ssml = `
-      <speak>
-        <prosody rate="90%" pitch="-1st">
-          <emphasis level="${emphasis}">
-            ${text}
-          </emphasis>
-          <break time="500ms"/>
-          Please respond when you're ready.
-        </prosody>
-      </speak>
-    `;
-    
-    return ssml;
+  generateSSML(template, variables, language = 'en') {
+    return renderTemplate(template, variables, language);
   }
 }
 
@@ -0,0 +1,158 @@
+import moment from 'moment-timezone';
+import { getValidTimezone } from '../utils/timeZones.js';
+
+// What the voice reminders say, per language. name and dose arrive as SSML.
+// Voices that cannot speak the patient's language get English (see
+// voiceService.getInput).
+const PHRASES = {
+  en: {
+    due: name => `It's time for your ${name}.`,
+    overdue: name => `This is an urgent reminder. Your ${name} is overdue.`,
+    takeNow: 'Please take it now.',
+    dose: dose => `Take ${dose}.`,
+    withFood: 'Take it with food.',
+    emptyStomach: 'Take it on an empty stomach.',
+    reply: 'Reply on WhatsApp once you have taken it.',
+  },
+  zu: {
+    due: name => `Yisikhathi sokuphuza i-${name}.`,
+    overdue: name => `Lesi yisikhumbuzo esiphuthumayo. Isikhathi se-${name} sesidlulile.`,
+    takeNow: 'Sicela uyiphuze manje.',
+    dose: dose => `Phuza ${dose}.`,
+    withFood: 'Yiphuze nokudla.',
+    emptyStomach: 'Yiphuze ungakadli lutho.',
+    reply: 'Phendula ku-WhatsApp uma usuyiphuzile.',
+  },
+  hi: {
+    due: name => `आपकी ${name} लेने का समय हो गया है।`,
+    overdue: name => `यह ज़रूरी रिमाइंडर है। आपकी ${name} का समय निकल चुका है।`,
+    takeNow: 'कृपया इसे अभी लें।',
+    dose: dose => `${dose} लें।`,
+    withFood: 'इसे खाने के साथ लें।',
+    emptyStomach: 'इसे खाली पेट लें।',
+    reply: 'दवा लेने के बाद व्हाट्सऐप पर जवाब दें।',
+  },
+  ha: {
+    due: name => `Lokacin shan ${name} ya yi.`,
+    overdue: name => `Wannan tunatarwa ce ta gaggawa. Lokacin shan ${name} ya wuce.`,
+    takeNow: 'Da fatan za a sha shi yanzu.',
+    dose: dose => `A sha ${dose}.`,
+    withFood: 'A sha tare da abinci.',
+    emptyStomach: 'A sha kafin a ci abinci.',
+    reply: 'A amsa a WhatsApp bayan an sha.',
+  },
+  sw: {
+    due: name => `Ni wakati wa kutumia ${name}.`,
+    overdue: name => `Huu ni ukumbusho wa dharura. Muda wa ${name} umepita.`,
+    takeNow: 'Tafadhali itumie sasa.',
+    dose: dose => `Tumia ${dose}.`,
+    withFood: 'Itumie pamoja na chakula.',
+    emptyStomach: 'Itumie tumbo likiwa tupu.',
+    reply: 'Jibu kwenye WhatsApp ukishaitumia.',
+  },
+  pt: {
+    due: name => `Está na hora de tomar ${name}.`,
+    overdue: name => `Este é um lembrete urgente. Você ainda não tomou ${name}.`,
+    takeNow: 'Por favor, tome agora.',
+    dose: dose => `Tome ${dose}.`,
+    withFood: 'Tome com comida.',
+    emptyStomach: 'Tome em jejum.',
+    reply: 'Responda no WhatsApp quando tiver tomado.',
+  },
+  es: {
+    due: name => `Es hora de tomar ${name}.`,
+    overdue: name => `Este es un recordatorio urgente. Aún no ha tomado ${name}.`,
+    takeNow: 'Por favor, tómelo ahora.',
+    dose: dose => `Tome ${dose}.`,
+    withFood: 'Tómelo con comida.',
+    emptyStomach: 'Tómelo en ayunas.',
+    reply: 'Responda por WhatsApp cuando lo haya tomado.',
+  },
+};
+
+const PAUSE = '<break time="700ms"/>';
+const SHORT_PAUSE = '<break time="300ms"/>';
+
+function food(phrases, withFood) {
+  if (withFood === true) return phrases.withFood;
+  if (withFood === false) return phrases.emptyStomach;
+  return null;
+}
+
+// Dose amounts are read slowly so they can be followed
+function dose(phrases, amount) {
+  return amount && `${SHORT_PAUSE}${phrases.dose(`<prosody rate="slow">${amount}</prosody>`)}`;
+}
+
+// Keyed by the voice message types recordings are made for
+const TEMPLATES = {
+  reminder: (phrases, variables) => [
+    phrases.due(`<emphasis level="moderate">${variables.name}</emphasis>`),
+    dose(phrases, variables.dose),
+    food(phrases, variables.withFood),
+    PAUSE,
+    phrases.reply,
+  ],
+  urgent_reminder: (phrases, variables) => [
+    phrases.overdue(`<emphasis level="strong">${variables.name}</emphasis>`),
+    SHORT_PAUSE,
+    phrases.takeNow,
+    dose(phrases, variables.dose),
+    food(phrases, variables.withFood),
+    PAUSE,
+    phrases.reply,
+  ],
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// variables: { name, dose, withFood }, as plain text
+export function renderTemplate(template, variables, language = 'en') {
+  const build = TEMPLATES[template];
+
+  if (!build) {
+    throw new Error(`Unknown voice template "${template}"`);
+  }
+
+  const phrases = PHRASES[language] || PHRASES.en;
+  const parts = build(phrases, {
+    ...variables,
+    name: escapeXml(variables.name),
+    dose: variables.dose && escapeXml(variables.dose),
+  });
+
+  return `<speak><prosody rate="90%">${parts.filter(Boolean).join(' ')}</prosody></speak>`;
+}
+
+// "1 tablet" as it was entered, or the amount with the medication's form
+export function formatDose(dose) {
+  const amount = dose?.amount?.trim();
+
+  if (!amount) return null;
+
+  return /\p{L}/u.test(amount) || !dose.unit || dose.unit === 'unit'
+    ? amount
+    : `${amount} ${dose.unit}`;
+}
+
+// The medication's time slot the dose was generated from, for its instructions
+export function getTimeSlot(medication, schedule, timezone) {
+  const time = moment.tz(schedule.scheduledTime, getValidTimezone(timezone)).format('HH:mm');
+  return medication.schedule.times.find(slot => slot.time === time) || null;
+}
+
+// Template variables for a dose, using the name the patient's privacy level allows
+export function getReminderVariables(user, medication, schedule) {
+  return {
+    name: medication.getDisplayName(),
+    dose: formatDose(schedule.dose),
+    withFood: getTimeSlot(medication, schedule, user.timezone)?.withFood,
+  };
+}
\ No newline at end of file
@@ -11,7 +11,7 @@ class WhatsAppService {
     this.fromNumber = process.env.TWILIO_WHATSAPP_NUMBER;
   }
   
-  async sendMessage(to, { text, quickReplies, mediaUrl }) {
+  async sendMessage(to, { text, quickReplies, mediaUrl, statusCallback }) {
     try {
       const messageOptions = {
         from: this.fromNumber,
@@ -24,6 +24,11 @@ class WhatsAppService {
         messageOptions.mediaUrl = [mediaUrl];
       }
       
+      // Ask Twilio to report delivery for messages we track
+      if (statusCallback) {
+        messageOptions.statusCallback = statusCallback;
+      }
+      
       // Format quick replies
       if (quickReplies && quickReplies.length > 0) {
         messageOptions.body += '\n\n' + quickReplies.map((reply, index) => 
@@ -45,13 +50,19 @@ class WhatsAppService {
     }
   }
   
-  async sendVoiceNote(to, audioUrl) {
+  async sendVoiceNote(to, audioUrl, { statusCallback } = {}) {
     try {
-      const message = await this.client.messages.create({
+      const messageOptions = {
         from: this.fromNumber,
         to: to.startsWith('whatsapp:') ? to : `whatsapp:${to}`,
         mediaUrl: [audioUrl],
-      });
+      };
+      
+      if (statusCallback) {
+        messageOptions.statusCallback = statusCallback;
+      }
+      
+      const message = await this.client.messages.create(messageOptions);
       
       logger.info('Voice note sent', {
         messageId: message.sid,
@@ -1,17 +1,18 @@
 import { jest } from '@jest/globals';
-import { escalationQueue } from '../queues/escalationQueue.js';
-import Queue from 'bull';
-import { logger } from '../utils/logger.js';
 
 // Mock dependencies
-jest.mock('bull');
-jest.mock('../utils/logger.js');
+const Queue = jest.fn();
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.unstable_mockModule('bull', () => ({ default: Queue }));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({ logger }));
 
 describe('EscalationQueue', () => {
+  let escalationQueue;
   let mockQueue;
   let eventHandlers;
 
-  beforeEach(() => {
+  beforeEach(async () => {
     jest.clearAllMocks();
     jest.useFakeTimers();
     jest.setSystemTime(new Date('2024-01-15T10:00:00Z'));
@@ -29,6 +30,10 @@ describe('EscalationQueue', () => {
     };
 
     Queue.mockImplementation(() => mockQueue);
+
+    // The queue is created on import, so load a fresh one on the mock
+    jest.resetModules();
+    ({ escalationQueue } = await import('../../../queues/escalationQueue.js'));
   });
 
   afterEach(() => {
@@ -54,26 +59,27 @@ describe('EscalationQueue', () => {
       );
     });
 
-    it('should use REDIS_URL from environment', () => {
+    it('should use REDIS_URL from environment', async () => {
       process.env.REDIS_URL = 'redis://custom-redis:6379';
       
-      // Recreate to use new env variable
-      new Queue('test', process.env.REDIS_URL);
+      jest.resetModules();
+      await import('../../../queues/escalationQueue.js');
 
-      expect(Queue).toHaveBeenCalledWith(
-        'test',
+      expect(Queue).toHaveBeenLastCalledWith(
+        'escalations',
         'redis://custom-redis:6379',
         expect.any(Object)
       );
     });
 
-    it('should use default Redis URL if not provided', () => {
+    it('should use default Redis URL if not provided', async () => {
       delete process.env.REDIS_URL;
       
-      new Queue('test', process.env.REDIS_URL || 'redis://localhost:6379');
+      jest.resetModules();
+      await import('../../../queues/escalationQueue.js');
 
-      expect(Queue).toHaveBeenCalledWith(
-        'test',
+      expect(Queue).toHaveBeenLastCalledWith(
+        'escalations',
         'redis://localhost:6379',
         expect.any(Object)
       );
@@ -301,6 +307,84 @@ describe('EscalationQueue', () => {
     });
   });
 
+  describe('addCaregiverFallback', () => {
+    it('should queue a delayed fallback job for the escalation', async () => {
+      mockQueue.add.mockResolvedValue({ id: 'job-789' });
+
+      await escalationQueue.addCaregiverFallback({
+        scheduleId: 'schedule-123',
+        escalationId: 'esc-123',
+        scheduledFor: new Date('2024-01-15T10:15:00Z'),
+      });
+
+      expect(mockQueue.add).toHaveBeenCalledWith(
+        'caregiver-fallback',
+        {
+          scheduleId: 'schedule-123',
+          escalationId: 'esc-123',
+          scheduledFor: '2024-01-15T10:15:00.000Z',
+        },
+        {
+          delay: 15 * 60 * 1000,
+          jobId: expect.stringContaining('caregiver-fallback-esc-123-'),
+          attempts: 1,
+        }
+      );
+    });
+  });
+
+  describe('addClinicAlertRetry', () => {
+    it('should queue a delayed retry for the escalation', async () => {
+      mockQueue.add.mockResolvedValue({ id: 'job-790' });
+
+      await escalationQueue.addClinicAlertRetry({
+        scheduleId: 'schedule-123',
+        escalationId: 'esc-123',
+        scheduledFor: new Date('2024-01-15T10:05:00Z'),
+      });
+
+      expect(mockQueue.add).toHaveBeenCalledWith(
+        'clinic-alert-retry',
+        {
+          scheduleId: 'schedule-123',
+          escalationId: 'esc-123',
+          scheduledFor: '2024-01-15T10:05:00.000Z',
+        },
+        {
+          delay: 5 * 60 * 1000,
+          jobId: expect.stringContaining('clinic-alert-retry-esc-123-'),
+          attempts: 1,
+        }
+      );
+    });
+  });
+
+  describe('addVoiceCallRetry', () => {
+    it('should queue a delayed call for the escalation', async () => {
+      mockQueue.add.mockResolvedValue({ id: 'job-791' });
+
+      await escalationQueue.addVoiceCallRetry({
+        scheduleId: 'schedule-123',
+        escalationId: 'esc-123',
+        scheduledFor: new Date('2024-01-15T10:05:00Z'),
+      });
+
+      expect(mockQueue.add).toHaveBeenCalledWith(
+        'voice-call-retry',
+        {
+          scheduleId: 'schedule-123',
+          escalationId: 'esc-123',
+          scheduledFor: '2024-01-15T10:05:00.000Z',
+        },
+        {
+          delay: 5 * 60 * 1000,
+          jobId: expect.stringContaining('voice-call-retry-esc-123-'),
+          attempts: 1,
+        }
+      );
+    });
+  });
+
   describe('removeByScheduleId', () => {
     const scheduleId = 'schedule-789';
 
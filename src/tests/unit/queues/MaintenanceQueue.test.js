@@ -0,0 +1,52 @@
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('bull', () => ({
+  default: jest.fn().mockImplementation(() => ({ on: jest.fn() })),
+}));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { maintenanceQueue } = await import('../../../queues/maintenanceQueue.js');
+const { logger } = await import('../../../utils/logger.js');
+
+describe('MaintenanceQueue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    maintenanceQueue.queue = {
+      add: jest.fn().mockResolvedValue({ id: 'repeat:sweep-missed' }),
+      getRepeatableJobs: jest.fn().mockResolvedValue([]),
+      removeRepeatableByKey: jest.fn(),
+    };
+  });
+
+  describe('addRepeatable', () => {
+    it('should add a repeatable job keyed by name', async () => {
+      await maintenanceQueue.addRepeatable('sweep-missed', '*/5 * * * *');
+
+      expect(maintenanceQueue.queue.add).toHaveBeenCalledWith('sweep-missed', {}, {
+        repeat: { cron: '*/5 * * * *' },
+        jobId: 'sweep-missed',
+      });
+      expect(logger.info).toHaveBeenCalledWith('Maintenance job scheduled', {
+        name: 'sweep-missed',
+        cron: '*/5 * * * *',
+      });
+    });
+
+    it('should remove schedules left over from an old cron setting', async () => {
+      maintenanceQueue.queue.getRepeatableJobs.mockResolvedValue([
+        { name: 'sweep-missed', cron: '*/10 * * * *', key: 'old-key' },
+        { name: 'sweep-missed', cron: '*/5 * * * *', key: 'current-key' },
+        { name: 'other-job', cron: '0 * * * *', key: 'other-key' },
+      ]);
+
+      await maintenanceQueue.addRepeatable('sweep-missed', '*/5 * * * *');
+
+      expect(maintenanceQueue.queue.removeRepeatableByKey).toHaveBeenCalledTimes(1);
+      expect(maintenanceQueue.queue.removeRepeatableByKey).toHaveBeenCalledWith('old-key');
+    });
+  });
+});
\ No newline at end of file
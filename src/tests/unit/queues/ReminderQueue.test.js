@@ -1,17 +1,18 @@
 import { jest } from '@jest/globals';
-import { reminderQueue } from '../queues/reminderQueue.js';
-import Queue from 'bull';
-import { logger } from '../utils/logger.js';
 
 // Mock dependencies
-jest.mock('bull');
-jest.mock('../utils/logger.js');
+const Queue = jest.fn();
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.unstable_mockModule('bull', () => ({ default: Queue }));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({ logger }));
 
 describe('ReminderQueue', () => {
+  let reminderQueue;
   let mockQueue;
   let eventHandlers;
 
-  beforeEach(() => {
+  beforeEach(async () => {
     jest.clearAllMocks();
     jest.useFakeTimers();
     jest.setSystemTime(new Date('2024-01-15T10:00:00Z'));
@@ -35,6 +36,10 @@ describe('ReminderQueue', () => {
     };
 
     Queue.mockImplementation(() => mockQueue);
+
+    // The queue is created on import, so load a fresh one on the mock
+    jest.resetModules();
+    ({ reminderQueue } = await import('../../../queues/reminderQueue.js'));
   });
 
   afterEach(() => {
@@ -60,25 +65,27 @@ describe('ReminderQueue', () => {
       );
     });
 
-    it('should use REDIS_URL from environment', () => {
+    it('should use REDIS_URL from environment', async () => {
       process.env.REDIS_URL = 'redis://custom-redis:6379';
       
-      new Queue('test', process.env.REDIS_URL);
+      jest.resetModules();
+      await import('../../../queues/reminderQueue.js');
 
-      expect(Queue).toHaveBeenCalledWith(
-        'test',
+      expect(Queue).toHaveBeenLastCalledWith(
+        'reminders',
         'redis://custom-redis:6379',
         expect.any(Object)
       );
     });
 
-    it('should use default Redis URL if not provided', () => {
+    it('should use default Redis URL if not provided', async () => {
       delete process.env.REDIS_URL;
       
-      new Queue('test', process.env.REDIS_URL || 'redis://localhost:6379');
+      jest.resetModules();
+      await import('../../../queues/reminderQueue.js');
 
-      expect(Queue).toHaveBeenCalledWith(
-        'test',
+      expect(Queue).toHaveBeenLastCalledWith(
+        'reminders',
         'redis://localhost:6379',
         expect.any(Object)
       );
@@ -175,6 +182,7 @@ describe('ReminderQueue', () => {
         'send-reminder',
         {
           scheduleId,
+          medicationId: undefined,
           isSnoozed: false,
           scheduledTime: '2024-01-15T10:30:00.000Z',
         },
@@ -449,22 +457,132 @@ describe('ReminderQueue', () => {
     });
   });
 
+  describe('removeByScheduleIds', () => {
+    it('should remove reminder jobs for the given schedules only', async () => {
+      const jobs = [
+        {
+          name: 'send-reminder',
+          data: { scheduleId: 'schedule-1' },
+          remove: jest.fn().mockResolvedValue(true),
+        },
+        {
+          name: 'send-reminder',
+          data: { scheduleId: 'schedule-2' },
+          remove: jest.fn().mockResolvedValue(true),
+        },
+        {
+          name: 'send-reminder',
+          data: { scheduleId: 'schedule-3' },
+          remove: jest.fn().mockResolvedValue(true),
+        },
+      ];
+      mockQueue.getJobs.mockResolvedValue(jobs);
+
+      const count = await reminderQueue.removeByScheduleIds([
+        'schedule-1',
+        { toString: () => 'schedule-3' },
+      ]);
+
+      expect(count).toBe(2);
+      expect(jobs[0].remove).toHaveBeenCalled();
+      expect(jobs[1].remove).not.toHaveBeenCalled();
+      expect(jobs[2].remove).toHaveBeenCalled();
+    });
+  });
+
   describe('removeByMedicationId', () => {
     const medicationId = 'med-123';
 
+    beforeEach(() => {
+      mockQueue.getJobs.mockResolvedValue([
+        {
+          id: 'job-1',
+          name: 'send-reminder',
+          data: { scheduleId: 'schedule-1', medicationId: 'med-123' },
+          remove: jest.fn().mockResolvedValue(true),
+        },
+        {
+          id: 'job-2',
+          name: 'send-reminder',
+          data: { scheduleId: 'schedule-2', medicationId: 'med-456' },
+          remove: jest.fn().mockResolvedValue(true),
+        },
+        {
+          id: 'job-3',
+          name: 'resume-medication',
+          data: { medicationId: 'med-123' },
+          remove: jest.fn().mockResolvedValue(true),
+        },
+      ]);
+    });
+
+    it('should remove reminder jobs for the medication', async () => {
+      const mockJobs = await mockQueue.getJobs();
+
+      const count = await reminderQueue.removeByMedicationId(medicationId);
+
+      expect(count).toBe(1);
+      expect(mockJobs[0].remove).toHaveBeenCalled();
+      expect(mockJobs[1].remove).not.toHaveBeenCalled();
+      expect(mockJobs[2].remove).not.toHaveBeenCalled();
+    });
+
     it('should log medication ID removal', async () => {
       await reminderQueue.removeByMedicationId(medicationId);
 
       expect(logger.info).toHaveBeenCalledWith(
         'Removing reminders by medication ID',
-        { medicationId }
+        { medicationId, count: 1 }
       );
     });
 
-    it('should handle medication ID parameter', async () => {
-      await expect(
-        reminderQueue.removeByMedicationId(medicationId)
-      ).resolves.not.toThrow();
+    it('should match ObjectId-like medication IDs', async () => {
+      const objectId = { toString: () => 'med-123' };
+
+      const count = await reminderQueue.removeByMedicationId(objectId);
+
+      expect(count).toBe(1);
+    });
+  });
+
+  describe('addResume', () => {
+    beforeEach(() => {
+      mockQueue.getJobs.mockResolvedValue([]);
+      mockQueue.add.mockResolvedValue({ id: 'job-resume' });
+    });
+
+    it('should queue a delayed resume job', async () => {
+      const resumeAt = new Date('2024-01-18T10:00:00Z');
+
+      await reminderQueue.addResume({ medicationId: 'med-123', resumeAt });
+
+      expect(mockQueue.add).toHaveBeenCalledWith(
+        'resume-medication',
+        {
+          medicationId: 'med-123',
+          resumeAt: '2024-01-18T10:00:00.000Z',
+        },
+        {
+          delay: 3 * 24 * 60 * 60 * 1000,
+          jobId: expect.stringMatching(/^resume-med-123-\d+$/),
+        }
+      );
+    });
+
+    it('should replace an existing resume job', async () => {
+      const existing = {
+        name: 'resume-medication',
+        data: { medicationId: 'med-123' },
+        remove: jest.fn().mockResolvedValue(true),
+      };
+      mockQueue.getJobs.mockResolvedValue([existing]);
+
+      await reminderQueue.addResume({
+        medicationId: 'med-123',
+        resumeAt: new Date('2024-01-16T10:00:00Z'),
+      });
+
+      expect(existing.remove).toHaveBeenCalled();
     });
   });
 
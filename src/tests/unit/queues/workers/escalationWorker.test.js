@@ -1,24 +1,42 @@
 import { jest } from '@jest/globals';
-import { startEscalationWorker } from '../workers/escalationWorker.js';
-import { escalationQueue } from '../queues/escalationQueue.js';
-import { escalationController } from '../../controllers/escalationController.js';
-import { logger } from '../../utils/logger.js';
 
 // Mock dependencies
-jest.mock('../queues/escalationQueue.js');
-jest.mock('../../controllers/escalationController.js');
-jest.mock('../../utils/logger.js');
+jest.unstable_mockModule('../../../../queues/escalationQueue.js', () => ({
+  escalationQueue: {},
+}));
+jest.unstable_mockModule('../../../../controllers/escalationController.js', () => ({
+  escalationController: {},
+}));
+jest.unstable_mockModule('../../../../services/clinicAlertService.js', () => ({
+  clinicAlertService: {},
+}));
+jest.unstable_mockModule('../../../../services/voiceCallService.js', () => ({
+  voiceCallService: {},
+}));
+jest.unstable_mockModule('../../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { startEscalationWorker } = await import('../../../../queues/workers/escalationWorker.js');
+const { escalationQueue } = await import('../../../../queues/escalationQueue.js');
+const { escalationController } = await import('../../../../controllers/escalationController.js');
+const { clinicAlertService } = await import('../../../../services/clinicAlertService.js');
+const { voiceCallService } = await import('../../../../services/voiceCallService.js');
+const { logger } = await import('../../../../utils/logger.js');
 
 describe('EscalationWorker', () => {
   let mockProcess;
   let processorFunction;
+  let processors;
 
   beforeEach(() => {
     jest.clearAllMocks();
 
     // Mock queue.process
+    processors = {};
     mockProcess = jest.fn((jobName, processor) => {
-      processorFunction = processor;
+      processors[jobName] = processor;
+      processorFunction = processors['process-escalation'];
     });
 
     escalationQueue.queue = {
@@ -26,6 +44,9 @@ describe('EscalationWorker', () => {
     };
 
     escalationController.handleEscalation = jest.fn();
+    escalationController.handleCaregiverFallback = jest.fn();
+    clinicAlertService.retryDelivery = jest.fn();
+    voiceCallService.retryCall = jest.fn();
   });
 
   describe('startEscalationWorker', () => {
@@ -44,10 +65,53 @@ describe('EscalationWorker', () => {
       expect(logger.info).toHaveBeenCalledWith('Escalation worker started');
     });
 
-    it('should register exactly one processor', () => {
+    it('should register escalation, caregiver fallback and retry processors', () => {
       startEscalationWorker();
 
-      expect(mockProcess).toHaveBeenCalledTimes(1);
+      expect(mockProcess).toHaveBeenCalledTimes(4);
+      expect(mockProcess).toHaveBeenCalledWith(
+        'caregiver-fallback',
+        expect.any(Function)
+      );
+      expect(mockProcess).toHaveBeenCalledWith(
+        'clinic-alert-retry',
+        expect.any(Function)
+      );
+      expect(mockProcess).toHaveBeenCalledWith(
+        'voice-call-retry',
+        expect.any(Function)
+      );
+    });
+  });
+
+  describe('caregiver fallback processor', () => {
+    beforeEach(() => {
+      startEscalationWorker();
+    });
+
+    it('should hand the escalation to the controller', async () => {
+      escalationController.handleCaregiverFallback.mockResolvedValue(undefined);
+
+      const result = await processors['caregiver-fallback']({
+        data: { scheduleId: 'schedule-123', escalationId: 'esc-123' },
+      });
+
+      expect(escalationController.handleCaregiverFallback).toHaveBeenCalledWith('esc-123');
+      expect(result).toEqual({ success: true, escalationId: 'esc-123' });
+    });
+
+    it('should log and rethrow errors', async () => {
+      const error = new Error('Send failed');
+      escalationController.handleCaregiverFallback.mockRejectedValue(error);
+
+      await expect(
+        processors['caregiver-fallback']({ data: { escalationId: 'esc-123' } })
+      ).rejects.toThrow('Send failed');
+
+      expect(logger.error).toHaveBeenCalledWith(
+        'Caregiver fallback worker error:',
+        error
+      );
     });
   });
 
@@ -86,7 +150,24 @@ describe('EscalationWorker', () => {
 
       expect(escalationController.handleEscalation).toHaveBeenCalledWith(
         'schedule-456',
-        3
+        3,
+        { scheduledFor: undefined }
+      );
+    });
+
+    it('should pass on when the job was due', async () => {
+      await processorFunction({
+        data: {
+          scheduleId: 'schedule-123',
+          level: 2,
+          scheduledFor: '2024-01-15T10:30:00.000Z',
+        },
+      });
+
+      expect(escalationController.handleEscalation).toHaveBeenCalledWith(
+        'schedule-123',
+        2,
+        { scheduledFor: new Date('2024-01-15T10:30:00.000Z') }
       );
     });
 
@@ -121,7 +202,8 @@ describe('EscalationWorker', () => {
 
       expect(escalationController.handleEscalation).toHaveBeenCalledWith(
         'schedule-111',
-        1
+        1,
+        { scheduledFor: undefined }
       );
     });
 
@@ -140,7 +222,8 @@ describe('EscalationWorker', () => {
 
         expect(escalationController.handleEscalation).toHaveBeenCalledWith(
           `schedule-${level}`,
-          level
+          level,
+          { scheduledFor: undefined }
         );
       }
     });
@@ -227,7 +310,8 @@ describe('EscalationWorker', () => {
 
       expect(escalationController.handleEscalation).toHaveBeenCalledWith(
         undefined,
-        2
+        2,
+        { scheduledFor: undefined }
       );
     });
 
@@ -242,7 +326,8 @@ describe('EscalationWorker', () => {
 
       expect(escalationController.handleEscalation).toHaveBeenCalledWith(
         'schedule-no-level',
-        undefined
+        undefined,
+        { scheduledFor: undefined }
       );
     });
 
@@ -255,7 +340,8 @@ describe('EscalationWorker', () => {
 
       expect(escalationController.handleEscalation).toHaveBeenCalledWith(
         undefined,
-        undefined
+        undefined,
+        { scheduledFor: undefined }
       );
     });
   });
@@ -429,14 +515,48 @@ describe('EscalationWorker', () => {
     });
   });
 
+  describe('clinic alert retry processor', () => {
+    beforeEach(() => {
+      startEscalationWorker();
+    });
+
+    it('should retry the clinic alert deliveries', async () => {
+      clinicAlertService.retryDelivery.mockResolvedValue(null);
+
+      const result = await processors['clinic-alert-retry']({
+        data: { scheduleId: 'schedule-123', escalationId: 'esc-123' },
+      });
+
+      expect(clinicAlertService.retryDelivery).toHaveBeenCalledWith('esc-123');
+      expect(result).toEqual({ success: true, escalationId: 'esc-123' });
+    });
+  });
+
+  describe('voice call retry processor', () => {
+    beforeEach(() => {
+      startEscalationWorker();
+    });
+
+    it('should call the patient again', async () => {
+      voiceCallService.retryCall.mockResolvedValue(null);
+
+      const result = await processors['voice-call-retry']({
+        data: { scheduleId: 'schedule-123', escalationId: 'esc-123' },
+      });
+
+      expect(voiceCallService.retryCall).toHaveBeenCalledWith('esc-123');
+      expect(result).toEqual({ success: true, escalationId: 'esc-123' });
+    });
+  });
+
   describe('worker initialization', () => {
     it('should be idempotent - can be called multiple times', () => {
       startEscalationWorker();
       startEscalationWorker();
       startEscalationWorker();
 
-      // Each call registers a new processor
-      expect(mockProcess).toHaveBeenCalledTimes(3);
+      // Each call registers the four processors again
+      expect(mockProcess).toHaveBeenCalledTimes(12);
     });
 
     it('should register correct job type', () => {
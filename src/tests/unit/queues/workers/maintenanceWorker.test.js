@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../../../queues/maintenanceQueue.js', () => ({
+  maintenanceQueue: {},
+}));
+jest.unstable_mockModule('../../../../controllers/reminderController.js', () => ({
+  reminderController: {},
+}));
+jest.unstable_mockModule('../../../../services/schedulerService.js', () => ({
+  schedulerService: {},
+}));
+jest.unstable_mockModule('../../../../services/digestService.js', () => ({
+  digestService: {},
+}));
+jest.unstable_mockModule('../../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { startMaintenanceWorker } = await import('../../../../queues/workers/maintenanceWorker.js');
+const { maintenanceQueue } = await import('../../../../queues/maintenanceQueue.js');
+const { reminderController } = await import('../../../../controllers/reminderController.js');
+const { schedulerService } = await import('../../../../services/schedulerService.js');
+const { digestService } = await import('../../../../services/digestService.js');
+const { logger } = await import('../../../../utils/logger.js');
+
+describe('MaintenanceWorker', () => {
+  let mockProcess;
+  let processors;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    processors = {};
+    mockProcess = jest.fn((jobName, processor) => {
+      processors[jobName] = processor;
+    });
+
+    maintenanceQueue.queue = {
+      process: mockProcess,
+    };
+    maintenanceQueue.addRepeatable = jest.fn().mockResolvedValue({});
+
+    reminderController.sweepMissedDoses = jest.fn();
+    schedulerService.topUpSchedules = jest.fn();
+    digestService.sendDueDigests = jest.fn();
+  });
+
+  describe('startMaintenanceWorker', () => {
+    it('should register the missed dose sweep', () => {
+      startMaintenanceWorker();
+
+      expect(mockProcess).toHaveBeenCalledWith('sweep-missed', expect.any(Function));
+    });
+
+    it('should register the schedule top-up', () => {
+      startMaintenanceWorker();
+
+      expect(mockProcess).toHaveBeenCalledWith('top-up-schedules', expect.any(Function));
+    });
+
+    it('should schedule the sweep every five minutes by default', () => {
+      startMaintenanceWorker();
+
+      expect(maintenanceQueue.addRepeatable).toHaveBeenCalledWith('sweep-missed', '*/5 * * * *');
+    });
+
+    it('should top up schedules daily by default', () => {
+      startMaintenanceWorker();
+
+      expect(maintenanceQueue.addRepeatable).toHaveBeenCalledWith('top-up-schedules', '0 1 * * *');
+    });
+
+    it('should check for due caregiver digests every 15 minutes by default', () => {
+      startMaintenanceWorker();
+
+      expect(mockProcess).toHaveBeenCalledWith('caregiver-digests', expect.any(Function));
+      expect(maintenanceQueue.addRepeatable).toHaveBeenCalledWith('caregiver-digests', '*/15 * * * *');
+    });
+
+    it('should log worker started', () => {
+      startMaintenanceWorker();
+
+      expect(logger.info).toHaveBeenCalledWith('Maintenance worker started');
+    });
+  });
+
+  describe('sweep-missed processor', () => {
+    beforeEach(() => {
+      startMaintenanceWorker();
+    });
+
+    it('should return how many doses were marked as missed', async () => {
+      reminderController.sweepMissedDoses.mockResolvedValue(3);
+
+      const result = await processors['sweep-missed']({ data: {} });
+
+      expect(reminderController.sweepMissedDoses).toHaveBeenCalled();
+      expect(result).toEqual({ success: true, count: 3 });
+    });
+
+    it('should log and rethrow errors', async () => {
+      reminderController.sweepMissedDoses.mockRejectedValue(new Error('DB error'));
+
+      await expect(processors['sweep-missed']({ data: {} })).rejects.toThrow('DB error');
+      expect(logger.error).toHaveBeenCalledWith('Missed dose sweep error:', expect.any(Error));
+    });
+  });
+
+  describe('top-up-schedules processor', () => {
+    beforeEach(() => {
+      startMaintenanceWorker();
+    });
+
+    it('should return how many schedules were created', async () => {
+      schedulerService.topUpSchedules.mockResolvedValue(12);
+
+      const result = await processors['top-up-schedules']({ data: {} });
+
+      expect(result).toEqual({ success: true, count: 12 });
+    });
+
+    it('should log and rethrow errors', async () => {
+      schedulerService.topUpSchedules.mockRejectedValue(new Error('DB error'));
+
+      await expect(processors['top-up-schedules']({ data: {} })).rejects.toThrow('DB error');
+      expect(logger.error).toHaveBeenCalledWith('Schedule top-up error:', expect.any(Error));
+    });
+  });
+
+  describe('caregiver-digests processor', () => {
+    beforeEach(() => {
+      startMaintenanceWorker();
+    });
+
+    it('should return how many digests were sent', async () => {
+      digestService.sendDueDigests.mockResolvedValue(4);
+
+      const result = await processors['caregiver-digests']({ data: {} });
+
+      expect(result).toEqual({ success: true, count: 4 });
+    });
+
+    it('should log and rethrow errors', async () => {
+      digestService.sendDueDigests.mockRejectedValue(new Error('DB error'));
+
+      await expect(processors['caregiver-digests']({ data: {} })).rejects.toThrow('DB error');
+      expect(logger.error).toHaveBeenCalledWith('Caregiver digest error:', expect.any(Error));
+    });
+  });
+});
\ No newline at end of file
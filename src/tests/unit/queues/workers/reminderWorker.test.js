@@ -1,24 +1,40 @@
 import { jest } from '@jest/globals';
-import { startReminderWorker } from '../workers/reminderWorker.js';
-import { reminderQueue } from '../queues/reminderQueue.js';
-import { reminderController } from '../../controllers/reminderController.js';
-import { logger } from '../../utils/logger.js';
 
 // Mock dependencies
-jest.mock('../queues/reminderQueue.js');
-jest.mock('../../controllers/reminderController.js');
-jest.mock('../../utils/logger.js');
+jest.unstable_mockModule('../../../../queues/reminderQueue.js', () => ({
+  reminderQueue: {},
+}));
+jest.unstable_mockModule('../../../../controllers/reminderController.js', () => ({
+  reminderController: {},
+}));
+jest.unstable_mockModule('../../../../services/schedulerService.js', () => ({
+  schedulerService: {},
+}));
+jest.unstable_mockModule('../../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { startReminderWorker } = await import('../../../../queues/workers/reminderWorker.js');
+const { reminderQueue } = await import('../../../../queues/reminderQueue.js');
+const { reminderController } = await import('../../../../controllers/reminderController.js');
+const { schedulerService } = await import('../../../../services/schedulerService.js');
+const { logger } = await import('../../../../utils/logger.js');
 
 describe('ReminderWorker', () => {
   let mockProcess;
   let processorFunction;
+  let resumeProcessor;
 
   beforeEach(() => {
     jest.clearAllMocks();
 
     // Mock queue.process
     mockProcess = jest.fn((jobName, processor) => {
-      processorFunction = processor;
+      if (jobName === 'send-reminder') {
+        processorFunction = processor;
+      } else if (jobName === 'resume-medication') {
+        resumeProcessor = processor;
+      }
     });
 
     reminderQueue.queue = {
@@ -26,6 +42,7 @@ describe('ReminderWorker', () => {
     };
 
     reminderController.sendReminder = jest.fn();
+    schedulerService.resumeMedication = jest.fn();
   });
 
   describe('startReminderWorker', () => {
@@ -44,10 +61,37 @@ describe('ReminderWorker', () => {
       expect(logger.info).toHaveBeenCalledWith('Reminder worker started');
     });
 
-    it('should register exactly one processor', () => {
+    it('should register reminder and resume processors', () => {
       startReminderWorker();
 
-      expect(mockProcess).toHaveBeenCalledTimes(1);
+      expect(mockProcess).toHaveBeenCalledTimes(2);
+      expect(mockProcess).toHaveBeenCalledWith(
+        'resume-medication',
+        expect.any(Function)
+      );
+    });
+  });
+
+  describe('resume processor', () => {
+    beforeEach(() => {
+      startReminderWorker();
+      schedulerService.resumeMedication.mockResolvedValue(3);
+    });
+
+    it('should resume the medication', async () => {
+      const result = await resumeProcessor({ data: { medicationId: 'med-123' } });
+
+      expect(schedulerService.resumeMedication).toHaveBeenCalledWith('med-123');
+      expect(result).toEqual({ success: true, medicationId: 'med-123' });
+    });
+
+    it('should log and rethrow errors', async () => {
+      schedulerService.resumeMedication.mockRejectedValue(new Error('DB error'));
+
+      await expect(
+        resumeProcessor({ data: { medicationId: 'med-123' } })
+      ).rejects.toThrow('DB error');
+      expect(logger.error).toHaveBeenCalledWith('Resume worker error:', expect.any(Error));
     });
   });
 
@@ -526,8 +570,8 @@ describe('ReminderWorker', () => {
       startReminderWorker();
       startReminderWorker();
 
-      // Each call registers a new processor
-      expect(mockProcess).toHaveBeenCalledTimes(3);
+      // Each call registers new processors
+      expect(mockProcess).toHaveBeenCalledTimes(6);
     });
 
     it('should register correct job type', () => {
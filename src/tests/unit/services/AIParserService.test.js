@@ -1,22 +1,23 @@
 import { jest } from '@jest/globals';
-import { aiParserService } from '../services/AIParserService.js';
-import { logger } from '../utils/logger.js';
-import OpenAI from 'openai';
 
 // Mock dependencies
-jest.mock('openai');
-jest.mock('../utils/logger.js');
-jest.mock('../config/constants.js', () => ({
+const OpenAI = jest.fn();
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.unstable_mockModule('openai', () => ({ default: OpenAI }));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({ logger }));
+jest.unstable_mockModule('../../../config/constants.js', () => ({
   CONSTANTS: {
     DEFAULT_NICKNAMES: ['Medicine A', 'Medicine B', 'Daily pill'],
   },
 }));
 
 describe('AIParserService', () => {
+  let aiParserService;
   let mockOpenAI;
   let mockCreate;
 
-  beforeEach(() => {
+  beforeEach(async () => {
     jest.clearAllMocks();
     
     // Mock OpenAI chat completions
@@ -30,6 +31,10 @@ describe('AIParserService', () => {
     };
     
     OpenAI.mockImplementation(() => mockOpenAI);
+
+    // The client is created on import, so load a fresh service on the mock
+    jest.resetModules();
+    ({ aiParserService } = await import('../../../services/aiParserService.js'));
   });
 
   describe('parsePrescription', () => {
@@ -556,4 +561,85 @@ describe('AIParserService', () => {
       expect(prompt).toContain('privacy');
     });
   });
+
+  describe('parseMedicationText', () => {
+    it('should parse name, strength, frequency, food and duration', () => {
+      const result = aiParserService.parseMedicationText(
+        'add metformin 500mg twice a day with food for 30 days'
+      );
+
+      expect(result.name).toBe('Metformin');
+      expect(result.dosage).toBe('500mg');
+      expect(result.times.map(t => t.time)).toEqual(['08:00', '20:00']);
+      expect(result.times.every(t => t.withFood)).toBe(true);
+      expect(result.instructions).toBe('Take with food');
+      expect(result.duration).toBe(30);
+    });
+
+    it('should parse explicit clock times', () => {
+      const result = aiParserService.parseMedicationText('add panado 500mg at 8am and 8:30pm');
+
+      expect(result.times.map(t => t.time)).toEqual(['08:00', '20:30']);
+    });
+
+    it('should parse dose amount and form', () => {
+      const result = aiParserService.parseMedicationText('add amoxicillin 2 capsules every 8 hours for 1 week');
+
+      expect(result.dose).toBe('2');
+      expect(result.form).toBe('capsule');
+      expect(result.times.map(t => t.time)).toEqual(['06:00', '14:00', '22:00']);
+      expect(result.duration).toBe(7);
+    });
+
+    it('should keep multi-word names', () => {
+      const result = aiParserService.parseMedicationText('add blood pressure pill every morning');
+
+      expect(result.name).toBe('Blood pressure pill');
+      expect(result.times.map(t => t.time)).toEqual(['08:00']);
+    });
+
+    it('should parse weekly schedules without confusing months', () => {
+      const weekly = aiParserService.parseMedicationText('add vitamin d every monday and thursday');
+      const monthly = aiParserService.parseMedicationText('add iron daily for 1 month');
+
+      expect(weekly.frequency).toBe('weekly');
+      expect(weekly.daysOfWeek).toEqual([1, 4]);
+      expect(monthly.frequency).toBe('daily');
+      expect(monthly.duration).toBe(30);
+    });
+
+    it('should start weekly schedules on the user\'s current day', () => {
+      jest.useFakeTimers();
+      // Sunday 23:00 in UTC, already Monday in Johannesburg
+      jest.setSystemTime(new Date('2024-01-14T23:00:00Z'));
+
+      const local = aiParserService.parseMedicationText('add vitamin d weekly', { timezone: 'Africa/Johannesburg' });
+      const utc = aiParserService.parseMedicationText('add vitamin d weekly');
+
+      jest.useRealTimers();
+
+      expect(local.daysOfWeek).toEqual([1]);
+      expect(utc.daysOfWeek).toEqual([0]);
+    });
+
+    it('should detect empty stomach instructions', () => {
+      const result = aiParserService.parseMedicationText('add thyroxine before breakfast');
+
+      expect(result.withFood).toBe(false);
+      expect(result.instructions).toBe('Take on an empty stomach');
+    });
+
+    it('should flag ongoing medication', () => {
+      const result = aiParserService.parseMedicationText('add insulin morning and night ongoing');
+
+      expect(result.ongoing).toBe(true);
+      expect(result.duration).toBeNull();
+    });
+
+    it('should return no name when only the command is sent', () => {
+      const result = aiParserService.parseMedicationText('add');
+
+      expect(result.name).toBeNull();
+    });
+  });
 });
\ No newline at end of file
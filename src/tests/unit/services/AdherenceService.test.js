@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../../models/AdherenceLog.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/User.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { adherenceService } = await import('../../../services/adherenceService.js');
+const { default: AdherenceLog } = await import('../../../models/AdherenceLog.js');
+const { default: User } = await import('../../../models/User.js');
+const { logger } = await import('../../../utils/logger.js');
+
+describe('AdherenceService', () => {
+  const createSchedule = (overrides = {}) => ({
+    _id: 'schedule-123',
+    userId: 'user-123',
+    scheduledTime: new Date('2024-01-15T08:00:00Z'),
+    dose: { amount: '1', unit: 'tablet' },
+    escalation: { level: 0 },
+    ...overrides,
+  });
+
+  const createMedication = (overrides = {}) => ({
+    _id: 'med-123',
+    medical: { criticalMedication: false },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-15T08:20:00Z'));
+    AdherenceLog.create = jest.fn().mockImplementation(async (data) => data);
+    AdherenceLog.calculateAdherence = jest.fn().mockResolvedValue({ taken: 9, total: 10 });
+    User.findById = jest.fn().mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('recordOutcome', () => {
+    it('should log a taken dose with its delay and response method', async () => {
+      await adherenceService.recordOutcome(createSchedule(), createMedication(), 'taken', {
+        responseMethod: 'button',
+      });
+
+      expect(AdherenceLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-123',
+        medicationId: 'med-123',
+        scheduleId: 'schedule-123',
+        status: 'taken',
+        actualTime: new Date('2024-01-15T08:20:00Z'),
+        dose: { scheduled: '1 tablet' },
+        delayMinutes: 20,
+        escalationReached: 0,
+        responseMethod: 'button',
+        flags: { criticalMedication: false },
+      }));
+    });
+
+    it('should log doses taken after the response window as late', async () => {
+      jest.setSystemTime(new Date('2024-01-15T09:30:00Z'));
+
+      await adherenceService.recordOutcome(createSchedule(), createMedication(), 'taken', {
+        responseMethod: 'text',
+      });
+
+      expect(AdherenceLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'late',
+        delayMinutes: 90,
+      }));
+    });
+
+    it('should record the escalation level and critical flag', async () => {
+      await adherenceService.recordOutcome(
+        createSchedule({ escalation: { level: 4 } }),
+        createMedication({ medical: { criticalMedication: true } }),
+        'missed',
+        { responseMethod: 'auto' }
+      );
+
+      expect(AdherenceLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'missed',
+        actualTime: undefined,
+        escalationReached: 4,
+        responseMethod: 'auto',
+        flags: { criticalMedication: true },
+      }));
+    });
+
+    it('should use the user id from a populated schedule', async () => {
+      await adherenceService.recordOutcome(
+        createSchedule({ userId: { _id: 'user-456' } }),
+        createMedication(),
+        'skipped'
+      );
+
+      expect(AdherenceLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-456',
+      }));
+    });
+
+    it('should not update user stats for snoozes', async () => {
+      await adherenceService.recordOutcome(createSchedule(), createMedication(), 'snoozed');
+
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('should log and swallow database errors', async () => {
+      AdherenceLog.create = jest.fn().mockRejectedValue(new Error('DB error'));
+
+      const result = await adherenceService.recordOutcome(createSchedule(), createMedication(), 'taken');
+
+      expect(result).toBeNull();
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('updateUserStats', () => {
+    const createUser = (stats = {}) => ({
+      stats: { streak: 4, longestStreak: 4, adherenceRate: 100, ...stats },
+      updateAdherence: jest.fn(),
+      save: jest.fn().mockResolvedValue(true),
+    });
+
+    it('should extend the streak when a dose is taken', async () => {
+      const user = createUser();
+      User.findById = jest.fn().mockResolvedValue(user);
+
+      await adherenceService.updateUserStats('user-123', 'taken');
+
+      expect(user.stats.streak).toBe(5);
+      expect(user.stats.longestStreak).toBe(5);
+      expect(user.updateAdherence).toHaveBeenCalledWith(9, 10);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should reset the streak when a dose is missed', async () => {
+      const user = createUser();
+      User.findById = jest.fn().mockResolvedValue(user);
+
+      await adherenceService.updateUserStats('user-123', 'missed');
+
+      expect(user.stats.streak).toBe(0);
+      expect(user.stats.longestStreak).toBe(4);
+    });
+  });
+});
\ No newline at end of file
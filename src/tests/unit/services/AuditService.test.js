@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../../models/AuditLog.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { auditService } = await import('../../../services/auditService.js');
+const { default: AuditLog } = await import('../../../models/AuditLog.js');
+
+describe('AuditService', () => {
+  const caregiver = {
+    _id: 'caregiver-1',
+    name: 'Sipho',
+    phoneNumber: '+27820000002',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AuditLog.create = jest.fn().mockImplementation(async (entry) => entry);
+  });
+
+  describe('record', () => {
+    it('should store who acted on which doses', async () => {
+      const actor = auditService.caregiverActor(caregiver);
+
+      await auditService.record('user-123', actor, 'dose.taken', {
+        scheduleIds: ['schedule-1'],
+        details: { via: 'command' },
+      });
+
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        userId: 'user-123',
+        actor: {
+          type: 'caregiver',
+          phoneNumber: '+27820000002',
+          name: 'Sipho',
+          caregiverId: 'caregiver-1',
+        },
+        action: 'dose.taken',
+        scheduleIds: ['schedule-1'],
+        details: { via: 'command' },
+      });
+    });
+
+    it('should not fail the action when the log cannot be written', async () => {
+      AuditLog.create = jest.fn().mockRejectedValue(new Error('Database error'));
+
+      const result = await auditService.record('user-123', { type: 'system' }, 'patients.viewed');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('caregiverActor', () => {
+    it('should point escalation entries back at the caregiver entry', () => {
+      const actor = auditService.caregiverActor({ ...caregiver, _id: 'entry-1', caregiverId: 'caregiver-1' });
+
+      expect(actor.caregiverId).toBe('caregiver-1');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,229 @@
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../../services/whatsappService.js', () => ({
+  whatsappService: {},
+}));
+jest.unstable_mockModule('../../../models/User.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { caregiverService } = await import('../../../services/caregiverService.js');
+const { whatsappService } = await import('../../../services/whatsappService.js');
+const { default: User } = await import('../../../models/User.js');
+
+describe('CaregiverService', () => {
+  const sender = { whatsappId: 'whatsapp:+27820000002' };
+
+  const createPatient = (status = 'invited', overrides = {}) => {
+    const caregiver = {
+      _id: 'caregiver-1',
+      name: 'Sipho',
+      phoneNumber: '+27820000002',
+      consent: { status },
+    };
+
+    return {
+      _id: 'user-123',
+      name: 'Thandi',
+      whatsappId: 'whatsapp:+27820000001',
+      caregivers: Object.assign([caregiver], { pull: jest.fn() }),
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides,
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    whatsappService.sendMessage = jest.fn().mockResolvedValue({ sid: 'SM123' });
+    whatsappService.sendTemplate = jest.fn().mockResolvedValue({ sid: 'SM124' });
+    delete process.env.CAREGIVER_INVITE_TEMPLATE_SID;
+  });
+
+  describe('parseCommand', () => {
+    it('should parse invitation replies', () => {
+      expect(caregiverService.parseCommand('Accept')).toEqual({ action: 'accept', name: null });
+      expect(caregiverService.parseCommand('decline Thandi')).toEqual({ action: 'decline', name: 'thandi' });
+    });
+
+    it('should parse stop alerts with an optional name', () => {
+      expect(caregiverService.parseCommand('STOP ALERTS')).toEqual({ action: 'revoke', name: null });
+      expect(caregiverService.parseCommand('stop alerts for Thandi')).toEqual({ action: 'revoke', name: 'thandi' });
+    });
+
+    it('should parse digest settings', () => {
+      expect(caregiverService.parseCommand('digest daily')).toEqual({
+        action: 'digest',
+        frequency: 'daily',
+      });
+      expect(caregiverService.parseCommand('Digest weekly Monday 7pm')).toEqual({
+        action: 'digest',
+        frequency: 'weekly',
+        dayOfWeek: 1,
+        time: '19:00',
+      });
+      expect(caregiverService.parseCommand('digest daily at 8:30')).toEqual({
+        action: 'digest',
+        frequency: 'daily',
+        time: '08:30',
+      });
+    });
+
+    it('should parse real-time alert toggles', () => {
+      expect(caregiverService.parseCommand('alerts off')).toEqual({ action: 'alerts', enabled: false });
+      expect(caregiverService.parseCommand('Alerts on')).toEqual({ action: 'alerts', enabled: true });
+    });
+
+    it('should reject invalid digest times', () => {
+      expect(caregiverService.parseCommand('digest daily 25:00')).toBeNull();
+      expect(caregiverService.parseCommand('digest daily 13pm')).toBeNull();
+    });
+
+    it('should ignore other messages', () => {
+      expect(caregiverService.parseCommand('taken')).toBeNull();
+      expect(caregiverService.parseCommand('stop')).toBeNull();
+    });
+  });
+
+  describe('invite', () => {
+    const user = { name: 'Thandi' };
+    const caregiver = { name: 'Sipho', phoneNumber: '+27820000002' };
+
+    it('should ask the caregiver to accept', async () => {
+      await caregiverService.invite(user, caregiver);
+
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith('+27820000002', {
+        text: expect.stringContaining('Reply *ACCEPT*'),
+      });
+    });
+
+    it('should use the approved template when configured', async () => {
+      process.env.CAREGIVER_INVITE_TEMPLATE_SID = 'HX123';
+
+      await caregiverService.invite(user, caregiver);
+
+      expect(whatsappService.sendTemplate).toHaveBeenCalledWith('+27820000002', 'HX123', {
+        1: 'Sipho',
+        2: 'Thandi',
+      });
+      expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleCommand', () => {
+    it('should accept a pending invitation', async () => {
+      const patient = createPatient();
+      User.find = jest.fn().mockResolvedValue([patient]);
+
+      const handled = await caregiverService.handleCommand(sender, { action: 'accept', name: null });
+
+      expect(handled).toBe(true);
+      expect(User.find).toHaveBeenCalledWith({
+        caregivers: {
+          $elemMatch: { phoneNumber: '+27820000002', 'consent.status': 'invited' },
+        },
+      });
+      expect(patient.caregivers[0].consent.status).toBe('accepted');
+      expect(patient.caregivers[0].consent.acceptedAt).toBeInstanceOf(Date);
+      expect(patient.save).toHaveBeenCalled();
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith(patient.whatsappId, {
+        text: expect.stringContaining('Sipho accepted'),
+      });
+    });
+
+    it('should remove the link when the caregiver declines', async () => {
+      const patient = createPatient();
+      User.find = jest.fn().mockResolvedValue([patient]);
+
+      await caregiverService.handleCommand(sender, { action: 'decline', name: null });
+
+      expect(patient.caregivers.pull).toHaveBeenCalledWith('caregiver-1');
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith(patient.whatsappId, {
+        text: 'Sipho declined to be your caregiver.',
+      });
+    });
+
+    it('should let a caregiver revoke an accepted link', async () => {
+      const patient = createPatient('accepted');
+      User.find = jest.fn().mockResolvedValue([patient]);
+
+      await caregiverService.handleCommand(sender, { action: 'revoke', name: null });
+
+      expect(User.find).toHaveBeenCalledWith({
+        caregivers: {
+          $elemMatch: { phoneNumber: '+27820000002', 'consent.status': 'accepted' },
+        },
+      });
+      expect(patient.caregivers.pull).toHaveBeenCalledWith('caregiver-1');
+    });
+
+    it('should ask which patient when several invitations are pending', async () => {
+      const first = createPatient();
+      const second = createPatient('invited', { _id: 'user-456', name: 'Mandla' });
+      User.find = jest.fn().mockResolvedValue([first, second]);
+
+      const handled = await caregiverService.handleCommand(sender, { action: 'accept', name: null });
+
+      expect(handled).toBe(true);
+      expect(first.save).not.toHaveBeenCalled();
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith(sender.whatsappId, {
+        text: expect.stringContaining('Thandi, Mandla'),
+      });
+    });
+
+    it('should not handle messages from people without invitations', async () => {
+      User.find = jest.fn().mockResolvedValue([]);
+
+      const handled = await caregiverService.handleCommand(sender, { action: 'accept', name: null });
+
+      expect(handled).toBe(false);
+      expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('should update the digest for every patient the caregiver follows', async () => {
+      const first = createPatient('accepted');
+      const second = createPatient('accepted', { _id: 'user-456', name: 'Mandla' });
+      first.caregivers[0].digest = { frequency: 'off', time: '19:00', dayOfWeek: 0 };
+      second.caregivers[0].digest = { frequency: 'off', time: '19:00', dayOfWeek: 0 };
+      User.find = jest.fn().mockResolvedValue([first, second]);
+
+      const handled = await caregiverService.handleCommand(sender, {
+        action: 'digest',
+        frequency: 'weekly',
+        dayOfWeek: 1,
+      });
+
+      expect(handled).toBe(true);
+      expect(first.caregivers[0].digest).toEqual({ frequency: 'weekly', time: '19:00', dayOfWeek: 1 });
+      expect(second.caregivers[0].digest.frequency).toBe('weekly');
+      expect(second.save).toHaveBeenCalled();
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith(sender.whatsappId, {
+        text: expect.stringContaining('weekly summary on Monday at 19:00'),
+      });
+    });
+
+    it('should turn real-time alerts off', async () => {
+      const patient = createPatient('accepted');
+      patient.caregivers[0].digest = { frequency: 'daily', time: '19:00', dayOfWeek: 0 };
+      User.find = jest.fn().mockResolvedValue([patient]);
+
+      await caregiverService.handleCommand(sender, { action: 'alerts', enabled: false });
+
+      expect(patient.caregivers[0].realtimeAlerts).toBe(false);
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith(sender.whatsappId, {
+        text: expect.stringContaining('Real-time alerts are off'),
+      });
+    });
+  });
+
+  describe('isActive', () => {
+    it('should only treat accepted caregivers as active', () => {
+      expect(caregiverService.isActive({ consent: { status: 'accepted' } })).toBe(true);
+      expect(caregiverService.isActive({ consent: { status: 'invited' } })).toBe(false);
+      expect(caregiverService.isActive({})).toBe(false);
+    });
+  });
+});
\ No newline at end of file
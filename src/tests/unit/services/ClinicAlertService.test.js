@@ -0,0 +1,261 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+
+// Mock dependencies
+jest.unstable_mockModule('axios', () => ({ default: {} }));
+jest.unstable_mockModule('../../../services/whatsappService.js', () => ({
+  whatsappService: {},
+}));
+jest.unstable_mockModule('../../../services/emailService.js', () => ({
+  emailService: {},
+}));
+jest.unstable_mockModule('../../../queues/escalationQueue.js', () => ({
+  escalationQueue: {},
+}));
+jest.unstable_mockModule('../../../models/Clinic.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/Escalation.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/User.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/Medication.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/Schedule.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { default: axios } = await import('axios');
+const { clinicAlertService } = await import('../../../services/clinicAlertService.js');
+const { whatsappService } = await import('../../../services/whatsappService.js');
+const { emailService } = await import('../../../services/emailService.js');
+const { escalationQueue } = await import('../../../queues/escalationQueue.js');
+const { default: Clinic } = await import('../../../models/Clinic.js');
+const { default: Escalation } = await import('../../../models/Escalation.js');
+
+describe('ClinicAlertService', () => {
+  const createClinic = (alerting = {}) => ({
+    _id: 'clinic-1',
+    name: 'Hillbrow Clinic',
+    isActive: true,
+    alerting: {
+      channels: ['webhook', 'email', 'whatsapp'],
+      webhookUrl: 'https://clinic.example.com/alerts',
+      webhookSecret: 'secret',
+      emails: ['nurses@clinic.example.com'],
+      maxAttempts: 3,
+      ...alerting,
+    },
+    getOnDutyContacts: jest.fn().mockReturnValue([{ name: 'Nurse Dlamini', phoneNumber: '+27820000009' }]),
+  });
+
+  const user = {
+    _id: 'user-123',
+    name: 'Thandi',
+    phoneNumber: '+27820000001',
+    subscription: { clinicId: 'clinic-1' },
+  };
+
+  const medication = {
+    _id: 'med-123',
+    nickname: 'Heart pill',
+    medical: { criticalMedication: true },
+    decryptSensitiveData: () => ({ name: 'Warfarin', dosage: '5mg' }),
+  };
+
+  const schedule = {
+    _id: 'schedule-123',
+    scheduledTime: new Date('2024-01-15T08:00:00Z'),
+  };
+
+  const createEscalation = () => ({
+    _id: 'esc-123',
+    scheduleId: 'schedule-123',
+    level: 5,
+    createdAt: new Date('2024-01-15T09:30:00Z'),
+    save: jest.fn().mockResolvedValue(true),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-15T10:00:00Z'));
+
+    process.env.SERVER_URL = 'https://bot.example.com';
+    axios.post = jest.fn().mockResolvedValue({ status: 200 });
+    emailService.sendEmail = jest.fn().mockResolvedValue(undefined);
+    whatsappService.sendMessage = jest.fn().mockResolvedValue({ sid: 'SM999' });
+    escalationQueue.addClinicAlertRetry = jest.fn().mockResolvedValue({ id: 'job-1' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getTargets', () => {
+    it('should list one delivery per channel and target', () => {
+      const targets = clinicAlertService.getTargets(createClinic());
+
+      expect(targets).toEqual([
+        { channel: 'webhook', target: 'https://clinic.example.com/alerts' },
+        { channel: 'email', target: 'nurses@clinic.example.com' },
+        { channel: 'whatsapp', target: '+27820000009' },
+      ]);
+    });
+
+    it('should skip channels the clinic has not turned on', () => {
+      const targets = clinicAlertService.getTargets(createClinic({ channels: ['email'] }));
+
+      expect(targets).toEqual([{ channel: 'email', target: 'nurses@clinic.example.com' }]);
+    });
+  });
+
+  describe('sendAlert', () => {
+    it('should deliver on every channel and record the outcome', async () => {
+      Clinic.findById = jest.fn().mockResolvedValue(createClinic());
+      const escalation = createEscalation();
+
+      const alert = await clinicAlertService.sendAlert(escalation, user, medication, schedule);
+
+      expect(alert.clinicId).toBe('clinic-1');
+      expect(alert.deliveries.map(delivery => delivery.status)).toEqual(['sent', 'sent', 'sent']);
+      expect(alert.deliveries[2].messageSid).toBe('SM999');
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith('+27820000009', expect.objectContaining({
+        text: expect.stringContaining('Thandi (+27820000001) has not taken Warfarin 5mg, due 2 hours ago.'),
+        quickReplies: ['ACK'],
+      }));
+      expect(escalationQueue.addClinicAlertRetry).not.toHaveBeenCalled();
+    });
+
+    it('should queue a retry when a delivery fails', async () => {
+      Clinic.findById = jest.fn().mockResolvedValue(createClinic());
+      axios.post = jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'));
+      const escalation = createEscalation();
+
+      const alert = await clinicAlertService.sendAlert(escalation, user, medication, schedule);
+
+      expect(alert.deliveries[0]).toEqual(expect.objectContaining({
+        channel: 'webhook',
+        status: 'failed',
+        attempts: 1,
+        error: 'connect ECONNREFUSED',
+      }));
+      expect(escalationQueue.addClinicAlertRetry).toHaveBeenCalledWith({
+        scheduleId: 'schedule-123',
+        escalationId: 'esc-123',
+        scheduledFor: new Date('2024-01-15T10:01:00Z'),
+      });
+    });
+
+    it('should return null when the clinic has no alert channels', async () => {
+      Clinic.findById = jest.fn().mockResolvedValue(createClinic({ channels: [] }));
+
+      const alert = await clinicAlertService.sendAlert(createEscalation(), user, medication, schedule);
+
+      expect(alert).toBeNull();
+    });
+  });
+
+  describe('deliverPending', () => {
+    it('should stop retrying after the clinic maximum', async () => {
+      const escalation = createEscalation();
+      escalation.clinicAlert = {
+        deliveries: [{ channel: 'email', target: 'nurses@clinic.example.com', status: 'failed', attempts: 3 }],
+      };
+
+      await clinicAlertService.deliverPending(escalation, createClinic(), user, medication, schedule);
+
+      expect(emailService.sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should not send anything once acknowledged', async () => {
+      const escalation = createEscalation();
+      escalation.clinicAlert = {
+        acknowledgedAt: new Date(),
+        deliveries: [{ channel: 'email', target: 'nurses@clinic.example.com', status: 'failed', attempts: 1 }],
+      };
+
+      await clinicAlertService.deliverPending(escalation, createClinic(), user, medication, schedule);
+
+      expect(emailService.sendEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendWebhook', () => {
+    it('should sign the timestamp and body with the clinic secret', async () => {
+      await clinicAlertService.sendWebhook('https://clinic.example.com/alerts', { event: 'test' }, 'secret');
+
+      const [, body, { headers }] = axios.post.mock.calls[0];
+      const expected = crypto
+        .createHmac('sha256', 'secret')
+        .update(`${headers['X-Alert-Timestamp']}.${body}`)
+        .digest('hex');
+
+      expect(headers['X-Alert-Signature']).toBe(`sha256=${expected}`);
+    });
+  });
+
+  describe('acknowledgement', () => {
+    it('should accept the token from the alert link only', () => {
+      const clinic = createClinic();
+      const escalation = createEscalation();
+      const token = clinicAlertService.getAcknowledgeToken(escalation, clinic);
+
+      expect(clinicAlertService.verifyAcknowledgeToken(escalation, clinic, token)).toBe(true);
+      expect(clinicAlertService.verifyAcknowledgeToken(escalation, clinic, 'wrong')).toBe(false);
+      expect(clinicAlertService.verifyAcknowledgeToken(escalation, clinic, undefined)).toBe(false);
+    });
+
+    it('should leave the link out when there is no key to sign with', () => {
+      const secret = process.env.JWT_SECRET;
+      delete process.env.JWT_SECRET;
+      const clinic = createClinic({ webhookSecret: undefined });
+      const escalation = createEscalation();
+
+      expect(clinicAlertService.getAcknowledgeUrl(escalation, clinic)).toBeUndefined();
+      expect(clinicAlertService.verifyAcknowledgeToken(escalation, clinic, 'anything')).toBe(false);
+
+      if (secret !== undefined) process.env.JWT_SECRET = secret;
+    });
+
+    it('should keep the first acknowledgement', async () => {
+      const escalation = createEscalation();
+      escalation.clinicAlert = { deliveries: [] };
+
+      await clinicAlertService.acknowledge(escalation, 'Nurse Dlamini');
+      await clinicAlertService.acknowledge(escalation, 'Dr Naidoo');
+
+      expect(escalation.clinicAlert.acknowledgedBy).toBe('Nurse Dlamini');
+      expect(escalation.status).toBe('responded');
+      expect(escalation.save).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('updateDelivery', () => {
+    it('should queue a retry when a WhatsApp alert is not delivered', async () => {
+      const escalation = createEscalation();
+      escalation.clinicAlert = {
+        clinicId: 'clinic-1',
+        deliveries: [{ channel: 'whatsapp', target: '+27820000009', status: 'failed', attempts: 1, messageSid: 'SM999' }],
+      };
+      Escalation.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+      Escalation.findOne = jest.fn().mockResolvedValue(escalation);
+      Clinic.findById = jest.fn().mockResolvedValue(createClinic());
+
+      await clinicAlertService.updateDelivery('SM999', 'failed');
+
+      expect(Escalation.findOne).toHaveBeenCalledWith({ 'clinicAlert.deliveries.messageSid': 'SM999' });
+      expect(escalationQueue.addClinicAlertRetry).toHaveBeenCalledWith({
+        scheduleId: 'schedule-123',
+        escalationId: 'esc-123',
+        scheduledFor: new Date('2024-01-15T10:01:00Z'),
+      });
+    });
+
+    it('should not retry delivered alerts', async () => {
+      Escalation.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+      Escalation.findOne = jest.fn();
+
+      await clinicAlertService.updateDelivery('SM999', 'delivered');
+
+      expect(Escalation.findOne).not.toHaveBeenCalled();
+      expect(escalationQueue.addClinicAlertRetry).not.toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,185 @@
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../../services/clinicService.js', () => ({
+  clinicService: {},
+}));
+jest.unstable_mockModule('../../../services/caregiverService.js', () => ({
+  caregiverService: {},
+}));
+jest.unstable_mockModule('../../../services/schedulerService.js', () => ({
+  schedulerService: {},
+}));
+jest.unstable_mockModule('../../../services/whatsappService.js', () => ({
+  whatsappService: {},
+}));
+jest.unstable_mockModule('../../../models/User.js', () => ({ default: jest.fn() }));
+jest.unstable_mockModule('../../../models/Medication.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { clinicImportService } = await import('../../../services/clinicImportService.js');
+const { clinicService } = await import('../../../services/clinicService.js');
+const { whatsappService } = await import('../../../services/whatsappService.js');
+const { default: User } = await import('../../../models/User.js');
+const { default: Medication } = await import('../../../models/Medication.js');
+
+describe('ClinicImportService', () => {
+  const clinic = {
+    _id: 'clinic-1',
+    code: 'CLINIC123',
+    name: 'Hillbrow Clinic',
+    timezone: 'Africa/Johannesburg',
+  };
+
+  const csv = [
+    'phone,name,language,timezone,medications,caregiver',
+    '+27 82 000 0001,Thandi,zu,,Metformin 500mg @ 08:00|20:00,Sipho: +27820000002: son',
+    '0821234567,Bongani,en,,Aspirin @ 08:00,',
+  ].join('\n');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CLINIC_INVITE_TEMPLATE_SID = 'HX123';
+    whatsappService.sendTemplate = jest.fn().mockResolvedValue({ sid: 'SM123' });
+    clinicService.isAwaitingOptIn = jest.fn().mockReturnValue(true);
+    clinicService.addMedication = jest.fn().mockResolvedValue({ _id: 'med-1' });
+    Medication.find = jest.fn().mockResolvedValue([]);
+  });
+
+  describe('validateRow', () => {
+    it('should normalise the phone number and use the clinic timezone', () => {
+      const { data, errors } = clinicImportService.validateRow({
+        phone: '0027 82 000 0001',
+        name: 'Thandi',
+      }, clinic);
+
+      expect(errors).toEqual([]);
+      expect(data.phoneNumber).toBe('+27820000001');
+      expect(data.language).toBe('en');
+      expect(data.timezone).toBe('Africa/Johannesburg');
+    });
+
+    it('should report every problem with the row', () => {
+      const { errors } = clinicImportService.validateRow({
+        phone: '082 000',
+        language: 'fr',
+        timezone: 'Atlantis',
+        medications: 'Metformin',
+      }, clinic);
+
+      expect(errors).toEqual([
+        'Invalid phone number "082 000"',
+        'Name is required',
+        'Unsupported language "fr"',
+        'Unknown timezone "Atlantis"',
+        'Could not read medication "Metformin"',
+      ]);
+    });
+  });
+
+  describe('parseMedication', () => {
+    it('should split name, dosage and times', () => {
+      expect(clinicImportService.parseMedication('Metformin 500mg @ 8:00|20:00')).toEqual({
+        name: 'Metformin',
+        dosage: '500mg',
+        times: [{ time: '08:00' }, { time: '20:00' }],
+        frequency: 'daily',
+      });
+    });
+
+    it('should reject invalid times', () => {
+      expect(clinicImportService.parseMedication('Aspirin @ 25:00')).toBeNull();
+    });
+  });
+
+  describe('parseCaregiver', () => {
+    it('should read name, phone and relationship', () => {
+      expect(clinicImportService.parseCaregiver('Sipho: +27 82 000 0002: son')).toEqual({
+        name: 'Sipho',
+        phoneNumber: '+27820000002',
+        relationship: 'son',
+      });
+    });
+  });
+
+  describe('importPatients', () => {
+    it('should create patients, add paused medication and invite them', async () => {
+      const saved = [];
+      User.findOne = jest.fn().mockResolvedValue(null);
+      User.mockImplementation(function(data) {
+        Object.assign(this, data, { _id: 'user-1', caregivers: [] });
+        this.metadata = { ...data.metadata };
+        this.save = jest.fn().mockImplementation(async () => saved.push(this));
+      });
+
+      const report = await clinicImportService.importPatients(clinic, csv);
+
+      expect(report.total).toBe(2);
+      expect(report.created).toBe(1);
+      expect(report.invited).toBe(1);
+      expect(report.failed).toEqual([{
+        line: 3,
+        phone: '0821234567',
+        errors: ['Invalid phone number "0821234567"'],
+      }]);
+      expect(clinicService.addMedication).toHaveBeenCalledWith(
+        expect.objectContaining({ phoneNumber: '+27820000001' }),
+        expect.objectContaining({ name: 'Metformin', dosage: '500mg' }),
+        { clinicCode: 'CLINIC123', awaitingOptIn: true }
+      );
+      expect(whatsappService.sendTemplate).toHaveBeenCalledWith('+27820000001', 'HX123', {
+        1: 'Thandi',
+        2: 'Hillbrow Clinic',
+      });
+      expect(saved[0].caregivers).toEqual([{
+        name: 'Sipho',
+        phoneNumber: '+27820000002',
+        relationship: 'son',
+        consent: { status: 'invited' },
+      }]);
+    });
+
+    it('should not add or invite again when re-run', async () => {
+      const patient = {
+        _id: 'user-1',
+        phoneNumber: '+27820000001',
+        subscription: { clinicId: 'clinic-1' },
+        caregivers: [{ phoneNumber: '+27820000002' }],
+        metadata: { invitedAt: new Date() },
+        save: jest.fn().mockResolvedValue(true),
+      };
+      User.findOne = jest.fn().mockResolvedValue(patient);
+      Medication.find = jest.fn().mockResolvedValue([
+        { decryptSensitiveData: () => ({ name: 'Metformin' }) },
+      ]);
+
+      const report = await clinicImportService.importPatients(clinic, csv);
+
+      expect(report.updated).toBe(1);
+      expect(report.medicationsAdded).toBe(0);
+      expect(report.invited).toBe(0);
+      expect(patient.caregivers).toHaveLength(1);
+      expect(clinicService.addMedication).not.toHaveBeenCalled();
+      expect(whatsappService.sendTemplate).not.toHaveBeenCalled();
+    });
+
+    it('should not take over patients of another clinic', async () => {
+      User.findOne = jest.fn().mockResolvedValue({
+        subscription: { clinicId: 'clinic-2' },
+      });
+
+      const report = await clinicImportService.importPatients(clinic, csv);
+
+      expect(report.failed[0].errors).toEqual(['Already enrolled with another clinic']);
+    });
+
+    it('should refuse to run without an approved invitation template', async () => {
+      delete process.env.CLINIC_INVITE_TEMPLATE_SID;
+
+      await expect(clinicImportService.importPatients(clinic, csv))
+        .rejects.toThrow('CLINIC_INVITE_TEMPLATE_SID is not set');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,212 @@
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../../services/schedulerService.js', () => ({
+  schedulerService: {},
+}));
+jest.unstable_mockModule('../../../services/escalationService.js', () => ({
+  escalationService: {},
+}));
+jest.unstable_mockModule('../../../services/whatsappService.js', () => ({
+  whatsappService: {},
+}));
+jest.unstable_mockModule('../../../models/User.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/Medication.js', () => ({ default: jest.fn() }));
+jest.unstable_mockModule('../../../models/Clinic.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/AdherenceLog.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { clinicService } = await import('../../../services/clinicService.js');
+const { schedulerService } = await import('../../../services/schedulerService.js');
+const { whatsappService } = await import('../../../services/whatsappService.js');
+const { default: User } = await import('../../../models/User.js');
+const { default: Medication } = await import('../../../models/Medication.js');
+
+describe('ClinicService', () => {
+  const clinicId = '65a000000000000000000001';
+  const userId = '65a000000000000000000002';
+
+  const createPatient = () => ({
+    _id: userId,
+    whatsappId: 'whatsapp:+27820000001',
+    settings: { defaultPrivacyLevel: 2 },
+    stats: { totalMedications: 0 },
+    save: jest.fn().mockResolvedValue(true),
+  });
+
+  const createMedication = (overrides = {}) => ({
+    _id: 'med-123',
+    status: 'active',
+    nickname: 'Morning pill',
+    schedule: { times: [{ time: '08:00' }], frequency: 'daily' },
+    medical: {},
+    metadata: {},
+    encryptedData: {},
+    getDisplayName: () => 'Morning pill',
+    decryptSensitiveData: () => ({ name: 'Metformin', dosage: '500mg' }),
+    encryptSensitiveData: jest.fn().mockReturnValue('encrypted'),
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    whatsappService.sendMessage = jest.fn().mockResolvedValue({ sid: 'SM123' });
+    Medication.countDocuments = jest.fn().mockResolvedValue(1);
+    Medication.findById = jest.fn().mockImplementation(async (id) => ({ _id: id }));
+    schedulerService.createSchedules = jest.fn().mockResolvedValue([]);
+    schedulerService.regenerateSchedules = jest.fn().mockResolvedValue([]);
+    schedulerService.pauseMedication = jest.fn().mockResolvedValue(1);
+    schedulerService.resumeMedication = jest.fn().mockResolvedValue(1);
+  });
+
+  describe('getPatient', () => {
+    it('should only find patients enrolled with the clinic', async () => {
+      User.findOne = jest.fn().mockResolvedValue(createPatient());
+
+      await clinicService.getPatient(clinicId, userId);
+
+      expect(User.findOne).toHaveBeenCalledWith({
+        _id: userId,
+        'subscription.clinicId': clinicId,
+      });
+    });
+
+    it('should treat malformed ids as not found', async () => {
+      User.findOne = jest.fn();
+
+      const patient = await clinicService.getPatient(clinicId, 'not-an-id');
+
+      expect(patient).toBeNull();
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('linkPatient', () => {
+    const clinic = {
+      _id: clinicId,
+      code: 'CLINIC123',
+      defaults: { privacyLevel: 4, escalationEnabled: false },
+    };
+
+    const createNewUser = () => ({
+      ...createPatient(),
+      subscription: { type: 'free' },
+      settings: { defaultPrivacyLevel: 2, escalationEnabled: true, voiceReminders: false },
+      metadata: {},
+      isSubscribed: () => false,
+    });
+
+    it('should link the patient, apply clinic defaults and ask for consent', async () => {
+      const patient = createNewUser();
+
+      await clinicService.linkPatient(patient, clinic, { referredBy: 'NURSE7' });
+
+      expect(patient.subscription).toEqual({
+        type: 'clinic',
+        clinicId,
+        dataSharing: { status: 'pending', askedAt: expect.any(Date) },
+      });
+      expect(patient.metadata).toEqual({ clinicCode: 'CLINIC123', referredBy: 'NURSE7' });
+      expect(patient.settings).toEqual({
+        defaultPrivacyLevel: 4,
+        escalationEnabled: false,
+        voiceReminders: false,
+      });
+      expect(patient.save).toHaveBeenCalled();
+      expect(clinicService.canShareData(patient)).toBe(false);
+    });
+
+    it('should keep a paid plan and the first referral', async () => {
+      const patient = {
+        ...createNewUser(),
+        subscription: { type: 'premium' },
+        metadata: { referredBy: 'friend' },
+        isSubscribed: () => true,
+      };
+
+      await clinicService.linkPatient(patient, clinic);
+
+      expect(patient.subscription.type).toBe('premium');
+      expect(patient.metadata.referredBy).toBe('friend');
+    });
+  });
+
+  describe('canShareData', () => {
+    it('should only share once the patient agrees', async () => {
+      const patient = { ...createPatient(), subscription: { dataSharing: { status: 'pending' } } };
+
+      await clinicService.setDataSharing(patient, true);
+
+      expect(patient.subscription.dataSharing.status).toBe('granted');
+      expect(clinicService.canShareData(patient)).toBe(true);
+
+      await clinicService.setDataSharing(patient, false);
+
+      expect(clinicService.canShareData(patient)).toBe(false);
+    });
+  });
+
+  describe('getJoinLink', () => {
+    it('should prefill the join command', () => {
+      process.env.TWILIO_WHATSAPP_NUMBER = '+14155238886';
+
+      expect(clinicService.getJoinLink({ code: 'CLINIC123' }))
+        .toBe('https://wa.me/14155238886?text=join%20CLINIC123');
+    });
+  });
+
+  describe('updateMedication', () => {
+    it('should regenerate schedules when the times change', async () => {
+      const patient = createPatient();
+      const medication = createMedication();
+
+      await clinicService.updateMedication(patient, medication, {
+        times: [{ time: '09:00' }],
+      });
+
+      expect(medication.schedule.times).toEqual([{ time: '09:00' }]);
+      expect(schedulerService.regenerateSchedules).toHaveBeenCalledWith(medication);
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith('whatsapp:+27820000001', {
+        text: "🏥 Your clinic updated Morning pill. I'll remind you at 09:00.",
+      });
+    });
+
+    it('should pause through the scheduler so the dose can be resumed', async () => {
+      const medication = createMedication();
+
+      await clinicService.updateMedication(createPatient(), medication, { status: 'paused' });
+
+      expect(schedulerService.pauseMedication).toHaveBeenCalledWith('med-123');
+      expect(schedulerService.regenerateSchedules).not.toHaveBeenCalled();
+    });
+
+    it('should stop reminders for discontinued medications', async () => {
+      const medication = createMedication();
+
+      await clinicService.updateMedication(createPatient(), medication, { status: 'discontinued' });
+
+      expect(medication.status).toBe('discontinued');
+      expect(schedulerService.regenerateSchedules).toHaveBeenCalledWith(medication);
+    });
+
+    it('should not message the patient about note changes', async () => {
+      await clinicService.updateMedication(createPatient(), createMedication(), { notes: 'Review in March' });
+
+      expect(whatsappService.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should keep the dosage when only the name changes', async () => {
+      const medication = createMedication();
+
+      await clinicService.updateMedication(createPatient(), medication, { name: 'Glucophage' });
+
+      expect(medication.encryptSensitiveData).toHaveBeenCalledWith({
+        name: 'Glucophage',
+        dosage: '500mg',
+      });
+    });
+  });
+});
\ No newline at end of file
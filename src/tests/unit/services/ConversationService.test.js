@@ -0,0 +1,193 @@
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../../models/ConversationSession.js', () => ({
+  default: {},
+}));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { conversationService } = await import('../../../services/conversationService.js');
+const { default: ConversationSession } = await import('../../../models/ConversationSession.js');
+const { logger } = await import('../../../utils/logger.js');
+const { CONSTANTS } = await import('../../../config/constants.js');
+
+describe('ConversationService', () => {
+  const createSession = (overrides = {}) => ({
+    _id: 'session-123',
+    userId: 'user-123',
+    flow: 'nickname',
+    step: 'choose',
+    data: { index: 0 },
+    history: [],
+    expiresAt: new Date('2024-01-16T10:00:00Z'),
+    isExpired: jest.fn().mockReturnValue(false),
+    markModified: jest.fn(),
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-15T10:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getSession', () => {
+    it('should return the active session', async () => {
+      const session = createSession();
+      ConversationSession.findOne = jest.fn().mockResolvedValue(session);
+
+      const result = await conversationService.getSession('user-123');
+
+      expect(ConversationSession.findOne).toHaveBeenCalledWith({ userId: 'user-123' });
+      expect(result).toBe(session);
+    });
+
+    it('should return null when there is no session', async () => {
+      ConversationSession.findOne = jest.fn().mockResolvedValue(null);
+
+      const result = await conversationService.getSession('user-123');
+
+      expect(result).toBeNull();
+    });
+
+    it('should delete and ignore expired sessions', async () => {
+      const session = createSession({ isExpired: jest.fn().mockReturnValue(true) });
+      ConversationSession.findOne = jest.fn().mockResolvedValue(session);
+      ConversationSession.deleteOne = jest.fn().mockResolvedValue({ deletedCount: 1 });
+
+      const result = await conversationService.getSession('user-123');
+
+      expect(result).toBeNull();
+      expect(ConversationSession.deleteOne).toHaveBeenCalledWith({ _id: 'session-123' });
+      expect(logger.info).toHaveBeenCalledWith('Conversation session expired', expect.any(Object));
+    });
+
+    it('should log and rethrow database errors', async () => {
+      ConversationSession.findOne = jest.fn().mockRejectedValue(new Error('DB error'));
+
+      await expect(conversationService.getSession('user-123')).rejects.toThrow('DB error');
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('startSession', () => {
+    it('should upsert a fresh session with an expiry', async () => {
+      const session = createSession();
+      ConversationSession.findOneAndUpdate = jest.fn().mockResolvedValue(session);
+
+      const result = await conversationService.startSession('user-123', 'refill', 'followup', {
+        medicationId: 'med-123',
+      });
+
+      expect(result).toBe(session);
+      expect(ConversationSession.findOneAndUpdate).toHaveBeenCalledWith(
+        { userId: 'user-123' },
+        expect.objectContaining({
+          flow: 'refill',
+          step: 'followup',
+          data: { medicationId: 'med-123' },
+          history: [],
+          expiresAt: new Date(Date.now() + CONSTANTS.TIMEOUTS.SESSION_TIMEOUT),
+        }),
+        expect.objectContaining({ upsert: true, new: true })
+      );
+    });
+  });
+
+  describe('advanceSession', () => {
+    it('should push the current step onto history and merge data', async () => {
+      const session = createSession();
+
+      await conversationService.advanceSession(session, 'choose', { index: 1 });
+
+      expect(session.history).toEqual([{ step: 'choose', data: { index: 0 } }]);
+      expect(session.data).toEqual({ index: 1 });
+      expect(session.save).toHaveBeenCalled();
+    });
+
+    it('should refresh the expiry', async () => {
+      const session = createSession();
+
+      await conversationService.advanceSession(session, 'confirm');
+
+      expect(session.expiresAt).toEqual(new Date(Date.now() + CONSTANTS.TIMEOUTS.SESSION_TIMEOUT));
+    });
+  });
+
+  describe('goBack', () => {
+    it('should restore the previous step and data', async () => {
+      const session = createSession({
+        step: 'confirm',
+        data: { index: 1 },
+        history: [{ step: 'choose', data: { index: 0 } }],
+      });
+
+      const result = await conversationService.goBack(session);
+
+      expect(result.step).toBe('choose');
+      expect(result.data).toEqual({ index: 0 });
+      expect(session.history).toHaveLength(0);
+      expect(session.save).toHaveBeenCalled();
+    });
+
+    it('should return null at the first step', async () => {
+      const session = createSession();
+
+      const result = await conversationService.goBack(session);
+
+      expect(result).toBeNull();
+      expect(session.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('endSession', () => {
+    it('should delete the user session', async () => {
+      ConversationSession.deleteOne = jest.fn().mockResolvedValue({ deletedCount: 1 });
+
+      await conversationService.endSession('user-123');
+
+      expect(ConversationSession.deleteOne).toHaveBeenCalledWith({ userId: 'user-123' });
+    });
+  });
+
+  describe('commands', () => {
+    it('should recognise cancel commands', () => {
+      expect(conversationService.isCancelCommand('Cancel')).toBe(true);
+      expect(conversationService.isCancelCommand(' stop ')).toBe(true);
+      expect(conversationService.isCancelCommand('taken')).toBe(false);
+    });
+
+    it('should recognise back commands', () => {
+      expect(conversationService.isBackCommand('back')).toBe(true);
+      expect(conversationService.isBackCommand('Go back')).toBe(true);
+      expect(conversationService.isBackCommand('backpack')).toBe(false);
+    });
+  });
+
+  describe('matchQuickReply', () => {
+    const options = ['Remind tomorrow', 'Remind in 3 days', 'Don\'t remind'];
+
+    it('should match by number', () => {
+      expect(conversationService.matchQuickReply('2', options)).toBe('Remind in 3 days');
+    });
+
+    it('should match by text, ignoring case', () => {
+      expect(conversationService.matchQuickReply('remind TOMORROW', options)).toBe('Remind tomorrow');
+    });
+
+    it('should return null for out of range numbers', () => {
+      expect(conversationService.matchQuickReply('7', options)).toBeNull();
+    });
+
+    it('should return null for unknown text', () => {
+      expect(conversationService.matchQuickReply('maybe', options)).toBeNull();
+    });
+  });
+});
\ No newline at end of file
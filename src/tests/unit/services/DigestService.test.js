@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../../services/whatsappService.js', () => ({
+  whatsappService: {},
+}));
+jest.unstable_mockModule('../../../models/User.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/AdherenceLog.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/Escalation.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { digestService } = await import('../../../services/digestService.js');
+const { whatsappService } = await import('../../../services/whatsappService.js');
+const { default: User } = await import('../../../models/User.js');
+const { default: AdherenceLog } = await import('../../../models/AdherenceLog.js');
+const { default: Escalation } = await import('../../../models/Escalation.js');
+
+describe('DigestService', () => {
+  const createCaregiver = (digest = {}) => ({
+    _id: 'caregiver-1',
+    name: 'Sipho',
+    phoneNumber: '+27820000002',
+    consent: { status: 'accepted' },
+    digest: { frequency: 'daily', time: '19:00', dayOfWeek: 0, ...digest },
+  });
+
+  const createPatient = (caregiver = createCaregiver()) => ({
+    _id: 'user-123',
+    name: 'Thandi',
+    timezone: 'Africa/Johannesburg',
+    caregivers: [caregiver],
+    save: jest.fn().mockResolvedValue(true),
+  });
+
+  const medication = (name) => ({ getDisplayName: () => name });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    whatsappService.sendMessage = jest.fn().mockResolvedValue({ sid: 'SM123' });
+    AdherenceLog.find = jest.fn().mockReturnValue({
+      populate: jest.fn().mockResolvedValue([]),
+    });
+    Escalation.find = jest.fn().mockResolvedValue([]);
+  });
+
+  describe('getDueTime', () => {
+    const zone = 'Africa/Johannesburg';
+
+    it('should be due once the local digest time has passed', () => {
+      // 19:30 in Johannesburg
+      const now = new Date('2024-01-15T17:30:00Z');
+
+      expect(digestService.getDueTime(createCaregiver(), zone, now))
+        .toEqual(new Date('2024-01-15T17:00:00Z'));
+    });
+
+    it('should not be due before the digest time', () => {
+      const now = new Date('2024-01-15T16:30:00Z');
+
+      expect(digestService.getDueTime(createCaregiver(), zone, now)).toBeNull();
+    });
+
+    it('should not send the same digest twice', () => {
+      const now = new Date('2024-01-15T17:30:00Z');
+      const caregiver = createCaregiver({ lastSentAt: new Date('2024-01-15T17:15:00Z') });
+
+      expect(digestService.getDueTime(caregiver, zone, now)).toBeNull();
+    });
+
+    it('should only send weekly digests on the chosen day', () => {
+      // Monday 15 January
+      const now = new Date('2024-01-15T17:30:00Z');
+
+      expect(digestService.getDueTime(createCaregiver({ frequency: 'weekly', dayOfWeek: 0 }), zone, now)).toBeNull();
+      expect(digestService.getDueTime(createCaregiver({ frequency: 'weekly', dayOfWeek: 1 }), zone, now)).not.toBeNull();
+    });
+
+    it('should skip caregivers who have not accepted', () => {
+      const caregiver = { ...createCaregiver(), consent: { status: 'invited' } };
+
+      expect(digestService.getDueTime(caregiver, zone, new Date('2024-01-15T17:30:00Z'))).toBeNull();
+    });
+  });
+
+  describe('buildDigest', () => {
+    const from = new Date('2024-01-14T17:00:00Z');
+    const to = new Date('2024-01-15T17:00:00Z');
+
+    it('should summarise doses by status and medication', async () => {
+      const morning = medication('Morning medicine');
+      const white = medication('White round pill');
+
+      AdherenceLog.find = jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue([
+          { status: 'taken', medicationId: morning },
+          { status: 'late', medicationId: morning },
+          { status: 'missed', medicationId: white },
+          { status: 'snoozed', medicationId: white },
+        ]),
+      });
+      Escalation.find = jest.fn().mockResolvedValue([{ type: 'urgent' }, { type: 'caregiver' }]);
+
+      const text = await digestService.buildDigest(createPatient(), createCaregiver(), from, to);
+
+      expect(AdherenceLog.find).toHaveBeenCalledWith({
+        userId: 'user-123',
+        createdAt: { $gte: from, $lt: to },
+      });
+      expect(text).toContain('Daily summary for Thandi');
+      expect(text).toContain('✅ Taken: 2');
+      expect(text).toContain('❌ Missed: 1');
+      expect(text).toContain('• Morning medicine: 2 taken');
+      expect(text).toContain('• White round pill: 1 missed, 1 snoozed');
+      expect(text).toContain('Caregiver or clinic alerts: 1');
+    });
+
+    it('should not reveal real names to caregivers', async () => {
+      const real = { privacyLevel: 5, nickname: 'Sugar pill', getDisplayName: () => 'Metformin' };
+      const full = { privacyLevel: 6, nickname: 'Heart pill', getDisplayName: () => 'Aspirin 81mg' };
+
+      AdherenceLog.find = jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue([
+          { status: 'taken', medicationId: real },
+          { status: 'missed', medicationId: full },
+        ]),
+      });
+
+      const text = await digestService.buildDigest(createPatient(), createCaregiver(), from, to);
+
+      expect(text).toContain('• Sugar pill: 1 taken');
+      expect(text).toContain('• Heart pill: 1 missed');
+      expect(text).not.toContain('Metformin');
+      expect(text).not.toContain('Aspirin');
+    });
+
+    it('should say when nothing was recorded', async () => {
+      const text = await digestService.buildDigest(createPatient(), createCaregiver(), from, to);
+
+      expect(text).toContain('No doses were recorded in this period.');
+    });
+  });
+
+  describe('sendDueDigests', () => {
+    it('should send due digests and remember when', async () => {
+      const caregiver = createCaregiver();
+      const patient = createPatient(caregiver);
+      const now = new Date('2024-01-15T17:30:00Z');
+      User.find = jest.fn().mockResolvedValue([patient]);
+
+      const count = await digestService.sendDueDigests(now);
+
+      expect(count).toBe(1);
+      expect(whatsappService.sendMessage).toHaveBeenCalledWith('+27820000002', {
+        text: expect.stringContaining('Daily summary for Thandi'),
+      });
+      expect(caregiver.digest.lastSentAt).toBe(now);
+      expect(patient.save).toHaveBeenCalled();
+    });
+
+    it('should carry on when one digest fails', async () => {
+      const patient = createPatient();
+      User.find = jest.fn().mockResolvedValue([patient]);
+      whatsappService.sendMessage = jest.fn().mockRejectedValue(new Error('Twilio error'));
+
+      const count = await digestService.sendDueDigests(new Date('2024-01-15T17:30:00Z'));
+
+      expect(count).toBe(0);
+      expect(patient.save).not.toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
@@ -1,24 +1,37 @@
 import { jest } from '@jest/globals';
-import { escalationService } from '../services/EscalationService.js';
-import { escalationQueue } from '../queues/escalationQueue.js';
-import Escalation from '../models/Escalation.js';
-import Schedule from '../models/Schedule.js';
-import { logger } from '../utils/logger.js';
 
 // Mock dependencies
-jest.mock('../queues/escalationQueue.js');
-jest.mock('../models/Escalation.js');
-jest.mock('../models/Schedule.js');
-jest.mock('../utils/logger.js');
-jest.mock('../config/constants.js', () => ({
-  CONSTANTS: {},
+jest.unstable_mockModule('../../../queues/escalationQueue.js', () => ({
+  escalationQueue: {},
 }));
+jest.unstable_mockModule('../../../models/Escalation.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/EscalationPolicy.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/Schedule.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../services/clinicAlertService.js', () => ({
+  clinicAlertService: { updateDelivery: jest.fn() },
+}));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+jest.unstable_mockModule('../../../config/constants.js', () => ({
+  CONSTANTS: {
+    LIMITS: { MAX_ESCALATION_LEVEL: 5 },
+  },
+}));
+
+const { escalationService } = await import('../../../services/escalationService.js');
+const { escalationQueue } = await import('../../../queues/escalationQueue.js');
+const { default: Escalation } = await import('../../../models/Escalation.js');
+const { default: EscalationPolicy } = await import('../../../models/EscalationPolicy.js');
+const { logger } = await import('../../../utils/logger.js');
 
 describe('EscalationService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     jest.useFakeTimers();
     jest.setSystemTime(new Date('2024-01-15T10:00:00Z'));
+    // The level cap can come from the environment
+    delete process.env.MAX_ESCALATION_LEVEL;
   });
 
   afterEach(() => {
@@ -126,6 +139,31 @@ describe('EscalationService', () => {
       );
     });
 
+    it('should hold the escalation back until notBefore', async () => {
+      escalationQueue.addEscalation = jest.fn().mockResolvedValue(true);
+      const notBefore = new Date('2024-01-16T05:00:00Z');
+
+      await escalationService.scheduleEscalation(scheduleId, 1, { notBefore });
+
+      expect(escalationQueue.addEscalation).toHaveBeenCalledWith({
+        scheduleId,
+        level: 1,
+        scheduledFor: new Date(notBefore.getTime() + 30 * 60 * 1000),
+      });
+    });
+
+    it('should ignore notBefore in the past', async () => {
+      escalationQueue.addEscalation = jest.fn().mockResolvedValue(true);
+
+      await escalationService.scheduleEscalation(scheduleId, 1, {
+        notBefore: new Date('2024-01-15T09:00:00Z'),
+      });
+
+      expect(escalationQueue.addEscalation).toHaveBeenCalledWith(expect.objectContaining({
+        scheduledFor: new Date(Date.now() + 30 * 60 * 1000),
+      }));
+    });
+
     it('should log scheduling information', async () => {
       escalationQueue.addEscalation = jest.fn().mockResolvedValue(true);
 
@@ -184,6 +222,131 @@ describe('EscalationService', () => {
     });
   });
 
+  describe('policy steps', () => {
+    const policy = {
+      steps: [
+        { action: 'urgent', delayMinutes: 15 },
+        { action: 'caregiver', delayMinutes: 30 },
+        { action: 'clinic', delayMinutes: 75 },
+      ],
+      stopConditions: { criticalOnly: false, missedAfterMinutes: 60 },
+    };
+
+    it('should use the delay of the policy step', () => {
+      expect(escalationService.getEscalationDelay(1, policy)).toBe(15 * 60 * 1000);
+      expect(escalationService.getEscalationDelay(3, policy)).toBe(75 * 60 * 1000);
+    });
+
+    it('should wait missedAfterMinutes after the last step', () => {
+      expect(escalationService.getStep(4, policy)).toBeNull();
+      expect(escalationService.getEscalationDelay(4, policy)).toBe(60 * 60 * 1000);
+    });
+
+    it('should return the action for each level', () => {
+      expect(escalationService.getStep(2, policy)).toEqual({
+        action: 'caregiver',
+        delayMinutes: 30,
+      });
+    });
+
+    it('should not escalate a policy without steps', () => {
+      const never = { steps: [], stopConditions: { missedAfterMinutes: 30 } };
+
+      expect(escalationService.getStep(1, never)).toBeNull();
+    });
+
+    it('should skip non-critical medications for critical-only policies', () => {
+      const criticalOnly = {
+        ...policy,
+        stopConditions: { criticalOnly: true, missedAfterMinutes: 60 },
+      };
+
+      expect(escalationService.getSteps(criticalOnly, {
+        medical: { criticalMedication: false },
+      })).toEqual([]);
+      expect(escalationService.getSteps(criticalOnly, {
+        medical: { criticalMedication: true },
+      })).toHaveLength(3);
+    });
+
+    it('should alert caregivers at a caregiver step before level 4', () => {
+      expect(escalationService.isCaregiverDue(4, 1, policy)).toBe(false);
+      expect(escalationService.isCaregiverDue(4, 2, policy)).toBe(true);
+      expect(escalationService.isCaregiverDue(undefined, 2, policy)).toBe(true);
+      expect(escalationService.isCaregiverDue(1, 2, policy)).toBe(true);
+    });
+
+    it('should hold back caregivers with a later alert level until a later caregiver step', () => {
+      const twoCaregiverSteps = {
+        ...policy,
+        steps: [...policy.steps, { action: 'caregiver', delayMinutes: 30 }],
+      };
+
+      expect(escalationService.isCaregiverDue(5, 2, policy)).toBe(false);
+      expect(escalationService.isCaregiverDue(5, 2, twoCaregiverSteps)).toBe(false);
+      expect(escalationService.isCaregiverDue(5, 4, twoCaregiverSteps)).toBe(true);
+    });
+
+    it('should keep the built-in policy\'s caregiver levels', () => {
+      expect(escalationService.isCaregiverDue(4, 3)).toBe(false);
+      expect(escalationService.isCaregiverDue(4, 4)).toBe(true);
+      expect(escalationService.isCaregiverDue(5, 4)).toBe(false);
+    });
+
+    it('should cap steps at MAX_ESCALATION_LEVEL', () => {
+      process.env.MAX_ESCALATION_LEVEL = '2';
+
+      expect(escalationService.getSteps(policy)).toHaveLength(2);
+
+      delete process.env.MAX_ESCALATION_LEVEL;
+    });
+  });
+
+  describe('getPolicy', () => {
+    const user = {
+      settings: { escalationPolicyId: 'user-policy' },
+      subscription: { clinicId: 'clinic-1' },
+    };
+
+    it('should prefer the medication policy', async () => {
+      EscalationPolicy.findOne = jest.fn().mockResolvedValue({ _id: 'med-policy' });
+
+      const policy = await escalationService.getPolicy(user, {
+        settings: { escalationPolicyId: 'med-policy' },
+      });
+
+      expect(policy._id).toBe('med-policy');
+      expect(EscalationPolicy.findOne).toHaveBeenCalledWith({
+        _id: 'med-policy',
+        isActive: true,
+      });
+    });
+
+    it('should fall back to the clinic default policy', async () => {
+      EscalationPolicy.findOne = jest.fn()
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: 'clinic-policy' });
+
+      const policy = await escalationService.getPolicy(user, { settings: {} });
+
+      expect(policy._id).toBe('clinic-policy');
+      expect(EscalationPolicy.findOne).toHaveBeenLastCalledWith({
+        clinicId: 'clinic-1',
+        isClinicDefault: true,
+        isActive: true,
+      });
+    });
+
+    it('should use the built-in policy when nothing is configured', async () => {
+      EscalationPolicy.findOne = jest.fn().mockResolvedValue(null);
+
+      const policy = await escalationService.getPolicy({ settings: {}, subscription: {} }, {});
+
+      expect(policy.steps).toHaveLength(5);
+      expect(EscalationPolicy.findOne).not.toHaveBeenCalled();
+    });
+  });
+
   describe('cancelEscalation', () => {
     const scheduleId = 'schedule-456';
 
@@ -202,23 +365,38 @@ describe('EscalationService', () => {
       );
     });
 
-    it('should update pending escalations to cancelled', async () => {
-      await escalationService.cancelEscalation(scheduleId);
+    it('should mark open escalations as responded', async () => {
+      await escalationService.cancelEscalation(scheduleId, { outcome: 'taken' });
 
       expect(Escalation.updateMany).toHaveBeenCalledWith(
         {
           scheduleId,
-          status: 'pending',
+          status: { $in: ['pending', 'sent', 'delivered'] },
         },
         {
-          status: 'cancelled',
+          status: 'responded',
           'resolution.resolved': true,
           'resolution.resolvedAt': expect.any(Date),
           'resolution.resolvedBy': 'user',
+          'resolution.outcome': 'taken',
         }
       );
     });
 
+    it('should record who resolved the escalation', async () => {
+      await escalationService.cancelEscalation(scheduleId, {
+        resolvedBy: 'caregiver',
+        outcome: 'taken',
+      });
+
+      expect(Escalation.updateMany).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({
+          'resolution.resolvedBy': 'caregiver',
+        })
+      );
+    });
+
     it('should log cancellation', async () => {
       await escalationService.cancelEscalation(scheduleId);
 
@@ -257,6 +435,144 @@ describe('EscalationService', () => {
     });
   });
 
+  describe('updateDeliveryStatus', () => {
+    beforeEach(() => {
+      Escalation.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: 'esc-1' });
+      Escalation.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 0 });
+    });
+
+    it('should mark the escalation delivered when the message is read', async () => {
+      await escalationService.updateDeliveryStatus('SM123', 'read');
+
+      expect(Escalation.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          'attempts.messageSid': 'SM123',
+          status: { $in: ['sent', 'delivered'] },
+        },
+        { status: 'delivered' },
+        { new: true }
+      );
+    });
+
+    it('should mark the escalation failed when delivery fails', async () => {
+      await escalationService.updateDeliveryStatus('SM123', 'undelivered');
+
+      expect(Escalation.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.any(Object),
+        { status: 'failed' },
+        { new: true }
+      );
+    });
+
+    it('should ignore intermediate statuses', async () => {
+      const result = await escalationService.updateDeliveryStatus('SM123', 'queued');
+
+      expect(result).toBeNull();
+      expect(Escalation.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('caregiver tracking', () => {
+    it('should record caregiver delivery from status callbacks', async () => {
+      Escalation.findOneAndUpdate = jest.fn().mockResolvedValue(null);
+      Escalation.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+
+      await escalationService.updateDeliveryStatus('SM456', 'delivered');
+
+      expect(Escalation.updateOne).toHaveBeenCalledWith(
+        {
+          caregivers: {
+            $elemMatch: {
+              messageSid: 'SM456',
+              status: { $in: ['sent'] },
+            },
+          },
+        },
+        {
+          $set: {
+            'caregivers.$.status': 'delivered',
+            'caregivers.$.deliveredAt': expect.any(Date),
+          },
+        }
+      );
+    });
+
+    it('should queue a fallback for the next caregiver', async () => {
+      escalationQueue.addCaregiverFallback = jest.fn().mockResolvedValue(true);
+
+      await escalationService.scheduleCaregiverFallback(
+        { _id: 'esc-1', scheduleId: 'schedule-1' },
+        20
+      );
+
+      expect(escalationQueue.addCaregiverFallback).toHaveBeenCalledWith({
+        scheduleId: 'schedule-1',
+        escalationId: 'esc-1',
+        scheduledFor: new Date(Date.now() + 20 * 60 * 1000),
+      });
+    });
+
+    it('should find the latest open alert for a caregiver', async () => {
+      const sort = jest.fn().mockResolvedValue({ _id: 'esc-1' });
+      Escalation.findOne = jest.fn().mockReturnValue({ sort });
+
+      const escalation = await escalationService.findCaregiverAlert('+27820000002');
+
+      expect(escalation._id).toBe('esc-1');
+      expect(Escalation.findOne).toHaveBeenCalledWith({
+        caregivers: {
+          $elemMatch: {
+            phoneNumber: '+27820000002',
+            status: { $in: ['sent', 'delivered', 'acknowledged'] },
+          },
+        },
+        'resolution.resolved': { $ne: true },
+      });
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+    });
+
+    it('should mark the caregiver who replied as acknowledged', async () => {
+      const escalation = {
+        _id: 'esc-1',
+        caregivers: [
+          { phoneNumber: '+27820000001', status: 'failed' },
+          { phoneNumber: '+27820000002', status: 'delivered' },
+        ],
+        save: jest.fn().mockResolvedValue(true),
+      };
+
+      const result = await escalationService.acknowledgeCaregiver(
+        escalation,
+        '+27820000002',
+        "I'll check now"
+      );
+
+      expect(result).toBe(escalation);
+      expect(escalation.caregivers[1]).toEqual(expect.objectContaining({
+        status: 'acknowledged',
+        acknowledgedAt: expect.any(Date),
+        response: "I'll check now",
+      }));
+      expect(escalation.save).toHaveBeenCalled();
+    });
+
+    it('should keep the first acknowledgement time on later replies', async () => {
+      const acknowledgedAt = new Date('2024-01-15T09:50:00Z');
+      const escalation = {
+        _id: 'esc-1',
+        caregivers: [
+          { phoneNumber: '+27820000002', status: 'acknowledged', acknowledgedAt },
+        ],
+        save: jest.fn().mockResolvedValue(true),
+      };
+
+      await escalationService.acknowledgeCaregiver(escalation, '+27820000002', 'Already taken');
+
+      expect(escalation.caregivers[0].acknowledgedAt).toBe(acknowledgedAt);
+      expect(escalation.caregivers[0].response).toBe('Already taken');
+    });
+  });
+
   describe('getEscalationHistory', () => {
     const userId = 'user-789';
 
@@ -355,7 +671,7 @@ describe('EscalationService', () => {
           userId,
           level: 1,
           medicationId: { toString: () => 'med1', nickname: 'Morning Pill' },
-          caregiver: { notified: false },
+          caregivers: [],
           createdAt: new Date('2024-01-01T08:00:00Z'),
           resolution: { resolved: true, resolvedAt: new Date('2024-01-01T08:30:00Z') },
         },
@@ -363,7 +679,7 @@ describe('EscalationService', () => {
           userId,
           level: 2,
           medicationId: { toString: () => 'med1', nickname: 'Morning Pill' },
-          caregiver: { notified: true },
+          caregivers: [{ status: 'sent', notifiedAt: new Date() }],
           createdAt: new Date('2024-01-02T08:00:00Z'),
           resolution: { resolved: true, resolvedAt: new Date('2024-01-02T09:00:00Z') },
         },
@@ -371,7 +687,7 @@ describe('EscalationService', () => {
           userId,
           level: 3,
           medicationId: { toString: () => 'med2', nickname: 'Evening Pill' },
-          caregiver: { notified: false },
+          caregivers: [],
           createdAt: new Date('2024-01-03T08:00:00Z'),
           resolution: { resolved: false },
         },
@@ -394,7 +710,7 @@ describe('EscalationService', () => {
           userId,
           level: 1,
           medicationId: { toString: () => 'med1', nickname: 'Med A' },
-          caregiver: { notified: false },
+          caregivers: [],
           createdAt: new Date(),
           resolution: { resolved: false },
         },
@@ -402,7 +718,7 @@ describe('EscalationService', () => {
           userId,
           level: 2,
           medicationId: { toString: () => 'med1', nickname: 'Med A' },
-          caregiver: { notified: false },
+          caregivers: [],
           createdAt: new Date(),
           resolution: { resolved: false },
         },
@@ -410,7 +726,7 @@ describe('EscalationService', () => {
           userId,
           level: 1,
           medicationId: { toString: () => 'med2', nickname: 'Med B' },
-          caregiver: { notified: false },
+          caregivers: [],
           createdAt: new Date(),
           resolution: { resolved: false },
         },
@@ -432,7 +748,7 @@ describe('EscalationService', () => {
           userId,
           level: 1,
           medicationId: { toString: () => 'med1', nickname: 'Med A' },
-          caregiver: { notified: false },
+          caregivers: [],
           createdAt: new Date('2024-01-01T08:00:00Z'),
           resolution: { 
             resolved: true, 
@@ -443,7 +759,7 @@ describe('EscalationService', () => {
           userId,
           level: 1,
           medicationId: { toString: () => 'med1', nickname: 'Med A' },
-          caregiver: { notified: false },
+          caregivers: [],
           createdAt: new Date('2024-01-01T09:00:00Z'),
           resolution: { 
             resolved: true, 
@@ -466,7 +782,7 @@ describe('EscalationService', () => {
           userId,
           level: 1,
           medicationId: { toString: () => 'med1', nickname: 'Med A' },
-          caregiver: { notified: false },
+          caregivers: [],
           createdAt: new Date(),
           resolution: { resolved: false },
         },
@@ -484,7 +800,7 @@ describe('EscalationService', () => {
         userId,
         level: i < 6 ? 4 : 1,
         medicationId: { toString: () => 'med1', nickname: 'Med A' },
-        caregiver: { notified: false },
+        caregivers: [],
         createdAt: new Date(),
         resolution: { resolved: false },
       }));
@@ -503,7 +819,7 @@ describe('EscalationService', () => {
         userId,
         level: i < 4 ? 5 : 1,
         medicationId: { toString: () => 'med1', nickname: 'Med A' },
-        caregiver: { notified: false },
+        caregivers: [],
         createdAt: new Date(),
         resolution: { resolved: false },
       }));
@@ -525,7 +841,7 @@ describe('EscalationService', () => {
           toString: () => i < 10 ? 'med1' : 'med2', 
           nickname: i < 10 ? 'Problem Med' : 'Other Med' 
         },
-        caregiver: { notified: false },
+        caregivers: [],
         createdAt: new Date(),
         resolution: { resolved: false },
       }));
@@ -544,7 +860,7 @@ describe('EscalationService', () => {
         userId,
         level: 4,
         medicationId: { toString: () => 'med1', nickname: 'Med A' },
-        caregiver: { notified: false },
+        caregivers: [],
         createdAt: new Date(),
         resolution: { resolved: false },
       }));
@@ -562,7 +878,7 @@ describe('EscalationService', () => {
           userId,
           level: 1,
           medicationId: { toString: () => 'med1', nickname: 'Med A' },
-          caregiver: { notified: true },
+          caregivers: [{ status: 'sent', notifiedAt: new Date() }],
           createdAt: new Date(),
           resolution: { resolved: false },
         },
@@ -570,7 +886,7 @@ describe('EscalationService', () => {
           userId,
           level: 1,
           medicationId: { toString: () => 'med1', nickname: 'Med A' },
-          caregiver: { notified: true },
+          caregivers: [{ status: 'sent', notifiedAt: new Date() }],
           createdAt: new Date(),
           resolution: { resolved: false },
         },
@@ -578,7 +894,7 @@ describe('EscalationService', () => {
           userId,
           level: 1,
           medicationId: { toString: () => 'med1', nickname: 'Med A' },
-          caregiver: { notified: false },
+          caregivers: [],
           createdAt: new Date(),
           resolution: { resolved: false },
         },
@@ -1,19 +1,23 @@
 import { jest } from '@jest/globals';
-import { schedulerService } from '../services/SchedulerService.js';
-import Schedule from '../models/Schedule.js';
-import Medication from '../models/Medication.js';
-import User from '../models/User.js';
-import { reminderQueue } from '../queues/reminderQueue.js';
-import { logger } from '../utils/logger.js';
-import moment from 'moment-timezone';
 
 // Mock dependencies
-jest.mock('../models/Schedule.js');
-jest.mock('../models/Medication.js');
-jest.mock('../models/User.js');
-jest.mock('../queues/reminderQueue.js');
-jest.mock('../utils/logger.js');
-jest.mock('moment-timezone');
+jest.unstable_mockModule('../../../models/Schedule.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/Medication.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/User.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../queues/reminderQueue.js', () => ({
+  reminderQueue: {},
+}));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { schedulerService } = await import('../../../services/schedulerService.js');
+const { default: Schedule } = await import('../../../models/Schedule.js');
+const { default: Medication } = await import('../../../models/Medication.js');
+const { default: User } = await import('../../../models/User.js');
+const { reminderQueue } = await import('../../../queues/reminderQueue.js');
+const { logger } = await import('../../../utils/logger.js');
+const { CONSTANTS } = await import('../../../config/constants.js');
 
 describe('SchedulerService', () => {
   beforeEach(() => {
@@ -51,15 +55,11 @@ describe('SchedulerService', () => {
 
     beforeEach(() => {
       User.findById = jest.fn().mockResolvedValue(mockUser);
+      Schedule.find = jest.fn().mockResolvedValue([]);
       Schedule.create = jest.fn().mockImplementation((data) =>
         Promise.resolve({ _id: 'schedule-' + Date.now(), ...data })
       );
       reminderQueue.addReminder = jest.fn().mockResolvedValue(true);
-
-      // Mock moment-timezone
-      moment.tz = jest.fn((date) => ({
-        toDate: () => date,
-      }));
     });
 
     it('should create schedules for medication duration', async () => {
@@ -76,12 +76,44 @@ describe('SchedulerService', () => {
       expect(User.findById).toHaveBeenCalledWith('user-123');
     });
 
+    it('should skip medications whose user was deleted', async () => {
+      User.findById = jest.fn().mockResolvedValue(null);
+
+      const schedules = await schedulerService.createSchedules(mockMedication);
+
+      expect(schedules).toEqual([]);
+      expect(Schedule.create).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledWith('Skipping schedules for missing user', {
+        medicationId: 'med-123',
+        userId: 'user-123',
+      });
+    });
+
     it('should use UTC as default timezone', async () => {
       User.findById = jest.fn().mockResolvedValue({ _id: 'user-123' });
 
       await schedulerService.createSchedules(mockMedication);
 
-      expect(moment.tz).toHaveBeenCalled();
+      const times = Schedule.create.mock.calls.map(call => call[0].scheduledTime.toISOString());
+      expect(times).toContain('2024-01-15T20:00:00.000Z');
+    });
+
+    it('should schedule doses at the wall-clock time in the user zone', async () => {
+      await schedulerService.createSchedules(mockMedication);
+
+      // 20:00 in New York is 01:00 UTC the next day
+      const times = Schedule.create.mock.calls.map(call => call[0].scheduledTime.toISOString());
+      expect(times).toContain('2024-01-15T13:00:00.000Z');
+      expect(times).toContain('2024-01-16T01:00:00.000Z');
+    });
+
+    it('should fall back to UTC for unrecognised timezones', async () => {
+      User.findById = jest.fn().mockResolvedValue({ _id: 'user-123', timezone: 'Somewhere' });
+
+      await schedulerService.createSchedules(mockMedication);
+
+      const times = Schedule.create.mock.calls.map(call => call[0].scheduledTime.toISOString());
+      expect(times).toContain('2024-01-15T20:00:00.000Z');
     });
 
     it('should create schedules for each time slot', async () => {
@@ -167,6 +199,55 @@ describe('SchedulerService', () => {
       expect(Schedule.create).toHaveBeenCalled();
     });
 
+    it('should support ongoing medications without duration or end date', async () => {
+      const ongoingMedication = {
+        ...mockMedication,
+        schedule: {
+          ...mockMedication.schedule,
+          duration: undefined,
+          endDate: undefined,
+        },
+      };
+
+      const schedules = await schedulerService.createSchedules(ongoingMedication);
+
+      expect(schedules.length).toBeGreaterThan(0);
+    });
+
+    it('should only generate schedules within the horizon', async () => {
+      const longMedication = {
+        ...mockMedication,
+        schedule: {
+          ...mockMedication.schedule,
+          duration: 90,
+        },
+      };
+
+      await schedulerService.createSchedules(longMedication);
+
+      const horizon = Date.now() + CONSTANTS.LIMITS.SCHEDULE_HORIZON_DAYS * 24 * 60 * 60 * 1000;
+      Schedule.create.mock.calls.forEach((call) => {
+        expect(call[0].scheduledTime.getTime()).toBeLessThanOrEqual(horizon);
+      });
+      expect(Schedule.create.mock.calls.length).toBeLessThanOrEqual(
+        (CONSTANTS.LIMITS.SCHEDULE_HORIZON_DAYS + 1) * 2
+      );
+    });
+
+    it('should skip doses that already have a schedule', async () => {
+      await schedulerService.createSchedules(mockMedication);
+      const firstRun = Schedule.create.mock.calls.map(call => ({
+        scheduledTime: call[0].scheduledTime,
+      }));
+
+      Schedule.create.mockClear();
+      Schedule.find = jest.fn().mockResolvedValue(firstRun);
+
+      await schedulerService.createSchedules(mockMedication);
+
+      expect(Schedule.create).not.toHaveBeenCalled();
+    });
+
     it('should log schedule creation', async () => {
       await schedulerService.createSchedules(mockMedication);
 
@@ -194,6 +275,124 @@ describe('SchedulerService', () => {
     });
   });
 
+  describe('getEndDate', () => {
+    it('should prefer the explicit end date', () => {
+      const endDate = new Date('2024-02-01T00:00:00Z');
+
+      expect(schedulerService.getEndDate({
+        schedule: { startDate: new Date('2024-01-15T00:00:00Z'), duration: 3, endDate },
+      })).toBe(endDate);
+    });
+
+    it('should calculate the end date from duration', () => {
+      expect(schedulerService.getEndDate({
+        schedule: { startDate: new Date('2024-01-15T00:00:00Z'), duration: 3 },
+      })).toEqual(new Date('2024-01-18T00:00:00Z'));
+    });
+
+    it('should return null for ongoing medications', () => {
+      expect(schedulerService.getEndDate({ schedule: {} })).toBeNull();
+    });
+  });
+
+  describe('topUpSchedules', () => {
+    beforeEach(() => {
+      schedulerService.createSchedules = jest.fn().mockResolvedValue([{}, {}]);
+    });
+
+    afterEach(() => {
+      delete schedulerService.createSchedules;
+    });
+
+    it('should extend schedules for active medications', async () => {
+      const medication = { _id: 'med-123', schedule: {} };
+      Medication.find = jest.fn().mockResolvedValue([medication]);
+
+      const count = await schedulerService.topUpSchedules();
+
+      expect(Medication.find).toHaveBeenCalledWith({ status: 'active' });
+      expect(schedulerService.createSchedules).toHaveBeenCalledWith(medication);
+      expect(count).toBe(2);
+    });
+
+    it('should complete medications past their end date', async () => {
+      const medication = {
+        _id: 'med-123',
+        status: 'active',
+        schedule: { endDate: new Date('2024-01-10T00:00:00Z') },
+        save: jest.fn().mockResolvedValue(true),
+      };
+      Medication.find = jest.fn().mockResolvedValue([medication]);
+
+      await schedulerService.topUpSchedules();
+
+      expect(medication.status).toBe('completed');
+      expect(medication.save).toHaveBeenCalled();
+      expect(schedulerService.createSchedules).not.toHaveBeenCalled();
+    });
+
+    it('should keep going when one medication fails', async () => {
+      Medication.find = jest.fn().mockResolvedValue([
+        { _id: 'med-1', schedule: {} },
+        { _id: 'med-2', schedule: {} },
+      ]);
+      schedulerService.createSchedules
+        .mockRejectedValueOnce(new Error('DB error'))
+        .mockResolvedValueOnce([{}]);
+
+      const count = await schedulerService.topUpSchedules();
+
+      expect(count).toBe(1);
+      expect(logger.error).toHaveBeenCalledWith('Error topping up schedules:', expect.any(Error));
+    });
+  });
+
+  describe('regenerateSchedules', () => {
+    const medication = { _id: 'med-123', status: 'active', schedule: {} };
+
+    beforeEach(() => {
+      Schedule.find = jest.fn().mockResolvedValue([{ _id: 'schedule-1' }, { _id: 'schedule-2' }]);
+      Schedule.deleteMany = jest.fn().mockResolvedValue({ deletedCount: 2 });
+      reminderQueue.removeByScheduleIds = jest.fn().mockResolvedValue(2);
+      schedulerService.createSchedules = jest.fn().mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+      delete schedulerService.createSchedules;
+    });
+
+    it('should only replace upcoming pending schedules', async () => {
+      await schedulerService.regenerateSchedules(medication);
+
+      expect(Schedule.find).toHaveBeenCalledWith({
+        medicationId: 'med-123',
+        status: 'pending',
+        scheduledTime: { $gt: new Date('2024-01-15T10:00:00Z') },
+      }, '_id');
+    });
+
+    it('should remove queued reminders before deleting schedules', async () => {
+      await schedulerService.regenerateSchedules(medication);
+
+      expect(reminderQueue.removeByScheduleIds).toHaveBeenCalledWith(['schedule-1', 'schedule-2']);
+      expect(Schedule.deleteMany).toHaveBeenCalledWith({
+        _id: { $in: ['schedule-1', 'schedule-2'] },
+      });
+    });
+
+    it('should create fresh schedules', async () => {
+      await schedulerService.regenerateSchedules(medication);
+
+      expect(schedulerService.createSchedules).toHaveBeenCalledWith(medication);
+    });
+
+    it('should not create schedules for paused medications', async () => {
+      await schedulerService.regenerateSchedules({ ...medication, status: 'paused' });
+
+      expect(schedulerService.createSchedules).not.toHaveBeenCalled();
+    });
+  });
+
   describe('shouldScheduleToday', () => {
     it('should return true for daily frequency', () => {
       const medication = {
@@ -246,6 +445,21 @@ describe('SchedulerService', () => {
       );
     });
 
+    it('should use the day of week in the user timezone', () => {
+      const medication = {
+        schedule: {
+          frequency: 'weekly',
+          daysOfWeek: [1], // Monday
+        },
+      };
+
+      // Sunday 23:00 UTC is already Monday in Johannesburg
+      const sundayNight = new Date('2024-01-14T23:00:00Z');
+
+      expect(schedulerService.shouldScheduleToday(medication, sundayNight, 'UTC')).toBe(false);
+      expect(schedulerService.shouldScheduleToday(medication, sundayNight, 'Africa/Johannesburg')).toBe(true);
+    });
+
     it('should return false for unknown frequency', () => {
       const medication = {
         schedule: { frequency: 'custom' },
@@ -261,66 +475,42 @@ describe('SchedulerService', () => {
   });
 
   describe('getScheduledTime', () => {
-    beforeEach(() => {
-      moment.tz = jest.fn((date, timezone) => ({
-        toDate: () => date,
-      }));
-    });
-
     it('should parse time string correctly', () => {
-      const date = new Date('2024-01-15');
-      const timeString = '14:30';
-
-      const result = schedulerService.getScheduledTime(
-        date,
-        timeString,
-        'UTC'
-      );
+      const result = schedulerService.getScheduledTime('2024-01-15', '14:30', 'UTC');
 
-      expect(result.getHours()).toBe(14);
-      expect(result.getMinutes()).toBe(30);
-      expect(result.getSeconds()).toBe(0);
+      expect(result.toISOString()).toBe('2024-01-15T14:30:00.000Z');
     });
 
-    it('should use provided timezone', () => {
-      const date = new Date('2024-01-15');
-      const timeString = '14:30';
-      const timezone = 'America/New_York';
+    it('should use the wall-clock time in the provided timezone', () => {
+      const result = schedulerService.getScheduledTime('2024-01-15', '08:00', 'Africa/Johannesburg');
 
-      schedulerService.getScheduledTime(date, timeString, timezone);
-
-      expect(moment.tz).toHaveBeenCalledWith(
-        expect.any(Date),
-        timezone
-      );
+      expect(result.toISOString()).toBe('2024-01-15T06:00:00.000Z');
     });
 
     it('should handle midnight time', () => {
-      const date = new Date('2024-01-15');
-      const timeString = '00:00';
+      const result = schedulerService.getScheduledTime('2024-01-15', '00:00', 'UTC');
 
-      const result = schedulerService.getScheduledTime(
-        date,
-        timeString,
-        'UTC'
-      );
-
-      expect(result.getHours()).toBe(0);
-      expect(result.getMinutes()).toBe(0);
+      expect(result.toISOString()).toBe('2024-01-15T00:00:00.000Z');
     });
 
     it('should handle end of day time', () => {
-      const date = new Date('2024-01-15');
-      const timeString = '23:59';
+      const result = schedulerService.getScheduledTime('2024-01-15', '23:59', 'UTC');
 
-      const result = schedulerService.getScheduledTime(
-        date,
-        timeString,
-        'UTC'
-      );
+      expect(result.toISOString()).toBe('2024-01-15T23:59:00.000Z');
+    });
+
+    it('should move times in a DST gap forward', () => {
+      // 02:30 does not exist in New York on 10 March 2024
+      const result = schedulerService.getScheduledTime('2024-03-10', '02:30', 'America/New_York');
 
-      expect(result.getHours()).toBe(23);
-      expect(result.getMinutes()).toBe(59);
+      expect(result.toISOString()).toBe('2024-03-10T07:30:00.000Z');
+    });
+
+    it('should use the first occurrence of times in a DST overlap', () => {
+      // 01:30 happens twice in New York on 3 November 2024
+      const result = schedulerService.getScheduledTime('2024-11-03', '01:30', 'America/New_York');
+
+      expect(result.toISOString()).toBe('2024-11-03T05:30:00.000Z');
     });
   });
 
@@ -490,9 +680,25 @@ describe('SchedulerService', () => {
     beforeEach(() => {
       Medication.findById = jest.fn().mockResolvedValue(mockMedication);
       Schedule.find = jest.fn().mockResolvedValue(mockSchedules);
+      Schedule.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 1 });
       reminderQueue.addReminder = jest.fn().mockResolvedValue(true);
     });
 
+    it('should skip doses that fell inside the pause', async () => {
+      await schedulerService.resumeMedicationSchedules(medicationId);
+
+      expect(Schedule.updateMany).toHaveBeenCalledWith(
+        {
+          medicationId,
+          status: 'paused',
+          scheduledTime: { $lt: expect.any(Date) },
+        },
+        {
+          status: 'skipped',
+        }
+      );
+    });
+
     it('should find paused future schedules', async () => {
       await schedulerService.resumeMedicationSchedules(medicationId);
 
@@ -518,7 +724,8 @@ describe('SchedulerService', () => {
       expect(reminderQueue.addReminder).toHaveBeenCalledTimes(2);
       expect(reminderQueue.addReminder).toHaveBeenCalledWith({
         scheduleId: 'schedule-1',
-        scheduledTime: expect.any(Date),
+        medicationId,
+        scheduledTime: mockSchedules[0].scheduledTime,
       });
     });
 
@@ -538,6 +745,7 @@ describe('SchedulerService', () => {
         {
           medicationId,
           count: 2,
+          skipped: 1,
         }
       );
     });
@@ -763,14 +971,11 @@ describe('SchedulerService', () => {
         _id: userId,
         timezone: 'UTC',
       });
+      Schedule.find = jest.fn().mockResolvedValue([]);
       Schedule.create = jest.fn().mockImplementation((data) =>
         Promise.resolve({ _id: 'schedule-' + Math.random(), ...data })
       );
       reminderQueue.addReminder = jest.fn().mockResolvedValue(true);
-
-      moment.tz = jest.fn((date) => ({
-        toDate: () => date,
-      }));
     });
 
     it('should create schedules for all medications', async () => {
@@ -0,0 +1,83 @@
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { transcriptionService } = await import('../../../services/transcriptionService.js');
+const { providers } = await import('../../../services/transcription/index.js');
+
+describe('TranscriptionService', () => {
+  const audio = Buffer.from('voice note');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.STT_PROVIDER;
+    providers.openai.transcribe = jest.fn().mockResolvedValue({ text: ' Ngiyiphuzile. ' });
+    providers.google.transcribe = jest.fn().mockResolvedValue({ text: 'मैंने ले ली' });
+  });
+
+  describe('isAudio', () => {
+    it('should recognise WhatsApp voice notes', () => {
+      expect(transcriptionService.isAudio('audio/ogg; codecs=opus')).toBe(true);
+      expect(transcriptionService.isAudio('image/jpeg')).toBe(false);
+      expect(transcriptionService.isAudio(undefined)).toBe(false);
+    });
+  });
+
+  describe('transcribe', () => {
+    it('should use OpenAI by default', async () => {
+      const text = await transcriptionService.transcribe(audio, {
+        contentType: 'audio/ogg',
+        language: 'zu',
+      });
+
+      expect(text).toBe('Ngiyiphuzile.');
+      expect(providers.openai.transcribe).toHaveBeenCalledWith(audio, {
+        contentType: 'audio/ogg',
+        language: 'zu',
+      });
+    });
+
+    it('should use the configured provider', async () => {
+      process.env.STT_PROVIDER = 'google';
+
+      await transcriptionService.transcribe(audio, { language: 'hi' });
+
+      expect(providers.google.transcribe).toHaveBeenCalled();
+      expect(providers.openai.transcribe).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown providers', async () => {
+      process.env.STT_PROVIDER = 'carrier-pigeon';
+
+      await expect(transcriptionService.transcribe(audio))
+        .rejects.toThrow('Unknown speech-to-text provider "carrier-pigeon"');
+    });
+  });
+
+  describe('toReply', () => {
+    it('should understand "I took it" in the patient\'s language', () => {
+      expect(transcriptionService.toReply('Ngiyiphuzile.', 'zu')).toBe('taken');
+      expect(transcriptionService.toReply('मैंने दवा खा ली।', 'hi')).toBe('taken');
+      expect(transcriptionService.toReply('Yes, I took it', 'hi')).toBe('taken');
+    });
+
+    it('should keep what was said after the answer', () => {
+      expect(transcriptionService.toReply('I took the blue pill.', 'en')).toBe('taken the blue pill');
+    });
+
+    it('should understand snoozing and skipping', () => {
+      expect(transcriptionService.toReply('Ngizoyiphuza kamuva', 'zu')).toBe('snooze');
+      expect(transcriptionService.toReply('Aaj nahi', 'hi')).toBe('skip');
+    });
+
+    it('should leave other messages as they were said', () => {
+      expect(transcriptionService.toReply('Add metformin 500mg twice a day', 'en'))
+        .toBe('Add metformin 500mg twice a day');
+      expect(transcriptionService.toReply('I took my medicine yesterday but now I am out of pills', 'en'))
+        .toBe('I took my medicine yesterday but now I am out of pills');
+    });
+  });
+});
\ No newline at end of file
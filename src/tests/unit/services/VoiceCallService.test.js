@@ -0,0 +1,203 @@
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../../queues/escalationQueue.js', () => ({
+  escalationQueue: {},
+}));
+jest.unstable_mockModule('../../../models/Escalation.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../models/Schedule.js', () => ({ default: {} }));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { voiceCallService } = await import('../../../services/voiceCallService.js');
+const { escalationQueue } = await import('../../../queues/escalationQueue.js');
+const { default: Escalation } = await import('../../../models/Escalation.js');
+const { default: Schedule } = await import('../../../models/Schedule.js');
+
+describe('VoiceCallService', () => {
+  const user = {
+    _id: 'user-123',
+    language: 'hi',
+    phoneNumber: '+919800000001',
+  };
+
+  const medication = {
+    getDisplayName: () => 'Morning <pill>',
+  };
+
+  const createEscalation = (calls = 1) => ({
+    _id: 'esc-123',
+    scheduleId: 'schedule-123',
+    status: 'sent',
+    attempts: Array.from({ length: calls }, (_, index) => ({
+      method: 'voice_call',
+      success: true,
+      messageSid: `CA${index + 1}`,
+    })),
+    save: jest.fn().mockResolvedValue(true),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-15T10:00:00Z'));
+
+    process.env.SERVER_URL = 'https://bot.example.com';
+    process.env.TWILIO_WHATSAPP_NUMBER = 'whatsapp:+14155238886';
+    escalationQueue.addVoiceCallRetry = jest.fn().mockResolvedValue({ id: 'job-1' });
+    Schedule.findById = jest.fn().mockResolvedValue({ status: 'sent' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('buildCallTwiml', () => {
+    it('should speak the prompts in the patient\'s language and gather one key', () => {
+      const twiml = voiceCallService.buildCallTwiml(user, medication, { answeredBy: 'human' });
+
+      expect(twiml).toContain('<Say voice="alice" language="hi-IN">नमस्ते।');
+      expect(twiml).toContain('Morning &lt;pill&gt;');
+      expect(twiml).toContain('<Gather numDigits="1" timeout="8" action="https://bot.example.com/webhook/voice-response">');
+    });
+
+    it('should use English in the local accent when Twilio cannot speak the language', () => {
+      const twiml = voiceCallService.buildCallTwiml({ ...user, language: 'zu' }, medication);
+
+      expect(twiml).toContain('language="en-ZA">Hello. This is your medication reminder.');
+    });
+
+    it('should hang up on voicemail', () => {
+      const twiml = voiceCallService.buildCallTwiml(user, medication, { answeredBy: 'machine_start' });
+
+      expect(twiml).toContain('<Hangup/>');
+      expect(twiml).not.toContain('<Say');
+    });
+  });
+
+  describe('placeCall', () => {
+    it('should detect answering machines and ask for the final status', async () => {
+      const create = jest.fn().mockResolvedValue({ sid: 'CA123' });
+      jest.spyOn(voiceCallService, 'getClient').mockReturnValue({ calls: { create } });
+
+      const call = await voiceCallService.placeCall(user);
+
+      expect(call.sid).toBe('CA123');
+      expect(create).toHaveBeenCalledWith({
+        to: '+919800000001',
+        from: '+14155238886',
+        url: 'https://bot.example.com/webhook/voice-call',
+        statusCallback: 'https://bot.example.com/webhook/voice-status',
+        machineDetection: 'Enable',
+      });
+    });
+
+    it('should name the escalation in the webhook URLs', async () => {
+      const create = jest.fn().mockResolvedValue({ sid: 'CA123' });
+      jest.spyOn(voiceCallService, 'getClient').mockReturnValue({ calls: { create } });
+
+      await voiceCallService.placeCall(user, { scheduleId: 'schedule-123', escalationId: 'esc-123' });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://bot.example.com/webhook/voice-call?escalationId=esc-123',
+        statusCallback: 'https://bot.example.com/webhook/voice-status?escalationId=esc-123',
+      }));
+    });
+  });
+
+  describe('handleCallStatus', () => {
+    it('should record an unanswered call and retry it', async () => {
+      const escalation = createEscalation();
+      Escalation.findOne = jest.fn().mockResolvedValue(escalation);
+
+      await voiceCallService.handleCallStatus('CA1', 'no-answer');
+
+      expect(escalation.attempts[0]).toEqual(expect.objectContaining({
+        success: false,
+        error: 'no-answer',
+      }));
+      expect(escalation.status).toBe('sent');
+      expect(escalationQueue.addVoiceCallRetry).toHaveBeenCalledWith({
+        scheduleId: 'schedule-123',
+        escalationId: 'esc-123',
+        scheduledFor: new Date('2024-01-15T10:05:00Z'),
+      });
+    });
+
+    it('should treat voicemail as unanswered', async () => {
+      const escalation = createEscalation();
+      Escalation.findOne = jest.fn().mockResolvedValue(escalation);
+
+      await voiceCallService.handleCallStatus('CA1', 'completed', 'machine_end_beep');
+
+      expect(escalation.attempts[0].error).toBe('voicemail');
+      expect(escalationQueue.addVoiceCallRetry).toHaveBeenCalled();
+    });
+
+    it('should give up after the last retry', async () => {
+      const escalation = createEscalation(3);
+      Escalation.findOne = jest.fn().mockResolvedValue(escalation);
+
+      await voiceCallService.handleCallStatus('CA3', 'busy');
+
+      expect(escalation.status).toBe('failed');
+      expect(escalationQueue.addVoiceCallRetry).not.toHaveBeenCalled();
+    });
+
+    it('should not call again once the dose is answered', async () => {
+      const escalation = createEscalation();
+      escalation.status = 'responded';
+      Escalation.findOne = jest.fn().mockResolvedValue(escalation);
+      Schedule.findById = jest.fn().mockResolvedValue({ status: 'taken' });
+
+      await voiceCallService.handleCallStatus('CA1', 'no-answer');
+
+      expect(escalation.status).toBe('responded');
+      expect(escalationQueue.addVoiceCallRetry).not.toHaveBeenCalled();
+    });
+
+    it('should find the call by escalation before its attempt is saved', async () => {
+      const escalation = createEscalation();
+      Escalation.findOne = jest.fn().mockResolvedValue(escalation);
+
+      await voiceCallService.handleCallStatus('CA1', 'no-answer', undefined, 'esc-123');
+
+      expect(Escalation.findOne).toHaveBeenCalledWith({ _id: 'esc-123' });
+      expect(escalationQueue.addVoiceCallRetry).toHaveBeenCalled();
+    });
+
+    it('should mark answered calls as delivered', async () => {
+      const escalation = createEscalation();
+      Escalation.findOne = jest.fn().mockResolvedValue(escalation);
+
+      await voiceCallService.handleCallStatus('CA1', 'completed', 'human');
+
+      expect(escalation.status).toBe('delivered');
+      expect(escalation.attempts[0].success).toBe(true);
+    });
+  });
+
+  describe('retryCall', () => {
+    it('should call again and store the attempt', async () => {
+      const escalation = { ...createEscalation(), userId: user };
+      Escalation.findById = jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue(escalation),
+      });
+      jest.spyOn(voiceCallService, 'placeCall').mockResolvedValue({ sid: 'CA2' });
+
+      await voiceCallService.retryCall('esc-123');
+
+      expect(voiceCallService.placeCall).toHaveBeenCalledWith(user, {
+        scheduleId: 'schedule-123',
+        escalationId: 'esc-123',
+      });
+      expect(escalation.attempts[1]).toEqual(expect.objectContaining({
+        method: 'voice_call',
+        success: true,
+        messageSid: 'CA2',
+      }));
+      expect(escalation.save).toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
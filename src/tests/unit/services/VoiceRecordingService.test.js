@@ -0,0 +1,181 @@
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../../models/VoiceRecording.js', () => ({ default: jest.fn() }));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { voiceRecordingService } = await import('../../../services/voiceRecordingService.js');
+const { storages } = await import('../../../services/audioStorage/index.js');
+const { default: VoiceRecording } = await import('../../../models/VoiceRecording.js');
+
+describe('VoiceRecordingService', () => {
+  const clinicId = '65a000000000000000000001';
+  const userId = '65a000000000000000000002';
+  const audio = Buffer.from('voice');
+
+  const sorted = (result) => ({
+    sort: jest.fn().mockResolvedValue(result),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.AUDIO_STORAGE;
+
+    jest.spyOn(storages.gcs, 'save')
+      .mockImplementation(async (data, filename) => storages.gcs.getUrl(filename));
+
+    VoiceRecording.mockImplementation(data => ({
+      _id: 'rec-1',
+      ...data,
+      save: jest.fn().mockResolvedValue(true),
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getExtension', () => {
+    it('should accept formats WhatsApp plays as voice notes', () => {
+      expect(voiceRecordingService.getExtension('audio/ogg; codecs=opus')).toBe('ogg');
+      expect(voiceRecordingService.getExtension('audio/mpeg')).toBe('mp3');
+      expect(voiceRecordingService.getExtension('audio/wav')).toBeNull();
+    });
+  });
+
+  describe('createClinicRecording', () => {
+    it('should store the audio and wait for approval', async () => {
+      const recording = await voiceRecordingService.createClinicRecording({ _id: clinicId }, audio, {
+        contentType: 'audio/mpeg',
+        language: 'zu',
+        messageType: 'reminder',
+        recordedBy: 'Sister Mokoena',
+      });
+
+      expect(storages.gcs.save).toHaveBeenCalledWith(audio, 'recordings/rec-1.mp3', 'audio/mpeg');
+      expect(recording.audio.url).toContain('recordings/rec-1.mp3');
+      expect(recording.recordedBy).toEqual({ type: 'clinic', name: 'Sister Mokoena' });
+      expect(recording.save).toHaveBeenCalled();
+    });
+
+    it('should reject audio WhatsApp cannot play', async () => {
+      await expect(voiceRecordingService.createClinicRecording({ _id: clinicId }, audio, {
+        contentType: 'video/mp4',
+        language: 'en',
+        messageType: 'reminder',
+      })).rejects.toThrow('Unsupported audio format "video/mp4"');
+
+      expect(storages.gcs.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('caregiver recordings', () => {
+    const caregiver = {
+      _id: 'cg-1',
+      name: 'Lerato',
+      phoneNumber: '+27820000002',
+    };
+
+    it('should replace an earlier request with a new one', async () => {
+      VoiceRecording.deleteMany = jest.fn().mockResolvedValue({ deletedCount: 1 });
+      VoiceRecording.create = jest.fn().mockImplementation(async data => data);
+
+      const recording = await voiceRecordingService.requestRecording(
+        { _id: userId, language: 'zu' },
+        caregiver,
+        'reminder'
+      );
+
+      expect(VoiceRecording.deleteMany).toHaveBeenCalledWith({
+        'recordedBy.phoneNumber': '+27820000002',
+        status: 'awaiting_audio',
+      });
+      expect(recording).toEqual(expect.objectContaining({
+        userId,
+        language: 'zu',
+        status: 'awaiting_audio',
+      }));
+    });
+
+    it('should hold the voice note for the patient to approve', async () => {
+      const recording = {
+        _id: 'rec-2',
+        status: 'awaiting_audio',
+        save: jest.fn().mockResolvedValue(true),
+      };
+
+      await voiceRecordingService.attachAudio(recording, audio, 'audio/ogg');
+
+      expect(recording.status).toBe('pending');
+      expect(recording.audio.filename).toBe('recordings/rec-2.ogg');
+    });
+  });
+
+  describe('review', () => {
+    it('should record who approved it', async () => {
+      const recording = { _id: 'rec-1', status: 'pending', save: jest.fn() };
+
+      await voiceRecordingService.review(recording, {
+        approved: true,
+        reviewedBy: { type: 'patient', name: 'Thandi' },
+      });
+
+      expect(recording.status).toBe('approved');
+      expect(recording.review.reviewedBy).toEqual({ type: 'patient', name: 'Thandi' });
+      expect(recording.review.reviewedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('findRecording', () => {
+    const user = {
+      _id: userId,
+      language: 'zu',
+      subscription: { clinicId },
+    };
+
+    it('should prefer a recording made for the patient', async () => {
+      const personal = { _id: 'rec-personal' };
+      VoiceRecording.findOne = jest.fn().mockReturnValue(sorted(personal));
+
+      const recording = await voiceRecordingService.findRecording(user, 'reminder');
+
+      expect(recording).toBe(personal);
+      expect(VoiceRecording.findOne).toHaveBeenCalledTimes(1);
+      expect(VoiceRecording.findOne).toHaveBeenCalledWith({
+        messageType: 'reminder',
+        language: 'zu',
+        status: 'approved',
+        userId,
+      });
+    });
+
+    it('should fall back to the clinic\'s recording', async () => {
+      const library = { _id: 'rec-clinic' };
+      VoiceRecording.findOne = jest.fn()
+        .mockReturnValueOnce(sorted(null))
+        .mockReturnValueOnce(sorted(library));
+
+      const recording = await voiceRecordingService.findRecording(user, 'urgent_reminder');
+
+      expect(recording).toBe(library);
+      expect(VoiceRecording.findOne).toHaveBeenLastCalledWith({
+        messageType: 'urgent_reminder',
+        language: 'zu',
+        status: 'approved',
+        clinicId,
+        userId: null,
+      });
+    });
+
+    it('should not look for a clinic recording without a clinic', async () => {
+      VoiceRecording.findOne = jest.fn().mockReturnValue(sorted(null));
+
+      const recording = await voiceRecordingService.findRecording({ _id: userId, language: 'en', subscription: {} }, 'reminder');
+
+      expect(recording).toBeNull();
+      expect(VoiceRecording.findOne).toHaveBeenCalledTimes(1);
+    });
+  });
+});
\ No newline at end of file
@@ -1,615 +1,333 @@
 import { jest } from '@jest/globals';
-import { voiceService } from '../services/VoiceService.js';
-import textToSpeech from '@google-cloud/text-to-speech';
-import { Storage } from '@google-cloud/storage';
-import { logger } from '../utils/logger.js';
-import fs from 'fs/promises';
-import crypto from 'crypto';
-
-// Mock dependencies
-jest.mock('@google-cloud/text-to-speech');
-jest.mock('@google-cloud/storage');
-jest.mock('../utils/logger.js');
-jest.mock('fs/promises');
-jest.mock('crypto');
+
+// Mock dependencies. The Google client is mocked rather than the provider,
+// so requests are built by the provider as in production.
+const synthesizeSpeech = jest.fn();
+
+jest.unstable_mockModule('@google-cloud/text-to-speech', () => ({
+  default: {
+    TextToSpeechClient: function TextToSpeechClient() {
+      return { synthesizeSpeech };
+    },
+  },
+}));
+jest.unstable_mockModule('../../../services/voiceRecordingService.js', () => ({
+  voiceRecordingService: { findRecording: jest.fn() },
+}));
+jest.unstable_mockModule('../../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { voiceService } = await import('../../../services/voiceService.js');
+const { providers } = await import('../../../services/tts/index.js');
+const { storages } = await import('../../../services/audioStorage/index.js');
+const { googleProvider } = await import('../../../services/tts/googleProvider.js');
+const { localProvider } = await import('../../../services/tts/localProvider.js');
+const { voiceRecordingService } = await import('../../../services/voiceRecordingService.js');
+const { logger } = await import('../../../utils/logger.js');
 
 describe('VoiceService', () => {
-  let mockTTSClient;
-  let mockStorage;
-  let mockBucket;
-  let mockFile;
+  const text = 'Take your medicine now';
 
   beforeEach(() => {
     jest.clearAllMocks();
-
-    // Mock Text-to-Speech client
-    mockTTSClient = {
-      synthesizeSpeech: jest.fn(),
-    };
-
-    textToSpeech.TextToSpeechClient = jest.fn(() => mockTTSClient);
-
-    // Mock Storage
-    mockFile = {
-      exists: jest.fn(),
-    };
-
-    mockBucket = {
-      file: jest.fn(() => mockFile),
-      upload: jest.fn(),
-    };
-
-    mockStorage = {
-      bucket: jest.fn(() => mockBucket),
-    };
-
-    Storage.mockImplementation(() => mockStorage);
-
-    // Mock fs operations
-    fs.mkdir = jest.fn().mockResolvedValue(undefined);
-    fs.writeFile = jest.fn().mockResolvedValue(undefined);
-    fs.unlink = jest.fn().mockResolvedValue(undefined);
-
-    // Mock crypto
-    const mockHash = {
-      update: jest.fn().mockReturnThis(),
-      digest: jest.fn().mockReturnValue('abc123def456'),
-    };
-    crypto.createHash = jest.fn(() => mockHash);
+    delete process.env.TTS_PROVIDER;
+    delete process.env.AUDIO_STORAGE;
+    delete process.env.LOCAL_TTS_VOICES;
+    process.env.GOOGLE_APPLICATION_CREDENTIALS = './credentials/google-cloud-key.json';
+
+    synthesizeSpeech.mockResolvedValue([{ audioContent: Buffer.from('mp3') }]);
+    // The local engines run as child processes
+    jest.spyOn(providers.local, 'synthesize')
+      .mockResolvedValue({ audio: Buffer.from('ogg'), contentType: 'audio/ogg' });
+
+    voiceRecordingService.findRecording.mockResolvedValue(null);
+
+    for (const storage of Object.values(storages)) {
+      jest.spyOn(storage, 'exists').mockResolvedValue(false);
+      jest.spyOn(storage, 'save')
+        .mockImplementation(async (audio, filename) => storage.getUrl(filename));
+    }
   });
 
-  describe('constructor', () => {
-    it('should initialize TTS client with credentials', () => {
-      expect(textToSpeech.TextToSpeechClient).toHaveBeenCalledWith({
-        keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
-        projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-      });
-    });
-
-    it('should initialize Storage client with credentials', () => {
-      expect(Storage).toHaveBeenCalledWith({
-        keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS,
-        projectId: process.env.GOOGLE_CLOUD_PROJECT_ID,
-      });
-    });
-
-    it('should set default bucket name', () => {
-      expect(voiceService.bucketName).toBeDefined();
-    });
+  afterEach(() => {
+    jest.restoreAllMocks();
   });
 
-  describe('generateAudio', () => {
-    const text = 'Take your medicine now';
-    const language = 'en';
-
-    beforeEach(() => {
-      mockFile.exists.mockResolvedValue([false]);
-      mockTTSClient.synthesizeSpeech.mockResolvedValue([
-        { audioContent: Buffer.from('fake-audio-data') },
-      ]);
+  describe('getProvider', () => {
+    it('should use Google by default', () => {
+      expect(voiceService.getProvider('en')).toBe(googleProvider);
     });
 
-    it('should generate audio successfully', async () => {
-      const url = await voiceService.generateAudio(text, language);
+    it('should use the configured provider', () => {
+      process.env.TTS_PROVIDER = 'local';
 
-      expect(url).toContain('https://storage.googleapis.com');
-      expect(mockTTSClient.synthesizeSpeech).toHaveBeenCalled();
+      expect(voiceService.getProvider('en')).toBe(localProvider);
     });
 
-    it('should use cached audio if exists', async () => {
-      mockFile.exists.mockResolvedValue([true]);
-
-      const url = await voiceService.generateAudio(text, language);
+    it('should use a local Hausa voice when one is configured', () => {
+      process.env.LOCAL_TTS_VOICES = JSON.stringify({
+        ha: { engine: 'piper', model: '/opt/piper/ha_NG.onnx' },
+      });
 
-      expect(mockTTSClient.synthesizeSpeech).not.toHaveBeenCalled();
-      expect(logger.info).toHaveBeenCalledWith(
-        'Using cached audio',
-        expect.objectContaining({
-          filename: expect.stringContaining('audio/'),
-        })
-      );
+      expect(voiceService.getProvider('ha')).toBe(localProvider);
     });
 
-    it('should generate hash for caching', async () => {
-      await voiceService.generateAudio(text, language);
-
-      expect(crypto.createHash).toHaveBeenCalledWith('md5');
+    it('should keep the Nigerian English stand-in without a Hausa voice', () => {
+      expect(voiceService.getProvider('ha')).toBe(googleProvider);
     });
 
-    it('should use default language as English', async () => {
-      await voiceService.generateAudio(text);
+    it('should reject unknown providers', () => {
+      process.env.TTS_PROVIDER = 'parrot';
 
-      const synthesizeCall = mockTTSClient.synthesizeSpeech.mock.calls[0][0];
-      expect(synthesizeCall.voice.languageCode).toBe('en-US');
+      expect(() => voiceService.getProvider('en'))
+        .toThrow('Unknown text-to-speech provider "parrot"');
     });
+  });
 
-    it('should call TTS API with correct request', async () => {
-      await voiceService.generateAudio(text, language);
+  describe('generateAudio', () => {
+    it('should synthesize and store new audio', async () => {
+      const url = await voiceService.generateAudio(text, 'en');
 
-      expect(mockTTSClient.synthesizeSpeech).toHaveBeenCalledWith({
+      expect(url).toMatch(/^https:\/\/storage\.googleapis\.com\/.+\/audio\/[a-f0-9]{32}\.mp3$/);
+      expect(synthesizeSpeech).toHaveBeenCalledWith({
         input: { text },
-        voice: expect.objectContaining({
-          languageCode: expect.any(String),
-          name: expect.any(String),
-          ssmlGender: expect.any(String),
-        }),
+        voice: {
+          languageCode: 'en-US',
+          name: 'en-US-Wavenet-F',
+          ssmlGender: 'FEMALE',
+        },
         audioConfig: {
           audioEncoding: 'MP3',
-          speakingRate: expect.any(Number),
-          pitch: expect.any(Number),
+          speakingRate: 0.9,
+          pitch: 0,
         },
       });
-    });
-
-    it('should save audio to cloud storage', async () => {
-      await voiceService.generateAudio(text, language);
-
-      expect(mockBucket.upload).toHaveBeenCalled();
-    });
-
-    it('should log audio generation', async () => {
-      await voiceService.generateAudio(text, language);
-
-      expect(logger.info).toHaveBeenCalledWith(
-        'Audio generated',
-        {
-          language,
-          textLength: text.length,
-          filename: expect.stringContaining('.mp3'),
-        }
+      expect(storages.gcs.save).toHaveBeenCalledWith(
+        Buffer.from('mp3'),
+        expect.stringMatching(/^audio\/.*\.mp3$/),
+        'audio/mpeg'
       );
+      expect(logger.info).toHaveBeenCalledWith('Audio generated', {
+        provider: 'google',
+        language: 'en',
+        template: undefined,
+        textLength: text.length,
+        filename: expect.stringContaining('.mp3'),
+      });
     });
 
-    it('should handle errors', async () => {
-      const error = new Error('TTS API error');
-      mockTTSClient.synthesizeSpeech.mockRejectedValue(error);
+    it('should use cached audio if it exists', async () => {
+      storages.gcs.exists.mockResolvedValue(true);
 
-      await expect(
-        voiceService.generateAudio(text, language)
-      ).rejects.toThrow('TTS API error');
+      const url = await voiceService.generateAudio(text, 'en');
 
-      expect(logger.error).toHaveBeenCalledWith(
-        'Error generating audio:',
-        error
-      );
+      expect(url).toContain('https://storage.googleapis.com');
+      expect(synthesizeSpeech).not.toHaveBeenCalled();
+      expect(logger.info).toHaveBeenCalledWith('Using cached audio', {
+        filename: expect.stringContaining('audio/'),
+      });
     });
 
-    it('should generate different hashes for different text', async () => {
-      const mockHash1 = {
-        update: jest.fn().mockReturnThis(),
-        digest: jest.fn().mockReturnValue('hash1'),
-      };
-      const mockHash2 = {
-        update: jest.fn().mockReturnThis(),
-        digest: jest.fn().mockReturnValue('hash2'),
-      };
-
-      crypto.createHash
-        .mockReturnValueOnce(mockHash1)
-        .mockReturnValueOnce(mockHash2);
+    it('should cache each voice separately', async () => {
+      await voiceService.generateAudio(text, 'en');
+      process.env.TTS_PROVIDER = 'local';
+      await voiceService.generateAudio(text, 'en');
 
-      await voiceService.generateAudio('Text 1', 'en');
-      await voiceService.generateAudio('Text 2', 'en');
+      const googleFile = storages.gcs.save.mock.calls[0][1];
+      const localFile = storages.gcs.save.mock.calls[1][1];
 
-      expect(crypto.createHash).toHaveBeenCalledTimes(2);
+      expect(localFile).toMatch(/\.ogg$/);
+      expect(localFile.replace('.ogg', '')).not.toBe(googleFile.replace('.mp3', ''));
     });
 
-    it('should create correct filename format', async () => {
-      await voiceService.generateAudio(text, language);
+    it('should keep audio on this server when configured', async () => {
+      process.env.AUDIO_STORAGE = 'local';
+      process.env.SERVER_URL = 'https://bot.example.com';
 
-      const uploadCall = mockBucket.upload.mock.calls[0];
-      expect(uploadCall[1].destination).toMatch(/^audio\/.*\.mp3$/);
-    });
-  });
-
-  describe('getVoiceConfig', () => {
-    it('should return English config', () => {
-      const config = voiceService.getVoiceConfig('en');
+      const url = await voiceService.generateAudio(text, 'en');
 
-      expect(config.voice.languageCode).toBe('en-US');
-      expect(config.voice.name).toBe('en-US-Wavenet-F');
-      expect(config.voice.ssmlGender).toBe('FEMALE');
-      expect(config.rate).toBe(0.9);
-      expect(config.pitch).toBe(0);
+      expect(url).toMatch(/^https:\/\/bot\.example\.com\/media\/audio\/.+\.mp3$/);
+      expect(storages.local.save).toHaveBeenCalled();
+      expect(storages.gcs.save).not.toHaveBeenCalled();
     });
 
-    it('should return Zulu config', () => {
-      const config = voiceService.getVoiceConfig('zu');
-
-      expect(config.voice.languageCode).toBe('zu-ZA');
-      expect(config.voice.name).toBe('zu-ZA-Standard-A');
-      expect(config.voice.ssmlGender).toBe('FEMALE');
-    });
+    it('should still generate audio if the cache check fails', async () => {
+      const error = new Error('Storage unavailable');
+      storages.gcs.exists.mockRejectedValue(error);
 
-    it('should return Hindi config', () => {
-      const config = voiceService.getVoiceConfig('hi');
+      const url = await voiceService.generateAudio(text, 'en');
 
-      expect(config.voice.languageCode).toBe('hi-IN');
-      expect(config.voice.name).toBe('hi-IN-Wavenet-A');
+      expect(url).toBeDefined();
+      expect(synthesizeSpeech).toHaveBeenCalled();
+      expect(logger.error).toHaveBeenCalledWith('Cache check error:', error);
     });
 
-    it('should return Hausa config with Nigerian English', () => {
-      const config = voiceService.getVoiceConfig('ha');
-
-      expect(config.voice.languageCode).toBe('en-NG');
-      expect(config.voice.name).toBe('en-NG-Standard-A');
-      expect(config.rate).toBe(0.85);
-    });
+    it('should log and rethrow synthesis errors', async () => {
+      const error = new Error('TTS API error');
+      synthesizeSpeech.mockRejectedValue(error);
 
-    it('should return Swahili config', () => {
-      const config = voiceService.getVoiceConfig('sw');
+      await expect(voiceService.generateAudio(text, 'en')).rejects.toThrow('TTS API error');
 
-      expect(config.voice.languageCode).toBe('sw-KE');
-      expect(config.voice.name).toBe('sw-KE-Standard-A');
+      expect(logger.error).toHaveBeenCalledWith('Error generating audio:', error);
     });
 
-    it('should return Portuguese config', () => {
-      const config = voiceService.getVoiceConfig('pt');
-
-      expect(config.voice.languageCode).toBe('pt-BR');
-      expect(config.voice.name).toBe('pt-BR-Wavenet-A');
-    });
+    it('should play an approved recording instead of synthetic speech', async () => {
+      const user = { _id: 'user-123', language: 'zu' };
+      voiceRecordingService.findRecording.mockResolvedValue({
+        _id: 'rec-1',
+        audio: { url: 'https://storage.googleapis.com/bucket/recordings/rec-1.ogg' },
+      });
 
-    it('should return Spanish config', () => {
-      const config = voiceService.getVoiceConfig('es');
+      const url = await voiceService.generateAudio(text, 'zu', { user, messageType: 'reminder' });
 
-      expect(config.voice.languageCode).toBe('es-US');
-      expect(config.voice.name).toBe('es-US-Wavenet-A');
+      expect(url).toBe('https://storage.googleapis.com/bucket/recordings/rec-1.ogg');
+      expect(voiceRecordingService.findRecording).toHaveBeenCalledWith(user, 'reminder', 'zu');
+      expect(synthesizeSpeech).not.toHaveBeenCalled();
     });
 
-    it('should return default English config for unknown language', () => {
-      const config = voiceService.getVoiceConfig('unknown');
+    it('should only look for recordings for a patient and message type', async () => {
+      await voiceService.generateAudio(text, 'en');
 
-      expect(config.voice.languageCode).toBe('en-US');
+      expect(voiceRecordingService.findRecording).not.toHaveBeenCalled();
+      expect(synthesizeSpeech).toHaveBeenCalled();
     });
 
-    it('should return consistent config structure for all languages', () => {
-      const languages = ['en', 'zu', 'hi', 'ha', 'sw', 'pt', 'es'];
-
-      languages.forEach((lang) => {
-        const config = voiceService.getVoiceConfig(lang);
+    it('should fall back to synthetic speech if the recording lookup fails', async () => {
+      const error = new Error('Database unavailable');
+      voiceRecordingService.findRecording.mockRejectedValue(error);
 
-        expect(config).toHaveProperty('voice');
-        expect(config.voice).toHaveProperty('languageCode');
-        expect(config.voice).toHaveProperty('name');
-        expect(config.voice).toHaveProperty('ssmlGender');
-        expect(config).toHaveProperty('rate');
-        expect(config).toHaveProperty('pitch');
+      const url = await voiceService.generateAudio(text, 'en', {
+        user: { _id: 'user-123' },
+        messageType: 'urgent_reminder',
       });
-    });
-  });
 
-  describe('checkCache', () => {
-    const filename = 'audio/test.mp3';
-
-    it('should return URL if file exists', async () => {
-      mockFile.exists.mockResolvedValue([true]);
-
-      const url = await voiceService.checkCache(filename);
-
-      expect(url).toBe(
-        `https://storage.googleapis.com/${voiceService.bucketName}/${filename}`
-      );
+      expect(url).toContain('https://storage.googleapis.com');
+      expect(logger.error).toHaveBeenCalledWith('Voice recording lookup error:', error);
     });
 
-    it('should return null if file does not exist', async () => {
-      mockFile.exists.mockResolvedValue([false]);
+    it('should reject unknown storage', async () => {
+      process.env.AUDIO_STORAGE = 'floppy';
 
-      const url = await voiceService.checkCache(filename);
-
-      expect(url).toBeNull();
+      await expect(voiceService.generateAudio(text, 'en'))
+        .rejects.toThrow('Unknown audio storage "floppy"');
     });
+  });
 
-    it('should call storage bucket with correct filename', async () => {
-      mockFile.exists.mockResolvedValue([false]);
-
-      await voiceService.checkCache(filename);
+  describe('googleProvider.getVoiceConfig', () => {
+    it('should return English config', () => {
+      const config = googleProvider.getVoiceConfig('en');
 
-      expect(mockBucket.file).toHaveBeenCalledWith(filename);
-      expect(mockFile.exists).toHaveBeenCalled();
+      expect(config.voice.languageCode).toBe('en-US');
+      expect(config.voice.name).toBe('en-US-Wavenet-F');
+      expect(config.rate).toBe(0.9);
     });
 
-    it('should handle errors gracefully', async () => {
-      const error = new Error('Storage error');
-      mockFile.exists.mockRejectedValue(error);
-
-      const url = await voiceService.checkCache(filename);
+    it('should return Hausa config with Nigerian English', () => {
+      const config = googleProvider.getVoiceConfig('ha');
 
-      expect(url).toBeNull();
-      expect(logger.error).toHaveBeenCalledWith('Cache check error:', error);
+      expect(config.voice.languageCode).toBe('en-NG');
+      expect(config.rate).toBe(0.85);
     });
 
-    it('should use correct bucket name', async () => {
-      mockFile.exists.mockResolvedValue([true]);
-
-      await voiceService.checkCache(filename);
-
-      expect(mockStorage.bucket).toHaveBeenCalledWith(voiceService.bucketName);
+    it('should return default English config for unknown language', () => {
+      expect(googleProvider.getVoiceConfig('unknown').voice.languageCode).toBe('en-US');
     });
   });
 
-  describe('saveAudio', () => {
-    const audioContent = Buffer.from('fake-audio-data');
-    const filename = 'audio/test.mp3';
-
-    it('should save audio successfully', async () => {
-      const url = await voiceService.saveAudio(audioContent, filename);
-
-      expect(url).toContain('https://storage.googleapis.com');
-      expect(fs.mkdir).toHaveBeenCalled();
-      expect(fs.writeFile).toHaveBeenCalled();
-      expect(mockBucket.upload).toHaveBeenCalled();
-      expect(fs.unlink).toHaveBeenCalled();
+  describe('localProvider', () => {
+    it('should speak the built-in languages with espeak', () => {
+      expect(localProvider.supports('sw')).toBe(true);
+      expect(localProvider.supports('ha')).toBe(false);
+      expect(localProvider.getVoiceId('pt')).toBe('espeak-pt-br');
     });
 
-    it('should create temp directory recursively', async () => {
-      await voiceService.saveAudio(audioContent, filename);
-
-      expect(fs.mkdir).toHaveBeenCalledWith('./temp/audio', {
-        recursive: true,
+    it('should add voices from LOCAL_TTS_VOICES', () => {
+      process.env.LOCAL_TTS_VOICES = JSON.stringify({
+        ha: { engine: 'piper', model: '/opt/piper/ha_NG.onnx' },
       });
-    });
-
-    it('should write audio to local file', async () => {
-      await voiceService.saveAudio(audioContent, filename);
-
-      expect(fs.writeFile).toHaveBeenCalledWith(
-        `./temp/${filename}`,
-        audioContent,
-        'binary'
-      );
-    });
 
-    it('should upload to cloud storage with correct metadata', async () => {
-      await voiceService.saveAudio(audioContent, filename);
-
-      expect(mockBucket.upload).toHaveBeenCalledWith(
-        `./temp/${filename}`,
-        {
-          destination: filename,
-          metadata: {
-            contentType: 'audio/mpeg',
-            cacheControl: 'public, max-age=31536000',
-          },
-        }
-      );
-    });
-
-    it('should clean up local file after upload', async () => {
-      await voiceService.saveAudio(audioContent, filename);
-
-      expect(fs.unlink).toHaveBeenCalledWith(`./temp/${filename}`);
-    });
-
-    it('should return public URL', async () => {
-      const url = await voiceService.saveAudio(audioContent, filename);
-
-      expect(url).toBe(
-        `https://storage.googleapis.com/${voiceService.bucketName}/${filename}`
-      );
-    });
-
-    it('should handle upload errors', async () => {
-      const error = new Error('Upload error');
-      mockBucket.upload.mockRejectedValue(error);
-
-      await expect(
-        voiceService.saveAudio(audioContent, filename)
-      ).rejects.toThrow('Upload error');
-
-      expect(logger.error).toHaveBeenCalledWith(
-        'Error saving audio:',
-        error
-      );
-    });
-
-    it('should handle write errors', async () => {
-      const error = new Error('Write error');
-      fs.writeFile.mockRejectedValue(error);
-
-      await expect(
-        voiceService.saveAudio(audioContent, filename)
-      ).rejects.toThrow('Write error');
-
-      expect(logger.error).toHaveBeenCalledWith(
-        'Error saving audio:',
-        error
-      );
-    });
-
-    it('should use correct bucket', async () => {
-      await voiceService.saveAudio(audioContent, filename);
-
-      expect(mockStorage.bucket).toHaveBeenCalledWith(voiceService.bucketName);
+      expect(localProvider.supports('ha')).toBe(true);
+      expect(localProvider.getVoiceId('ha')).toBe('piper-ha_NG.onnx');
     });
   });
 
-  describe('generateSSML', () => {
-    it('should generate SSML with default emphasis', async () => {
-      const text = 'Take your medicine';
-      const ssml = await voiceService.generateSSML(text);
-
-      expect(ssml).toContain('<speak>');
-      expect(ssml).toContain('</speak>');
-      expect(ssml).toContain(text);
-      expect(ssml).toContain('moderate');
-    });
+  describe('templates', () => {
+    const variables = { name: 'Morning pill', dose: '2 tablets', withFood: true };
 
-    it('should include prosody tags', async () => {
-      const text = 'Take your medicine';
-      const ssml = await voiceService.generateSSML(text);
+    it('should speak SSML templates', async () => {
+      await voiceService.generateAudio({ template: 'reminder', variables }, 'en');
 
-      expect(ssml).toContain('<prosody');
-      expect(ssml).toContain('rate="90%"');
-      expect(ssml).toContain('pitch="-1st"');
-      expect(ssml).toContain('</prosody>');
+      const [{ input, voice }] = synthesizeSpeech.mock.calls[0];
+      expect(input.ssml).toMatch(/^<speak>/);
+      expect(input.ssml).toContain('<prosody rate="slow">2 tablets</prosody>');
+      expect(voice.languageCode).toBe('en-US');
+      expect(logger.info).toHaveBeenCalledWith('Audio generated', expect.objectContaining({
+        template: 'reminder',
+        language: 'en',
+      }));
     });
 
-    it('should include emphasis tags', async () => {
-      const text = 'Important message';
-      const ssml = await voiceService.generateSSML(text, 'strong');
-
-      expect(ssml).toContain('<emphasis level="strong">');
-      expect(ssml).toContain('</emphasis>');
-    });
+    it('should look for a recording of the template\'s message type', async () => {
+      const user = { _id: 'user-123', language: 'en' };
 
-    it('should include break time', async () => {
-      const text = 'Take your medicine';
-      const ssml = await voiceService.generateSSML(text);
+      await voiceService.generateAudio({ template: 'urgent_reminder', variables }, 'en', { user });
 
-      expect(ssml).toContain('<break time="500ms"/>');
+      expect(voiceRecordingService.findRecording).toHaveBeenCalledWith(user, 'urgent_reminder', 'en');
     });
 
-    it('should include follow-up message', async () => {
-      const text = 'Take your medicine';
-      const ssml = await voiceService.generateSSML(text);
+    it('should reuse audio for the same template and variables', async () => {
+      await voiceService.generateAudio({ template: 'reminder', variables }, 'en');
+      await voiceService.generateAudio({ template: 'reminder', variables: { ...variables } }, 'en');
+      await voiceService.generateAudio({ template: 'reminder', variables: { ...variables, withFood: false } }, 'en');
 
-      expect(ssml).toContain('Please respond when you\'re ready.');
+      const [first, second, third] = storages.gcs.exists.mock.calls.map(call => call[0]);
+      expect(second).toBe(first);
+      expect(third).not.toBe(first);
     });
 
-    it('should handle custom emphasis levels', async () => {
-      const text = 'Test message';
-
-      const moderate = await voiceService.generateSSML(text, 'moderate');
-      const strong = await voiceService.generateSSML(text, 'strong');
-      const reduced = await voiceService.generateSSML(text, 'reduced');
+    it('should use English with a stand-in voice', async () => {
+      await voiceService.generateAudio({ template: 'reminder', variables }, 'ha');
 
-      expect(moderate).toContain('moderate');
-      expect(strong).toContain('strong');
-      expect(reduced).toContain('reduced');
+      const [{ input, voice }] = synthesizeSpeech.mock.calls[0];
+      expect(input.ssml).toContain("It's time for your");
+      expect(voice.languageCode).toBe('en-NG');
     });
 
-    it('should properly escape text content', async () => {
-      const text = 'Take your medicine & relax';
-      const ssml = await voiceService.generateSSML(text);
-
-      expect(ssml).toContain(text);
-    });
+    it('should use the patient\'s language with a native voice', async () => {
+      process.env.LOCAL_TTS_VOICES = JSON.stringify({
+        ha: { engine: 'piper', model: '/opt/piper/ha_NG.onnx' },
+      });
 
-    it('should return string', async () => {
-      const ssml = await voiceService.generateSSML('Test');
+      await voiceService.generateAudio({ template: 'reminder', variables }, 'ha');
 
-      expect(typeof ssml).toBe('string');
+      const [ssml, language, options] = providers.local.synthesize.mock.calls[0];
+      expect(ssml).toContain('Lokacin shan');
+      expect(language).toBe('ha');
+      expect(options).toEqual({ ssml: true });
+      expect(synthesizeSpeech).not.toHaveBeenCalled();
     });
   });
 
-  describe('integration tests', () => {
-    it('should generate and cache audio for multiple languages', async () => {
-      const text = 'Take your medicine';
-
-      mockFile.exists.mockResolvedValue([false]);
-      mockTTSClient.synthesizeSpeech.mockResolvedValue([
-        { audioContent: Buffer.from('audio-data') },
-      ]);
-
-      const languages = ['en', 'es', 'pt'];
-      const urls = await Promise.all(
-        languages.map((lang) => voiceService.generateAudio(text, lang))
-      );
-
-      expect(urls).toHaveLength(3);
-      expect(mockTTSClient.synthesizeSpeech).toHaveBeenCalledTimes(3);
-    });
-
-    it('should use cache on second call', async () => {
-      const text = 'Take your medicine';
-
-      // First call - no cache
-      mockFile.exists.mockResolvedValueOnce([false]);
-      mockTTSClient.synthesizeSpeech.mockResolvedValue([
-        { audioContent: Buffer.from('audio-data') },
-      ]);
-
-      await voiceService.generateAudio(text, 'en');
-
-      // Second call - cached
-      mockFile.exists.mockResolvedValueOnce([true]);
-
-      await voiceService.generateAudio(text, 'en');
-
-      expect(mockTTSClient.synthesizeSpeech).toHaveBeenCalledTimes(1);
-    });
-
-    it('should handle complete workflow', async () => {
-      const text = 'Time to take your medication';
-      const language = 'es';
-
-      mockFile.exists.mockResolvedValue([false]);
-      mockTTSClient.synthesizeSpeech.mockResolvedValue([
-        { audioContent: Buffer.from('spanish-audio') },
-      ]);
-
-      // Get voice config
-      const config = voiceService.getVoiceConfig(language);
-      expect(config.voice.languageCode).toBe('es-US');
-
-      // Generate audio
-      const url = await voiceService.generateAudio(text, language);
-      expect(url).toContain('https://storage.googleapis.com');
+  describe('generateSSML', () => {
+    it('should render the template in the requested language', () => {
+      const ssml = voiceService.generateSSML('reminder', { name: 'Morning pill' }, 'sw');
 
-      // Verify all steps executed
-      expect(crypto.createHash).toHaveBeenCalled();
-      expect(mockTTSClient.synthesizeSpeech).toHaveBeenCalled();
-      expect(fs.mkdir).toHaveBeenCalled();
-      expect(fs.writeFile).toHaveBeenCalled();
-      expect(mockBucket.upload).toHaveBeenCalled();
-      expect(fs.unlink).toHaveBeenCalled();
+      expect(ssml).toContain('Ni wakati wa kutumia <emphasis level="moderate">Morning pill</emphasis>.');
     });
 
-    it('should generate SSML and use it for audio generation', async () => {
-      const text = 'Important reminder';
-      const ssml = await voiceService.generateSSML(text, 'strong');
-
-      expect(ssml).toContain(text);
-      expect(ssml).toContain('strong');
-
-      // SSML can be used with TTS API
-      mockTTSClient.synthesizeSpeech.mockResolvedValue([
-        { audioContent: Buffer.from('ssml-audio') },
-      ]);
-
-      // This demonstrates SSML could be used instead of plain text
-      expect(ssml).toContain('<speak>');
+    it('should reject unknown templates', () => {
+      expect(() => voiceService.generateSSML('lullaby', {}))
+        .toThrow('Unknown voice template "lullaby"');
     });
   });
 
-  describe('error recovery', () => {
-    it('should not delete local file if upload fails', async () => {
-      const error = new Error('Upload failed');
-      mockBucket.upload.mockRejectedValue(error);
+  describe('localProvider.toPlainText', () => {
+    it('should strip the markup for engines without SSML', () => {
+      const ssml = voiceService.generateSSML('reminder', { name: 'Tom & Jerry' });
 
-      await expect(
-        voiceService.saveAudio(Buffer.from('data'), 'audio/test.mp3')
-      ).rejects.toThrow();
-
-      expect(fs.unlink).not.toHaveBeenCalled();
-    });
-
-    it('should handle cache check failure gracefully', async () => {
-      mockFile.exists.mockRejectedValue(new Error('Storage unavailable'));
-      mockTTSClient.synthesizeSpeech.mockResolvedValue([
-        { audioContent: Buffer.from('audio') },
-      ]);
-
-      // Should still generate audio if cache check fails
-      const url = await voiceService.generateAudio('Test', 'en');
-
-      expect(url).toBeDefined();
-      expect(mockTTSClient.synthesizeSpeech).toHaveBeenCalled();
-    });
-
-    it('should log all errors appropriately', async () => {
-      const error = new Error('Test error');
-      mockTTSClient.synthesizeSpeech.mockRejectedValue(error);
-
-      await expect(
-        voiceService.generateAudio('Test', 'en')
-      ).rejects.toThrow();
-
-      expect(logger.error).toHaveBeenCalledWith(
-        'Error generating audio:',
-        error
-      );
+      expect(localProvider.toPlainText(ssml))
+        .toBe("It's time for your Tom & Jerry. Reply on WhatsApp once you have taken it.");
     });
   });
-});
\ No newline at end of file
+});
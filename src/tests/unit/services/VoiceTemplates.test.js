@@ -0,0 +1,89 @@
+import {
+  renderTemplate,
+  formatDose,
+  getTimeSlot,
+  getReminderVariables,
+} from '../../../services/voiceTemplates.js';
+
+describe('voiceTemplates', () => {
+  const medication = {
+    getDisplayName: () => 'Morning <pill>',
+    schedule: {
+      times: [
+        { time: '08:00', dose: '1 tablet', withFood: true },
+        { time: '20:00', dose: '2 tablets', withFood: false },
+      ],
+    },
+  };
+
+  describe('renderTemplate', () => {
+    it('should pause between sentences and read the dose slowly', () => {
+      const ssml = renderTemplate('reminder', { name: 'Morning pill', dose: '2 tablets' }, 'en');
+
+      expect(ssml).toMatch(/^<speak>.*<\/speak>$/);
+      expect(ssml).toContain('<break time="700ms"/>');
+      expect(ssml).toContain('Take <prosody rate="slow">2 tablets</prosody>.');
+    });
+
+    it('should say how to take it with food', () => {
+      expect(renderTemplate('reminder', { name: 'x', withFood: true }, 'en')).toContain('Take it with food.');
+      expect(renderTemplate('reminder', { name: 'x', withFood: false }, 'pt')).toContain('Tome em jejum.');
+
+      const ssml = renderTemplate('reminder', { name: 'x' }, 'en');
+      expect(ssml).not.toContain('food');
+      expect(ssml).not.toContain('stomach');
+    });
+
+    it('should escape names and doses', () => {
+      const ssml = renderTemplate('urgent_reminder', { name: 'Morning <pill>', dose: '1 & a half' }, 'en');
+
+      expect(ssml).toContain('Morning &lt;pill&gt;');
+      expect(ssml).toContain('1 &amp; a half');
+    });
+
+    it('should fall back to English for other languages', () => {
+      expect(renderTemplate('reminder', { name: 'x' }, 'fr')).toContain("It's time for your");
+    });
+  });
+
+  describe('formatDose', () => {
+    it('should keep doses entered with their unit', () => {
+      expect(formatDose({ amount: '1 tablet', unit: 'tablet' })).toBe('1 tablet');
+    });
+
+    it('should add the medication form to bare amounts', () => {
+      expect(formatDose({ amount: '2', unit: 'capsules' })).toBe('2 capsules');
+      expect(formatDose({ amount: '2', unit: 'unit' })).toBe('2');
+    });
+
+    it('should leave out missing doses', () => {
+      expect(formatDose({ unit: 'tablet' })).toBeNull();
+      expect(formatDose(undefined)).toBeNull();
+    });
+  });
+
+  describe('getTimeSlot', () => {
+    it('should find the slot in the patient\'s timezone', () => {
+      const schedule = { scheduledTime: new Date('2024-01-15T18:00:00Z') };
+
+      expect(getTimeSlot(medication, schedule, 'Africa/Johannesburg').time).toBe('20:00');
+      expect(getTimeSlot(medication, schedule, 'UTC')).toBeNull();
+    });
+  });
+
+  describe('getReminderVariables', () => {
+    it('should use the privacy display name and the slot\'s food instruction', () => {
+      const variables = getReminderVariables(
+        { timezone: 'Africa/Johannesburg' },
+        medication,
+        { scheduledTime: new Date('2024-01-15T06:00:00Z'), dose: { amount: '1 tablet', unit: 'tablet' } }
+      );
+
+      expect(variables).toEqual({
+        name: 'Morning <pill>',
+        dose: '1 tablet',
+        withFood: true,
+      });
+    });
+  });
+});
\ No newline at end of file
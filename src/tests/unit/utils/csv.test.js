@@ -0,0 +1,35 @@
+import { parseCsv } from '../../../utils/csv.js';
+
+describe('csv', () => {
+  describe('parseCsv', () => {
+    it('should key rows by the lower-cased header', () => {
+      const rows = parseCsv('Phone,Name\n+27820000001,Thandi\n');
+
+      expect(rows).toEqual([{ line: 2, phone: '+27820000001', name: 'Thandi' }]);
+    });
+
+    it('should read quoted fields with commas, quotes and line breaks', () => {
+      const rows = parseCsv('name,notes\r\n"Dlamini, T","Says ""hi""\nevery day"\r\n');
+
+      expect(rows[0].name).toBe('Dlamini, T');
+      expect(rows[0].notes).toBe('Says "hi"\nevery day');
+    });
+
+    it('should skip blank lines but keep line numbers', () => {
+      const rows = parseCsv('﻿phone\n+27820000001\n\n+27820000002');
+
+      expect(rows).toEqual([
+        { line: 2, phone: '+27820000001' },
+        { line: 4, phone: '+27820000002' },
+      ]);
+    });
+
+    it('should fill missing columns with empty strings', () => {
+      expect(parseCsv('phone,name\n+27820000001')[0].name).toBe('');
+    });
+
+    it('should return no rows for an empty file', () => {
+      expect(parseCsv('')).toEqual([]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,137 @@
+import {
+  resolveTimezone,
+  isValidTimezone,
+  getValidTimezone,
+  localTimeToDate,
+  isWithinTimeRange,
+  getNextLocalTime,
+  formatOffset,
+} from '../../../utils/timeZones.js';
+
+describe('timeZones', () => {
+  describe('resolveTimezone', () => {
+    it('should accept IANA zone names in any case', () => {
+      expect(resolveTimezone('Africa/Lagos')).toBe('Africa/Lagos');
+      expect(resolveTimezone('africa/lagos')).toBe('Africa/Lagos');
+    });
+
+    it('should resolve city names', () => {
+      expect(resolveTimezone('Johannesburg')).toBe('Africa/Johannesburg');
+      expect(resolveTimezone('  nairobi ')).toBe('Africa/Nairobi');
+      expect(resolveTimezone('Sao Paulo')).toBe('America/Sao_Paulo');
+    });
+
+    it('should resolve common places that are not zone names', () => {
+      expect(resolveTimezone('New Delhi')).toBe('Asia/Kolkata');
+      expect(resolveTimezone('Cape Town')).toBe('Africa/Johannesburg');
+      expect(resolveTimezone('Abuja')).toBe('Africa/Lagos');
+    });
+
+    it('should resolve the onboarding examples as written', () => {
+      expect(resolveTimezone('Johannesburg (GMT+2)')).toBe('Africa/Johannesburg');
+      expect(resolveTimezone('London (GMT)')).toBe('Europe/London');
+      expect(resolveTimezone('New Delhi (GMT+5:30)')).toBe('Asia/Kolkata');
+    });
+
+    it('should resolve whole-hour offsets to Etc zones', () => {
+      expect(resolveTimezone('GMT+2')).toBe('Etc/GMT-2');
+      expect(resolveTimezone('utc -5')).toBe('Etc/GMT+5');
+      expect(resolveTimezone('GMT')).toBe('GMT');
+      expect(resolveTimezone('UTC')).toBe('UTC');
+    });
+
+    it('should resolve partial-hour offsets to a representative zone', () => {
+      expect(resolveTimezone('GMT+5:30')).toBe('Asia/Kolkata');
+      expect(resolveTimezone('+0545')).toBe('Asia/Kathmandu');
+    });
+
+    it('should fall back to the offset hint for unknown places', () => {
+      expect(resolveTimezone('My village (GMT+3)')).toBe('Etc/GMT-3');
+    });
+
+    it('should return null for anything else', () => {
+      expect(resolveTimezone('somewhere nice')).toBeNull();
+      expect(resolveTimezone('GMT+15')).toBeNull();
+      expect(resolveTimezone('')).toBeNull();
+      expect(resolveTimezone(undefined)).toBeNull();
+    });
+  });
+
+  describe('isValidTimezone', () => {
+    it('should only accept zone names', () => {
+      expect(isValidTimezone('Europe/London')).toBe(true);
+      expect(isValidTimezone('London')).toBe(false);
+      expect(isValidTimezone(null)).toBe(false);
+    });
+  });
+
+  describe('getValidTimezone', () => {
+    it('should resolve legacy free-text values and default to UTC', () => {
+      expect(getValidTimezone('Johannesburg')).toBe('Africa/Johannesburg');
+      expect(getValidTimezone('nowhere')).toBe('UTC');
+      expect(getValidTimezone(undefined)).toBe('UTC');
+    });
+  });
+
+  describe('localTimeToDate', () => {
+    it('should convert wall-clock time in the zone', () => {
+      expect(localTimeToDate('2024-01-15', '08:00', 'Africa/Johannesburg').toISOString())
+        .toBe('2024-01-15T06:00:00.000Z');
+    });
+
+    it('should move times in a DST gap forward', () => {
+      expect(localTimeToDate('2024-03-31', '01:30', 'Europe/London').toISOString())
+        .toBe('2024-03-31T01:30:00.000Z');
+    });
+
+    it('should use the first occurrence of times in a DST overlap', () => {
+      expect(localTimeToDate('2024-10-27', '01:30', 'Europe/London').toISOString())
+        .toBe('2024-10-27T00:30:00.000Z');
+    });
+  });
+
+  describe('isWithinTimeRange', () => {
+    it('should compare in the given zone', () => {
+      // 21:30 UTC is 23:30 in Johannesburg
+      const date = new Date('2024-01-15T21:30:00Z');
+
+      expect(isWithinTimeRange(date, '22:00', '07:00', 'Africa/Johannesburg')).toBe(true);
+      expect(isWithinTimeRange(date, '22:00', '07:00', 'UTC')).toBe(false);
+    });
+
+    it('should handle ranges within a day', () => {
+      const date = new Date('2024-01-15T13:15:00Z');
+
+      expect(isWithinTimeRange(date, '13:00', '14:00', 'UTC')).toBe(true);
+      expect(isWithinTimeRange(date, '13:30', '14:00', 'UTC')).toBe(false);
+    });
+  });
+
+  describe('getNextLocalTime', () => {
+    it('should return today when the time is still ahead', () => {
+      // 23:30 in Johannesburg, quiet hours end at 07:00 tomorrow
+      const date = new Date('2024-01-15T21:30:00Z');
+
+      expect(getNextLocalTime(date, '07:00', 'Africa/Johannesburg').toISOString())
+        .toBe('2024-01-16T05:00:00.000Z');
+    });
+
+    it('should return the same local day after midnight', () => {
+      // 02:00 in Johannesburg
+      const date = new Date('2024-01-16T00:00:00Z');
+
+      expect(getNextLocalTime(date, '07:00', 'Africa/Johannesburg').toISOString())
+        .toBe('2024-01-16T05:00:00.000Z');
+    });
+  });
+
+  describe('formatOffset', () => {
+    it('should format offsets for display', () => {
+      const date = new Date('2024-01-15T12:00:00Z');
+
+      expect(formatOffset('Asia/Kolkata', date)).toBe('GMT+5:30');
+      expect(formatOffset('America/New_York', date)).toBe('GMT-5');
+      expect(formatOffset('UTC', date)).toBe('GMT');
+    });
+  });
+});
\ No newline at end of file
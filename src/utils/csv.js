@@ -0,0 +1,75 @@
+// Small RFC 4180 reader: quoted fields may contain commas, quotes ("")
+// and line breaks. Returns one object per row keyed by the lower-cased
+// header, with the line number of the row for error reports.
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+
+  const endRecord = () => {
+    endField();
+    records.push({ line: recordLine, values: record });
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length > 0) {
+    endRecord();
+  }
+
+  // Blank lines are not rows
+  const [header, ...rows] = records.filter(({ values }) => values.some(value => value.trim()));
+
+  if (!header) return [];
+
+  const keys = header.values.map(key => key.trim().toLowerCase());
+
+  return rows.map(({ line: rowLine, values }) => {
+    const row = { line: rowLine };
+
+    keys.forEach((key, index) => {
+      row[key] = (values[index] ?? '').trim();
+    });
+
+    return row;
+  });
+}
\ No newline at end of file
@@ -0,0 +1,216 @@
+import moment from 'moment-timezone';
+
+// Places people commonly type that are not the city in an IANA zone name
+const ALIASES = {
+  'south africa': 'Africa/Johannesburg',
+  'cape town': 'Africa/Johannesburg',
+  'durban': 'Africa/Johannesburg',
+  'pretoria': 'Africa/Johannesburg',
+  'soweto': 'Africa/Johannesburg',
+  'nigeria': 'Africa/Lagos',
+  'abuja': 'Africa/Lagos',
+  'kano': 'Africa/Lagos',
+  'ibadan': 'Africa/Lagos',
+  'kenya': 'Africa/Nairobi',
+  'mombasa': 'Africa/Nairobi',
+  'tanzania': 'Africa/Dar_es_Salaam',
+  'dodoma': 'Africa/Dar_es_Salaam',
+  'ghana': 'Africa/Accra',
+  'kumasi': 'Africa/Accra',
+  'zimbabwe': 'Africa/Harare',
+  'bulawayo': 'Africa/Harare',
+  'uganda': 'Africa/Kampala',
+  'india': 'Asia/Kolkata',
+  'new delhi': 'Asia/Kolkata',
+  'delhi': 'Asia/Kolkata',
+  'mumbai': 'Asia/Kolkata',
+  'bangalore': 'Asia/Kolkata',
+  'bengaluru': 'Asia/Kolkata',
+  'chennai': 'Asia/Kolkata',
+  'hyderabad': 'Asia/Kolkata',
+  'calcutta': 'Asia/Kolkata',
+  'uk': 'Europe/London',
+  'united kingdom': 'Europe/London',
+  'england': 'Europe/London',
+  'portugal': 'Europe/Lisbon',
+  'spain': 'Europe/Madrid',
+  'brazil': 'America/Sao_Paulo',
+  'rio de janeiro': 'America/Sao_Paulo',
+  'brasilia': 'America/Sao_Paulo',
+  'mozambique': 'Africa/Maputo',
+  'mexico': 'America/Mexico_City',
+  'new york': 'America/New_York',
+  'washington': 'America/New_York',
+  'san francisco': 'America/Los_Angeles',
+};
+
+// Offsets that are not whole hours have no Etc/GMT zone, so use the
+// zone most people with that offset live in
+const PARTIAL_HOUR_OFFSETS = {
+  '-09:30': 'Pacific/Marquesas',
+  '-03:30': 'America/St_Johns',
+  '+03:30': 'Asia/Tehran',
+  '+04:30': 'Asia/Kabul',
+  '+05:30': 'Asia/Kolkata',
+  '+05:45': 'Asia/Kathmandu',
+  '+06:30': 'Asia/Yangon',
+  '+08:45': 'Australia/Eucla',
+  '+09:30': 'Australia/Darwin',
+  '+10:30': 'Australia/Lord_Howe',
+  '+12:45': 'Pacific/Chatham',
+};
+
+const OFFSET_PATTERN = /^(?:gmt|utc)\s*(?:([+-])\s*(\d{1,2})(?:[:.h]?(\d{2}))?)?$|^([+-])(\d{1,2})(?::?(\d{2}))?$/i;
+
+let cityIndex = null;
+
+// "johannesburg" -> "Africa/Johannesburg", built once from the tz database
+function getCityIndex() {
+  if (cityIndex) return cityIndex;
+
+  cityIndex = new Map();
+
+  for (const name of moment.tz.names()) {
+    if (!name.includes('/') || /^(Etc|SystemV|US|Canada|Mexico|Brazil|Chile)\//.test(name)) {
+      continue;
+    }
+
+    const city = name.split('/').pop().replace(/_/g, ' ').toLowerCase();
+
+    if (!cityIndex.has(city)) {
+      cityIndex.set(city, name);
+    }
+  }
+
+  return cityIndex;
+}
+
+function resolveOffset(text) {
+  const match = text.replace(/\s+/g, '').match(OFFSET_PATTERN);
+
+  if (!match) return null;
+
+  const sign = match[1] || match[4];
+  const hours = parseInt(match[2] || match[5] || '0', 10);
+  const minutes = parseInt(match[3] || match[6] || '0', 10);
+
+  if (!sign || (hours === 0 && minutes === 0)) return 'UTC';
+
+  if (minutes !== 0) {
+    const key = `${sign}${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    return PARTIAL_HOUR_OFFSETS[key] || null;
+  }
+
+  if (hours > (sign === '+' ? 14 : 12)) return null;
+
+  // Etc/GMT zones use POSIX signs: Etc/GMT-2 is two hours ahead of UTC
+  return `Etc/GMT${sign === '+' ? '-' : '+'}${hours}`;
+}
+
+/**
+ * Resolve what a user typed ("Johannesburg", "GMT+5:30", "Africa/Lagos",
+ * "London (GMT)") to an IANA zone name, or null when it cannot be matched.
+ */
+export function resolveTimezone(input) {
+  if (!input || typeof input !== 'string') return null;
+
+  const text = input.trim();
+  const lower = text.toLowerCase();
+
+  if (!text) return null;
+
+  const exact = moment.tz.zone(text);
+  if (exact) return exact.name;
+
+  const byName = moment.tz.names().find(name => name.toLowerCase() === lower);
+  if (byName) return byName;
+
+  // Accept "Johannesburg (GMT+2)" as written in the onboarding examples
+  const [place, hint] = lower.split(/\s*\(\s*/);
+  const placeKey = place.replace(/[,.]+$/, '').trim();
+
+  return ALIASES[placeKey]
+    || getCityIndex().get(placeKey)
+    || resolveOffset(placeKey)
+    || (hint ? resolveOffset(hint.replace(/\).*$/, '')) : null);
+}
+
+export function isValidTimezone(zone) {
+  return !!zone && !!moment.tz.zone(zone);
+}
+
+// Fall back to UTC for missing or legacy free-text values
+export function getValidTimezone(zone) {
+  return resolveTimezone(zone) || 'UTC';
+}
+
+/**
+ * The instant a wall-clock time happens on a local date in a zone.
+ * Times in a DST gap move forward by the gap; times in an overlap use the
+ * first occurrence, so a dose is never scheduled twice.
+ */
+export function localTimeToDate(localDate, time, zone) {
+  return moment.tz(`${localDate} ${time}`, 'YYYY-MM-DD HH:mm', zone).toDate();
+}
+
+export function getLocalDate(date, zone) {
+  return moment.tz(date, zone).format('YYYY-MM-DD');
+}
+
+export function getLocalMinutes(date, zone) {
+  const local = moment.tz(date, zone);
+  return local.hours() * 60 + local.minutes();
+}
+
+// Ranges may wrap past midnight, e.g. 22:00-07:00
+export function isWithinTimeRange(date, start, end, zone) {
+  const toMinutes = time => {
+    const [hours, minutes = 0] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+
+  const current = getLocalMinutes(date, zone);
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  if (from <= to) {
+    return current >= from && current < to;
+  }
+
+  return current >= from || current < to;
+}
+
+// The next time the wall clock in the zone shows `time` after `date`
+export function getNextLocalTime(date, time, zone) {
+  const today = localTimeToDate(getLocalDate(date, zone), time, zone);
+
+  if (today > date) return today;
+
+  const tomorrow = moment.tz(date, zone).add(1, 'day').format('YYYY-MM-DD');
+  return localTimeToDate(tomorrow, time, zone);
+}
+
+// "GMT+5:30" for confirmations
+export function formatOffset(zone, date = new Date()) {
+  const offset = moment.tz(date, zone).utcOffset();
+
+  if (offset === 0) return 'GMT';
+
+  const sign = offset > 0 ? '+' : '-';
+  const hours = Math.floor(Math.abs(offset) / 60);
+  const minutes = Math.abs(offset) % 60;
+
+  return `GMT${sign}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+}
+
+export default {
+  resolveTimezone,
+  isValidTimezone,
+  getValidTimezone,
+  localTimeToDate,
+  getLocalDate,
+  getLocalMinutes,
+  isWithinTimeRange,
+  getNextLocalTime,
+  formatOffset,
+};
\ No newline at end of file